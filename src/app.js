@@ -1,15 +1,27 @@
 import { FetchHttpClient } from './infrastructure/http/fetch-http-client.js';
-import { CheerioScraper } from './infrastructure/scraper/cheerio-scraper.js';
 import { WhatsAppNotifier } from './infrastructure/whatsapp/whatsapp-notifier.js';
-import { FileStateStore } from './infrastructure/store/file-state-store.js';
+import { WebhookNotifier } from './infrastructure/webhook/webhook-notifier.js';
+import { FileOutbox } from './infrastructure/store/file-outbox.js';
+import { HealthRoutes } from './interfaces/http/health-routes.js';
+import { registerRateLimits } from './interfaces/http/rate-limits.js';
 import { WhatsAppRoutes } from './interfaces/http/whatsapp-routes.js';
 import { InspectionRoutes } from './interfaces/http/inspection-routes.js';
-import { PollAndNotify } from './core/use-cases/poll-and-notify.js';
+import { FilterRoutes } from './interfaces/http/filter-routes.js';
+import { SubscriptionRoutes } from './interfaces/http/subscription-routes.js';
+import { OutboxRoutes } from './interfaces/http/outbox-routes.js';
+import { TemplateRoutes } from './interfaces/http/template-routes.js';
+import { DigestRoutes } from './interfaces/http/digest-routes.js';
+import { HistoryRoutes } from './interfaces/http/history-routes.js';
+import { WorldResolver } from './interfaces/http/world-resolver.js';
+import { DispatchOutbox } from './core/use-cases/dispatch-outbox.js';
+import { CommandDispatcher } from './core/commands/command-dispatcher.js';
+import { MessageRenderer, parseCoordinates } from './core/templates/message-renderer.js';
 import { loadConfig } from './config/env.js';
+import { startChannels } from './wiring/channels.js';
+import { createWorld } from './wiring/world.js';
+import { JobScheduler } from './wiring/job-scheduler.js';
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import pino from 'pino';
-import cron from 'node-cron';
 
 const logger = pino({ name: 'app' });
 
@@ -23,10 +35,11 @@ export class App {
     this.app = null;
     this.server = null;
     this.notifier = null;
-    this.scraper = null;
-    this.stateStore = null;
-    this.pollAndNotify = null;
-    this.scheduler = null;
+    this.webhookNotifier = null;
+    this.outbox = null;
+    this.messageRenderer = null;
+    this.worlds = new Map();
+    this.jobs = null;
   }
 
   /**
@@ -37,21 +50,35 @@ export class App {
     try {
       logger.info('Starting application...');
       
-      // Initialize WhatsApp notifier with graceful fallback
-      await this.initializeWhatsAppGracefully();
+      // Initialize the notification channels; unavailable ones fall back along the chain
+      this.notifier = await startChannels(this.config);
+      
+      // The event webhook runs next to the chat notifier
+      await this.initializeWebhook();
       
       // Initialize other dependencies
       this.initializeDependencies();
       
+      // Load stored filters and subscriptions of every world before the first poll
+      for (const world of this.worlds.values()) {
+        await world.pollAndNotify.loadFilters();
+        await world.pollAndNotify.loadSubscriptions();
+      }
+      
       // Setup HTTP server
       await this.setupHttpServer();
       
-      // Start scheduled polling
-      this.startScheduledPolling();
+      // Start scheduled polling, outbox dispatching and digests
+      this.jobs = new JobScheduler(this.config, {
+        worlds: this.worlds,
+        notifier: this.notifier,
+        outbox: this.outbox
+      });
+      this.jobs.start();
       
       // Execute initial polling immediately
       logger.info('Executing initial polling...');
-      await this.executePollingWithRetry();
+      await this.jobs.pollAllWorlds();
       
       logger.info('Application started successfully');
       
@@ -62,126 +89,124 @@ export class App {
   }
 
   /**
-   * Initializes WhatsApp notifier with graceful fallback
+   * Initializes the outgoing event webhook when endpoints are configured
    * @returns {Promise<void>}
    * @private
    */
-  async initializeWhatsAppGracefully() {
-    const maxRetries = 3;
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        logger.info({ attempt }, 'Initializing WhatsApp notifier...');
-        
-        this.notifier = new WhatsAppNotifier(this.config.whatsapp.recipients);
-        await this.notifier.init();
-        
-        logger.info('WhatsApp notifier initialized successfully');
-        return;
-        
-      } catch (error) {
-        lastError = error;
-        logger.error({ attempt, error: error.message }, 'WhatsApp initialization failed');
-        
-        if (attempt < maxRetries) {
-          const delay = attempt * 5000; // 5s, 10s, 15s
-          logger.info({ delay }, 'Retrying WhatsApp initialization...');
-          await this.sleep(delay);
-        }
-      }
+  async initializeWebhook() {
+    if (this.config.webhook.urls.length === 0) {
+      return;
     }
     
-    // If all retries failed, create a mock notifier to prevent app crash
-    logger.warn('WhatsApp initialization failed after all retries, using mock notifier');
-    this.notifier = this.createMockNotifier();
+    this.webhookNotifier = new WebhookNotifier({
+      urls: this.config.webhook.urls,
+      secret: this.config.webhook.secret,
+      maxRetries: this.config.webhook.maxRetries
+    });
+    await this.webhookNotifier.init();
   }
 
   /**
-   * Creates a mock notifier for when WhatsApp fails to initialize
-   * @returns {Object} Mock notifier with same interface
+   * Initializes other application dependencies
    * @private
    */
-  createMockNotifier() {
-    return {
-      init: async () => {
-        logger.warn('Mock notifier init called - WhatsApp not available');
-      },
-      getCurrentQr: () => {
-        logger.warn('Mock notifier getCurrentQr called - WhatsApp not available');
-        return null;
-      },
-      isClientReady: () => {
-        logger.warn('Mock notifier isClientReady called - WhatsApp not available');
-        return false;
-      },
-      sendNotification: async (message) => {
-        logger.warn({ messageLength: message.length }, 'Mock notifier sendNotification called - WhatsApp not available');
-        // Simulate successful notification for testing
-        logger.info('Mock notification sent successfully (simulated)');
-      },
-      notifyMany: async (numbers, message) => {
-        logger.warn({ numbers, messageLength: message.length }, 'Mock notifier notifyMany called - WhatsApp not available');
-        // Simulate successful notification for testing
-        logger.info('Mock notifications sent successfully (simulated)');
-      },
-      disconnect: async () => {
-        logger.warn('Mock notifier disconnect called - WhatsApp not available');
-      }
-    };
+  initializeDependencies() {
+    logger.info('Initializing dependencies...');
+    
+    // Queued notifications are shared by all worlds and rendered again with their world's renderer
+    if (this.config.outbox.enabled) {
+      this.outbox = new DispatchOutbox(new FileOutbox(this.config.outbox.file), this.notifier, {
+        maxAttempts: this.config.outbox.maxAttempts,
+        ttlMs: this.config.outbox.ttlHours * 60 * 60 * 1000,
+        partDelayMs: this.config.batching.partDelayMs,
+        eventWebhook: this.webhookNotifier,
+        renderFor: (worldId, locale) => {
+          const world = this.worlds.get(worldId);
+          return world ? events => world.pollAndNotify.renderMessage(events, { locale: locale ?? undefined }) : undefined;
+        }
+      });
+    }
+    
+    // One renderer for all worlds; the templates were validated with the configuration
+    this.messageRenderer = new MessageRenderer({
+      messageTemplate: this.config.templates.message,
+      eventTemplate: this.config.templates.event,
+      homeTribe: this.config.homeTribe,
+      homeCoordinates: parseCoordinates(this.config.templates.homeCoordinates),
+      locale: this.config.i18n.defaultLocale
+    });
+    
+    // Initialize HTTP client
+    const httpClient = new FetchHttpClient({
+      timeout: 30000,
+      maxRetries: 3
+    });
+    
+    // Initialize one scraper, state store and use-case per world; the HTTP client
+    // (and its circuit breaker) is shared since all worlds live on TWStats
+    for (const worldConfig of this.config.worlds) {
+      this.worlds.set(worldConfig.id, createWorld(worldConfig, this.config, {
+        httpClient,
+        notifier: this.notifier,
+        eventWebhook: this.webhookNotifier,
+        outbox: this.outbox,
+        renderer: this.messageRenderer
+      }));
+    }
+    
+    this.initializeCommands();
+    
+    logger.info({ worlds: [...this.worlds.keys()] }, 'Dependencies initialized');
   }
 
   /**
-   * Initializes WhatsApp notifier with retry mechanism (legacy method)
-   * @returns {Promise<void>}
+   * Creates the chat command dispatcher; commands act on the first configured world
    * @private
    */
-  async initializeWhatsAppWithRetry() {
-    return this.initializeWhatsAppGracefully();
+  initializeCommands() {
+    const commandWorld = this.getWorld();
+    this.commandDispatcher = new CommandDispatcher(
+      commandWorld.scraper,
+      commandWorld.manageSubscriptions,
+      () => ({
+        world: commandWorld.id,
+        notifierReady: !!this.notifier?.isClientReady(),
+        uptimeSeconds: Math.floor(process.uptime()),
+        executionCount: commandWorld.pollAndNotify.executionCount,
+        lastRunAt: commandWorld.pollAndNotify.lastRunAt,
+        filtersActive: !!commandWorld.pollAndNotify.filters,
+        subscriptions: commandWorld.pollAndNotify.subscriptions.length
+      }),
+      {
+        allowlist: this.config.whatsapp.commandAllowlist,
+        admins: this.config.whatsapp.commandAdmins,
+        listGroups: () => this.notifier.listGroups(),
+        history: commandWorld.history
+      }
+    );
+    this.attachCommandHandler();
   }
 
   /**
-   * Initializes WhatsApp notifier (legacy method)
-   * @returns {Promise<void>}
+   * Routes incoming chat messages of the current notifier to the command dispatcher
    * @private
    */
-  async initializeWhatsApp() {
-    return this.initializeWhatsAppGracefully();
+  attachCommandHandler() {
+    if (!this.config.whatsapp.commandsEnabled || typeof this.notifier?.onMessage !== 'function') {
+      return;
+    }
+
+    this.notifier.onMessage((text, sender) => this.commandDispatcher.dispatch(text, sender));
+    logger.info('Chat command handler attached');
   }
 
   /**
-   * Initializes other application dependencies
-   * @private
+   * Gets a world context by id, or the first configured world
+   * @param {string} [worldId] - World id
+   * @returns {import('./interfaces/http/world-resolver.js').WorldContext|undefined} World context
    */
-  initializeDependencies() {
-    logger.info('Initializing dependencies...');
-    
-    // Initialize HTTP client
-    const httpClient = new FetchHttpClient({
-      timeout: 30000,
-      maxRetries: 3
-    });
-    
-    // Initialize scraper with configured URL and CSS selector
-    this.scraper = new CheerioScraper(
-      httpClient,
-      this.config.scraper.url,
-      this.config.scraper.cssSelector
-    );
-    
-    // Initialize state store with configured file path
-    this.stateStore = new FileStateStore(this.config.state.filePath);
-    
-    // Initialize the use-case with configuration
-    this.pollAndNotify = new PollAndNotify(
-      this.scraper,
-      this.notifier,
-      this.stateStore,
-      this.config.whatsapp.recipients,
-      null // No filters - get all events
-    );
-    
-    logger.info('Dependencies initialized');
+  getWorld(worldId) {
+    return worldId ? this.worlds.get(worldId) : this.worlds.values().next().value;
   }
 
   /**
@@ -197,7 +222,7 @@ export class App {
     this.app.use(express.json());
     
     // Add rate limiting middleware
-    this.setupRateLimiting();
+    registerRateLimits(this.app);
     
     // Add basic middleware
     this.app.use((req, res, next) => {
@@ -205,36 +230,47 @@ export class App {
       next();
     });
     
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      const whatsappStatus = this.notifier ? {
-        ready: this.notifier.isClientReady(),
-        hasQr: !!this.notifier.getCurrentQr()
-      } : { ready: false, hasQr: false };
-
-      res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        whatsapp: whatsappStatus,
-        services: {
-          notifier: !!this.notifier,
-          scraper: !!this.scraper,
-          stateStore: !!this.stateStore,
-          pollAndNotify: !!this.pollAndNotify
-        }
-      });
-    });
+    // Register health check route
+    const healthRoutes = new HealthRoutes(this.notifier, this.worlds);
+    healthRoutes.registerRoutes(this.app);
     
     // Register WhatsApp routes
     const whatsappRoutes = new WhatsAppRoutes(this.notifier);
     whatsappRoutes.registerRoutes(this.app);
     
+    // Routes below resolve their target world from the `world` query parameter
+    const worldResolver = new WorldResolver(this.worlds);
+    
     // Register inspection routes (TEMPORARY)
-    const inspectionRoutes = new InspectionRoutes(this.scraper, this.pollAndNotify, this.stateStore);
+    const inspectionRoutes = new InspectionRoutes(worldResolver);
     inspectionRoutes.registerRoutes(this.app);
     
+    // Register filter management routes
+    const filterRoutes = new FilterRoutes(worldResolver);
+    filterRoutes.registerRoutes(this.app);
+    
+    // Register subscription routes
+    const subscriptionRoutes = new SubscriptionRoutes(worldResolver);
+    subscriptionRoutes.registerRoutes(this.app);
+    
+    // Register template preview routes
+    const templateRoutes = new TemplateRoutes(worldResolver);
+    templateRoutes.registerRoutes(this.app);
+    
+    // Register digest routes
+    const digestRoutes = new DigestRoutes(worldResolver);
+    digestRoutes.registerRoutes(this.app);
+    
+    // Register event history routes
+    const historyRoutes = new HistoryRoutes(worldResolver);
+    historyRoutes.registerRoutes(this.app);
+    
+    // Register outbox routes
+    if (this.outbox) {
+      const outboxRoutes = new OutboxRoutes(this.outbox);
+      outboxRoutes.registerRoutes(this.app);
+    }
+    
     // Start server
     const port = this.config.server.port;
     this.server = this.app.listen(port, () => {
@@ -244,62 +280,6 @@ export class App {
     logger.info('HTTP server setup completed');
   }
 
-  /**
-   * Sets up rate limiting middleware
-   * @private
-   */
-  setupRateLimiting() {
-    // General rate limit for all routes
-    const generalLimiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100, // limit each IP to 100 requests per windowMs
-      message: {
-        error: 'Too many requests from this IP, please try again later.',
-        retryAfter: '15 minutes'
-      },
-      standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-      legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-    });
-
-    // Stricter rate limit for WhatsApp endpoints
-    const whatsappLimiter = rateLimit({
-      windowMs: 60 * 1000, // 1 minute
-      max: 10, // limit each IP to 10 requests per minute (increased from 5)
-      message: {
-        error: 'Too many WhatsApp requests, please try again later.',
-        retryAfter: '1 minute'
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-
-    // Stricter rate limit for inspection endpoints
-    const inspectionLimiter = rateLimit({
-      windowMs: 5 * 60 * 1000, // 5 minutes
-      max: 20, // limit each IP to 20 requests per 5 minutes
-      message: {
-        error: 'Too many inspection requests, please try again later.',
-        retryAfter: '5 minutes'
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-
-    // Apply general rate limiting to all routes
-    this.app.use(generalLimiter);
-    
-    // Apply stricter rate limiting to specific route groups
-    this.app.use('/qr', whatsappLimiter);
-    this.app.use('/send-test', whatsappLimiter);
-    this.app.use('/preview-filtered', inspectionLimiter);
-    this.app.use('/run-once', inspectionLimiter);
-    this.app.use('/state', inspectionLimiter);
-    this.app.use('/filters', inspectionLimiter);
-
-    
-    logger.info('Rate limiting middleware configured');
-  }
-
   /**
    * Gracefully shuts down the application
    * @returns {Promise<void>}
@@ -308,10 +288,9 @@ export class App {
     logger.info('Shutting down application...');
     
     try {
-      // Stop scheduler
-      if (this.scheduler) {
-        this.scheduler.stop();
-        logger.info('Scheduler stopped');
+      // Stop scheduled jobs
+      if (this.jobs) {
+        this.jobs.stop();
       }
       
       // Close HTTP server
@@ -322,10 +301,14 @@ export class App {
         logger.info('HTTP server closed');
       }
       
-      // Disconnect WhatsApp
+      // Disconnect every notification channel
       if (this.notifier) {
         await this.notifier.disconnect();
-        logger.info('WhatsApp disconnected');
+        logger.info('Notification channels disconnected');
+      }
+      
+      if (this.webhookNotifier) {
+        await this.webhookNotifier.disconnect();
       }
       
       logger.info('Application shutdown completed');
@@ -352,96 +335,21 @@ export class App {
   }
 
   /**
-   * Gets the scraper instance (for testing)
-   * @returns {CheerioScraper} Scraper instance
+   * Gets the scraper instance of a world (for testing)
+   * @param {string} [worldId] - World id, defaults to the first configured world
+   * @returns {import('./infrastructure/scraper/cheerio-scraper.js').CheerioScraper} Scraper instance
    */
-  getScraper() {
-    return this.scraper;
+  getScraper(worldId) {
+    return this.getWorld(worldId)?.scraper;
   }
 
   /**
-   * Gets the poll and notify use-case instance (for testing)
-   * @returns {PollAndNotify} Use-case instance
+   * Gets the poll and notify use-case instance of a world (for testing)
+   * @param {string} [worldId] - World id, defaults to the first configured world
+   * @returns {import('./core/use-cases/poll-and-notify.js').PollAndNotify} Use-case instance
    */
-  getPollAndNotify() {
-    return this.pollAndNotify;
-  }
-
-  /**
-   * Starts scheduled polling using cron
-   * @private
-   */
-  startScheduledPolling() {
-    logger.info({ cronExpression: this.config.scheduler.cronExpression }, 'Starting scheduled polling');
-    
-    this.scheduler = cron.schedule(this.config.scheduler.cronExpression, async () => {
-      await this.executePollingWithRetry();
-    }, {
-      scheduled: false
-    });
-    
-    this.scheduler.start();
-    logger.info('Scheduled polling started');
-  }
-
-  /**
-   * Executes polling with enhanced retry logic and error recovery
-   * @private
-   */
-  async executePollingWithRetry() {
-    const maxRetries = 2;
-    const retryDelay = 5000; // 5 seconds
-    
-    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
-      try {
-        logger.info({ attempt }, 'Starting scheduled polling execution');
-        
-        // Check WhatsApp connection before proceeding, but don't fail if not ready
-        if (this.notifier && !this.notifier.isClientReady()) {
-          logger.warn('WhatsApp client not ready, but continuing with polling');
-          // Don't try to reconnect here to avoid blocking polling
-        }
-        
-        // Get initial state for logging
-        const beforeEvents = await this.scraper.scrape();
-        
-        // Execute use-case
-        await this.pollAndNotify.runOnce();
-        
-        // Get final state for logging
-        const afterEvents = await this.scraper.scrape();
-        
-        logger.info({ 
-          attempt,
-          totalEvents: afterEvents.length,
-          matchedEvents: afterEvents.length, // No filtering - all events matched
-          stateChanged: beforeEvents.length !== afterEvents.length,
-          whatsappReady: this.notifier ? this.notifier.isClientReady() : false
-        }, 'Scheduled polling completed successfully');
-        
-        return; // Success, exit retry loop
-        
-      } catch (error) {
-        logger.error({ attempt, error: error.message, stack: error.stack }, 'Scheduled polling failed');
-        
-        // Handle specific error types
-        if (error.message.includes('fetch failed') || error.message.includes('network')) {
-          logger.warn({ attempt }, 'Network error detected, will retry');
-        } else if (error.message.includes('WhatsApp') || error.message.includes('not available')) {
-          logger.warn({ attempt }, 'WhatsApp error detected, continuing without WhatsApp');
-          // Don't retry for WhatsApp errors, just continue
-          return;
-        }
-        
-        if (attempt <= maxRetries) {
-          const delay = retryDelay * attempt; // Exponential backoff
-          logger.info({ attempt, delay }, 'Retrying scheduled polling');
-          await this.sleep(delay);
-        } else {
-          logger.error('Scheduled polling failed after all retries');
-        }
-      }
-    }
+  getPollAndNotify(worldId) {
+    return this.getWorld(worldId)?.pollAndNotify;
   }
 
   /**
@@ -452,21 +360,15 @@ export class App {
     try {
       logger.info('Attempting WhatsApp reconnection...');
       
-      if (this.notifier) {
-        await this.notifier.disconnect();
+      const current = this.notifier?.getChannel('whatsapp');
+      if (current) {
+        await current.disconnect();
       }
       
-      this.notifier = new WhatsAppNotifier(this.config.whatsapp.recipients);
-      await this.notifier.init();
-      
-      // Update the use-case with new notifier
-      this.pollAndNotify = new PollAndNotify(
-        this.scraper,
-        this.notifier,
-        this.stateStore,
-        this.config.whatsapp.recipients,
-        null // No filters - get all events
-      );
+      // The composite re-attaches the chat command handler to the new client
+      const notifier = new WhatsAppNotifier(this.config.whatsapp.recipients);
+      await notifier.init();
+      this.notifier.setChannel('whatsapp', notifier);
       
       logger.info('WhatsApp reconnection successful');
       
@@ -475,14 +377,4 @@ export class App {
       throw error;
     }
   }
-
-  /**
-   * Helper method to sleep for a given number of milliseconds
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>}
-   * @private
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-}
\ No newline at end of file
+}
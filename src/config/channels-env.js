@@ -0,0 +1,254 @@
+import { z } from 'zod';
+import { ValidatedFilterRuleSchema } from './filter-schema.js';
+import { RecipientSchema } from './subscription-schema.js';
+import { splitList, parseJsonEnv } from './env-values.js';
+import { parseRecipient, TELEGRAM_PREFIX, DISCORD_PREFIX, EMAIL_PREFIX } from '../core/entities/recipient.js';
+
+const CHANNELS = ['whatsapp', 'telegram', 'discord', 'email'];
+
+/**
+ * Schema for a notification channel name
+ */
+export const ChannelSchema = z.enum(CHANNELS, {
+  message: `Notification channels must be one of: ${CHANNELS.join(', ')}`
+});
+
+/**
+ * Schema for a WhatsApp chat allowed to manage its subscription by chat command
+ */
+const CommandChatSchema = RecipientSchema.refine(value => parseRecipient(value)?.channel === 'whatsapp', {
+  message: 'WHATSAPP_COMMAND_ALLOWLIST entries must be phone numbers (90XXXXXXXXXX), group IDs (...@g.us) or group names (group:<name>)'
+});
+
+/**
+ * Schema for a chat command admin
+ */
+const CommandAdminSchema = RecipientSchema.refine(value => parseRecipient(value)?.kind === 'contact', {
+  message: 'WHATSAPP_COMMAND_ADMINS entries must be phone numbers (90XXXXXXXXXX)'
+});
+
+/**
+ * Schemas of the notification channels, the event webhook and the channel routing
+ */
+export const ChannelsConfigShape = {
+  // WhatsApp configuration
+  whatsapp: z.object({
+    recipients: z.array(RecipientSchema)
+      .min(0, 'Recipients array can be empty for development'), // Changed from min(1) to min(0)
+    // Answer chat commands (!son, !koy, ...) sent to the bot
+    commandsEnabled: z.boolean(),
+    // Chats that may manage their own subscription by command
+    commandAllowlist: z.array(CommandChatSchema),
+    // Numbers that may manage the subscription of any chat by command
+    commandAdmins: z.array(CommandAdminSchema)
+  }),
+
+  // Telegram configuration
+  telegram: z.object({
+    botToken: z.string()
+      .min(1, 'TELEGRAM_BOT_TOKEN must not be empty')
+      .nullable(),
+    apiBaseUrl: z.string()
+      .url('TELEGRAM_API_BASE_URL must be a valid HTTP/HTTPS URL'),
+    chatIds: z.array(z.string().refine(chatId => parseRecipient(`${TELEGRAM_PREFIX}${chatId}`) !== null, {
+      message: 'Telegram chat ID must be numeric (e.g. -1001234567890) or a public channel (@name)'
+    }))
+  }),
+
+  // Discord configuration
+  discord: z.object({
+    // Webhook URLs by name; each is addressed as a "discord:<name>" recipient
+    webhooks: z.record(
+      z.string().regex(/^[a-z0-9_-]+$/i, 'Discord webhook names may only contain letters, digits, "-" and "_"'),
+      z.string().url('Discord webhook URLs must be valid HTTP/HTTPS URLs')
+    )
+  }),
+
+  // Email (SMTP) configuration
+  email: z.object({
+    host: z.string()
+      .min(1, 'SMTP_HOST must not be empty')
+      .nullable(),
+    port: z.number()
+      .int('SMTP_PORT must be an integer')
+      .min(1, 'SMTP_PORT must be at least 1')
+      .max(65535, 'SMTP_PORT must be at most 65535'),
+    secure: z.boolean(),
+    user: z.string().nullable(),
+    pass: z.string().nullable(),
+    from: z.string()
+      .email('EMAIL_FROM must be a valid email address')
+      .nullable(),
+    to: z.array(z.string().refine(address => parseRecipient(`${EMAIL_PREFIX}${address}`) !== null, {
+      message: 'EMAIL_TO must contain valid email addresses'
+    }))
+  }),
+
+  // Outgoing event webhook, fed next to the notification channel
+  webhook: z.object({
+    urls: z.array(z.string().url('WEBHOOK_URLS must contain valid HTTP/HTTPS URLs')),
+    secret: z.string()
+      .min(16, 'WEBHOOK_SECRET must be at least 16 characters')
+      .nullable(),
+    maxRetries: z.number()
+      .int('WEBHOOK_MAX_RETRIES must be an integer')
+      .min(0, 'WEBHOOK_MAX_RETRIES must not be negative')
+      .max(10, 'WEBHOOK_MAX_RETRIES must be at most 10')
+  }),
+
+  // Notification channels, their fallback chain and routing rules
+  notifier: z.object({
+    channels: z.array(ChannelSchema)
+      .min(1, 'NOTIFIER must name at least one channel')
+      .refine(channels => new Set(channels).size === channels.length, {
+        message: 'NOTIFIER must not repeat a channel'
+      }),
+    fallback: z.array(ChannelSchema)
+      .refine(chain => new Set(chain).size === chain.length, {
+        message: 'NOTIFIER_FALLBACK must not repeat a channel'
+      }),
+    // Filter rule per channel; a channel only receives the events its rule matches
+    routes: z.partialRecord(ChannelSchema, ValidatedFilterRuleSchema)
+  })
+};
+
+/**
+ * Adds the settings the used channels require to a configuration schema
+ * @param {z.ZodObject} schema - Schema containing ChannelsConfigShape
+ * @returns {z.ZodType} Schema with the requirements
+ */
+export function requireChannelSettings(schema) {
+  return schema.refine(config => !usesChannel(config, 'telegram') || config.telegram.botToken, {
+    message: 'TELEGRAM_BOT_TOKEN is required when telegram is a notification or fallback channel',
+    path: ['telegram', 'botToken']
+  }).refine(config => !usesChannel(config, 'discord') || Object.keys(config.discord.webhooks).length > 0, {
+    message: 'DISCORD_WEBHOOK_URL or DISCORD_WEBHOOKS is required when discord is a notification or fallback channel',
+    path: ['discord', 'webhooks']
+  }).refine(config => (!usesChannel(config, 'email') && config.email.to.length === 0) || (config.email.host && config.email.from), {
+    message: 'SMTP_HOST and EMAIL_FROM are required when email is a notification or fallback channel, or EMAIL_TO is set',
+    path: ['email', 'host']
+  }).refine(config => config.webhook.urls.length === 0 || config.webhook.secret, {
+    message: 'WEBHOOK_SECRET is required when WEBHOOK_URLS is set',
+    path: ['webhook', 'secret']
+  });
+}
+
+/**
+ * Reads the channel settings from the environment
+ * @returns {Object} Raw settings, validated by ChannelsConfigShape
+ */
+export function readChannelsConfig() {
+  const smtpPort = parseInt(process.env.SMTP_PORT || '587', 10);
+  const notifierChannels = splitList(process.env.NOTIFIER || 'whatsapp');
+
+  return {
+    whatsapp: {
+      recipients: readList('WHATSAPP_RECIPIENTS'), // No default recipients - must be provided in .env
+      commandsEnabled: process.env.WHATSAPP_COMMANDS === 'true',
+      commandAllowlist: splitList(process.env.WHATSAPP_COMMAND_ALLOWLIST || ''),
+      commandAdmins: splitList(process.env.WHATSAPP_COMMAND_ADMINS || '')
+    },
+
+    telegram: {
+      botToken: process.env.TELEGRAM_BOT_TOKEN || null,
+      apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+      chatIds: readList('TELEGRAM_CHAT_IDS')
+    },
+
+    discord: {
+      webhooks: buildDiscordWebhooks()
+    },
+
+    email: {
+      host: process.env.SMTP_HOST || null,
+      port: smtpPort,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : smtpPort === 465,
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+      from: process.env.EMAIL_FROM || null,
+      to: splitList(process.env.EMAIL_TO || '')
+    },
+
+    webhook: {
+      urls: splitList(process.env.WEBHOOK_URLS || ''),
+      secret: process.env.WEBHOOK_SECRET || null,
+      maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES || '3', 10)
+    },
+
+    notifier: {
+      channels: notifierChannels,
+      fallback: process.env.NOTIFIER_FALLBACK !== undefined ?
+        splitList(process.env.NOTIFIER_FALLBACK) :
+        defaultFallbackChain(notifierChannels),
+      routes: parseJsonEnv('NOTIFIER_ROUTES') ?? {}
+    }
+  };
+}
+
+/**
+ * Lists the recipients of every configured channel: Telegram chats, Discord webhooks and
+ * email addresses are recipients next to the WhatsApp ones
+ * @param {Object} channels - Result of readChannelsConfig()
+ * @returns {string[]} Recipient identifiers
+ */
+export function channelRecipients({ whatsapp, telegram, discord, email }) {
+  return [
+    ...whatsapp.recipients,
+    ...telegram.chatIds.map(id => `${TELEGRAM_PREFIX}${id}`),
+    ...Object.keys(discord.webhooks).map(name => `${DISCORD_PREFIX}${name}`),
+    ...email.to.map(address => `${EMAIL_PREFIX}${address}`)
+  ];
+}
+
+/**
+ * Reads a comma-separated list whose entries are validated one by one, so empty entries are kept
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Trimmed entries; none when unset
+ */
+function readList(name) {
+  return process.env[name] ? process.env[name].split(',').map(entry => entry.trim()) : [];
+}
+
+/**
+ * Default fallback chain: WhatsApp (when it is a notification channel), then Telegram and
+ * email when they are configured
+ * @param {string[]} channels - Notification channels
+ * @returns {string[]} Fallback chain
+ */
+function defaultFallbackChain(channels) {
+  return [
+    channels.includes('whatsapp') && 'whatsapp',
+    process.env.TELEGRAM_BOT_TOKEN && 'telegram',
+    process.env.SMTP_HOST && process.env.EMAIL_FROM && 'email'
+  ].filter(Boolean);
+}
+
+/**
+ * Checks whether a channel is started, as a notification or fallback channel
+ * @param {Object} config - Raw configuration
+ * @param {string} channel - Channel name
+ * @returns {boolean} True if the channel is used
+ */
+function usesChannel(config, channel) {
+  return config.notifier.channels.includes(channel) || config.notifier.fallback.includes(channel);
+}
+
+/**
+ * Builds the Discord webhook map from DISCORD_WEBHOOKS (JSON object of name -> URL),
+ * or a single "default" webhook from DISCORD_WEBHOOK_URL
+ * @returns {Object<string, string>} Webhook URLs by name (validated later by the config schema)
+ */
+function buildDiscordWebhooks() {
+  const webhooks = parseJsonEnv('DISCORD_WEBHOOKS');
+
+  if (webhooks === null) {
+    const url = process.env.DISCORD_WEBHOOK_URL?.trim();
+    return url ? { default: url } : {};
+  }
+
+  if (typeof webhooks !== 'object' || Array.isArray(webhooks)) {
+    throw new Error('DISCORD_WEBHOOKS must be a JSON object of webhook name -> URL');
+  }
+
+  return webhooks;
+}
@@ -0,0 +1,110 @@
+import { z } from 'zod';
+import { ValidatedFilterRuleSchema } from './filter-schema.js';
+import { ChannelSchema } from './channels-env.js';
+import { isValidCronExpression, parseJsonEnv } from './env-values.js';
+import { isValidTimeZone } from '../core/subscriptions/quiet-hours.js';
+
+/**
+ * Schemas of when messages go out: digests, quiet hours, rate limits and the outbox
+ */
+export const DeliveryConfigShape = {
+  // Scheduled digests for subscribers in digest mode
+  digest: z.object({
+    cronExpression: z.string()
+      .refine(isValidCronExpression, {
+        message: 'DIGEST_CRON must be a valid cron expression'
+      }),
+    timezone: z.string()
+      .refine(isValidTimeZone, {
+        message: 'DIGEST_TIMEZONE must be an IANA time zone such as Europe/Istanbul'
+      })
+      .nullable(),
+    top: z.number()
+      .int('DIGEST_TOP must be an integer')
+      .min(1, 'DIGEST_TOP must be at least 1')
+      .max(20, 'DIGEST_TOP must be at most 20')
+  }),
+
+  // Defaults for the quiet hours of subscriptions
+  quietHours: z.object({
+    timezone: z.string()
+      .refine(isValidTimeZone, {
+        message: 'QUIET_HOURS_TIMEZONE must be an IANA time zone such as Europe/Istanbul'
+      })
+      .nullable(),
+    priority: ValidatedFilterRuleSchema.nullable()
+  }),
+
+  // Outbound messages per recipient; RATE_LIMIT_CHANNELS overrides them per channel
+  rateLimits: z.object({
+    maxMessages: z.number()
+      .int('RATE_LIMIT_MESSAGES must be an integer')
+      .min(0, 'RATE_LIMIT_MESSAGES must not be negative'),
+    windowMinutes: z.number()
+      .int('RATE_LIMIT_WINDOW_MINUTES must be an integer')
+      .min(1, 'RATE_LIMIT_WINDOW_MINUTES must be at least 1'),
+    channels: z.partialRecord(ChannelSchema, z.object({
+      maxMessages: z.number()
+        .int('RATE_LIMIT_CHANNELS maxMessages must be an integer')
+        .min(0, 'RATE_LIMIT_CHANNELS maxMessages must not be negative')
+        .optional(),
+      windowMinutes: z.number()
+        .int('RATE_LIMIT_CHANNELS windowMinutes must be an integer')
+        .min(1, 'RATE_LIMIT_CHANNELS windowMinutes must be at least 1')
+        .optional()
+    }))
+  }),
+
+  // Persistent outbox of notifications waiting for delivery
+  outbox: z.object({
+    enabled: z.boolean(),
+    file: z.string()
+      .min(1, 'OUTBOX_FILE must not be empty'),
+    cronExpression: z.string()
+      .refine(isValidCronExpression, {
+        message: 'OUTBOX_CRON must be a valid cron expression'
+      }),
+    maxAttempts: z.number()
+      .int('OUTBOX_MAX_ATTEMPTS must be an integer')
+      .min(1, 'OUTBOX_MAX_ATTEMPTS must be at least 1'),
+    ttlHours: z.number()
+      .positive('OUTBOX_TTL_HOURS must be positive')
+  })
+};
+
+/**
+ * Reads the delivery settings from the environment
+ * @returns {Object} Raw settings, validated by DeliveryConfigShape
+ */
+export function readDeliveryConfig() {
+  return {
+    // Digests; the schedule runs in the server's time zone unless DIGEST_TIMEZONE is set
+    digest: {
+      cronExpression: process.env.DIGEST_CRON || '0 9 * * *', // Every day at 09:00 by default
+      timezone: process.env.DIGEST_TIMEZONE?.trim() || null,
+      top: parseInt(process.env.DIGEST_TOP || '5', 10)
+    },
+
+    // Quiet hours defaults; subscriptions may set their own time zone and priority rule
+    quietHours: {
+      timezone: process.env.QUIET_HOURS_TIMEZONE?.trim() || null,
+      priority: parseJsonEnv('QUIET_HOURS_PRIORITY')
+    },
+
+    // Rate limits; 0 messages means unlimited
+    rateLimits: {
+      maxMessages: parseInt(process.env.RATE_LIMIT_MESSAGES || '0', 10),
+      windowMinutes: parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES || '10', 10),
+      channels: parseJsonEnv('RATE_LIMIT_CHANNELS') ?? {}
+    },
+
+    // Notification outbox
+    outbox: {
+      enabled: process.env.OUTBOX_ENABLED !== 'false',
+      file: process.env.OUTBOX_FILE || './data/outbox.json',
+      cronExpression: process.env.OUTBOX_CRON || '* * * * *', // Every minute by default
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10),
+      ttlHours: parseFloat(process.env.OUTBOX_TTL_HOURS || '24')
+    }
+  };
+}
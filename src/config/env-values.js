@@ -0,0 +1,37 @@
+/**
+ * Splits a comma-separated environment value
+ * @param {string} value - Raw value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function splitList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parses an optional JSON-valued environment variable
+ * @param {string} name - Environment variable name
+ * @returns {*} Parsed value or null when unset
+ * @throws {Error} When the value is not valid JSON
+ */
+export function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw || raw.trim() === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Basic cron expression validation
+ * @param {string} expression - Cron expression to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidCronExpression(expression) {
+  const cronRegex = /^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/;
+  return cronRegex.test(expression);
+}
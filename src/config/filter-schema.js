@@ -0,0 +1,68 @@
+import { z } from 'zod';
+import { compileFilter } from '../core/filters/filter-engine.js';
+
+const NameListSchema = z.array(z.string().trim().min(1, 'Names must not be empty')).min(1, 'At least one name is required');
+const TwstatsIdSchema = z.number().int().positive('TWStats IDs must be positive integers');
+const IdListSchema = z.array(TwstatsIdSchema).min(1, 'At least one ID is required');
+const SideSchema = z.enum(['any', 'old', 'new']).optional();
+const BoundSchema = z.number().finite().optional();
+const CoordinateSchema = z.object({ x: z.number().finite(), y: z.number().finite() });
+const ZoneNameSchema = z.string().trim().min(1, 'Zone name is required').max(100, 'Zone name must be at most 100 characters');
+
+/**
+ * Structural schema for a declarative filter rule (see core/filters/filter-engine.js)
+ */
+export const FilterRuleSchema = z.lazy(() => z.discriminatedUnion('type', [
+  z.object({ type: z.literal('tribe'), tribes: NameListSchema.optional(), ids: IdListSchema.optional(), side: SideSchema }),
+  z.object({ type: z.literal('player'), players: NameListSchema.optional(), ids: IdListSchema.optional(), side: SideSchema }),
+  z.object({ type: z.literal('rectangle'), minX: BoundSchema, maxX: BoundSchema, minY: BoundSchema, maxY: BoundSchema }),
+  z.object({ type: z.literal('continent'), continents: z.array(z.union([z.string(), z.number().int()])).min(1) }),
+  z.object({ type: z.literal('points'), min: BoundSchema, max: BoundSchema }),
+  z.object({ type: z.literal('direction'), tribe: z.string().trim().min(1).optional(), tribeId: TwstatsIdSchema.optional(), direction: z.enum(['gain', 'loss', 'internal']) }),
+  z.object({ type: z.literal('circle'), name: ZoneNameSchema, center: CoordinateSchema, radius: z.number().finite().nonnegative() }),
+  z.object({ type: z.literal('polygon'), name: ZoneNameSchema, points: z.array(CoordinateSchema).min(3, 'Polygon needs at least 3 points') }),
+  z.object({ type: z.literal('and'), rules: z.array(FilterRuleSchema).min(1) }),
+  z.object({ type: z.literal('or'), rules: z.array(FilterRuleSchema).min(1) }),
+  z.object({ type: z.literal('not'), rule: FilterRuleSchema })
+]));
+
+/**
+ * Filter rule schema that also runs the core engine's semantic checks (e.g. min <= max)
+ */
+export const ValidatedFilterRuleSchema = FilterRuleSchema.pipe(z.any().superRefine((rule, ctx) => {
+  // Only reached when the structure is valid, so engine errors are not reported twice
+  try {
+    compileFilter(rule);
+  } catch (error) {
+    ctx.addIssue({ code: 'custom', message: error.message });
+  }
+}));
+
+/**
+ * Schema for creating a stored filter definition
+ */
+export const FilterDefinitionInputSchema = z.object({
+  name: z.string().trim().min(1, 'Filter name is required').max(100, 'Filter name must be at most 100 characters'),
+  enabled: z.boolean().default(true),
+  rule: ValidatedFilterRuleSchema
+});
+
+/**
+ * Schema for partially updating a stored filter definition
+ */
+export const FilterDefinitionUpdateSchema = z.object({
+  name: FilterDefinitionInputSchema.shape.name.optional(),
+  enabled: z.boolean().optional(),
+  rule: ValidatedFilterRuleSchema.optional()
+}).refine(update => Object.keys(update).length > 0, {
+  message: 'At least one of name, enabled or rule must be provided'
+});
+
+/**
+ * Formats zod issues as "path: message" lines
+ * @param {z.ZodError} error - Validation error
+ * @returns {string[]} Readable issue descriptions
+ */
+export function formatValidationIssues(error) {
+  return error.issues.map(issue => issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message);
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { z } from 'zod';
+
+const SIDES = ['any', 'old', 'new'];
+
+/**
+ * Comma-separated list in a query parameter
+ */
+const ListParamSchema = z.string()
+  .transform(value => value.split(',').map(item => item.trim()).filter(Boolean))
+  .refine(items => items.length > 0, { message: 'List must not be empty' });
+
+/**
+ * Comma-separated TWStats IDs in a query parameter
+ */
+const IdListParamSchema = ListParamSchema
+  .refine(items => items.every(item => /^[1-9]\d*$/.test(item)), { message: 'IDs must be positive integers' })
+  .transform(items => items.map(Number));
+
+/**
+ * Integer in a query parameter
+ */
+const IntParamSchema = z.coerce.number().int('Must be an integer');
+
+/**
+ * Point in time in a query parameter: "2025-08-02", "2025-08-02 18:08", "2025-08-02T18:08:12"
+ * or the TWStats form "2025-08-02 - 18:08:12", as [date, time]; the time may be missing
+ */
+const TimeParamSchema = z.string()
+  .trim()
+  .regex(/^\d{4}-\d{2}-\d{2}(?:(?:\s*-\s*|\s+|T)\d{2}:\d{2}(?::\d{2})?)?$/, 'Must be a date (YYYY-MM-DD) or date and time (YYYY-MM-DD HH:MM:SS)')
+  .transform(value => {
+    const [, date, time = null] = value.match(/^(\d{4}-\d{2}-\d{2})(?:(?:\s*-\s*|\s+|T)(.+))?$/);
+    return [date, time];
+  });
+
+/**
+ * Timestamp of the archive for a point in time; times given without seconds (or dates without
+ * a time) cover their whole minute (or day)
+ * @private
+ */
+function toTimestamp([date, time], bound) {
+  const fill = bound === 'from' ? ['00', '00', '00'] : ['23', '59', '59'];
+  const parts = time ? time.split(':') : [];
+  const [hour, minute, second] = fill.map((value, index) => parts[index] ?? value);
+  return `${date} - ${hour}:${minute}:${second}`;
+}
+
+/**
+ * Schema for the query parameters of GET /events; gives the archive query with the
+ * criteria combined into one filter rule
+ */
+export const EventQuerySchema = z.object({
+  tribe: ListParamSchema.optional(),
+  player: ListParamSchema.optional(),
+  tribeId: IdListParamSchema.optional(),
+  playerId: IdListParamSchema.optional(),
+  side: z.enum(SIDES, { message: `side must be one of: ${SIDES.join(', ')}` }).default('any'),
+  continent: ListParamSchema
+    .refine(continents => continents.every(continent => /^k?\d{1,2}$/i.test(continent)), {
+      message: 'Continents must look like K45 or 45'
+    })
+    .optional(),
+  minX: IntParamSchema.optional(),
+  maxX: IntParamSchema.optional(),
+  minY: IntParamSchema.optional(),
+  maxY: IntParamSchema.optional(),
+  minPoints: IntParamSchema.optional(),
+  maxPoints: IntParamSchema.optional(),
+  from: TimeParamSchema.optional(),
+  to: TimeParamSchema.optional(),
+  limit: IntParamSchema.min(1, 'limit must be at least 1').max(500, 'limit must be at most 500').default(50),
+  offset: IntParamSchema.min(0, 'offset must not be negative').default(0)
+})
+  .refine(query => query.minX === undefined || query.maxX === undefined || query.minX <= query.maxX, {
+    message: 'minX must not exceed maxX', path: ['minX']
+  })
+  .refine(query => query.minY === undefined || query.maxY === undefined || query.minY <= query.maxY, {
+    message: 'minY must not exceed maxY', path: ['minY']
+  })
+  .refine(query => query.minPoints === undefined || query.maxPoints === undefined || query.minPoints <= query.maxPoints, {
+    message: 'minPoints must not exceed maxPoints', path: ['minPoints']
+  })
+  .transform(query => {
+    const rules = [];
+    if (query.tribe) {
+      rules.push({ type: 'tribe', tribes: query.tribe, side: query.side });
+    }
+    if (query.player) {
+      rules.push({ type: 'player', players: query.player, side: query.side });
+    }
+    if (query.tribeId) {
+      rules.push({ type: 'tribe', ids: query.tribeId, side: query.side });
+    }
+    if (query.playerId) {
+      rules.push({ type: 'player', ids: query.playerId, side: query.side });
+    }
+    if (query.continent) {
+      rules.push({ type: 'continent', continents: query.continent });
+    }
+
+    const box = Object.fromEntries(['minX', 'maxX', 'minY', 'maxY']
+      .filter(bound => query[bound] !== undefined)
+      .map(bound => [bound, query[bound]]));
+    if (Object.keys(box).length > 0) {
+      rules.push({ type: 'rectangle', ...box });
+    }
+
+    if (query.minPoints !== undefined || query.maxPoints !== undefined) {
+      rules.push({
+        type: 'points',
+        ...(query.minPoints !== undefined && { min: query.minPoints }),
+        ...(query.maxPoints !== undefined && { max: query.maxPoints })
+      });
+    }
+
+    return {
+      filter: rules.length > 1 ? { type: 'and', rules } : rules[0] ?? null,
+      from: query.from ? toTimestamp(query.from, 'from') : null,
+      to: query.to ? toTimestamp(query.to, 'to') : null,
+      limit: query.limit,
+      offset: query.offset
+    };
+  });
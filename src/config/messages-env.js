@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import { MessageTemplateSchema, EventTemplateSchema, CoordinatesSchema, LocaleSchema } from './template-schema.js';
+
+/**
+ * Schemas of message rendering: home tribe, templates, locale and the splitting of large batches
+ */
+export const MessagesConfigShape = {
+  // Tribe the gains and losses are seen from: template variables, digests and Discord embed colors
+  homeTribe: z.string().min(1).nullable(),
+
+  // Message templates; null uses the built-in layout
+  templates: z.object({
+    message: MessageTemplateSchema.nullable(),
+    event: EventTemplateSchema.nullable(),
+    // Point the {{distance}} variable is measured from
+    homeCoordinates: CoordinatesSchema.nullable()
+  }),
+
+  // Localization of messages
+  i18n: z.object({
+    defaultLocale: LocaleSchema
+  }),
+
+  // Splitting of large batches into several messages
+  batching: z.object({
+    maxLength: z.number()
+      .int('MESSAGE_MAX_LENGTH must be an integer')
+      .min(200, 'MESSAGE_MAX_LENGTH must be at least 200'),
+    maxEvents: z.number()
+      .int('MESSAGE_MAX_EVENTS must be an integer')
+      .min(1, 'MESSAGE_MAX_EVENTS must be at least 1'),
+    partDelayMs: z.number()
+      .int('MESSAGE_PART_DELAY_MS must be an integer')
+      .min(0, 'MESSAGE_PART_DELAY_MS must not be negative')
+  })
+};
+
+/**
+ * Reads the message settings from the environment
+ * @returns {Object} Raw settings, validated by MessagesConfigShape
+ */
+export function readMessagesConfig() {
+  return {
+    homeTribe: process.env.HOME_TRIBE?.trim() || null,
+
+    // Message templates; "\n" in the variables stands for a line break
+    templates: {
+      message: readTemplateEnv('MESSAGE_TEMPLATE'),
+      event: readTemplateEnv('EVENT_TEMPLATE'),
+      homeCoordinates: process.env.HOME_COORDINATES?.trim() || null
+    },
+
+    // Localization; worlds and subscriptions may override the locale
+    i18n: {
+      defaultLocale: process.env.LOCALE?.trim() || 'tr'
+    },
+
+    // Message splitting; the default stays under Telegram's 4096 character limit
+    batching: {
+      maxLength: parseInt(process.env.MESSAGE_MAX_LENGTH || '4000', 10),
+      maxEvents: parseInt(process.env.MESSAGE_MAX_EVENTS || '50', 10),
+      partDelayMs: parseInt(process.env.MESSAGE_PART_DELAY_MS || '1500', 10)
+    }
+  };
+}
+
+/**
+ * Reads an optional template variable; the two characters "\n" become a line break, since
+ * .env values are single-line
+ * @param {string} name - Environment variable name
+ * @returns {string|null} Template, or null when unset
+ */
+function readTemplateEnv(name) {
+  const raw = process.env[name];
+  return raw ? raw.replace(/\\n/g, '\n') : null;
+}
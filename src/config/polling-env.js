@@ -0,0 +1,68 @@
+import { z } from 'zod';
+import { isValidCronExpression } from './env-values.js';
+
+/**
+ * Schemas of scraping, the polling schedule, the event archive and the catch-up after downtime
+ */
+export const PollingConfigShape = {
+  // Scraping configuration
+  scraper: z.object({
+    cssSelector: z.string()
+      .min(1, 'CSS_SELECTOR is required')
+  }),
+
+  // Scheduling configuration
+  scheduler: z.object({
+    cronExpression: z.string()
+      .min(1, 'CRON_EXPRESSION is required')
+      .refine(isValidCronExpression, {
+        message: 'CRON_EXPRESSION must be a valid cron expression'
+      })
+  }),
+
+  // Archive of every scraped event, one JSON Lines file per world
+  history: z.object({
+    directory: z.string()
+      .min(1, 'HISTORY_DIR must not be empty')
+  }),
+
+  // Reading older ennoblement pages after downtime
+  catchUp: z.object({
+    maxPages: z.number()
+      .int('CATCH_UP_MAX_PAGES must be an integer')
+      .min(1, 'CATCH_UP_MAX_PAGES must be at least 1'),
+    maxAgeHours: z.number()
+      .positive('CATCH_UP_MAX_AGE_HOURS must be positive'),
+    pageDelayMs: z.number()
+      .int('CATCH_UP_PAGE_DELAY_MS must be an integer')
+      .min(0, 'CATCH_UP_PAGE_DELAY_MS must not be negative')
+  })
+};
+
+/**
+ * Reads the polling settings from the environment
+ * @returns {Object} Raw settings, validated by PollingConfigShape
+ */
+export function readPollingConfig() {
+  return {
+    scraper: {
+      cssSelector: process.env.CSS_SELECTOR || 'table.table tbody tr'
+    },
+
+    scheduler: {
+      cronExpression: process.env.CRON_EXPRESSION || '*/5 * * * *' // Every 5 minutes by default
+    },
+
+    // Event archive; each world writes <directory>/<world id>.jsonl
+    history: {
+      directory: process.env.HISTORY_DIR?.trim() || './data/history'
+    },
+
+    // Catch-up after downtime; 1 page reads the latest events only
+    catchUp: {
+      maxPages: parseInt(process.env.CATCH_UP_MAX_PAGES || '5', 10),
+      maxAgeHours: parseFloat(process.env.CATCH_UP_MAX_AGE_HOURS || '24'),
+      pageDelayMs: parseInt(process.env.CATCH_UP_PAGE_DELAY_MS || '2000', 10)
+    }
+  };
+}
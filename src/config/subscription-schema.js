@@ -0,0 +1,64 @@
+import { z } from 'zod';
+import { ValidatedFilterRuleSchema } from './filter-schema.js';
+import { LocaleSchema } from './template-schema.js';
+import { parseRecipient } from '../core/entities/recipient.js';
+import { DELIVERY_MODES } from '../core/subscriptions/subscriptions.js';
+import { isValidTimeZone } from '../core/subscriptions/quiet-hours.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Schema for a recipient in any of the forms accepted by parseRecipient()
+ */
+export const RecipientSchema = z.string().trim().refine(value => parseRecipient(value) !== null, {
+  message: 'Recipient must be a Turkish phone number (90XXXXXXXXXX), a group ID (...@g.us), a group name (group:<name>), a Telegram chat (telegram:<chatId>), a Discord webhook (discord:<name>) or an email address (email:<address>)'
+});
+
+/**
+ * Schema for the filter set of a subscription; an empty set subscribes to everything
+ */
+export const SubscriptionFiltersSchema = z.array(ValidatedFilterRuleSchema).default([]);
+
+/**
+ * Schema for the delivery mode of a subscription
+ */
+export const DeliveryModeSchema = z.enum(DELIVERY_MODES, { message: `Mode must be one of: ${DELIVERY_MODES.join(', ')}` });
+
+/**
+ * Schema for the quiet hours of a subscription; end before start spans midnight
+ */
+export const QuietHoursSchema = z.object({
+  start: z.string().regex(TIME_OF_DAY, 'Quiet hours start must be a time of day such as 23:00'),
+  end: z.string().regex(TIME_OF_DAY, 'Quiet hours end must be a time of day such as 07:00'),
+  timezone: z.string()
+    .refine(isValidTimeZone, { message: 'Quiet hours timezone must be an IANA time zone such as Europe/Istanbul' })
+    .optional(),
+  priority: ValidatedFilterRuleSchema.optional()
+}).refine(quietHours => quietHours.start !== quietHours.end, {
+  message: 'Quiet hours start and end must differ',
+  path: ['end']
+});
+
+/**
+ * Schema for a configured subscription
+ */
+export const SubscriptionSchema = z.object({
+  recipient: RecipientSchema,
+  filters: SubscriptionFiltersSchema,
+  locale: LocaleSchema.optional(),
+  mode: DeliveryModeSchema.optional(),
+  quietHours: QuietHoursSchema.optional()
+});
+
+/**
+ * Schema for creating or replacing a subscription through the API (recipient comes from the path)
+ */
+export const SubscriptionInputSchema = z.object({
+  filters: SubscriptionFiltersSchema,
+  // null resets the recipient to the world's locale; omitted keeps the current one
+  locale: LocaleSchema.nullable().optional(),
+  // Omitted keeps the current mode
+  mode: DeliveryModeSchema.optional(),
+  // null removes the quiet hours; omitted keeps the current ones
+  quietHours: QuietHoursSchema.nullable().optional()
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { compileTemplate } from '../core/templates/template-engine.js';
+import { MESSAGE_SCOPE, EVENT_SCOPE } from '../core/templates/default-templates.js';
+import { LOCALES } from '../core/i18n/catalogs.js';
+
+/**
+ * Builds the schema of a template that must compile against the given variables
+ * @param {import('../core/templates/template-engine.js').TemplateScope} scope - Variables available to the template
+ * @param {string} label - Name used in error messages
+ * @returns {z.ZodType<string>} Template schema
+ */
+function templateSchema(scope, label) {
+  return z.string().min(1, `${label} must not be empty`).superRefine((template, ctx) => {
+    try {
+      compileTemplate(template, scope);
+    } catch (error) {
+      ctx.addIssue({ code: 'custom', message: error.message.replace(/^Invalid template/, `Invalid ${label}`) });
+    }
+  });
+}
+
+/**
+ * Schema for the template of a whole message (see core/templates/message-renderer.js)
+ */
+export const MessageTemplateSchema = templateSchema(MESSAGE_SCOPE, 'message template');
+
+/**
+ * Schema for the template of one event
+ */
+export const EventTemplateSchema = templateSchema(EVENT_SCOPE, 'event template');
+
+/**
+ * Schema for a locale with a message catalog
+ */
+export const LocaleSchema = z.enum(LOCALES, { message: `Locale must be one of: ${LOCALES.join(', ')}` });
+
+/**
+ * Schema for "x|y" map coordinates
+ */
+export const CoordinatesSchema = z.string().regex(/^\d{1,3}\|\d{1,3}$/, 'Coordinates must look like "500|500"');
+
+/**
+ * Schema for a template preview request; missing templates fall back to the configured ones
+ */
+export const TemplatePreviewSchema = z.object({
+  message: MessageTemplateSchema.optional(),
+  event: EventTemplateSchema.optional(),
+  locale: LocaleSchema.optional(),
+  // Sample events; the latest scraped events of the world are used when omitted
+  events: z.array(z.looseObject({ x: z.number().int(), y: z.number().int() })).min(1, 'events must not be empty').optional(),
+  limit: z.number().int().min(1, 'limit must be at least 1').max(50, 'limit must be at most 50').default(3)
+});
@@ -0,0 +1,99 @@
+import { z } from 'zod';
+import { ValidatedFilterRuleSchema } from './filter-schema.js';
+import { RecipientSchema, SubscriptionSchema } from './subscription-schema.js';
+import { LocaleSchema } from './template-schema.js';
+import { parseJsonEnv } from './env-values.js';
+import { isValidTimeZone } from '../core/subscriptions/quiet-hours.js';
+
+const DEFAULT_TARGET_URL = 'https://tr.twstats.com/tr94/index.php?page=ennoblements';
+
+/**
+ * Schema for one monitored TWStats world
+ */
+const WorldSchema = z.object({
+  id: z.string()
+    .regex(/^[a-z0-9_-]+$/i, 'World id may only contain letters, digits, "-" and "_"'),
+  url: z.string()
+    .url('World url (TARGET_URL or WORLDS[].url) must be a valid HTTP/HTTPS URL')
+    .startsWith('http', 'URL must start with http or https'),
+  stateFile: z.string()
+    .min(1, 'World state file path (STATE_FILE or WORLDS[].stateFile) is required'),
+  recipients: z.array(RecipientSchema),
+  messagePrefix: z.string(),
+  // Locale of the world's messages; LOCALE when unset
+  locale: LocaleSchema.optional(),
+  // Time zone TWStats shows the world's times in; WORLD_TIMEZONE when unset
+  timezone: z.string()
+    .refine(isValidTimeZone, { message: 'World timezone (WORLD_TIMEZONE or WORLDS[].timezone) must be an IANA time zone such as Europe/Istanbul' }),
+  // Initial filter rule, used until filters are managed through the API
+  filterRule: ValidatedFilterRuleSchema.nullable(),
+  // Initial per-recipient subscriptions; null gives every recipient all events
+  subscriptions: z.array(SubscriptionSchema)
+    .refine(subscriptions => new Set(subscriptions.map(s => s.recipient)).size === subscriptions.length, {
+      message: 'Each recipient may only have one subscription'
+    })
+    .nullable()
+});
+
+/**
+ * Schema for the monitored worlds, each with its own URL, state file, recipients and filters
+ */
+export const WorldsSchema = z.array(WorldSchema)
+  .min(1, 'At least one world must be configured')
+  .refine(worlds => new Set(worlds.map(world => world.id)).size === worlds.length, {
+    message: 'World ids must be unique'
+  });
+
+/**
+ * Builds the raw world list from WORLDS, or a single world from the legacy
+ * TARGET_URL / STATE_FILE / FILTER_RULE / SUBSCRIPTIONS variables when WORLDS is unset
+ * @param {string[]} defaultRecipients - Recipients used by worlds that don't list their own
+ * @returns {Object[]} World entries (validated later by WorldsSchema)
+ */
+export function readWorlds(defaultRecipients) {
+  const worlds = parseJsonEnv('WORLDS');
+  const defaultTimezone = process.env.WORLD_TIMEZONE?.trim() || 'Europe/Istanbul';
+
+  if (worlds === null) {
+    const url = process.env.TARGET_URL || DEFAULT_TARGET_URL;
+    return [{
+      id: deriveWorldId(url),
+      url,
+      stateFile: process.env.STATE_FILE || './data/state.json',
+      recipients: defaultRecipients,
+      messagePrefix: '',
+      timezone: defaultTimezone,
+      filterRule: parseJsonEnv('FILTER_RULE'),
+      subscriptions: parseJsonEnv('SUBSCRIPTIONS')
+    }];
+  }
+
+  if (!Array.isArray(worlds)) {
+    throw new Error('WORLDS must be a JSON array of world objects');
+  }
+
+  return worlds.map(world => {
+    const id = world.id ?? (world.url ? deriveWorldId(world.url) : undefined);
+    return {
+      id,
+      url: world.url,
+      stateFile: world.stateFile ?? `./data/state-${id}.json`,
+      recipients: world.recipients ?? defaultRecipients,
+      messagePrefix: world.messagePrefix ?? '',
+      locale: world.locale,
+      timezone: world.timezone ?? defaultTimezone,
+      filterRule: world.filterRule ?? null,
+      subscriptions: world.subscriptions ?? null
+    };
+  });
+}
+
+/**
+ * Derives a world id from a TWStats URL (e.g. ".../tr94/index.php" -> "tr94")
+ * @param {string} url - TWStats URL
+ * @returns {string} World id, or "default" if the URL has no world segment
+ */
+function deriveWorldId(url) {
+  const match = String(url).match(/\/([a-z]{2,3}\d+[a-z]?)\//i);
+  return match ? match[1].toLowerCase() : 'default';
+}
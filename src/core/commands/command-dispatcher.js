@@ -0,0 +1,395 @@
+import pino from 'pino';
+import { parseCommand, COMMAND_USAGE } from './command-parser.js';
+import { compileFilter } from '../filters/filter-engine.js';
+import { parseRecipient } from '../entities/recipient.js';
+import { eventId } from '../entities/ennoblement-event.js';
+import { formatEventLine, formatDuration } from './command-format.js';
+
+const logger = pino({ name: 'command-dispatcher' });
+
+const MAX_TRIBE_LINES = 5;
+const MAX_VILLAGE_LINES = 10;
+
+// Commands that change a subscription; only authorized senders may run them
+const SUBSCRIPTION_COMMANDS = new Set(['abone', 'mod', 'sessiz', 'iptal']);
+
+const MODE_LABELS = {
+  realtime: 'anında bildirim',
+  digest: 'zamanlanmış özet',
+  both: 'anında bildirim ve zamanlanmış özet'
+};
+
+/**
+ * @typedef {Object} CommandSender
+ * @property {string} chatId - Chat the command came from ("...@c.us" for contacts, "...@g.us" for groups)
+ * @property {string|null} [author] - Member who wrote the message in a group ("...@c.us")
+ */
+
+/**
+ * @typedef {Object} BotStatus
+ * @property {string} world - World id
+ * @property {boolean} notifierReady - Whether messages can be delivered
+ * @property {number} uptimeSeconds - Process uptime
+ * @property {number} executionCount - Polling cycles run so far
+ * @property {string|null} lastRunAt - ISO time of the last polling cycle
+ * @property {boolean} filtersActive - Whether world filters are applied
+ * @property {number} subscriptions - Number of subscriptions
+ */
+
+/**
+ * Runs chat commands and builds their replies. Independent of the chat transport,
+ * so every command can be exercised without WhatsApp.
+ */
+export class CommandDispatcher {
+  /**
+   * @param {import('../ports/i-scraper.js').IScraper} scraper - Source of recent ennoblement events
+   * @param {import('../use-cases/manage-subscriptions.js').ManageSubscriptions} manageSubscriptions - Subscription use case
+   * @param {() => BotStatus} getStatus - Provides the bot status for `!durum`
+   * @param {Object} [options] - Dispatcher options
+   * @param {string[]} [options.allowlist] - Chats (numbers, group IDs or "group:<name>") that may manage their own subscription
+   * @param {string[]} [options.admins] - Phone numbers that may manage the subscription of any chat they write in
+   * @param {() => Promise<Array<{id: string, name: string}>>} [options.listGroups] - Lists the WhatsApp groups, to match chats configured by group name
+   * @param {number} [options.scrapeCacheMs] - How long a scrape answers `!son`, `!koy` and `!klan`
+   * @param {import('../ports/i-event-history.js').IEventHistory|null} [options.history] - Event archive answering `!koy`; only the recent conquers without it
+   */
+  constructor(scraper, manageSubscriptions, getStatus, options = {}) {
+    this.scraper = scraper;
+    this.manageSubscriptions = manageSubscriptions;
+    this.getStatus = getStatus;
+    this.allowlist = options.allowlist ?? [];
+    this.admins = new Set(options.admins ?? []);
+    this.listGroups = options.listGroups ?? (async () => []);
+    this.scrapeCacheMs = options.scrapeCacheMs ?? 60000;
+    this.history = options.history ?? null;
+    this.recentScrape = null;
+  }
+
+  /**
+   * Handles a chat message
+   * @param {string} text - Message text
+   * @param {CommandSender} sender - Where the message came from
+   * @returns {Promise<string|null>} Reply text, or null if the message is not a known command
+   */
+  async dispatch(text, sender) {
+    let command;
+    try {
+      command = parseCommand(text);
+    } catch (error) {
+      return `⚠️ ${error.message}`;
+    }
+
+    if (!command) {
+      return null;
+    }
+
+    logger.info({ command: command.name, args: command.args, chatId: sender.chatId }, 'Command received');
+
+    try {
+      if (SUBSCRIPTION_COMMANDS.has(command.name) && !(await this.isAuthorized(sender))) {
+        logger.warn({ command: command.name, chatId: sender.chatId, author: sender.author }, 'Command refused, sender not authorized');
+        return '⛔ Bu sohbette abonelik komutlarını kullanma yetkiniz yok.';
+      }
+
+      switch (command.name) {
+        case 'son':
+          return await this.latest(command.args);
+        case 'koy':
+          return await this.village(command.args);
+        case 'klan':
+          return await this.tribe(command.args);
+        case 'durum':
+          return this.status();
+        case 'abone':
+          return await this.subscribe(command.args, sender);
+        case 'mod':
+          return await this.mode(command.args, sender);
+        case 'sessiz':
+          return await this.quietHours(command.args, sender);
+        case 'iptal':
+          return await this.unsubscribe(sender);
+        case 'yardim':
+          return this.help();
+        default:
+          return null;
+      }
+    } catch (error) {
+      logger.error({ command: command.name, error: error.message }, 'Command failed');
+      return `⚠️ Komut çalıştırılamadı: ${error.message}`;
+    }
+  }
+
+  /**
+   * `!son` - latest conquers
+   * @param {{count: number}} args - Parsed arguments
+   * @returns {Promise<string>} Reply
+   */
+  async latest({ count }) {
+    const events = (await this.recentEvents()).slice(0, count);
+    if (events.length === 0) {
+      return 'Henüz fetih bulunamadı.';
+    }
+
+    return `*Son ${events.length} fetih:*\n\n` +
+      events.map((event, index) => `${index + 1}. ${formatEventLine(event)}`).join('\n\n');
+  }
+
+  /**
+   * `!koy` - ownership changes of a village from the event history, completed with the
+   * recent conquers the history has not stored yet
+   * @param {{x: number, y: number}} args - Parsed arguments
+   * @returns {Promise<string>} Reply
+   */
+  async village({ x, y }) {
+    const { total, events: archived } = this.history
+      ? await this.history.query({ filter: { type: 'rectangle', minX: x, maxX: x, minY: y, maxY: y }, limit: MAX_VILLAGE_LINES })
+      : { total: 0, events: [] };
+
+    // With a history, a failed scrape leaves the answer to the history
+    const scraped = this.history
+      ? await this.recentEvents().catch(error => {
+        logger.warn({ error: error.message }, 'Scrape failed, answering from the event history');
+        return [];
+      })
+      : await this.recentEvents();
+
+    const stored = new Set(archived.map(event => event.id ?? eventId(event)));
+    const recent = scraped.filter(event =>
+      event.x === x && event.y === y && !stored.has(event.id ?? eventId(event)));
+
+    // Recent conquers not archived yet are newer than the archived ones
+    const events = [...recent, ...archived];
+    if (events.length === 0) {
+      return `${x}|${y} için fetih kaydı bulunamadı.`;
+    }
+
+    const count = this.history ? total + recent.length : events.length;
+    return `*Köy ${x}|${y} - ${count} sahiplik değişimi:*\n\n` +
+      events.slice(0, MAX_VILLAGE_LINES).map(event => formatEventLine(event)).join('\n\n') +
+      (count > MAX_VILLAGE_LINES ? `\n\n… ve ${count - MAX_VILLAGE_LINES} eski değişim daha` : '');
+  }
+
+  /**
+   * `!klan` - gains and losses of a tribe among the recent conquers
+   * @param {{tribe: string}} args - Parsed arguments
+   * @returns {Promise<string>} Reply
+   */
+  async tribe({ tribe }) {
+    const events = await this.recentEvents();
+    const [gains, losses, internal] = ['gain', 'loss', 'internal']
+      .map(direction => events.filter(compileFilter({ type: 'direction', tribe, direction })));
+
+    let reply = `*Klan ${tribe} - son fetihler*\n` +
+      `📈 Kazanç: ${gains.length}\n` +
+      `📉 Kayıp: ${losses.length}\n` +
+      `🔁 İç: ${internal.length}`;
+
+    if (gains.length > 0) {
+      reply += '\n\n*Kazançlar:*\n' + gains.slice(0, MAX_TRIBE_LINES)
+        .map(event => `- ${event.villageName} (${event.x}|${event.y}) ← ${event.oldPlayer} (${event.oldTribe || 'null'})`)
+        .join('\n');
+    }
+
+    if (losses.length > 0) {
+      reply += '\n\n*Kayıplar:*\n' + losses.slice(0, MAX_TRIBE_LINES)
+        .map(event => `- ${event.villageName} (${event.x}|${event.y}) → ${event.newPlayer} (${event.newTribe || 'null'})`)
+        .join('\n');
+    }
+
+    return reply;
+  }
+
+  /**
+   * `!durum` - bot health
+   * @returns {string} Reply
+   */
+  status() {
+    const status = this.getStatus();
+
+    return '*🤖 Bot durumu*\n' +
+      `Dünya: ${status.world}\n` +
+      `Bildirim kanalı: ${status.notifierReady ? 'hazır' : 'hazır değil'}\n` +
+      `Çalışma süresi: ${formatDuration(status.uptimeSeconds)}\n` +
+      `Kontrol sayısı: ${status.executionCount}\n` +
+      `Son kontrol: ${status.lastRunAt || 'henüz yok'}\n` +
+      `Filtreler: ${status.filtersActive ? 'aktif' : 'pasif'}\n` +
+      `Abone sayısı: ${status.subscriptions}`;
+  }
+
+  /**
+   * `!abone` - subscribe the sender's chat
+   * @param {{continents: string[], tribes: string[]}} args - Parsed arguments
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<string>} Reply
+   */
+  async subscribe({ continents, tribes }, sender) {
+    const recipient = await this.recipientOf(sender);
+    if (!recipient) {
+      return '⚠️ Bu sohbet abone olamaz (yalnızca 90XXXXXXXXXX numaralar ve gruplar desteklenir).';
+    }
+
+    const rules = [];
+    if (continents.length > 0) {
+      rules.push({ type: 'continent', continents });
+    }
+    if (tribes.length > 0) {
+      rules.push({ type: 'tribe', tribes });
+    }
+
+    const filters = rules.length > 1 ? [{ type: 'and', rules }] : rules;
+    const { created } = await this.manageSubscriptions.subscribe(recipient, filters);
+
+    const scope = [
+      continents.length > 0 ? `kıtalar: ${continents.join(', ')}` : null,
+      tribes.length > 0 ? `klanlar: ${tribes.join(', ')}` : null
+    ].filter(Boolean).join('; ') || 'tüm fetihler';
+
+    return `✅ Abonelik ${created ? 'oluşturuldu' : 'güncellendi'} (${scope}).`;
+  }
+
+  /**
+   * `!mod` - choose between realtime messages, the digest or both
+   * @param {{mode: 'realtime'|'digest'|'both'}} args - Parsed arguments
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<string>} Reply
+   */
+  async mode({ mode }, sender) {
+    const recipient = await this.recipientOf(sender);
+    const subscription = recipient ? await this.manageSubscriptions.setMode(recipient, mode) : null;
+    if (!subscription) {
+      return 'Aktif aboneliğiniz yok. Önce !abone ile abone olun.';
+    }
+
+    return `✅ Bildirim şekli: ${MODE_LABELS[mode]}.`;
+  }
+
+  /**
+   * `!sessiz` - hold messages back during the night, or stop doing so
+   * @param {{quietHours: {start: string, end: string}|null}} args - Parsed arguments
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<string>} Reply
+   */
+  async quietHours({ quietHours }, sender) {
+    const recipient = await this.recipientOf(sender);
+    const subscription = recipient ? await this.manageSubscriptions.setQuietHours(recipient, quietHours) : null;
+    if (!subscription) {
+      return 'Aktif aboneliğiniz yok. Önce !abone ile abone olun.';
+    }
+
+    return quietHours
+      ? `✅ Sessiz saatler: ${quietHours.start}-${quietHours.end}. Bu saatlerdeki fetihler bitişte tek mesajda gönderilir.`
+      : '✅ Sessiz saatler kapatıldı.';
+  }
+
+  /**
+   * `!iptal` - unsubscribe the sender's chat
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<string>} Reply
+   */
+  async unsubscribe(sender) {
+    const recipient = await this.recipientOf(sender);
+    const removed = recipient ? await this.manageSubscriptions.unsubscribe(recipient) : false;
+
+    return removed ? '✅ Abonelik iptal edildi.' : 'Aktif aboneliğiniz yok.';
+  }
+
+  /**
+   * `!yardim` - command list
+   * @returns {string} Reply
+   */
+  help() {
+    return '*Komutlar:*\n' + Object.values(COMMAND_USAGE).join('\n');
+  }
+
+  /**
+   * Checks whether a sender may change the subscription of its chat: the chat is on the
+   * allowlist, or the sender (the author, in a group) is an admin
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<boolean>} True if authorized
+   */
+  async isAuthorized(sender) {
+    const author = (sender.author || sender.chatId).replace(/@c\.us$/, '');
+    if (this.admins.has(author)) {
+      return true;
+    }
+
+    for (const entry of this.allowlist) {
+      if (await this.chatIdOf(entry) === sender.chatId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Finds the recipient a chat is subscribed as. A group may be configured by name, so
+   * group names are resolved before they are compared with the chat.
+   * @param {CommandSender} sender - Where the command came from
+   * @returns {Promise<string|null>} Recipient, or null if the chat cannot be a recipient
+   */
+  async recipientOf(sender) {
+    if (parseRecipient(sender.chatId)?.kind === 'group') {
+      const named = (await this.manageSubscriptions.list())
+        .filter(subscription => parseRecipient(subscription.recipient)?.groupName);
+
+      for (const { recipient } of named) {
+        if (await this.chatIdOf(recipient) === sender.chatId) {
+          return recipient;
+        }
+      }
+    }
+
+    return toRecipient(sender);
+  }
+
+  /**
+   * Converts a WhatsApp recipient to its chat ID; group names are looked up in the group list
+   * @param {string} recipient - Phone number, group ID or "group:<name>"
+   * @returns {Promise<string|null>} Chat ID, or null if the recipient names no known chat
+   */
+  async chatIdOf(recipient) {
+    const parsed = parseRecipient(recipient);
+    if (parsed?.kind === 'contact') {
+      return `${parsed.id}@c.us`;
+    }
+    if (parsed?.kind !== 'group') {
+      return null;
+    }
+    if (parsed.id) {
+      return parsed.id;
+    }
+
+    const name = parsed.groupName.toLowerCase();
+    const matches = (await this.listGroups()).filter(group => group.name.toLowerCase() === name);
+    return matches.length === 1 ? matches[0].id : null;
+  }
+
+  /**
+   * Scrapes the latest conquers, reusing a recent scrape so chat commands can't flood TWStats
+   * @returns {Promise<Array>} Latest events
+   */
+  recentEvents() {
+    const now = Date.now();
+    if (!this.recentScrape || now - this.recentScrape.at >= this.scrapeCacheMs) {
+      const events = this.scraper.scrape();
+      this.recentScrape = { at: now, events };
+
+      // A failed scrape is not reused
+      events.catch(() => {
+        if (this.recentScrape?.events === events) {
+          this.recentScrape = null;
+        }
+      });
+    }
+
+    return this.recentScrape.events;
+  }
+}
+
+/**
+ * Maps a chat ID to the recipient form used by subscriptions
+ * @private
+ */
+function toRecipient(sender) {
+  const recipient = parseRecipient(sender.chatId);
+  return recipient ? recipient.id : null;
+}
@@ -0,0 +1,21 @@
+/**
+ * Formats an event as a reply line
+ * @param {import('../entities/ennoblement-event.js').EnnoblementEvent} event - Event to show
+ * @returns {string} Village, owners and time
+ */
+export function formatEventLine(event) {
+  return `🏰 ${event.villageName} (${event.x}|${event.y}) - ${event.points} puan\n` +
+    `   ${event.oldPlayer} (${event.oldTribe || 'null'}) → ${event.newPlayer} (${event.newTribe || 'null'})\n` +
+    `   ⏰ ${event.timestamp}`;
+}
+
+/**
+ * Formats a duration in hours and minutes
+ * @param {number} totalSeconds - Duration
+ * @returns {string} Duration, e.g. "1 sa 2 dk"
+ */
+export function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  return hours > 0 ? `${hours} sa ${minutes} dk` : `${minutes} dk`;
+}
@@ -0,0 +1,180 @@
+/**
+ * @typedef {Object} ParsedCommand
+ * @description Chat command with validated arguments
+ * @property {'son'|'koy'|'klan'|'durum'|'abone'|'mod'|'sessiz'|'iptal'|'yardim'} name - Command name
+ * @property {Object} args - Command specific arguments
+ */
+
+export const COMMAND_PREFIX = '!';
+
+export const DEFAULT_LATEST_COUNT = 5;
+export const MAX_LATEST_COUNT = 20;
+
+/**
+ * Delivery mode per `!mod` argument
+ */
+export const MODE_ARGUMENTS = Object.freeze({
+  anlik: 'realtime',
+  ozet: 'digest',
+  ikisi: 'both'
+});
+
+/**
+ * Usage line per command, used in help and error replies
+ */
+export const COMMAND_USAGE = Object.freeze({
+  son: `!son [1-${MAX_LATEST_COUNT}] - Son fetihler`,
+  koy: '!koy 452|462 - Köyün son sahiplik değişimleri',
+  klan: '!klan SiSu - Klanın son kazanç ve kayıpları',
+  durum: '!durum - Bot durumu',
+  abone: '!abone [K45 ...] [klan adı ...] - Bildirimlere abone ol (boş: tüm fetihler)',
+  mod: '!mod anlik|ozet|ikisi - Bildirimleri anında, zamanlanmış özet olarak veya ikisi birden al',
+  sessiz: '!sessiz 23:00-07:00|kapat - Bu saatlerdeki bildirimleri sonraya bırak',
+  iptal: '!iptal - Aboneliği iptal et',
+  yardim: '!yardim - Komut listesi'
+});
+
+const ARGUMENT_PARSERS = {
+  son: parseLatestArgs,
+  koy: parseVillageArgs,
+  klan: parseTribeArgs,
+  durum: () => ({}),
+  abone: parseSubscribeArgs,
+  mod: parseModeArgs,
+  sessiz: parseQuietArgs,
+  iptal: () => ({}),
+  yardim: () => ({})
+};
+
+/**
+ * Parses a chat message into a command
+ * @param {string} text - Message text
+ * @returns {ParsedCommand|null} Parsed command, or null if the message is not a known command
+ * @throws {Error} When the arguments are invalid (message is user facing)
+ */
+export function parseCommand(text) {
+  if (typeof text !== 'string' || !text.trim().startsWith(COMMAND_PREFIX)) {
+    return null;
+  }
+
+  const [head, ...tokens] = text.trim().slice(COMMAND_PREFIX.length).split(/\s+/);
+  const name = head.toLowerCase();
+
+  if (!name) {
+    return null;
+  }
+
+  // Unknown commands are left alone: they may be meant for another bot in the group
+  const parseArgs = Object.hasOwn(ARGUMENT_PARSERS, name) ? ARGUMENT_PARSERS[name] : null;
+  if (!parseArgs) {
+    return null;
+  }
+
+  return { name, args: parseArgs(tokens, name) };
+}
+
+/**
+ * `!son [count]`
+ * @private
+ */
+function parseLatestArgs(tokens, name) {
+  if (tokens.length === 0) {
+    return { count: DEFAULT_LATEST_COUNT };
+  }
+
+  const count = Number(tokens[0]);
+  if (tokens.length > 1 || !Number.isInteger(count) || count < 1 || count > MAX_LATEST_COUNT) {
+    throw usageError(name);
+  }
+
+  return { count };
+}
+
+/**
+ * `!koy x|y` (also accepts "x y" and "x,y")
+ * @private
+ */
+function parseVillageArgs(tokens, name) {
+  const match = tokens.join(' ').match(/^(\d{1,3})\s*[|,\s]\s*(\d{1,3})$/);
+  if (!match) {
+    throw usageError(name);
+  }
+
+  return { x: Number(match[1]), y: Number(match[2]) };
+}
+
+/**
+ * `!klan <tribe>`
+ * @private
+ */
+function parseTribeArgs(tokens, name) {
+  if (tokens.length === 0) {
+    throw usageError(name);
+  }
+
+  return { tribe: tokens.join(' ') };
+}
+
+/**
+ * `!abone [K45 ...] [tribe ...]` - continent tokens restrict the area, other tokens are tribe names
+ * @private
+ */
+function parseSubscribeArgs(tokens) {
+  const continents = [];
+  const tribes = [];
+
+  for (const token of tokens) {
+    if (/^k\d{1,2}$/i.test(token)) {
+      continents.push(token.toUpperCase());
+    } else {
+      tribes.push(token);
+    }
+  }
+
+  return { continents, tribes };
+}
+
+/**
+ * `!mod anlik|ozet|ikisi` (also accepts "anlık" and "özet")
+ * @private
+ */
+function parseModeArgs(tokens, name) {
+  const argument = (tokens[0] || '').toLocaleLowerCase('tr').replace(/ı/g, 'i').replace(/ö/g, 'o');
+  const mode = MODE_ARGUMENTS[argument];
+  if (tokens.length !== 1 || !mode) {
+    throw usageError(name);
+  }
+
+  return { mode };
+}
+
+/**
+ * `!sessiz HH:MM-HH:MM` sets the quiet hours, `!sessiz kapat` removes them
+ * @private
+ */
+function parseQuietArgs(tokens, name) {
+  const argument = tokens.join(' ').toLocaleLowerCase('tr');
+  if (argument === 'kapat') {
+    return { quietHours: null };
+  }
+
+  const match = argument.match(/^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw usageError(name);
+  }
+
+  const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+  const end = `${match[3].padStart(2, '0')}:${match[4]}`;
+  if (start === end) {
+    throw usageError(name);
+  }
+
+  return { quietHours: { start, end } };
+}
+
+/**
+ * @private
+ */
+function usageError(name) {
+  return new Error(`Kullanım: ${COMMAND_USAGE[name]}`);
+}
@@ -0,0 +1,209 @@
+/**
+ * @typedef {Object} Delivery
+ * @description Events one recipient gets, in the locale they are rendered in
+ * @property {string} recipient - Recipient identifier
+ * @property {string|null} locale - Locale of the recipient's messages
+ * @property {Array} events - Events to send
+ */
+
+/**
+ * @typedef {Object} DeliveryPlan
+ * @description Deliveries of a cycle after quiet hours and rate limits
+ * @property {Delivery[]} deliveries - Deliveries to make
+ * @property {Object<string, Array>} hold - Events to hold back, per recipient
+ * @property {Object<string, number>} release - Number of held events to release, per recipient
+ */
+
+/**
+ * @typedef {Object} PlannedMessage
+ * @description One message to send, or one part of a split message
+ * @property {string[]|null} recipients - Recipients; null for the notifier's own list
+ * @property {string|null} locale - Locale the message is rendered in
+ * @property {string} message - Rendered message
+ * @property {Array} events - Events the message is rendered from
+ * @property {number} part - Number of the part, from 1
+ * @property {number} parts - Parts of the message
+ */
+
+/**
+ * Splits events by subscription: each recipient gets only the events matching its filter set,
+ * in its own locale or the default one. Recipients without a matching event are left out, and
+ * so are recipients not taking the requested delivery (realtime by default, or the digest).
+ * @param {Array} events - Events that passed the world's filters
+ * @param {Array} matchers - Compiled subscriptions
+ * @param {Object} [options] - Planning options
+ * @param {boolean} [options.digest] - Plan the digest instead of the realtime messages
+ * @param {string|null} [options.locale] - Locale of recipients without their own
+ * @returns {Delivery[]} Events per recipient
+ */
+export function matchDeliveries(events, matchers, { digest = false, locale = null } = {}) {
+  const deliveries = [];
+
+  for (const matcher of matchers) {
+    if (!(digest ? matcher.digest : matcher.realtime)) {
+      continue;
+    }
+
+    let matched = events.filter(matcher.matches);
+    if (matched.length === 0) {
+      continue;
+    }
+
+    if (matcher.zonesOf) {
+      matched = matched.map(event => ({
+        ...event,
+        zones: [...new Set([...(event.zones || []), ...matcher.zonesOf(event)])]
+      }));
+    }
+
+    deliveries.push({ recipient: matcher.recipient, locale: matcher.locale || locale, events: matched });
+  }
+
+  return deliveries;
+}
+
+/**
+ * Applies the recipients' quiet hours to their deliveries. During quiet hours a recipient only
+ * gets the events matching its priority rule and the rest is held. Once the window is over,
+ * the held events go out in one message together with the new ones.
+ * @param {Delivery[]} deliveries - Planned realtime deliveries
+ * @param {Object<string, Array>} held - Events held so far, per recipient
+ * @param {Array} matchers - Compiled subscriptions
+ * @param {Object} [options] - Planning options
+ * @param {Date} [options.now] - Point in time to check the windows at
+ * @param {string|null} [options.locale] - Locale of recipients without their own
+ * @returns {DeliveryPlan} Deliveries to make, events to hold and held events to release
+ */
+export function applyQuietHours(deliveries, held, matchers, { now = new Date(), locale = null } = {}) {
+  const byRecipient = new Map(matchers.map(matcher => [matcher.recipient, matcher]));
+  const planned = new Map();
+  const hold = {};
+  const release = {};
+
+  for (const delivery of deliveries) {
+    const quiet = byRecipient.get(delivery.recipient).quiet;
+    if (!quiet?.isQuiet(now)) {
+      planned.set(delivery.recipient, { ...delivery });
+      continue;
+    }
+
+    const priority = delivery.events.filter(quiet.isPriority);
+    const deferred = delivery.events.filter(event => !quiet.isPriority(event));
+    if (priority.length > 0) {
+      planned.set(delivery.recipient, { ...delivery, events: priority });
+    }
+    if (deferred.length > 0) {
+      hold[delivery.recipient] = deferred;
+    }
+  }
+
+  for (const [recipient, events] of Object.entries(held)) {
+    const matcher = byRecipient.get(recipient);
+    if (matcher?.quiet?.isQuiet(now)) {
+      continue;
+    }
+
+    // Events of recipients that unsubscribed or no longer get realtime messages are dropped
+    release[recipient] = events.length;
+    if (!matcher?.realtime) {
+      continue;
+    }
+
+    const delivery = planned.get(recipient) || { recipient, locale: matcher.locale || locale, events: [] };
+    planned.set(recipient, { ...delivery, events: [...delivery.events, ...events] });
+  }
+
+  return { deliveries: [...planned.values()], hold, release };
+}
+
+/**
+ * Applies the rate limits to a quiet hours plan. A recipient that used up its window gets
+ * nothing; its new events are held and its held events stay, so all of them go out in the
+ * first message the limit allows again.
+ * @param {DeliveryPlan} plan - Result of applyQuietHours()
+ * @param {import('../subscriptions/rate-limit.js').RateLimiter} rateLimiter - Limits per recipient
+ * @param {import('../subscriptions/rate-limit.js').SendLog} sendLog - Latest messages per recipient
+ * @param {Date} [now] - Point in time to check the windows at
+ * @returns {DeliveryPlan} Plan without the throttled recipients' deliveries
+ */
+export function applyRateLimits({ deliveries, hold, release }, rateLimiter, sendLog, now = new Date()) {
+  const allowed = [];
+  const limitedHold = { ...hold };
+  const limitedRelease = { ...release };
+
+  for (const delivery of deliveries) {
+    if (!rateLimiter.isThrottled(delivery.recipient, sendLog, now)) {
+      allowed.push(delivery);
+      continue;
+    }
+
+    // applyQuietHours() appends the released events after the new ones
+    const released = limitedRelease[delivery.recipient] || 0;
+    const newEvents = delivery.events.slice(0, delivery.events.length - released);
+    delete limitedRelease[delivery.recipient];
+    if (newEvents.length > 0) {
+      limitedHold[delivery.recipient] = [...newEvents, ...(limitedHold[delivery.recipient] || [])];
+    }
+  }
+
+  return { deliveries: allowed, hold: limitedHold, release: limitedRelease };
+}
+
+/**
+ * Renders the messages of the deliveries. Recipients that end up with the same messages share
+ * their entries; a message split into parts gives one entry per part, in sending order.
+ * @param {Delivery[]} deliveries - Deliveries to render
+ * @param {(events: Array, locale: string|null) => Array<{message: string, events: Array}>} renderParts - Renders the parts of a message
+ * @returns {PlannedMessage[]} Messages to send
+ */
+export function groupMessages(deliveries, renderParts) {
+  const recipientsByMessages = new Map();
+  for (const { recipient, locale, events } of deliveries) {
+    const parts = renderParts(events, locale);
+    const key = parts.map(part => part.message).join('\0');
+    if (!recipientsByMessages.has(key)) {
+      recipientsByMessages.set(key, { recipients: [], locale, parts });
+    }
+    recipientsByMessages.get(key).recipients.push(recipient);
+  }
+
+  return [...recipientsByMessages.values()]
+    .flatMap(({ recipients, locale, parts }) => withParts(recipients, locale, parts));
+}
+
+/**
+ * Renders the digests of the deliveries. Recipients that end up with the same digest share one entry.
+ * @param {Delivery[]} deliveries - Digest deliveries
+ * @param {(events: Array, locale: string|null) => string} renderDigest - Renders a digest
+ * @returns {Array<{recipients: string[], locale: string|null, message: string, events: Array}>} Digests to send
+ */
+export function groupDigests(deliveries, renderDigest) {
+  const recipientsByMessage = new Map();
+  for (const { recipient, locale, events } of deliveries) {
+    const message = renderDigest(events, locale);
+    if (!recipientsByMessage.has(message)) {
+      recipientsByMessage.set(message, { recipients: [], locale, message, events });
+    }
+    recipientsByMessage.get(message).recipients.push(recipient);
+  }
+
+  return [...recipientsByMessage.values()];
+}
+
+/**
+ * Turns the parts of one message into entries to send
+ * @param {string[]|null} recipients - Recipients of the message
+ * @param {string|null} locale - Locale the message is rendered in
+ * @param {Array<{message: string, events: Array}>} parts - Rendered parts
+ * @returns {PlannedMessage[]} Entries
+ */
+export function withParts(recipients, locale, parts) {
+  return parts.map(({ message, events }, index) => ({
+    recipients,
+    locale,
+    message,
+    events,
+    part: index + 1,
+    parts: parts.length
+  }));
+}
@@ -0,0 +1,179 @@
+import pino from 'pino';
+import { resolveSubscriptions, compileSubscription } from '../subscriptions/subscriptions.js';
+import { createRateLimiter } from '../subscriptions/rate-limit.js';
+import {
+  matchDeliveries, applyQuietHours, applyRateLimits, groupMessages, groupDigests, withParts
+} from './delivery-plan.js';
+
+const logger = pino({ name: 'delivery-planner' });
+
+/**
+ * Holds the subscriptions of one world and plans who gets which messages: per subscription
+ * filter and locale, within quiet hours and rate limits. Events held back are kept in the
+ * state store until they may go out.
+ */
+export class DeliveryPlanner {
+  /**
+   * @param {Object} stateStore - IStateStore holding the held events and send log
+   * @param {import('./message-composer.js').MessageComposer} composer - Renders the world's messages
+   * @param {Object} [options] - Subscription settings
+   * @param {string|null} [options.world] - World identifier, used in logs
+   * @param {string[]|null} [options.recipients] - Recipients for this world; null uses the notifier's own list
+   * @param {Array|null} [options.subscriptions] - Configured subscriptions, used until subscriptions are saved
+   * @param {{timeZone?: string|null, priority?: Object|null}} [options.quietHours] - Time zone and priority rule of quiet hours that leave them out
+   * @param {import('../subscriptions/rate-limit.js').RateLimits} [options.rateLimits] - Messages per recipient and window; unlimited by default
+   */
+  constructor(stateStore, composer, options = {}) {
+    this.stateStore = stateStore;
+    this.composer = composer;
+    this.recipients = options.recipients ?? null;
+    this.configuredSubscriptions = options.subscriptions ?? null;
+    this.quietHours = options.quietHours || {};
+    this.rateLimiter = createRateLimiter(options.rateLimits);
+    this.releasePending = false;
+    this.saved = false;
+    this.logger = options.world ? logger.child({ world: options.world }) : logger;
+    this.setSubscriptions(resolveSubscriptions(null, this.configuredSubscriptions, this.recipients));
+  }
+
+  /**
+   * Replaces the active subscriptions
+   * @param {import('../subscriptions/subscriptions.js').Subscription[]} subscriptions - Subscriptions to activate
+   * @throws {Error} When a subscription rule is malformed
+   */
+  setSubscriptions(subscriptions) {
+    // Events held for quiet hours that were just removed are released on the next cycle
+    this.releasePending = this.releasePending || (this.matchers || []).some(matcher => matcher.quiet);
+    this.matchers = subscriptions.map(subscription => compileSubscription(subscription, this.quietHours));
+    this.subscriptions = subscriptions;
+  }
+
+  /**
+   * Activates the stored subscriptions, or the configured ones (or recipients) until subscriptions are saved
+   * @param {Array|null} stored - Stored subscriptions; null when none were saved
+   * @returns {import('../subscriptions/subscriptions.js').Subscription[]} Subscriptions in effect
+   */
+  useStored(stored) {
+    this.setSubscriptions(resolveSubscriptions(stored, this.configuredSubscriptions, this.recipients));
+    this.saved = Array.isArray(stored);
+    return this.subscriptions;
+  }
+
+  /**
+   * Whether messages go to subscribers rather than the notifier's own recipient list
+   * @returns {boolean} True if recipients, subscriptions or saved subscriptions exist
+   */
+  usesSubscriptions() {
+    return this.recipients !== null || this.configuredSubscriptions !== null || this.saved;
+  }
+
+  /**
+   * Whether some subscriber takes the digest, so new events have to be collected
+   * @returns {boolean} True if a subscription has the digest or both modes
+   */
+  collectsDigests() {
+    return this.usesSubscriptions() && this.matchers.some(matcher => matcher.digest);
+  }
+
+  /**
+   * Whether events may be held for quiet hours or rate limits, now or from quiet hours that were just removed
+   * @returns {boolean} True if held events have to be loaded
+   */
+  holdsEvents() {
+    return this.usesSubscriptions() &&
+      (this.releasePending || this.rateLimiter.enabled || this.matchers.some(matcher => matcher.quiet));
+  }
+
+  /**
+   * Splits events by subscription (see matchDeliveries()), in the world's locale for recipients without their own
+   * @param {Array} events - Events that passed the world's filters
+   * @param {{digest?: boolean}} [options] - Plan the digest instead of the realtime messages
+   * @returns {import('./delivery-plan.js').Delivery[]} Events per recipient
+   */
+  planDeliveries(events, { digest = false } = {}) {
+    return matchDeliveries(events, this.matchers, { digest, locale: this.composer.locale });
+  }
+
+  /**
+   * Renders the messages for the events' subscribers (see groupMessages()). Without any
+   * recipients, subscriptions or saved subscriptions, the messages go to the notifier's own
+   * recipient list (recipients null).
+   * @param {Array} events - Events that passed the world's filters
+   * @param {import('./delivery-plan.js').Delivery[]} [deliveries] - Deliveries to render instead of the planned ones (e.g. after quiet hours)
+   * @returns {import('./delivery-plan.js').PlannedMessage[]} Messages to send
+   */
+  planMessages(events, deliveries = undefined) {
+    if (!this.usesSubscriptions()) {
+      return withParts(null, this.composer.locale, this.composer.renderMessages(events));
+    }
+
+    return groupMessages(deliveries ?? this.planDeliveries(events),
+      (recipientEvents, locale) => this.composer.renderMessages(recipientEvents, { locale }));
+  }
+
+  /**
+   * Renders the digests of the collected events for the digest subscribers. Recipients that
+   * end up with the same digest share one entry.
+   * @param {Array} events - Collected events
+   * @returns {Array<{recipients: string[], locale: string|null, message: string, events: Array}>} Digests to send
+   */
+  planDigests(events) {
+    return groupDigests(this.planDeliveries(events, { digest: true }),
+      (recipientEvents, locale) => this.composer.renderDigest(recipientEvents, { locale }));
+  }
+
+  /**
+   * Plans the realtime deliveries of a cycle against the held events, quiet hours and rate limits
+   * @param {Array} events - Events that passed the world's filters
+   * @returns {Promise<import('./delivery-plan.js').DeliveryPlan & {sendLog: Object<string, string[]>, now: Date, matchers: Array}>}
+   *   Plan, with the send log, time and subscription matchers it was made with
+   */
+  async planHeldEvents(events) {
+    const now = new Date();
+    const held = await this.stateStore.loadHeldEvents();
+    const sendLog = this.rateLimiter.enabled ? await this.stateStore.loadSendLog() : {};
+    const matchers = this.matchers;
+
+    let plan = applyQuietHours(this.planDeliveries(events), held, matchers, { now, locale: this.composer.locale });
+    if (this.rateLimiter.enabled) {
+      plan = applyRateLimits(plan, this.rateLimiter, sendLog, now);
+    }
+
+    const heldCount = Object.values(plan.hold).reduce((sum, recipientEvents) => sum + recipientEvents.length, 0);
+    if (heldCount > 0 || Object.keys(plan.release).length > 0) {
+      this.logger.info({ held: heldCount, released: plan.release }, 'Events held back');
+    }
+
+    return { ...plan, sendLog, now, matchers };
+  }
+
+  /**
+   * Stores a plan of planHeldEvents() once its messages went out. Every part of a split
+   * message counts as one message against the recipient's rate limit.
+   * @param {Object} plan - Result of planHeldEvents()
+   * @param {import('./delivery-plan.js').PlannedMessage[]} messages - Messages sent for the plan, one entry per part
+   * @returns {Promise<void>}
+   */
+  async storeHeldEvents(plan, messages) {
+    // Released events are dropped before new ones are held, so capping the held events never drops them
+    await this.stateStore.releaseHeldEvents(plan.release);
+    await this.stateStore.holdEvents(plan.hold);
+
+    if (this.rateLimiter.enabled && plan.deliveries.length > 0) {
+      const planned = plan.deliveries.map(({ recipient }) => recipient);
+      const sends = messages.flatMap(({ recipients }) => recipients ?? planned);
+      await this.stateStore.saveSendLog(this.rateLimiter.record(plan.sendLog, sends, plan.now));
+    }
+  }
+
+  /**
+   * Ends the release of held events of removed quiet hours, unless the subscriptions changed
+   * since the plan was made
+   * @param {{matchers: Array}} plan - Result of planHeldEvents() whose events were sent
+   */
+  settleRelease(plan) {
+    if (plan.matchers === this.matchers) {
+      this.releasePending = false;
+    }
+  }
+}
@@ -0,0 +1,102 @@
+import pino from 'pino';
+import { MessageRenderer } from '../templates/message-renderer.js';
+import { summarizeEvents } from '../digest/digest-summary.js';
+
+const logger = pino({ name: 'message-composer' });
+
+/**
+ * Renders the messages of one world: the renderer's output with the world's prefix, split
+ * within its message length and event limits
+ */
+export class MessageComposer {
+  /**
+   * @param {MessageRenderer} [renderer] - Renders messages from the configured templates; defaults to the built-in layout
+   * @param {Object} [options] - World settings
+   * @param {string|null} [options.world] - World identifier
+   * @param {string} [options.messagePrefix] - Line prepended to every rendered message
+   * @param {string|null} [options.locale] - Locale of the world's messages; null uses the renderer's default locale
+   * @param {number} [options.maxMessageLength] - Character limit of a message; longer ones are split into numbered parts
+   * @param {number} [options.maxEventsPerMessage] - Events shown per batch; the rest are summed up as "+N more"
+   * @param {number} [options.digestTop] - Length of the rankings in digests
+   */
+  constructor(renderer = new MessageRenderer(), options = {}) {
+    this.renderer = renderer;
+    this.world = options.world || null;
+    this.prefix = options.messagePrefix ? `${options.messagePrefix}\n` : '';
+    this.locale = options.locale || null;
+    this.maxMessageLength = options.maxMessageLength ?? Infinity;
+    this.maxEventsPerMessage = options.maxEventsPerMessage ?? Infinity;
+    this.digestTop = options.digestTop ?? 5;
+  }
+
+  /**
+   * Render message for multiple events
+   * @param {Array} events - Events to include in message
+   * @param {Object} [options] - Rendering options
+   * @param {string|null} [options.locale] - Locale of the recipients; defaults to the world's locale
+   * @param {MessageRenderer} [options.renderer] - Renderer to use instead of the configured one (e.g. for previews)
+   * @returns {string} Formatted message
+   */
+  renderMessage(events, { locale = this.locale, renderer = this.renderer } = {}) {
+    if (events.length === 0) {
+      return this.prefix + renderer.translate(locale, 'message.noEvents');
+    }
+
+    return this.prefix + renderer.render(events, { world: this.world, locale });
+  }
+
+  /**
+   * Render the messages for multiple events, split into parts within the world's message
+   * length and event limits. Every part starts with the message prefix.
+   * @param {Array} events - Events to include in the messages
+   * @param {Object} [options] - Rendering options
+   * @param {string|null} [options.locale] - Locale of the recipients; defaults to the world's locale
+   * @param {MessageRenderer} [options.renderer] - Renderer to use instead of the configured one (e.g. for previews)
+   * @returns {Array<{message: string, events: Array}>} Parts in sending order, at least one
+   */
+  renderMessages(events, { locale = this.locale, renderer = this.renderer } = {}) {
+    if (events.length === 0) {
+      return [{ message: this.renderMessage(events, { locale, renderer }), events }];
+    }
+
+    if (events.length > this.maxEventsPerMessage) {
+      logger.warn({
+        world: this.world,
+        total: events.length,
+        listed: this.maxEventsPerMessage,
+        more: events.length - this.maxEventsPerMessage
+      }, 'Batch exceeds MESSAGE_MAX_EVENTS, the rest are only counted');
+    }
+
+    const parts = renderer.renderParts(events, {
+      world: this.world,
+      locale,
+      maxLength: this.maxMessageLength - this.prefix.length,
+      maxEvents: this.maxEventsPerMessage
+    });
+
+    return parts.map(part => ({ message: this.prefix + part.message, events: part.events }));
+  }
+
+  /**
+   * Format a single event for display
+   * @param {Object} event - Event object
+   * @returns {string} Formatted event string
+   */
+  renderEvent(event) {
+    return this.renderer.renderEvent(event, { world: this.world, locale: this.locale });
+  }
+
+  /**
+   * Render the digest of the collected events: counts per tribe, the home tribe's gains and
+   * losses, the biggest villages taken and the most active nobles
+   * @param {Array} events - Events to sum up
+   * @param {Object} [options] - Rendering options
+   * @param {string|null} [options.locale] - Locale of the recipients; defaults to the world's locale
+   * @returns {string} Formatted digest
+   */
+  renderDigest(events, { locale = this.locale } = {}) {
+    const summary = summarizeEvents(events, { homeTribe: this.renderer.homeTribe, top: this.digestTop });
+    return this.prefix + this.renderer.renderDigest(summary, { world: this.world, locale });
+  }
+}
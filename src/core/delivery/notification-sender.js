@@ -0,0 +1,176 @@
+import pino from 'pino';
+import { createDeliveryReport, mergeDeliveryReports, uniformDeliveryReport } from '../entities/delivery-report.js';
+
+const logger = pino({ name: 'notification-sender' });
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Sends the planned messages of one world, either directly through the notifier or by
+ * queuing them in the outbox first, and hands every batch to the event webhook
+ */
+export class NotificationSender {
+  /**
+   * @param {Object} notifier - INotifier used to deliver messages
+   * @param {import('./message-composer.js').MessageComposer} composer - Renders the world's messages
+   * @param {Object} [options] - Additional options
+   * @param {string|null} [options.world] - World identifier, used in logs and contexts
+   * @param {Object|null} [options.eventWebhook] - INotifier receiving every filtered batch next to the subscribers
+   * @param {import('../use-cases/dispatch-outbox.js').DispatchOutbox|null} [options.outbox] - Outbox queuing messages before they are sent
+   * @param {number} [options.partDelayMs] - Pause between the parts of a split message
+   */
+  constructor(notifier, composer, options = {}) {
+    this.notifier = notifier;
+    this.composer = composer;
+    this.world = options.world || null;
+    this.eventWebhook = options.eventWebhook || null;
+    this.outbox = options.outbox || null;
+    this.partDelayMs = options.partDelayMs ?? 0;
+    this.logger = this.world ? logger.child({ world: this.world }) : logger;
+  }
+
+  /**
+   * Sends the messages one notifyMany call each. A message that cannot be delivered is
+   * reported as failed rather than thrown, so the cycle still marks its events as seen and a
+   * retry doesn't send the other messages again.
+   * @param {import('./delivery-plan.js').PlannedMessage[]} messages - Messages to send
+   * @param {Array} events - The whole filtered batch, for the event webhook
+   * @returns {Promise<import('../entities/delivery-report.js').DeliveryReport>} Outcome per recipient of every message
+   */
+  async send(messages, events) {
+    await this.sendToWebhook(events);
+
+    const reports = [];
+    for (const { recipients, locale, message, events: messageEvents, part } of messages) {
+      if (part > 1 && this.partDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.partDelayMs));
+      }
+      try {
+        reports.push(await this.notifyWithRetry(message, recipients, this.contextFor(messageEvents, locale)));
+      } catch (error) {
+        reports.push(uniformDeliveryReport(recipients || this.notifier.recipients || [], 'failed', error.message));
+      }
+    }
+
+    return mergeDeliveryReports(reports);
+  }
+
+  /**
+   * Queues the messages in the outbox, together with the batch of the event webhook
+   * @param {import('./delivery-plan.js').PlannedMessage[]} messages - Messages to queue
+   * @param {Array} events - The whole filtered batch, for the event webhook
+   * @returns {Promise<import('../ports/i-outbox.js').OutboxItem[]>} Queued items
+   */
+  async enqueue(messages, events) {
+    const items = messages.map(message => ({ world: this.world, ...message }));
+    if (this.eventWebhook && events.length > 0) {
+      items.push({ world: this.world, channel: 'webhook', recipients: null, message: this.composer.renderMessage(events), events });
+    }
+
+    const queued = await this.outbox.enqueue(items);
+    this.logger.info({ messages: queued.length }, 'Notifications queued in outbox');
+
+    return queued;
+  }
+
+  /**
+   * Delivers queued items through the outbox. Items that fail stay queued for the dispatcher.
+   * @param {import('../ports/i-outbox.js').OutboxItem[]} queued - Items queued this cycle
+   * @returns {Promise<{delivery: import('../entities/delivery-report.js').DeliveryReport, pendingCount: number}>}
+   *   Outcome per recipient and number of items still queued
+   */
+  async deliverQueued(queued) {
+    if (queued.length === 0) {
+      return { delivery: createDeliveryReport(), pendingCount: 0 };
+    }
+
+    const deliveries = await this.outbox.deliver(queued);
+    // The webhook's endpoints are not recipients of the cycle
+    const webhookItems = new Set(queued.filter(item => item.channel === 'webhook').map(item => item.id));
+    const delivery = mergeDeliveryReports(deliveries
+      .filter(outboxDelivery => !webhookItems.has(outboxDelivery.id))
+      .map(outboxDelivery => outboxDelivery.report));
+    const pendingCount = queued.length - deliveries.filter(outboxDelivery => outboxDelivery.status === 'delivered').length;
+
+    return { delivery, pendingCount };
+  }
+
+  /**
+   * Hands the whole filtered batch to the event webhook when there is no outbox to queue it in.
+   * The webhook retries on its own; a failure is logged and does not hold back the subscribers.
+   * @param {Array} events - Events that passed the world's filters
+   * @returns {Promise<void>}
+   */
+  async sendToWebhook(events) {
+    if (!this.eventWebhook || events.length === 0) {
+      return;
+    }
+
+    try {
+      const report = await this.eventWebhook.sendNotification(this.composer.renderMessage(events), { world: this.world, events });
+      if (report?.failedCount > 0) {
+        this.logger.error({
+          failed: report.recipients.filter(endpoint => endpoint.status === 'failed').map(endpoint => endpoint.recipient)
+        }, 'Event webhook delivery failed for some endpoints');
+      }
+    } catch (error) {
+      this.logger.error({ error: error.message }, 'Event webhook delivery failed');
+    }
+  }
+
+  /**
+   * Builds the notification context of a message
+   * @param {Array} events - Events the message is rendered from
+   * @param {string|null} locale - Locale the message is rendered in
+   * @returns {import('../ports/i-notifier.js').NotificationContext} Context
+   */
+  contextFor(events, locale) {
+    return { world: this.world, locale, events, render: subset => this.composer.renderMessage(subset, { locale }) };
+  }
+
+  /**
+   * Send notification with retry logic
+   * @param {string} message - Message to send
+   * @param {string[]|null} recipients - Recipients to send to; null uses the notifier's own list
+   * @param {import('../ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../entities/delivery-report.js').DeliveryReport>} Outcome per recipient
+   */
+  async notifyWithRetry(message, recipients = null, context = undefined) {
+    const addressed = recipients || this.notifier.recipients || [];
+    let lastError;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        // Check if notifier is ready, but don't fail completely if not
+        if (!this.notifier.isClientReady()) {
+          this.logger.warn('Notifier not ready, attempting to send anyway');
+          // Continue with the attempt - the notifier might handle it gracefully
+        }
+
+        const report = recipients
+          ? await this.notifier.notifyMany(recipients, message, context)
+          : await this.notifier.sendNotification(message, context);
+        this.logger.info('Notification sent successfully');
+        // Notifiers that don't report per recipient are taken as having delivered to everyone
+        return report?.recipients ? report : uniformDeliveryReport(addressed, 'sent');
+
+      } catch (error) {
+        lastError = error;
+        this.logger.warn({ attempt, error: error.message }, 'Notification attempt failed');
+
+        // If it's a WhatsApp not ready error, don't retry
+        if (error.message.includes('not ready') || error.message.includes('Call init() first')) {
+          this.logger.warn('WhatsApp not ready, skipping retry');
+          return uniformDeliveryReport(addressed, 'failed', error.message);
+        }
+
+        if (attempt < MAX_ATTEMPTS) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+    }
+
+    this.logger.error({ error: lastError.message }, 'All notification attempts failed');
+    throw lastError;
+  }
+}
@@ -0,0 +1,124 @@
+import { directionOf } from '../filters/filter-engine.js';
+
+/**
+ * @typedef {import('../entities/ennoblement-event.js').EnnoblementEvent} EnnoblementEvent
+ */
+
+/**
+ * @typedef {Object} DigestSummary
+ * @description Statistics of the events collected for a digest
+ * @property {number} total - Number of events
+ * @property {string|null} from - Timestamp of the oldest event
+ * @property {string|null} to - Timestamp of the newest event
+ * @property {{tribe: string, gains: number, losses: number, internal: number}|null} home - Balance of the home tribe, null without one
+ * @property {Array<{tribe: string, gains: number, losses: number, count: number}>} tribes - Most active tribes, by conquers made and suffered
+ * @property {Array<{villageName: string|null, coordinates: string, points: number, player: string|null, tribe: string|null}>} villages - Biggest villages taken
+ * @property {Array<{player: string, tribe: string|null, count: number}>} nobles - Players with the most conquers
+ */
+
+/**
+ * Sums up a batch of events for a digest. Barbarian villages and tribeless players
+ * count towards the total but not towards the tribe tally.
+ * @param {EnnoblementEvent[]} events - Events to sum up, in any order
+ * @param {Object} [options] - Summary options
+ * @param {string|null} [options.homeTribe] - Tribe whose gains and losses are reported
+ * @param {number} [options.top] - Length of the tribe, village and noble rankings
+ * @returns {DigestSummary} Summary
+ */
+export function summarizeEvents(events, { homeTribe = null, top = 5 } = {}) {
+  const timestamps = events.map(event => event.timestamp).filter(Boolean).sort();
+
+  return {
+    total: events.length,
+    from: timestamps[0] ?? null,
+    to: timestamps[timestamps.length - 1] ?? null,
+    home: homeTribe ? homeBalance(events, homeTribe) : null,
+    tribes: tribeTally(events).slice(0, top),
+    villages: biggestVillages(events).slice(0, top),
+    nobles: activeNobles(events).slice(0, top)
+  };
+}
+
+/**
+ * @private
+ */
+function homeBalance(events, homeTribe) {
+  const directions = events.map(event => directionOf(event, homeTribe));
+
+  return {
+    tribe: homeTribe,
+    gains: directions.filter(direction => direction === 'gain').length,
+    losses: directions.filter(direction => direction === 'loss').length,
+    internal: directions.filter(direction => direction === 'internal').length
+  };
+}
+
+/**
+ * Conquers made and suffered per tribe, most active first
+ * @private
+ */
+function tribeTally(events) {
+  const tribes = new Map();
+  const entryOf = tribe => {
+    if (!tribes.has(tribe)) {
+      tribes.set(tribe, { tribe, gains: 0, losses: 0, count: 0 });
+    }
+    return tribes.get(tribe);
+  };
+
+  for (const event of events) {
+    if (event.newTribe) {
+      entryOf(event.newTribe).gains++;
+    }
+    if (event.oldTribe && event.oldTribe !== event.newTribe) {
+      entryOf(event.oldTribe).losses++;
+    }
+  }
+
+  return [...tribes.values()]
+    .map(entry => ({ ...entry, count: entry.gains + entry.losses }))
+    .sort((a, b) => b.count - a.count || b.gains - a.gains || a.tribe.localeCompare(b.tribe));
+}
+
+/**
+ * Villages by points, biggest first
+ * @private
+ */
+function biggestVillages(events) {
+  return events
+    .filter(event => Number.isFinite(event.points))
+    .sort((a, b) => b.points - a.points)
+    .map(event => ({
+      villageName: event.villageName ?? null,
+      coordinates: `${event.x}|${event.y}`,
+      points: event.points,
+      player: event.newPlayer ?? null,
+      tribe: event.newTribe ?? null
+    }));
+}
+
+/**
+ * Conquering players by number of conquers, with the tribe of their latest conquer
+ * @private
+ */
+function activeNobles(events) {
+  const nobles = new Map();
+
+  for (const event of events) {
+    if (!event.newPlayer) {
+      continue;
+    }
+
+    const noble = nobles.get(event.newPlayer) ?? { player: event.newPlayer, tribe: null, count: 0, latest: '' };
+    noble.count++;
+    if ((event.timestamp ?? '') >= noble.latest) {
+      noble.tribe = event.newTribe ?? null;
+      noble.latest = event.timestamp ?? '';
+    }
+    nobles.set(event.newPlayer, noble);
+  }
+
+  return [...nobles.values()]
+    .sort((a, b) => b.count - a.count || a.player.localeCompare(b.player))
+    .map(({ latest, ...noble }) => noble);
+}
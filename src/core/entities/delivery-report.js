@@ -0,0 +1,68 @@
+import { parseRecipient } from './recipient.js';
+
+/**
+ * @typedef {Object} RecipientDelivery
+ * @description Outcome of sending one message to one recipient
+ * @property {string} recipient - Recipient as configured (e.g. "905551234567", "telegram:-100123")
+ * @property {string} channel - Channel the recipient belongs to
+ * @property {'sent'|'failed'} status - Whether the channel accepted the message
+ * @property {string|null} messageId - Message ID assigned by the channel, when it returns one
+ * @property {string|null} error - Reason of the failure
+ * @property {string|null} [fallback] - Channel that delivered the message instead, for failed recipients
+ */
+
+/**
+ * @typedef {Object} DeliveryReport
+ * @description Per-recipient outcome of a notifyMany or sendNotification call
+ * @property {RecipientDelivery[]} recipients - Outcome per recipient
+ * @property {number} sentCount - Recipients the message was sent to
+ * @property {number} failedCount - Recipients the message could not be sent to
+ */
+
+/**
+ * Builds a delivery report from per-recipient outcomes
+ * @param {RecipientDelivery[]} [recipients] - Outcome per recipient
+ * @returns {DeliveryReport} Report
+ */
+export function createDeliveryReport(recipients = []) {
+  const sentCount = recipients.filter(delivery => delivery.status === 'sent').length;
+  return { recipients, sentCount, failedCount: recipients.length - sentCount };
+}
+
+/**
+ * Builds a report in which every recipient shares one outcome, for notifiers that
+ * don't report per recipient and for failures that hit the whole message
+ * @param {string[]} recipients - Recipients as configured
+ * @param {'sent'|'failed'} status - Shared outcome
+ * @param {string|null} [error] - Shared failure reason
+ * @returns {DeliveryReport} Report
+ */
+export function uniformDeliveryReport(recipients, status, error = null) {
+  return createDeliveryReport(recipients.map(recipient => ({
+    recipient,
+    channel: parseRecipient(recipient)?.channel ?? 'whatsapp',
+    status,
+    messageId: null,
+    error
+  })));
+}
+
+/**
+ * Combines several reports (e.g. one per message) into one
+ * @param {Array<DeliveryReport|null|undefined>} reports - Reports to combine
+ * @returns {DeliveryReport} Combined report
+ */
+export function mergeDeliveryReports(reports) {
+  return createDeliveryReport(reports.flatMap(report => report?.recipients || []));
+}
+
+/**
+ * Recipients that did not get the message, neither directly nor through a fallback channel
+ * @param {DeliveryReport|null|undefined} report - Delivery report
+ * @returns {string[]} Recipients to retry
+ */
+export function undeliveredRecipients(report) {
+  return (report?.recipients || [])
+    .filter(delivery => delivery.status === 'failed' && !delivery.fallback)
+    .map(delivery => delivery.recipient);
+}
@@ -1,6 +1,9 @@
+import { createHash } from 'crypto';
+
 /**
  * @typedef {Object} EnnoblementEvent
  * @description Represents an ennoblement event from Tribal Wars
+ * @property {string} id - Stable identity derived from the event's content (see eventId())
  * @property {string} villageName - Name of the village
  * @property {number} x - X coordinate
  * @property {number} y - Y coordinate
@@ -10,7 +13,14 @@
  * @property {string|null} oldTribe - Previous owner tribe name or null
  * @property {string} newPlayer - New owner player name
  * @property {string|null} newTribe - New owner tribe name or null
- * @property {string} timestamp - ISO timestamp string
+ * @property {number|null} villageId - TWStats village ID, or null when the page doesn't link it
+ * @property {number|null} oldPlayerId - TWStats ID of the previous owner, or null (e.g. barbarian villages)
+ * @property {number|null} oldTribeId - TWStats ID of the previous owner's tribe, or null
+ * @property {number|null} newPlayerId - TWStats ID of the new owner, or null
+ * @property {number|null} newTribeId - TWStats ID of the new owner's tribe, or null
+ * @property {string} timestamp - Wall-clock time in the world's time zone, "YYYY-MM-DD - HH:MM:SS" (see timestamp.js)
+ * @property {number|null} epochMs - The same time as milliseconds since the Unix epoch (UTC); null for events stored before it was recorded
+ * @property {string[]} [zones] - Names of the geofence zones the village lies in (set when filtering)
  */
 
 /**
@@ -25,11 +35,18 @@
  * @param {string|null} data.oldTribe
  * @param {string} data.newPlayer
  * @param {string|null} data.newTribe
+ * @param {number|null} [data.villageId]
+ * @param {number|null} [data.oldPlayerId]
+ * @param {number|null} [data.oldTribeId]
+ * @param {number|null} [data.newPlayerId]
+ * @param {number|null} [data.newTribeId]
  * @param {string} data.timestamp
+ * @param {number|null} [data.epochMs]
  * @returns {EnnoblementEvent}
  */
 export function createEnnoblementEvent(data) {
   return {
+    id: eventId(data),
     villageName: data.villageName,
     x: data.x,
     y: data.y,
@@ -39,6 +56,23 @@ export function createEnnoblementEvent(data) {
     oldTribe: data.oldTribe,
     newPlayer: data.newPlayer,
     newTribe: data.newTribe,
-    timestamp: data.timestamp
+    villageId: data.villageId ?? null,
+    oldPlayerId: data.oldPlayerId ?? null,
+    oldTribeId: data.oldTribeId ?? null,
+    newPlayerId: data.newPlayerId ?? null,
+    newTribeId: data.newTribeId ?? null,
+    timestamp: data.timestamp,
+    epochMs: data.epochMs ?? null
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Derives the identity of a conquer from the village, its old and new owner and the time.
+ * The same row scraped again gets the same ID, while two conquers in the same second differ.
+ * @param {Object} event - Event data; an `id` it already has is ignored
+ * @returns {string} 16 hex characters
+ */
+export function eventId(event) {
+  const identity = [event.x, event.y, event.oldPlayer ?? null, event.newPlayer ?? null, event.timestamp];
+  return createHash('sha256').update(JSON.stringify(identity)).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,69 @@
+/**
+ * @typedef {Object} Recipient
+ * @description Notification target: a WhatsApp contact or group, a Telegram chat, a Discord webhook or an email address
+ * @property {'whatsapp'|'telegram'|'discord'|'email'} channel - Channel the recipient is reached on
+ * @property {'contact'|'group'|'chat'|'webhook'|'address'} kind - Target kind
+ * @property {string|null} id - Phone number (contact), group ID ending in "@g.us" (group), Telegram chat ID (chat), webhook name (webhook) or email address (address)
+ * @property {string|null} groupName - Group name to resolve from the chat list, when no group ID is given
+ */
+
+export const GROUP_NAME_PREFIX = 'group:';
+export const TELEGRAM_PREFIX = 'telegram:';
+export const DISCORD_PREFIX = 'discord:';
+export const EMAIL_PREFIX = 'email:';
+
+const CONTACT_PATTERN = /^(90\d{10})(@c\.us)?$/;
+const GROUP_ID_PATTERN = /^[\d-]+@g\.us$/;
+const TELEGRAM_CHAT_PATTERN = /^(-?\d+|@[A-Za-z][A-Za-z0-9_]{4,})$/;
+const WEBHOOK_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parses a configured recipient. Accepted forms:
+ * - `905551234567` or `905551234567@c.us` - WhatsApp contact (Turkish phone number)
+ * - `120363012345678901@g.us` - WhatsApp group by ID
+ * - `group:Tribe Council` - WhatsApp group by name, resolved from the chat list
+ * - `telegram:-1001234567890` or `telegram:@channel` - Telegram chat ID or public channel
+ * - `discord:council` - Discord webhook by configured name
+ * - `email:duke@example.com` - Email address
+ * @param {string} value - Recipient as configured
+ * @returns {Recipient|null} Parsed recipient, or null if the value is not a valid recipient
+ */
+export function parseRecipient(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  const contact = trimmed.match(CONTACT_PATTERN);
+  if (contact) {
+    return { channel: 'whatsapp', kind: 'contact', id: contact[1], groupName: null };
+  }
+
+  if (GROUP_ID_PATTERN.test(trimmed)) {
+    return { channel: 'whatsapp', kind: 'group', id: trimmed, groupName: null };
+  }
+
+  if (trimmed.startsWith(GROUP_NAME_PREFIX)) {
+    const groupName = trimmed.slice(GROUP_NAME_PREFIX.length).trim();
+    return groupName ? { channel: 'whatsapp', kind: 'group', id: null, groupName } : null;
+  }
+
+  if (trimmed.startsWith(TELEGRAM_PREFIX)) {
+    const chatId = trimmed.slice(TELEGRAM_PREFIX.length).trim();
+    return TELEGRAM_CHAT_PATTERN.test(chatId) ? { channel: 'telegram', kind: 'chat', id: chatId, groupName: null } : null;
+  }
+
+  if (trimmed.startsWith(DISCORD_PREFIX)) {
+    const name = trimmed.slice(DISCORD_PREFIX.length).trim();
+    return WEBHOOK_NAME_PATTERN.test(name) ? { channel: 'discord', kind: 'webhook', id: name, groupName: null } : null;
+  }
+
+  if (trimmed.startsWith(EMAIL_PREFIX)) {
+    const address = trimmed.slice(EMAIL_PREFIX.length).trim();
+    return EMAIL_ADDRESS_PATTERN.test(address) ? { channel: 'email', kind: 'address', id: address.toLowerCase(), groupName: null } : null;
+  }
+
+  return null;
+}
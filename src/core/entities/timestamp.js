@@ -0,0 +1,130 @@
+/**
+ * @typedef {Object} Timestamp
+ * @description Point in time of an event, with the wall-clock time it is shown as
+ * @property {number} epochMs - Milliseconds since the Unix epoch (UTC)
+ * @property {string} timeZone - IANA time zone of the wall-clock time
+ * @property {string} local - Wall-clock time in that zone, "YYYY-MM-DD - HH:MM:SS" like TWStats prints it
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Absolute times (ISO 8601 with "Z" or an offset) don't depend on the world's time zone
+const ABSOLUTE_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+// Wall-clock layouts TWStats has printed; the date and time may be separated by spaces, "-" or "T",
+// and text around them (e.g. a relative "2 hours ago") is ignored
+const WALL_CLOCK_PATTERNS = [
+  { pattern: /(?<![\d.\/-])(\d{4})-(\d{1,2})-(\d{1,2})(?:\s*-\s*|\s+|T)(\d{1,2}):(\d{2})(?::(\d{2}))?(?![\d:])/, order: ['year', 'month', 'day'] },
+  { pattern: /(?<![\d.\/-])(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s*-\s*|\s+)(\d{1,2}):(\d{2})(?::(\d{2}))?(?![\d:])/, order: ['day', 'month', 'year'] },
+  { pattern: /(?<![\d.\/-])(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s*-\s*|\s+)(\d{1,2}):(\d{2})(?::(\d{2}))?(?![\d:])/, order: ['day', 'month', 'year'] }
+];
+
+const formatters = new Map();
+
+/**
+ * Creates a timestamp from a point in time
+ * @param {number} epochMs - Milliseconds since the Unix epoch (UTC)
+ * @param {string} [timeZone] - IANA time zone the wall-clock time is shown in
+ * @returns {Timestamp} Timestamp
+ */
+export function createTimestamp(epochMs, timeZone = 'UTC') {
+  const fields = wallClockOf(epochMs, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return Object.freeze({
+    epochMs,
+    timeZone,
+    local: `${pad(fields.year, 4)}-${pad(fields.month)}-${pad(fields.day)} - ${pad(fields.hour)}:${pad(fields.minute)}:${pad(fields.second)}`
+  });
+}
+
+/**
+ * Parses a timestamp in any layout TWStats prints. Wall-clock times are read in the given
+ * time zone: a time skipped by a daylight saving change moves forward by the gap, and a
+ * time repeated by one is taken as its first occurrence.
+ * @param {string|null|undefined} value - Timestamp text, e.g. "2025-08-02 - 18:08:12" or "02.08.2025 18:08"
+ * @param {string} [timeZone] - IANA time zone of wall-clock times
+ * @returns {Timestamp|null} Timestamp, or null when the value is not a valid timestamp
+ */
+export function parseTimestamp(value, timeZone = 'UTC') {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  // Table cells may contain non-breaking spaces and line breaks
+  const text = value.replace(/\s+/g, ' ').trim();
+
+  if (ABSOLUTE_PATTERN.test(text)) {
+    const epochMs = Date.parse(text.replace(' ', 'T'));
+    return Number.isNaN(epochMs) ? null : createTimestamp(epochMs, timeZone);
+  }
+
+  for (const { pattern, order } of WALL_CLOCK_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const [first, second, third, hour, minute, seconds = '0'] = match.slice(1);
+      const date = Object.fromEntries(order.map((field, index) => [field, Number([first, second, third][index])]));
+      const fields = { ...date, hour: Number(hour), minute: Number(minute), second: Number(seconds) };
+      return isValidWallClock(fields) ? createTimestamp(epochOfWallClock(fields, timeZone), timeZone) : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to epoch milliseconds. The zone's offsets a day
+ * before and after are tried, so times around a daylight saving change resolve as well.
+ * @private
+ */
+function epochOfWallClock(fields, timeZone) {
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const candidates = [wall - offsetAt(wall - DAY, timeZone), wall - offsetAt(wall + DAY, timeZone)];
+  const valid = candidates.filter(epochMs => epochMs + offsetAt(epochMs, timeZone) === wall);
+
+  // Skipped times keep the offset before the change, which moves them forward by the gap
+  return valid.length > 0 ? Math.min(...valid) : candidates[0];
+}
+
+/**
+ * Offset of a time zone from UTC at a point in time, in milliseconds
+ * @private
+ */
+function offsetAt(epochMs, timeZone) {
+  const fields = wallClockOf(epochMs, timeZone);
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wall - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Wall-clock fields of a point in time in a time zone
+ * @private
+ */
+function wallClockOf(epochMs, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = formatters.get(timeZone).formatToParts(new Date(epochMs));
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Rejects dates that don't exist (e.g. 31.02.) and times out of range
+ * @private
+ */
+function isValidWallClock({ year, month, day, hour, minute, second }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    hour < 24 && minute < 60 && second < 60;
+}
@@ -0,0 +1,59 @@
+/**
+ * @typedef {import('./filter-engine.js').FilterRule} FilterRule
+ */
+
+/**
+ * @typedef {Object} FilterDefinition
+ * @description Named, stored filter rule that can be switched on and off
+ * @property {string} id - Unique identifier
+ * @property {string} name - Human readable name (e.g. "Frontline K45")
+ * @property {boolean} enabled - Whether the rule takes part in filtering
+ * @property {FilterRule} rule - Declarative filter rule
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of last change
+ */
+
+export const DEFAULT_FILTER_ID = 'default';
+
+/**
+ * Resolves the filter definitions in effect. Until filters have been saved once,
+ * the configured FILTER_RULE acts as a single enabled definition.
+ * @param {FilterDefinition[]|null} stored - Definitions from the state store, null if never saved
+ * @param {FilterRule|null} fallbackRule - Rule from configuration
+ * @returns {FilterDefinition[]} Definitions in effect
+ */
+export function resolveFilterDefinitions(stored, fallbackRule) {
+  if (Array.isArray(stored)) {
+    return stored;
+  }
+
+  if (!fallbackRule) {
+    return [];
+  }
+
+  return [{
+    id: DEFAULT_FILTER_ID,
+    name: 'FILTER_RULE',
+    enabled: true,
+    rule: fallbackRule,
+    createdAt: null,
+    updatedAt: null
+  }];
+}
+
+/**
+ * Combines enabled definitions into one rule; an event passes if any enabled rule matches
+ * @param {FilterDefinition[]} definitions - Filter definitions
+ * @returns {FilterRule|null} Combined rule, or null when nothing is enabled (no filtering)
+ */
+export function combineFilterDefinitions(definitions) {
+  const rules = definitions
+    .filter(definition => definition.enabled)
+    .map(definition => definition.rule);
+
+  if (rules.length === 0) {
+    return null;
+  }
+
+  return rules.length === 1 ? rules[0] : { type: 'or', rules };
+}
\ No newline at end of file
@@ -0,0 +1,362 @@
+import { isInsideCircle, isInsidePolygon } from './geofence.js';
+
+/**
+ * @typedef {import('../entities/ennoblement-event.js').EnnoblementEvent} EnnoblementEvent
+ */
+
+/**
+ * @typedef {Object} FilterRule
+ * @description Declarative, JSON-serializable filter rule. The `type` field selects the rule kind:
+ * - `tribe`     { tribes?: string[], ids?: number[], side?: 'any'|'old'|'new' } (names or TWStats IDs, at least one list)
+ * - `player`    { players?: string[], ids?: number[], side?: 'any'|'old'|'new' }
+ * - `rectangle` { minX?, maxX?, minY?, maxY? } (inclusive bounds)
+ * - `continent` { continents: (string|number)[] } (e.g. "K45" or 45)
+ * - `points`    { min?, max? } (inclusive bounds)
+ * - `direction` { tribe?: string, tribeId?: number, direction: 'gain'|'loss'|'internal' } (tribe name or TWStats ID)
+ * - `circle`    { name: string, center: {x, y}, radius: number } (radius in fields)
+ * - `polygon`   { name: string, points: {x, y}[] } (at least 3 vertices)
+ * - `and` / `or` { rules: FilterRule[] }
+ * - `not`       { rule: FilterRule }
+ */
+
+export const FILTER_RULE_TYPES = Object.freeze([
+  'tribe',
+  'player',
+  'rectangle',
+  'continent',
+  'points',
+  'direction',
+  'circle',
+  'polygon',
+  'and',
+  'or',
+  'not'
+]);
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+const SIDES = ['any', 'old', 'new'];
+const DIRECTIONS = ['gain', 'loss', 'internal'];
+
+/**
+ * Compiles a filter rule into a predicate function
+ * @param {FilterRule} rule - Rule to compile
+ * @returns {(event: EnnoblementEvent) => boolean} Predicate returning true for matching events
+ * @throws {Error} When the rule is malformed
+ */
+export function compileFilter(rule) {
+  return compileRule(rule, 'rule');
+}
+
+/**
+ * Checks whether a single event matches a filter rule
+ * @param {FilterRule} rule - Rule to evaluate
+ * @param {EnnoblementEvent} event - Event to test
+ * @returns {boolean} True if the event matches
+ * @throws {Error} When the rule is malformed
+ */
+export function matchesFilter(rule, event) {
+  return compileFilter(rule)(event);
+}
+
+/**
+ * Returns the events matching a filter rule; a null rule matches everything
+ * @param {FilterRule|null} rule - Rule to apply
+ * @param {EnnoblementEvent[]} events - Events to filter
+ * @returns {EnnoblementEvent[]} Matching events, in original order
+ * @throws {Error} When the rule is malformed
+ */
+export function applyFilter(rule, events) {
+  if (!rule) {
+    return events;
+  }
+
+  return events.filter(compileFilter(rule));
+}
+
+/**
+ * Compiles a function listing the named geofence zones an event lies in.
+ * Only geofences that can make an event match are considered, i.e. those not nested under `not`.
+ * @param {FilterRule} rule - Rule to inspect
+ * @returns {((event: EnnoblementEvent) => string[])|null} Zone collector, or null if the rule has no geofences
+ * @throws {Error} When the rule is malformed
+ */
+export function compileZoneCollector(rule) {
+  const zones = [];
+  collectGeofences(rule, 'rule', zones);
+
+  if (zones.length === 0) {
+    return null;
+  }
+
+  return event => [...new Set(zones.filter(zone => zone.contains(event)).map(zone => zone.name))];
+}
+
+/**
+ * Derives the continent identifier (e.g. "K45") from village coordinates
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {string} Continent identifier
+ */
+export function continentOf(x, y) {
+  return `K${Math.floor(y / 100)}${Math.floor(x / 100)}`;
+}
+
+/**
+ * Compiles one rule node, recursing into combinators
+ * @param {FilterRule} rule - Rule node
+ * @param {string} path - Location of the node, used in error messages
+ * @returns {(event: EnnoblementEvent) => boolean} Predicate
+ */
+function compileRule(rule, path) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Invalid filter at ${path}: rule must be an object`);
+  }
+
+  switch (rule.type) {
+    case 'tribe':
+      return compileNameRule(rule, path, 'tribes', event => [event.oldTribe, event.newTribe], event => [event.oldTribeId, event.newTribeId]);
+    case 'player':
+      return compileNameRule(rule, path, 'players', event => [event.oldPlayer, event.newPlayer], event => [event.oldPlayerId, event.newPlayerId]);
+    case 'rectangle':
+      return compileRectangleRule(rule, path);
+    case 'continent':
+      return compileContinentRule(rule, path);
+    case 'points': {
+      const inRange = compileRange(rule.min, rule.max, path);
+      return event => inRange(event.points);
+    }
+    case 'direction':
+      return compileDirectionRule(rule, path);
+    case 'circle':
+    case 'polygon':
+      return compileGeofenceRule(rule, path);
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(rule.rules) || rule.rules.length === 0) {
+        throw new Error(`Invalid filter at ${path}: "${rule.type}" requires a non-empty rules array`);
+      }
+      const predicates = rule.rules.map((child, index) => compileRule(child, `${path}.rules[${index}]`));
+      return rule.type === 'and'
+        ? event => predicates.every(predicate => predicate(event))
+        : event => predicates.some(predicate => predicate(event));
+    }
+    case 'not': {
+      const predicate = compileRule(rule.rule, `${path}.rule`);
+      return event => !predicate(event);
+    }
+    default:
+      throw new Error(`Invalid filter at ${path}: unknown rule type "${rule.type}"`);
+  }
+}
+
+/**
+ * Compiles a tribe/player rule; names are compared case-insensitively, and TWStats IDs
+ * keep matching after a rename
+ * @private
+ */
+function compileNameRule(rule, path, field, pickNames, pickIds) {
+  const { [field]: names, ids, side = 'any' } = rule;
+  if (names === undefined && ids === undefined) {
+    throw new Error(`Invalid filter at ${path}: ${field} must be a non-empty array unless ids are given`);
+  }
+  if (names !== undefined && (!Array.isArray(names) || names.length === 0)) {
+    throw new Error(`Invalid filter at ${path}: ${field} must be a non-empty array`);
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(isTwstatsId))) {
+    throw new Error(`Invalid filter at ${path}: ids must be a non-empty array of positive integers`);
+  }
+  if (!SIDES.includes(side)) {
+    throw new Error(`Invalid filter at ${path}: side must be one of ${SIDES.join(', ')}`);
+  }
+
+  const wantedNames = new Set((names || []).map(normalizeName));
+  const wantedIds = new Set(ids || []);
+
+  return event => {
+    const [oldName, newName] = pickNames(event).map(normalizeName);
+    const [oldId, newId] = pickIds(event);
+    const oldMatch = (oldName !== null && wantedNames.has(oldName)) || (isTwstatsId(oldId) && wantedIds.has(oldId));
+    const newMatch = (newName !== null && wantedNames.has(newName)) || (isTwstatsId(newId) && wantedIds.has(newId));
+
+    if (side === 'old') return oldMatch;
+    if (side === 'new') return newMatch;
+    return oldMatch || newMatch;
+  };
+}
+
+/**
+ * Compiles a coordinate rectangle rule with inclusive bounds
+ * @private
+ */
+function compileRectangleRule(rule, path) {
+  const { minX, maxX, minY, maxY } = rule;
+  if ([minX, maxX, minY, maxY].every(bound => bound === undefined)) {
+    throw new Error(`Invalid filter at ${path}: rectangle needs at least one bound`);
+  }
+
+  const xInRange = compileRange(minX, maxX, path);
+  const yInRange = compileRange(minY, maxY, path);
+  return event => xInRange(event.x) && yInRange(event.y);
+}
+
+/**
+ * Compiles a continent rule, accepting "K45", "k45" or 45
+ * @private
+ */
+function compileContinentRule(rule, path) {
+  if (!Array.isArray(rule.continents) || rule.continents.length === 0) {
+    throw new Error(`Invalid filter at ${path}: continents must be a non-empty array`);
+  }
+
+  const wanted = new Set(rule.continents.map(continent => {
+    const match = String(continent).trim().match(/^k?(\d{1,2})$/i);
+    if (!match) {
+      throw new Error(`Invalid filter at ${path}: "${continent}" is not a continent`);
+    }
+    return `K${match[1].padStart(2, '0')}`;
+  }));
+
+  return event => {
+    // The scraper reports "Unknown" when the K-suffix is missing, so fall back to coordinates
+    const continent = /^K\d{2}$/.test(event.continent) ? event.continent : continentOf(event.x, event.y);
+    return wanted.has(continent);
+  };
+}
+
+/**
+ * Classifies a conquer from a tribe's point of view (case-insensitive)
+ * @param {EnnoblementEvent} event - Event to classify
+ * @param {string|number} tribe - Tribe name, or its TWStats ID
+ * @returns {'gain'|'loss'|'internal'|null} Direction, or null when the tribe is not involved
+ */
+export function directionOf(event, tribe) {
+  let fromTribe;
+  let toTribe;
+
+  if (isTwstatsId(tribe)) {
+    fromTribe = event.oldTribeId === tribe;
+    toTribe = event.newTribeId === tribe;
+  } else {
+    const normalizedTribe = normalizeName(tribe);
+    if (!normalizedTribe) {
+      return null;
+    }
+
+    fromTribe = normalizeName(event.oldTribe) === normalizedTribe;
+    toTribe = normalizeName(event.newTribe) === normalizedTribe;
+  }
+
+  if (fromTribe && toTribe) return 'internal';
+  if (toTribe) return 'gain';
+  if (fromTribe) return 'loss';
+  return null;
+}
+
+/**
+ * Compiles a gain/loss/internal rule from the given tribe's point of view
+ * @private
+ */
+function compileDirectionRule(rule, path) {
+  if (rule.tribeId !== undefined && !isTwstatsId(rule.tribeId)) {
+    throw new Error(`Invalid filter at ${path}: tribeId must be a positive integer`);
+  }
+  if (rule.tribeId === undefined && (typeof rule.tribe !== 'string' || rule.tribe.trim() === '')) {
+    throw new Error(`Invalid filter at ${path}: direction requires a tribe`);
+  }
+  if (!DIRECTIONS.includes(rule.direction)) {
+    throw new Error(`Invalid filter at ${path}: direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+
+  const tribe = rule.tribeId ?? rule.tribe;
+  return event => directionOf(event, tribe) === rule.direction;
+}
+
+/**
+ * Compiles a named circle or polygon geofence
+ * @private
+ */
+function compileGeofenceRule(rule, path) {
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    throw new Error(`Invalid filter at ${path}: ${rule.type} requires a zone name`);
+  }
+
+  if (rule.type === 'circle') {
+    const center = validateCoordinate(rule.center, `${path}.center`);
+    if (!Number.isFinite(rule.radius) || rule.radius < 0) {
+      throw new Error(`Invalid filter at ${path}: radius must be a non-negative number`);
+    }
+    return event => isInsideCircle(event, center, rule.radius);
+  }
+
+  if (!Array.isArray(rule.points) || rule.points.length < 3) {
+    throw new Error(`Invalid filter at ${path}: polygon needs at least 3 points`);
+  }
+  const polygon = rule.points.map((point, index) => validateCoordinate(point, `${path}.points[${index}]`));
+  return event => isInsidePolygon(event, polygon);
+}
+
+/**
+ * Walks a rule tree and compiles the geofences outside `not` branches
+ * @private
+ */
+function collectGeofences(rule, path, zones) {
+  if (!rule || typeof rule !== 'object') {
+    return;
+  }
+
+  if (GEOFENCE_TYPES.includes(rule.type)) {
+    zones.push({ name: rule.name.trim(), contains: compileGeofenceRule(rule, path) });
+  } else if (rule.type === 'and' || rule.type === 'or') {
+    (rule.rules || []).forEach((child, index) => collectGeofences(child, `${path}.rules[${index}]`, zones));
+  }
+}
+
+/**
+ * Validates an {x, y} coordinate object
+ * @private
+ */
+function validateCoordinate(coordinate, path) {
+  if (!coordinate || !Number.isFinite(coordinate.x) || !Number.isFinite(coordinate.y)) {
+    throw new Error(`Invalid filter at ${path}: coordinate must be an object with numeric x and y`);
+  }
+
+  return { x: coordinate.x, y: coordinate.y };
+}
+
+/**
+ * Compiles an inclusive numeric range check; missing bounds are open
+ * @private
+ */
+function compileRange(min, max, path) {
+  for (const bound of [min, max]) {
+    if (bound !== undefined && !Number.isFinite(bound)) {
+      throw new Error(`Invalid filter at ${path}: bounds must be numbers`);
+    }
+  }
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new Error(`Invalid filter at ${path}: min must not exceed max`);
+  }
+
+  return value => (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+/**
+ * Normalizes a tribe/player name for comparison; the scraper sometimes yields the string "null"
+ * @private
+ */
+function normalizeName(name) {
+  if (name === null || name === undefined) {
+    return null;
+  }
+
+  const normalized = String(name).trim().toLowerCase();
+  return normalized === '' || normalized === 'null' ? null : normalized;
+}
+
+/**
+ * Whether a value is a TWStats ID (a positive integer)
+ * @private
+ */
+function isTwstatsId(value) {
+  return Number.isInteger(value) && value > 0;
+}
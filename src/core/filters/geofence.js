@@ -0,0 +1,68 @@
+/**
+ * @typedef {Object} Coordinate
+ * @property {number} x - X coordinate
+ * @property {number} y - Y coordinate
+ */
+
+/**
+ * Tribal Wars field distance between two villages (straight line, in fields)
+ * @param {Coordinate} a - First coordinate
+ * @param {Coordinate} b - Second coordinate
+ * @returns {number} Distance in fields
+ */
+export function distanceBetween(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Checks whether a coordinate lies within a radius around a center (inclusive)
+ * @param {Coordinate} point - Coordinate to test
+ * @param {Coordinate} center - Circle center
+ * @param {number} radius - Radius in fields
+ * @returns {boolean} True if inside or on the edge
+ */
+export function isInsideCircle(point, center, radius) {
+  return distanceBetween(point, center) <= radius;
+}
+
+/**
+ * Checks whether a coordinate lies inside a polygon; points on an edge count as inside
+ * @param {Coordinate} point - Coordinate to test
+ * @param {Coordinate[]} polygon - Polygon vertices in order (at least 3)
+ * @returns {boolean} True if inside or on the boundary
+ */
+export function isInsidePolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if (isOnSegment(point, a, b)) {
+      return true;
+    }
+
+    // Ray casting: count edges crossed by a horizontal ray going right from the point
+    const crosses = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Checks whether a point lies on the segment between a and b
+ * @private
+ */
+function isOnSegment(point, a, b) {
+  const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+  if (cross !== 0) {
+    return false;
+  }
+
+  return point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x) &&
+    point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y);
+}
@@ -0,0 +1,92 @@
+/**
+ * Message catalogs by locale. Keys missing from a catalog fall back to the default locale;
+ * `{name}` marks a parameter.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const CATALOGS = {
+  tr: {
+    'event.unknownVillage': 'Bilinmeyen Köy',
+    'event.unknownPlayer': 'Bilinmeyen',
+    'event.noTribe': 'null',
+    'event.unknownTime': 'Bilinmeyen Zaman',
+    'event.coordinates': 'Koordinat',
+    'event.zone': 'Bölge',
+    'event.delayed': 'Gecikmeli bildirim',
+    'message.newEvents': '{count} Yeni Köy Eventi Bulundu!',
+    'message.moreEvents': '➕ {count} köy eventi daha',
+    'message.noEvents': 'Yeni köy eventi bulunamadı.',
+    'digest.title': '📊 Köy Eventi Özeti: {count} fetih',
+    'digest.gains': 'kazanç',
+    'digest.losses': 'kayıp',
+    'digest.tribes': 'Klanlar',
+    'digest.villages': 'En Büyük Köyler',
+    'digest.nobles': 'En Aktif Soylular',
+    'digest.points': 'puan',
+    'email.subject': '{count} yeni köy eventi',
+    'email.defaultSubject': 'TWStats bildirimi',
+    'discord.newEvents': '{count} yeni fetih',
+    'discord.points': 'Puan',
+    'discord.oldOwner': 'Eski sahip',
+    'discord.newOwner': 'Yeni sahip'
+  },
+  en: {
+    'event.unknownVillage': 'Unknown village',
+    'event.unknownPlayer': 'Unknown',
+    'event.noTribe': 'no tribe',
+    'event.unknownTime': 'Unknown time',
+    'event.coordinates': 'Coordinates',
+    'event.zone': 'Zone',
+    'event.delayed': 'Delayed notification',
+    'message.newEvents': '{count} new conquers found!',
+    'message.moreEvents': '➕ {count} more conquers',
+    'message.noEvents': 'No new ennoblement events found.',
+    'digest.title': '📊 Conquer digest: {count} conquers',
+    'digest.gains': 'gained',
+    'digest.losses': 'lost',
+    'digest.tribes': 'Tribes',
+    'digest.villages': 'Biggest villages',
+    'digest.nobles': 'Most active nobles',
+    'digest.points': 'points',
+    'email.subject': '{count} new conquers',
+    'email.defaultSubject': 'TWStats notification',
+    'discord.newEvents': '{count} new conquers',
+    'discord.points': 'Points',
+    'discord.oldOwner': 'Old owner',
+    'discord.newOwner': 'New owner'
+  },
+  de: {
+    'event.unknownVillage': 'Unbekanntes Dorf',
+    'event.unknownPlayer': 'Unbekannt',
+    'event.noTribe': 'kein Stamm',
+    'event.unknownTime': 'Unbekannte Zeit',
+    'event.coordinates': 'Koordinaten',
+    'event.zone': 'Zone',
+    'event.delayed': 'Verspätete Meldung',
+    'message.newEvents': '{count} neue Adelungen gefunden!',
+    'message.moreEvents': '➕ {count} weitere Adelungen',
+    'message.noEvents': 'Keine neuen Adelungen gefunden.',
+    'digest.title': '📊 Adelungs-Übersicht: {count} Adelungen',
+    'digest.gains': 'gewonnen',
+    'digest.losses': 'verloren',
+    'digest.tribes': 'Stämme',
+    'digest.villages': 'Größte Dörfer',
+    'digest.nobles': 'Aktivste Adler',
+    'digest.points': 'Punkte',
+    'email.subject': '{count} neue Adelungen',
+    'email.defaultSubject': 'TWStats-Meldung',
+    'discord.newEvents': '{count} neue Adelungen',
+    'discord.points': 'Punkte',
+    'discord.oldOwner': 'Alter Besitzer',
+    'discord.newOwner': 'Neuer Besitzer'
+  }
+};
+
+/**
+ * Supported locales
+ */
+export const LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Locale used when none is configured
+ */
+export const DEFAULT_LOCALE = 'tr';
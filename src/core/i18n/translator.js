@@ -0,0 +1,63 @@
+import { CATALOGS, DEFAULT_LOCALE } from './catalogs.js';
+import { parseTimestamp } from '../entities/timestamp.js';
+
+/**
+ * @typedef {Object} Translator
+ * @property {string} locale - Locale in use; the fallback locale when the requested one is unknown
+ * @property {(key: string, params?: Object) => string} t - Looks a message up, filling in `{name}` parameters
+ * @property {(value: number) => string} formatNumber - Formats a number (e.g. 9.500 in Turkish, 9,500 in English)
+ * @property {(value: string) => string} formatTimestamp - Formats an event timestamp; unparseable values are returned as is
+ */
+
+/**
+ * Creates a translator for a locale. Keys missing from its catalog are taken from the
+ * fallback locale, and the key itself is returned when neither has it.
+ * @param {string|null|undefined} locale - Requested locale
+ * @param {Object} [options] - Translator options
+ * @param {string} [options.fallbackLocale] - Locale used for unknown locales and missing keys
+ * @param {Object<string, Object<string, string>>} [options.catalogs] - Message catalogs by locale
+ * @returns {Translator} Translator
+ */
+export function createTranslator(locale, { fallbackLocale = DEFAULT_LOCALE, catalogs = CATALOGS } = {}) {
+  const resolved = locale && catalogs[locale] ? locale : fallbackLocale;
+  const numberFormat = new Intl.NumberFormat(resolved);
+  const dateFormat = new Intl.DateTimeFormat(resolved, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZone: 'UTC'
+  });
+
+  return {
+    locale: resolved,
+
+    t(key, params = {}) {
+      const message = catalogs[resolved]?.[key] ?? catalogs[fallbackLocale]?.[key] ?? key;
+      return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    },
+
+    formatNumber(value) {
+      return numberFormat.format(value);
+    },
+
+    formatTimestamp(value) {
+      const date = parseEventTimestamp(value);
+      return date ? dateFormat.format(date) : value;
+    }
+  };
+}
+
+/**
+ * Reads an event timestamp as a date whose UTC fields hold the wall-clock time shown by TWStats,
+ * so formatting doesn't shift it into the server's time zone
+ * @param {string} value - Timestamp in any layout TWStats prints, or ISO 8601
+ * @returns {Date|null} Date, or null when the value is not a timestamp
+ * @private
+ */
+function parseEventTimestamp(value) {
+  const parsed = parseTimestamp(value, 'UTC');
+  return parsed ? new Date(parsed.epochMs) : null;
+}
@@ -0,0 +1,175 @@
+import pino from 'pino';
+import { eventId } from '../entities/ennoblement-event.js';
+import { dateOfTimestamp, findUnseenEvents, findEventsAfter, createCatchUpStop } from './new-events.js';
+
+const logger = pino({ name: 'event-tracker' });
+
+/**
+ * @typedef {Object} Progress
+ * @description What was processed of a world so far
+ * @property {string[]|null} seenIds - IDs of the events processed so far; null before the first run or for older state
+ * @property {string|null} lastProcessedTimestamp - Timestamp of the latest processed event, for state written before event IDs existed
+ */
+
+/**
+ * Tracks which scraped events of a world are new: tells the scraper how far back to read,
+ * tells new events apart by their ID and records them as processed
+ */
+export class EventTracker {
+  /**
+   * @param {Object} stateStore - IStateStore for the monitored world
+   * @param {Object} [options] - Additional options
+   * @param {string|null} [options.world] - World identifier, used in logs
+   * @param {import('../ports/i-event-history.js').IEventHistory|null} [options.history] - Archive receiving every scraped event
+   * @param {string} [options.timeZone] - IANA time zone TWStats shows the world's times in
+   * @param {number|null} [options.catchUpMaxAgeHours] - Age of the oldest event older pages are read for after downtime; null reads up to the last processed event
+   */
+  constructor(stateStore, options = {}) {
+    this.stateStore = stateStore;
+    this.history = options.history || null;
+    this.timeZone = options.timeZone || 'UTC';
+    this.catchUpMaxAgeHours = options.catchUpMaxAgeHours ?? null;
+    this.logger = options.world ? logger.child({ world: options.world }) : logger;
+  }
+
+  /**
+   * Loads the IDs of the events processed so far; state written before event IDs existed
+   * only has the timestamp of the latest one
+   * @returns {Promise<Progress>} Progress, with neither set before the first run
+   */
+  async loadProgress() {
+    const seenIds = await this.stateStore.loadSeenEventIds();
+    const lastProcessedTimestamp = seenIds ? null : await this.stateStore.loadLastProcessedTimestamp();
+    return { seenIds, lastProcessedTimestamp };
+  }
+
+  /**
+   * Logs the scraped events and adds them to the history
+   * @param {Array} events - Scraped events, newest first
+   * @returns {Promise<void>}
+   */
+  async recordScraped(events) {
+    this.logger.info({
+      totalEvents: events.length,
+      delayedEvents: events.filter(event => event.delayed).length
+    }, 'Events scraped from website');
+
+    if (events.length > 0) {
+      await this._archive(events);
+    }
+  }
+
+  /**
+   * First run: marks the listed events as seen without sending a notification
+   * @param {Array} events - Scraped events, newest first
+   * @returns {Promise<void>}
+   */
+  async markFirstRun(events) {
+    const latestEvent = events[0];
+    await this.stateStore.addSeenEventIds(events.map(eventId));
+    await this.stateStore.saveLastProcessedTimestamp(latestEvent.timestamp);
+    this.logger.info({
+      latestEvent: latestEvent.villageName,
+      timestamp: latestEvent.timestamp
+    }, 'First run: marked listed events as seen, no notification sent');
+  }
+
+  /**
+   * Finds events not seen before, or once, for older state, events newer than its timestamp
+   * @param {Array} events - All events from website
+   * @param {Progress} progress - Result of loadProgress()
+   * @returns {Array} New events, in page order
+   */
+  findNewEvents(events, { seenIds, lastProcessedTimestamp }) {
+    if (!seenIds) {
+      return this.findEventsAfter(events, lastProcessedTimestamp);
+    }
+
+    const newEvents = findUnseenEvents(events, seenIds);
+    this.logger.info({
+      totalEvents: events.length,
+      newEventsCount: newEvents.length,
+      seenEventIds: seenIds.length,
+      latestEvent: events[0]
+    }, 'Events scraped, new events identified');
+
+    return newEvents;
+  }
+
+  /**
+   * Find events newer than the given timestamp
+   * @param {Array} events - All events from website
+   * @param {string|null} lastProcessedTimestamp - Last processed timestamp
+   * @returns {Array} New events
+   */
+  findEventsAfter(events, lastProcessedTimestamp) {
+    if (!lastProcessedTimestamp) {
+      return [];
+    }
+
+    const newEvents = findEventsAfter(events, lastProcessedTimestamp, this.timeZone);
+    this.logger.info({
+      totalEvents: events.length,
+      newEventsCount: newEvents.length,
+      lastProcessedTimestamp,
+      latestEvent: events[0]
+    }, 'Events scraped, new events identified');
+
+    return newEvents;
+  }
+
+  /**
+   * Marks the new events as seen and keeps the timestamp of the latest listed event for
+   * inspection. After a timestamp run every listed event counts as seen.
+   * @param {Progress} progress - Result of loadProgress()
+   * @param {Array} events - All events from website, newest first
+   * @param {Array} newEvents - Result of findNewEvents()
+   * @returns {Promise<void>}
+   */
+  async markProcessed({ seenIds }, events, newEvents) {
+    const processedEvents = seenIds ? newEvents : events;
+    if (processedEvents.length > 0) {
+      await this.stateStore.addSeenEventIds(processedEvents.map(eventId));
+    }
+
+    if (newEvents.length > 0) {
+      await this.stateStore.saveLastProcessedTimestamp(events[0].timestamp);
+    }
+  }
+
+  /**
+   * Builds the condition ending the scraper's catch-up over older pages (see createCatchUpStop())
+   * @param {Progress} progress - Result of loadProgress()
+   * @returns {function(Object): boolean|null} Stop condition, or null to read the latest events only
+   */
+  catchUpStop(progress) {
+    return createCatchUpStop(progress, { timeZone: this.timeZone, maxAgeHours: this.catchUpMaxAgeHours });
+  }
+
+  /**
+   * Parse a timestamp in the world's time zone
+   * @param {string} timestamp - Timestamp in any layout TWStats prints, e.g. "YYYY-MM-DD - HH:MM:SS"
+   * @returns {Date|null} Parsed date, or null when the value is not a timestamp
+   */
+  parseTimestamp(timestamp) {
+    return dateOfTimestamp(timestamp, this.timeZone);
+  }
+
+  /**
+   * Adds the scraped events to the history. The archive is a side record, so a failing write
+   * is logged and doesn't stop the notifications.
+   * @param {Array} events - Scraped events
+   * @private
+   */
+  async _archive(events) {
+    if (!this.history) {
+      return;
+    }
+
+    try {
+      await this.history.append(events);
+    } catch (error) {
+      this.logger.error({ error: error.message }, 'Failed to archive events');
+    }
+  }
+}
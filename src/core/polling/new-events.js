@@ -0,0 +1,83 @@
+import { eventId } from '../entities/ennoblement-event.js';
+import { parseTimestamp } from '../entities/timestamp.js';
+
+/**
+ * Parse a timestamp in the world's time zone
+ * @param {string} timestamp - Timestamp in any layout TWStats prints, e.g. "YYYY-MM-DD - HH:MM:SS"
+ * @param {string} timeZone - IANA time zone of the world
+ * @returns {Date|null} Parsed date, or null when the value is not a timestamp
+ */
+export function dateOfTimestamp(timestamp, timeZone) {
+  const parsed = parseTimestamp(timestamp, timeZone);
+  return parsed ? new Date(parsed.epochMs) : null;
+}
+
+/**
+ * Point in time of an event; events stored before it was recorded are parsed in the world's time zone
+ * @param {Object} event - Event
+ * @param {string} timeZone - IANA time zone of the world
+ * @returns {Date|null} Date, or null when the event has no valid timestamp
+ */
+export function dateOfEvent(event, timeZone) {
+  return typeof event.epochMs === 'number' ? new Date(event.epochMs) : dateOfTimestamp(event.timestamp, timeZone);
+}
+
+/**
+ * Find events whose ID is not among the seen ones. Unlike a timestamp watermark this keeps
+ * conquers in the same second apart and catches rows TWStats publishes late.
+ * @param {Array} events - All events from website
+ * @param {string[]} seenIds - IDs of the events processed so far
+ * @returns {Array} New events, in page order
+ */
+export function findUnseenEvents(events, seenIds) {
+  const seen = new Set(seenIds);
+  return events.filter(event => !seen.has(eventId(event)));
+}
+
+/**
+ * Find events newer than the given timestamp
+ * @param {Array} events - All events from website
+ * @param {string|null} lastProcessedTimestamp - Last processed timestamp
+ * @param {string} timeZone - IANA time zone of the world
+ * @returns {Array} New events; none without a valid timestamp
+ */
+export function findEventsAfter(events, lastProcessedTimestamp, timeZone) {
+  const lastProcessedDate = lastProcessedTimestamp ? dateOfTimestamp(lastProcessedTimestamp, timeZone) : null;
+  if (!lastProcessedDate) {
+    return [];
+  }
+
+  return events.filter(event => {
+    const eventDate = dateOfEvent(event, timeZone);
+    return eventDate !== null && eventDate > lastProcessedDate;
+  });
+}
+
+/**
+ * Builds the condition ending the catch-up over older pages: an event already processed,
+ * or one older than the catch-up age limit. On the first run nothing is caught up.
+ * @param {Object} progress - What was processed so far
+ * @param {string[]|null} progress.seenIds - IDs of the events processed so far
+ * @param {string|null} progress.lastProcessedTimestamp - Timestamp of the latest processed event, for state without IDs
+ * @param {Object} options - Catch-up settings
+ * @param {string} options.timeZone - IANA time zone of the world
+ * @param {number|null} options.maxAgeHours - Age of the oldest event to catch up; null reads up to the last processed event
+ * @param {Date} [options.now] - Point in time the age is measured from
+ * @returns {function(Object): boolean|null} Stop condition, or null to read the latest events only
+ */
+export function createCatchUpStop({ seenIds, lastProcessedTimestamp }, { timeZone, maxAgeHours, now = new Date() }) {
+  if (!seenIds && !lastProcessedTimestamp) {
+    return null;
+  }
+
+  const seen = new Set(seenIds || []);
+  const lastProcessedDate = lastProcessedTimestamp ? dateOfTimestamp(lastProcessedTimestamp, timeZone) : null;
+  const cutoff = maxAgeHours !== null ? new Date(now.getTime() - maxAgeHours * 60 * 60 * 1000) : null;
+
+  return event => {
+    const eventDate = dateOfEvent(event, timeZone);
+    return seen.has(eventId(event)) ||
+      (lastProcessedDate !== null && eventDate !== null && eventDate <= lastProcessedDate) ||
+      (cutoff !== null && eventDate !== null && eventDate < cutoff);
+  };
+}
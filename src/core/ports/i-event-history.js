@@ -0,0 +1,38 @@
+/**
+ * @typedef {Object} EventHistoryQuery
+ * @description Criteria for reading the archive; every given criterion must match
+ * @property {import('../filters/filter-engine.js').FilterRule|null} [filter] - Rule the events must match
+ * @property {string|null} [from] - Earliest timestamp, inclusive ("YYYY-MM-DD - HH:MM:SS")
+ * @property {string|null} [to] - Latest timestamp, inclusive ("YYYY-MM-DD - HH:MM:SS")
+ * @property {number} [limit] - Page size
+ * @property {number} [offset] - Matching events to skip
+ */
+
+/**
+ * @typedef {Object} EventHistoryPage
+ * @property {number} total - Events matching the criteria, on every page
+ * @property {import('../entities/ennoblement-event.js').EnnoblementEvent[]} events - Events of the page, newest first
+ */
+
+/**
+ * Interface for the archive of every scraped ennoblement event
+ */
+export class IEventHistory {
+  /**
+   * Stores events that are not in the archive yet
+   * @param {import('../entities/ennoblement-event.js').EnnoblementEvent[]} events - Scraped events, in any order
+   * @returns {Promise<number>} Number of events added
+   */
+  append(events) {
+    throw new Error('append() must be implemented');
+  }
+
+  /**
+   * Reads a page of archived events
+   * @param {EventHistoryQuery} [query] - Criteria and page
+   * @returns {Promise<EventHistoryPage>} Page
+   */
+  query(query) {
+    throw new Error('query() must be implemented');
+  }
+}
@@ -2,6 +2,15 @@
  * @description WhatsApp notification interface
  */
 
+/**
+ * @typedef {Object} NotificationContext
+ * @description Structured data behind a rendered message, for channels that format events themselves
+ * @property {string|null} world - World identifier
+ * @property {string|null} [locale] - Locale of the recipients, for texts a channel adds itself; absent or null uses the notifier's default
+ * @property {import('../entities/ennoblement-event.js').EnnoblementEvent[]} [events] - Events the message was rendered from; absent for digests, which are sent as rendered
+ * @property {function(Array): string} [render] - Renders a message for a subset of the events (used by channel routing)
+ */
+
 /**
  * Initializes the WhatsApp connection
  * @returns {Promise<void>}
@@ -31,21 +40,23 @@ export class INotifier {
   /**
    * Sends notification using configured recipients and message template
    * @param {string} message - Message to send
-   * @returns {Promise<void>}
+   * @param {NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../entities/delivery-report.js').DeliveryReport>} Outcome per recipient
    * @throws {Error} When notification fails
    */
-  async sendNotification(message) {
+  async sendNotification(message, context) {
     throw new Error('INotifier.sendNotification() must be implemented');
   }
 
   /**
-   * Sends notifications to multiple phone numbers
-   * @param {string[]} numbers - Array of phone numbers
+   * Sends notifications to multiple recipients
+   * @param {string[]} numbers - Recipients (phone numbers, group IDs or "group:<name>")
    * @param {string} msg - Message to send
-   * @returns {Promise<void>}
+   * @param {NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../entities/delivery-report.js').DeliveryReport>} Outcome per recipient; failures of single recipients are reported, not thrown
    * @throws {Error} When notification fails
    */
-  async notifyMany(numbers, msg) {
+  async notifyMany(numbers, msg, context) {
     throw new Error('INotifier.notifyMany() must be implemented');
   }
 
@@ -0,0 +1,70 @@
+/**
+ * @typedef {Object} OutboxItem
+ * @description A rendered notification waiting for delivery
+ * @property {string} id - Item identifier
+ * @property {string} batch - ID of the first part of a split message; the item's own ID when it wasn't split
+ * @property {string|null} world - World the events belong to
+ * @property {'webhook'|null} channel - "webhook" for batches of the event webhook; null for messages to the notifier
+ * @property {string[]|null} recipients - Recipients of the message; null uses the notifier's own list
+ * @property {string|null} locale - Locale the message was rendered in; null for the world's locale
+ * @property {string} message - Rendered message
+ * @property {Array} events - Events the message was rendered from
+ * @property {number} part - Position of the message among the parts of a split message, from 1
+ * @property {number} parts - Number of parts the message was split into; 1 when it wasn't split
+ * @property {'pending'|'expired'} status - Pending items are retried; expired ones are kept for inspection
+ * @property {number} attempts - Failed delivery attempts so far
+ * @property {string} createdAt - ISO time the item was queued
+ * @property {string} nextAttemptAt - ISO time of the next delivery attempt
+ * @property {string} expiresAt - ISO time after which the item is no longer delivered
+ * @property {string|null} lastError - Error of the last failed attempt
+ */
+
+/**
+ * Interface for the persistent notification outbox
+ */
+export class IOutbox {
+  /**
+   * Appends items to the outbox
+   * @param {OutboxItem[]} items - Items to store
+   * @returns {Promise<void>}
+   */
+  add(items) {
+    throw new Error('add() must be implemented');
+  }
+
+  /**
+   * Lists the stored items, oldest first
+   * @returns {Promise<OutboxItem[]>} Items
+   */
+  list() {
+    throw new Error('list() must be implemented');
+  }
+
+  /**
+   * Applies changes to a stored item
+   * @param {string} id - Item identifier
+   * @param {Partial<OutboxItem>} changes - Fields to replace
+   * @returns {Promise<OutboxItem|null>} Updated item or null if not found
+   */
+  update(id, changes) {
+    throw new Error('update() must be implemented');
+  }
+
+  /**
+   * Removes a stored item
+   * @param {string} id - Item identifier
+   * @returns {Promise<boolean>} True if the item existed
+   */
+  remove(id) {
+    throw new Error('remove() must be implemented');
+  }
+
+  /**
+   * Removes every item matching the criteria
+   * @param {{status?: string, world?: string}} [criteria] - Criteria; all items when empty
+   * @returns {Promise<number>} Number of removed items
+   */
+  purge(criteria) {
+    throw new Error('purge() must be implemented');
+  }
+}
@@ -7,11 +7,13 @@ import { createEnnoblementEvent } from '../entities/ennoblement-event.js';
 
 /**
  * Scrapes ennoblement events from Tribal Wars
- * @returns {Promise<EnnoblementEvent[]>} Array of ennoblement events
+ * @param {Object} [options] - Scraping options
+ * @param {function(EnnoblementEvent): boolean} [options.stopAt] - Catch-up stop condition; without it only the latest events are read
+ * @returns {Promise<EnnoblementEvent[]>} Array of ennoblement events, newest first
  * @throws {Error} When scraping fails
  */
 export class IScraper {
-  async scrape() {
+  async scrape(options) {
     throw new Error('IScraper.scrape() must be implemented');
   }
 } 
\ No newline at end of file
@@ -18,6 +18,127 @@ export class IStateStore {
     throw new Error('saveLastProcessedTimestamp() must be implemented');
   }
 
+  /**
+   * Load the IDs of the latest events already processed
+   * @returns {Promise<string[]|null>} Event IDs, newest first; null if never saved
+   */
+  loadSeenEventIds() {
+    throw new Error('loadSeenEventIds() must be implemented');
+  }
+
+  /**
+   * Mark events as processed; the store keeps a bounded window of the latest IDs
+   * @param {string[]} ids - Event IDs, newest first
+   * @returns {Promise<void>}
+   */
+  addSeenEventIds(ids) {
+    throw new Error('addSeenEventIds() must be implemented');
+  }
+
+  /**
+   * Load the stored filter definitions
+   * @returns {Promise<import('../filters/filter-definitions.js').FilterDefinition[]|null>} Definitions or null if never saved
+   */
+  loadFilters() {
+    throw new Error('loadFilters() must be implemented');
+  }
+
+  /**
+   * Save the filter definitions, replacing any stored ones
+   * @param {import('../filters/filter-definitions.js').FilterDefinition[]} filters - Definitions to save
+   * @returns {Promise<void>}
+   */
+  saveFilters(filters) {
+    throw new Error('saveFilters() must be implemented');
+  }
+
+  /**
+   * Load the stored subscriptions
+   * @returns {Promise<import('../subscriptions/subscriptions.js').Subscription[]|null>} Subscriptions or null if never saved
+   */
+  loadSubscriptions() {
+    throw new Error('loadSubscriptions() must be implemented');
+  }
+
+  /**
+   * Save the subscriptions, replacing any stored ones
+   * @param {import('../subscriptions/subscriptions.js').Subscription[]} subscriptions - Subscriptions to save
+   * @returns {Promise<void>}
+   */
+  saveSubscriptions(subscriptions) {
+    throw new Error('saveSubscriptions() must be implemented');
+  }
+
+  /**
+   * Load the events collected for the next digest
+   * @returns {Promise<import('../entities/ennoblement-event.js').EnnoblementEvent[]>} Events, newest first; empty if none
+   */
+  loadDigestEvents() {
+    throw new Error('loadDigestEvents() must be implemented');
+  }
+
+  /**
+   * Add events to the next digest; events already collected (by event ID) are not added again
+   * @param {import('../entities/ennoblement-event.js').EnnoblementEvent[]} events - Events to add, newest first
+   * @returns {Promise<void>}
+   */
+  appendDigestEvents(events) {
+    throw new Error('appendDigestEvents() must be implemented');
+  }
+
+  /**
+   * Remove the oldest collected events once their digest is sent; events added since stay
+   * @param {number} count - Number of events to remove
+   * @returns {Promise<void>}
+   */
+  dropDigestEvents(count) {
+    throw new Error('dropDigestEvents() must be implemented');
+  }
+
+  /**
+   * Load the events held back by quiet hours
+   * @returns {Promise<Object<string, import('../entities/ennoblement-event.js').EnnoblementEvent[]>>} Events per recipient, newest first
+   */
+  loadHeldEvents() {
+    throw new Error('loadHeldEvents() must be implemented');
+  }
+
+  /**
+   * Hold events back until the recipients' quiet hours are over; events already held for a
+   * recipient (by event ID) are not added again
+   * @param {Object<string, import('../entities/ennoblement-event.js').EnnoblementEvent[]>} eventsByRecipient - Events to add per recipient, newest first
+   * @returns {Promise<void>}
+   */
+  holdEvents(eventsByRecipient) {
+    throw new Error('holdEvents() must be implemented');
+  }
+
+  /**
+   * Remove the oldest held events of recipients once they are delivered; events held since stay
+   * @param {Object<string, number>} countsByRecipient - Number of events to remove per recipient
+   * @returns {Promise<void>}
+   */
+  releaseHeldEvents(countsByRecipient) {
+    throw new Error('releaseHeldEvents() must be implemented');
+  }
+
+  /**
+   * Load the times of the latest messages per recipient, for rate limiting
+   * @returns {Promise<Object<string, string[]>>} ISO times per recipient, oldest first; empty if none
+   */
+  loadSendLog() {
+    throw new Error('loadSendLog() must be implemented');
+  }
+
+  /**
+   * Save the times of the latest messages per recipient, replacing the stored ones
+   * @param {Object<string, string[]>} sendLog - ISO times per recipient, oldest first
+   * @returns {Promise<void>}
+   */
+  saveSendLog(sendLog) {
+    throw new Error('saveSendLog() must be implemented');
+  }
+
   /**
    * Clear all stored state
    */
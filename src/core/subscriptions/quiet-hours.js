@@ -0,0 +1,73 @@
+import { compileFilter } from '../filters/filter-engine.js';
+
+/**
+ * @typedef {import('../filters/filter-engine.js').FilterRule} FilterRule
+ * @typedef {import('../entities/ennoblement-event.js').EnnoblementEvent} EnnoblementEvent
+ */
+
+/**
+ * @typedef {Object} QuietHours
+ * @description Daily window in which a recipient's messages are held back
+ * @property {string} start - Start of the window, "HH:MM"
+ * @property {string} end - End of the window, "HH:MM"; before start for windows spanning midnight
+ * @property {string} [timezone] - IANA time zone of start and end; the configured default when unset
+ * @property {FilterRule} [priority] - Events matching this rule are delivered during the window anyway
+ */
+
+/**
+ * @typedef {Object} QuietHoursMatcher
+ * @property {(date: Date) => boolean} isQuiet - Whether the window is open at a point in time
+ * @property {(event: EnnoblementEvent) => boolean} isPriority - Whether an event breaks through the window
+ */
+
+/**
+ * Checks that a time zone is known to Intl
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compiles quiet hours into a matcher
+ * @param {QuietHours} quietHours - Quiet hours of a subscription
+ * @param {Object} [defaults] - Used where the quiet hours leave them out
+ * @param {string|null} [defaults.timeZone] - Time zone; the server's when null
+ * @param {FilterRule|null} [defaults.priority] - Priority rule; nothing breaks through when null
+ * @returns {QuietHoursMatcher} Matcher
+ * @throws {Error} When the priority rule is malformed
+ */
+export function compileQuietHours(quietHours, { timeZone = null, priority = null } = {}) {
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  const clock = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    ...((quietHours.timezone || timeZone) && { timeZone: quietHours.timezone || timeZone })
+  });
+  const priorityRule = quietHours.priority || priority;
+
+  return {
+    isQuiet: date => {
+      const now = minutesOf(clock.format(date));
+      return start <= end ? now >= start && now < end : now >= start || now < end;
+    },
+    isPriority: priorityRule ? compileFilter(priorityRule) : () => false
+  };
+}
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ * @private
+ */
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
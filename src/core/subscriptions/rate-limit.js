@@ -0,0 +1,73 @@
+import { parseRecipient } from '../entities/recipient.js';
+
+/**
+ * @typedef {Object} RateLimit
+ * @description Most messages a recipient may get within a sliding window
+ * @property {number} maxMessages - Messages per window; 0 lifts the limit
+ * @property {number} windowMinutes - Length of the window
+ */
+
+/**
+ * @typedef {Object} RateLimits
+ * @description Limit per recipient, with other limits for the recipients of some channels
+ * @property {number} [maxMessages] - Messages per window; 0 lifts the limit
+ * @property {number} [windowMinutes] - Length of the window
+ * @property {Object<string, Partial<RateLimit>>} [channels] - Limit per channel, completed by the one above
+ */
+
+/**
+ * @typedef {Object<string, string[]>} SendLog
+ * @description ISO times of the latest messages per recipient, oldest first
+ */
+
+/**
+ * @typedef {Object} RateLimiter
+ * @property {boolean} enabled - Whether any recipient is limited
+ * @property {(recipient: string, log: SendLog, now: Date) => boolean} isThrottled - Whether the recipient used up its window
+ * @property {(log: SendLog, recipients: string[], now: Date) => SendLog} record - Log with the sends added (one per listed recipient, repeats included) and expired ones removed
+ */
+
+/**
+ * Creates a rate limiter. The limiter keeps no state of its own; the send log it reads and
+ * returns is stored by the caller, so limits carry over restarts.
+ * @param {RateLimits} [limits] - Configured limits
+ * @returns {RateLimiter} Limiter
+ */
+export function createRateLimiter({ maxMessages = 0, windowMinutes = 10, channels = {} } = {}) {
+  const fallback = { maxMessages, windowMinutes };
+  const limitOf = recipient => ({ ...fallback, ...channels[parseRecipient(recipient)?.channel ?? 'whatsapp'] });
+  const limits = [fallback, ...Object.values(channels).map(limit => ({ ...fallback, ...limit }))];
+  const retentionMs = Math.max(...limits.map(limit => limit.windowMinutes)) * 60 * 1000;
+
+  return {
+    enabled: limits.some(limit => limit.maxMessages > 0),
+
+    isThrottled: (recipient, log, now) => {
+      const limit = limitOf(recipient);
+      if (limit.maxMessages <= 0) {
+        return false;
+      }
+
+      const windowStart = now.getTime() - limit.windowMinutes * 60 * 1000;
+      const sent = (log[recipient] || []).filter(sentAt => Date.parse(sentAt) > windowStart);
+      return sent.length >= limit.maxMessages;
+    },
+
+    record: (log, recipients, now) => {
+      const retainedSince = now.getTime() - retentionMs;
+      const updated = {};
+
+      for (const [recipient, times] of Object.entries(log)) {
+        const retained = times.filter(sentAt => Date.parse(sentAt) > retainedSince);
+        if (retained.length > 0) {
+          updated[recipient] = retained;
+        }
+      }
+      for (const recipient of recipients) {
+        updated[recipient] = [...(updated[recipient] || []), now.toISOString()];
+      }
+
+      return updated;
+    }
+  };
+}
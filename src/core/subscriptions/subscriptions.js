@@ -0,0 +1,93 @@
+import { compileFilter, compileZoneCollector } from '../filters/filter-engine.js';
+import { compileQuietHours } from './quiet-hours.js';
+
+/**
+ * @typedef {import('../filters/filter-engine.js').FilterRule} FilterRule
+ * @typedef {import('../entities/ennoblement-event.js').EnnoblementEvent} EnnoblementEvent
+ */
+
+/**
+ * How a recipient is notified: a message per polling cycle, a scheduled digest, or both
+ */
+export const DELIVERY_MODES = ['realtime', 'digest', 'both'];
+
+/**
+ * @typedef {Object} Subscription
+ * @description What one recipient wants to be notified about
+ * @property {string} recipient - Recipient identifier (phone number)
+ * @property {FilterRule[]} filters - Filter set; an event matches if any rule matches, an empty set matches everything
+ * @property {string} [locale] - Locale of the recipient's messages; the world's locale when unset
+ * @property {'realtime'|'digest'|'both'} [mode] - Delivery mode; realtime when unset
+ * @property {import('./quiet-hours.js').QuietHours} [quietHours] - Window in which realtime messages are held back
+ * @property {string|null} createdAt - ISO timestamp of creation
+ * @property {string|null} updatedAt - ISO timestamp of last change
+ */
+
+/**
+ * @typedef {Object} SubscriptionMatcher
+ * @property {string} recipient - Recipient identifier
+ * @property {(event: EnnoblementEvent) => boolean} matches - Predicate for the recipient's filter set
+ * @property {((event: EnnoblementEvent) => string[])|null} zonesOf - Geofence zones hit by an event, null without geofences
+ * @property {string|null} locale - Locale of the recipient's messages, null for the world's locale
+ * @property {boolean} realtime - Whether the recipient gets a message per polling cycle
+ * @property {boolean} digest - Whether the recipient's events are collected for the digest
+ * @property {import('./quiet-hours.js').QuietHoursMatcher|null} quiet - Quiet hours of the recipient, null without
+ */
+
+/**
+ * Resolves the subscriptions in effect. Until subscriptions have been saved once, the
+ * configured ones are used; without configured subscriptions every recipient gets everything.
+ * @param {Subscription[]|null} stored - Subscriptions from the state store, null if never saved
+ * @param {Array<{recipient: string, filters?: FilterRule[], locale?: string, mode?: string, quietHours?: Object}>|null} configured - Subscriptions from configuration
+ * @param {string[]|null} recipients - Recipients from configuration
+ * @returns {Subscription[]} Subscriptions in effect
+ */
+export function resolveSubscriptions(stored, configured, recipients) {
+  if (Array.isArray(stored)) {
+    return stored;
+  }
+
+  const seed = Array.isArray(configured) ?
+    configured :
+    (recipients || []).map(recipient => ({ recipient, filters: [] }));
+
+  return seed.map(subscription => ({
+    recipient: subscription.recipient,
+    filters: subscription.filters || [],
+    ...(subscription.locale && { locale: subscription.locale }),
+    ...(subscription.mode && { mode: subscription.mode }),
+    ...(subscription.quietHours && { quietHours: subscription.quietHours }),
+    createdAt: null,
+    updatedAt: null
+  }));
+}
+
+/**
+ * Compiles a subscription's filter set into a matcher
+ * @param {Subscription} subscription - Subscription to compile
+ * @param {{timeZone?: string|null, priority?: FilterRule|null}} [quietDefaults] - Time zone and priority rule of quiet hours that leave them out
+ * @returns {SubscriptionMatcher} Matcher for the subscription
+ * @throws {Error} When one of the rules is malformed
+ */
+export function compileSubscription(subscription, quietDefaults = {}) {
+  const filters = subscription.filters || [];
+  const locale = subscription.locale || null;
+  const mode = subscription.mode || 'realtime';
+  const delivery = {
+    locale,
+    realtime: mode !== 'digest',
+    digest: mode !== 'realtime',
+    quiet: subscription.quietHours ? compileQuietHours(subscription.quietHours, quietDefaults) : null
+  };
+  if (filters.length === 0) {
+    return { recipient: subscription.recipient, matches: () => true, zonesOf: null, ...delivery };
+  }
+
+  const rule = filters.length === 1 ? filters[0] : { type: 'or', rules: filters };
+  return {
+    recipient: subscription.recipient,
+    matches: compileFilter(rule),
+    zonesOf: compileZoneCollector(rule),
+    ...delivery
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Builds the built-in layout in a locale: one event, and a message showing a single event
+ * as is and several under a header, numbered across the parts of a split message
+ * @param {import('../i18n/translator.js').Translator} translator - Translator of the locale
+ * @returns {{message: string, event: string}} Message and event templates
+ */
+export function defaultTemplates({ t }) {
+  const fallback = key => JSON.stringify(t(key));
+
+  return {
+    message:
+      '{{#if total == 1}}{{items}}{{else}}' +
+      `*${t('message.newEvents', { count: '{{total}}' })}*{{#if parts > 1}} ({{part}}/{{parts}}){{/if}}\n\n` +
+      '{{#each events}}{{number}}. {{text}}\n\n{{/each}}' +
+      `{{#if more}}${t('message.moreEvents', { count: '{{more}}' })}\n\n{{/if}}` +
+      '{{/if}}',
+    event:
+      `🏰 *{{villageName || ${fallback('event.unknownVillage')}}}*\n` +
+      `${t('event.coordinates')}: {{coordinates}}\n` +
+      `{{#if zones}}📍 ${t('event.zone')}: {{zone}}\n{{/if}}` +
+      `🔄 {{oldPlayer || ${fallback('event.unknownPlayer')}}} ({{oldTribe || ${fallback('event.noTribe')}}})` +
+      ` → {{newPlayer || ${fallback('event.unknownPlayer')}}} ({{newTribe || ${fallback('event.noTribe')}}})\n` +
+      `⏰ {{timestamp || ${fallback('event.unknownTime')}}}` +
+      `{{#if delayed}}\n⏳ ${t('event.delayed')}{{/if}}`
+  };
+}
+
+/**
+ * Builds the digest layout in a locale: the period, the home tribe's balance and the rankings,
+ * each section left out when empty
+ * @param {import('../i18n/translator.js').Translator} translator - Translator of the locale
+ * @returns {string} Digest template
+ */
+export function defaultDigestTemplate({ t }) {
+  const fallback = key => JSON.stringify(t(key));
+
+  return [
+    `*${t('digest.title', { count: '{{total}}' })}*`,
+    '⏰ {{from}} – {{to}}',
+    '{{#if homeTribe}}',
+    '',
+    `🏠 *{{homeTribe}}*: 📈 {{gains}} ${t('digest.gains')} / 📉 {{losses}} ${t('digest.losses')}`,
+    '{{/if}}',
+    '{{#if tribes}}',
+    '',
+    `*${t('digest.tribes')}*`,
+    '{{#each tribes}}',
+    '{{@number}}. {{tribe}}: +{{gains}} / -{{losses}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if villages}}',
+    '',
+    `*${t('digest.villages')}*`,
+    '{{#each villages}}',
+    `{{@number}}. {{villageName || ${fallback('event.unknownVillage')}}} ({{coordinates}}) - {{points}} ${t('digest.points')}` +
+      ` → {{player || ${fallback('event.unknownPlayer')}}}`,
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if nobles}}',
+    '',
+    `*${t('digest.nobles')}*`,
+    '{{#each nobles}}',
+    `{{@number}}. {{player}} ({{tribe || ${fallback('event.noTribe')}}}): {{count}}`,
+    '{{/each}}',
+    '{{/if}}'
+  ].join('\n');
+}
+
+/**
+ * Variables of an event template: the event's fields and the ones derived from them
+ * @type {import('./template-engine.js').TemplateScope}
+ */
+export const EVENT_SCOPE = {
+  villageName: true,
+  x: true,
+  y: true,
+  continent: true,
+  points: true,
+  oldPlayer: true,
+  oldTribe: true,
+  newPlayer: true,
+  newTribe: true,
+  villageId: true,
+  oldPlayerId: true,
+  oldTribeId: true,
+  newPlayerId: true,
+  newTribeId: true,
+  timestamp: true,
+  zones: true,
+  delayed: true,
+  coordinates: true,
+  zone: true,
+  direction: true,
+  gain: true,
+  loss: true,
+  internal: true,
+  distance: true,
+  number: true,
+  world: true,
+  locale: true
+};
+
+/**
+ * Variables of a message template; `events` items carry the event variables and their rendered `text`.
+ * `count` is the number of events in this message, `total` the number in the whole batch.
+ * @type {import('./template-engine.js').TemplateScope}
+ */
+export const MESSAGE_SCOPE = {
+  count: true,
+  total: true,
+  more: true,
+  part: true,
+  parts: true,
+  world: true,
+  items: true,
+  gains: true,
+  losses: true,
+  locale: true,
+  events: { ...EVENT_SCOPE, text: true }
+};
+
+/**
+ * Variables of the digest template; the rankings are lists of objects
+ * @type {import('./template-engine.js').TemplateScope}
+ */
+export const DIGEST_SCOPE = {
+  world: true,
+  locale: true,
+  total: true,
+  from: true,
+  to: true,
+  homeTribe: true,
+  gains: true,
+  losses: true,
+  internal: true,
+  tribes: { tribe: true, gains: true, losses: true, count: true },
+  villages: { villageName: true, coordinates: true, points: true, player: true, tribe: true },
+  nobles: { player: true, tribe: true, count: true }
+};
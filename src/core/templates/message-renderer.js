@@ -0,0 +1,301 @@
+import { compileTemplate } from './template-engine.js';
+import { defaultTemplates, defaultDigestTemplate, EVENT_SCOPE, MESSAGE_SCOPE, DIGEST_SCOPE } from './default-templates.js';
+import { directionOf } from '../filters/filter-engine.js';
+import { createTranslator } from '../i18n/translator.js';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/catalogs.js';
+
+/**
+ * @typedef {import('../entities/ennoblement-event.js').EnnoblementEvent} EnnoblementEvent
+ */
+
+/**
+ * Renders notification messages from a message template and an event template.
+ * Without templates, the built-in layout of the recipient's locale is used. Numbers and
+ * timestamps are formatted for the locale either way.
+ */
+export class MessageRenderer {
+  /**
+   * @param {Object} [options] - Rendering options
+   * @param {string|null} [options.messageTemplate] - Template of the whole message
+   * @param {string|null} [options.eventTemplate] - Template of one event
+   * @param {string|null} [options.homeTribe] - Tribe the gain/loss variables are seen from
+   * @param {{x: number, y: number}|null} [options.homeCoordinates] - Point the distance variable is measured from
+   * @param {string} [options.locale] - Default locale, used when no locale or an unknown one is asked for
+   * @throws {Error} When a template is malformed
+   */
+  constructor({ messageTemplate = null, eventTemplate = null, homeTribe = null, homeCoordinates = null, locale = DEFAULT_LOCALE } = {}) {
+    this.customTemplates = { message: messageTemplate, event: eventTemplate };
+    this.homeTribe = homeTribe;
+    this.homeCoordinates = homeCoordinates;
+    this.locale = locale;
+    this.locales = new Map(LOCALES.map(code => [code, this._compile(createTranslator(code, { fallbackLocale: locale }))]));
+  }
+
+  /**
+   * Templates in effect for a locale
+   * @param {string|null} [locale] - Locale; the default locale when unknown
+   * @returns {{message: string, event: string}} Message and event templates
+   */
+  templatesFor(locale) {
+    return this._localeOf(locale).templates;
+  }
+
+  /**
+   * Creates a renderer with some templates replaced and the same home tribe, coordinates and locale
+   * @param {{message?: string, event?: string}} templates - Templates to replace
+   * @returns {MessageRenderer} New renderer
+   * @throws {Error} When a template is malformed
+   */
+  withTemplates({ message, event }) {
+    return new MessageRenderer({
+      messageTemplate: message ?? this.customTemplates.message,
+      eventTemplate: event ?? this.customTemplates.event,
+      homeTribe: this.homeTribe,
+      homeCoordinates: this.homeCoordinates,
+      locale: this.locale
+    });
+  }
+
+  /**
+   * Translator of a locale
+   * @param {string|null} [locale] - Locale; the default locale when unknown
+   * @returns {import('../i18n/translator.js').Translator} Translator
+   */
+  translatorFor(locale) {
+    return this._localeOf(locale).translator;
+  }
+
+  /**
+   * Looks a message up in a locale's catalog
+   * @param {string|null} locale - Locale; the default locale when unknown
+   * @param {string} key - Message key
+   * @param {Object} [params] - Message parameters
+   * @returns {string} Message
+   */
+  translate(locale, key, params) {
+    return this._localeOf(locale).translator.t(key, params);
+  }
+
+  /**
+   * Renders the message for a batch of events
+   * @param {EnnoblementEvent[]} events - Events to include
+   * @param {{world?: string|null, locale?: string|null}} [context] - World the events belong to and locale of the recipients
+   * @returns {string} Rendered message
+   */
+  render(events, context = {}) {
+    return this.renderParts(events, context)[0].message;
+  }
+
+  /**
+   * Renders a batch of events as one or more numbered parts. Events beyond `maxEvents` are left
+   * out and counted in the last part (`{{more}}`); events are then spread over as few parts as
+   * keep every part within `maxLength` characters. An event is never cut: one that doesn't fit
+   * a part on its own gets a part to itself.
+   * @param {EnnoblementEvent[]} events - Events to include
+   * @param {Object} [context] - Rendering context
+   * @param {string|null} [context.world] - World the events belong to
+   * @param {string|null} [context.locale] - Locale of the recipients
+   * @param {number} [context.maxLength] - Character limit of a part
+   * @param {number} [context.maxEvents] - Events shown in all parts together
+   * @returns {Array<{message: string, events: EnnoblementEvent[]}>} Parts in sending order, at least one
+   */
+  renderParts(events, { world = null, locale = null, maxLength = Infinity, maxEvents = Infinity } = {}) {
+    const compiled = this._localeOf(locale);
+    const { translator, renderEvent } = compiled;
+    const format = { formatNumber: translator.formatNumber };
+    const shown = events.slice(0, maxEvents);
+    const batch = { world, compiled, total: events.length, more: events.length - shown.length };
+
+    const items = shown.map((event, index) => {
+      const variables = this._variables(event, translator, { world, number: index + 1 });
+      return { event, variables: { ...variables, text: renderEvent(variables, format) } };
+    });
+
+    // Sized with the largest part numbers and the summary in every part, so the final parts only get shorter
+    const chunks = [];
+    let current = [];
+    for (const item of items) {
+      const candidate = [...current, item];
+      const sized = this._renderPart(candidate, batch, { part: items.length, parts: items.length, last: true });
+      if (current.length > 0 && sized.length > maxLength) {
+        chunks.push(current);
+        current = [item];
+      } else {
+        current = candidate;
+      }
+    }
+    chunks.push(current);
+
+    return chunks.map((chunk, index) => ({
+      message: this._renderPart(chunk, batch, { part: index + 1, parts: chunks.length, last: index === chunks.length - 1 }),
+      events: chunk.map(item => item.event)
+    }));
+  }
+
+  /**
+   * Renders a digest with the digest layout of a locale
+   * @param {import('../digest/digest-summary.js').DigestSummary} summary - Summary of the collected events
+   * @param {{world?: string|null, locale?: string|null}} [context] - World the events belong to and locale of the recipients
+   * @returns {string} Rendered digest
+   */
+  renderDigest(summary, { world = null, locale = null } = {}) {
+    const { translator, renderDigest } = this._localeOf(locale);
+
+    return renderDigest({
+      world,
+      locale: translator.locale,
+      total: summary.total,
+      from: summary.from ? translator.formatTimestamp(summary.from) : null,
+      to: summary.to ? translator.formatTimestamp(summary.to) : null,
+      homeTribe: summary.home?.tribe ?? null,
+      gains: summary.home?.gains ?? 0,
+      losses: summary.home?.losses ?? 0,
+      internal: summary.home?.internal ?? 0,
+      tribes: summary.tribes,
+      villages: summary.villages,
+      nobles: summary.nobles
+    }, { formatNumber: translator.formatNumber });
+  }
+
+  /**
+   * Renders one event with the event template
+   * @param {EnnoblementEvent} event - Event to render
+   * @param {{world?: string|null, number?: number, locale?: string|null}} [context] - World, position of the event in its batch and locale
+   * @returns {string} Rendered event
+   */
+  renderEvent(event, { locale = null, ...context } = {}) {
+    const { translator, renderEvent } = this._localeOf(locale);
+    return renderEvent(this._variables(event, translator, context), { formatNumber: translator.formatNumber });
+  }
+
+  /**
+   * Builds the template variables of one event
+   * @param {EnnoblementEvent} event - Event
+   * @param {{world?: string|null, number?: number, locale?: string|null}} [context] - World, position of the event in its batch and locale
+   * @returns {Object} Event variables
+   */
+  eventVariables(event, { locale = null, ...context } = {}) {
+    return this._variables(event, this._localeOf(locale).translator, context);
+  }
+
+  /**
+   * Distance in fields between the event's village and the home coordinates, to one decimal
+   * @param {EnnoblementEvent} event - Event
+   * @returns {number|null} Distance, or null without home coordinates
+   */
+  distanceOf(event) {
+    if (!this.homeCoordinates || !Number.isFinite(event.x) || !Number.isFinite(event.y)) {
+      return null;
+    }
+
+    const distance = Math.hypot(event.x - this.homeCoordinates.x, event.y - this.homeCoordinates.y);
+    return Math.round(distance * 10) / 10;
+  }
+
+  /**
+   * Builds the template variables of one event with a locale's translator
+   * @private
+   */
+  _variables(event, translator, { world = null, number = 1 } = {}) {
+    const direction = this.homeTribe ? directionOf(event, this.homeTribe) : null;
+    const zones = event.zones || [];
+
+    return {
+      villageName: event.villageName ?? null,
+      x: event.x ?? null,
+      y: event.y ?? null,
+      continent: event.continent ?? null,
+      points: event.points ?? null,
+      oldPlayer: event.oldPlayer ?? null,
+      oldTribe: event.oldTribe ?? null,
+      newPlayer: event.newPlayer ?? null,
+      newTribe: event.newTribe ?? null,
+      villageId: event.villageId ?? null,
+      oldPlayerId: event.oldPlayerId ?? null,
+      oldTribeId: event.oldTribeId ?? null,
+      newPlayerId: event.newPlayerId ?? null,
+      newTribeId: event.newTribeId ?? null,
+      timestamp: event.timestamp ? translator.formatTimestamp(event.timestamp) : null,
+      zones,
+      delayed: event.delayed === true,
+      coordinates: `${event.x}|${event.y}`,
+      zone: zones.length > 0 ? zones.join(', ') : null,
+      direction,
+      gain: direction === 'gain',
+      loss: direction === 'loss',
+      internal: direction === 'internal',
+      distance: this.distanceOf(event),
+      number,
+      world,
+      locale: translator.locale
+    };
+  }
+
+  /**
+   * Renders one part of a batch with the message template. The last part of a capped batch
+   * names the events left out even when a custom template doesn't use {{more}}.
+   * @private
+   */
+  _renderPart(chunk, { world, compiled: { translator, renderMessage }, total, more }, { part, parts, last }) {
+    const items = chunk.map(item => item.variables);
+    const format = { formatNumber: translator.formatNumber };
+    const variables = {
+      count: items.length,
+      total,
+      more: last ? more : 0,
+      part,
+      parts,
+      world,
+      items: items.map(item => item.text).join('\n\n'),
+      gains: items.filter(item => item.gain).length,
+      losses: items.filter(item => item.loss).length,
+      locale: translator.locale,
+      events: items
+    };
+
+    const message = renderMessage(variables, format);
+    if (variables.more === 0 || message !== renderMessage({ ...variables, more: 0 }, format)) {
+      return message;
+    }
+
+    return `${message.trimEnd()}\n\n${translator.t('message.moreEvents', { count: translator.formatNumber(more) })}`;
+  }
+
+  /**
+   * Compiles the templates of one locale; custom templates are shared by all locales
+   * @private
+   */
+  _compile(translator) {
+    const defaults = defaultTemplates(translator);
+    const templates = {
+      message: this.customTemplates.message ?? defaults.message,
+      event: this.customTemplates.event ?? defaults.event
+    };
+
+    return {
+      translator,
+      templates,
+      renderMessage: compileTemplate(templates.message, MESSAGE_SCOPE),
+      renderEvent: compileTemplate(templates.event, EVENT_SCOPE),
+      renderDigest: compileTemplate(defaultDigestTemplate(translator), DIGEST_SCOPE)
+    };
+  }
+
+  /**
+   * Compiled templates and translator of a locale, falling back to the default locale
+   * @private
+   */
+  _localeOf(locale) {
+    return this.locales.get(locale) ?? this.locales.get(this.locale);
+  }
+}
+
+/**
+ * Parses "x|y" coordinates
+ * @param {string|null|undefined} value - Coordinates as configured
+ * @returns {{x: number, y: number}|null} Coordinates, or null when the value is not "x|y"
+ */
+export function parseCoordinates(value) {
+  const match = String(value ?? '').trim().match(/^(\d{1,3})\|(\d{1,3})$/);
+  return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+}
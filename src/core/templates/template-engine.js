@@ -0,0 +1,396 @@
+/**
+ * @typedef {Object<string, true|TemplateScope>} TemplateScope
+ * @description Variables a template may use. `true` marks a value (or a list of values, used
+ * through `this` inside `{{#each}}`); a nested scope marks a list of objects whose fields
+ * are available inside `{{#each}}`.
+ */
+
+/**
+ * @typedef {Object} TemplateCondition
+ * @property {string} name - Variable tested
+ * @property {string|null} operator - Comparison operator, null for a truthiness test
+ * @property {*} operand - Literal compared against
+ */
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const NAME_PATTERN = /^(?:[A-Za-z_][A-Za-z0-9_]*|@(?:index|number|first|last))$/;
+const CONDITION_PATTERN = /^(\S+)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+const FALLBACK_PATTERN = /^(\S+)\s*\|\|\s*(.+)$/;
+const LOOP_VARIABLES = ['this', '@index', '@number', '@first', '@last'];
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Compiles a template into a render function. Supported syntax:
+ * - `{{name}}` and `{{name || "fallback"}}` print a variable; lists are joined with ", "
+ * - `{{#if cond}}…{{else}}…{{/if}}` and `{{#unless cond}}…{{/unless}}`, where a condition is
+ *   a variable or a comparison with a literal (`{{#if count > 1}}`, `{{#if direction == "gain"}}`)
+ * - `{{#each list}}…{{else}}…{{/each}}` with `this`, `@index`, `@number`, `@first` and `@last`
+ * - `{{! comment}}`
+ * Block tags alone on their line take the line with them. Numbers are printed with the
+ * `formatNumber` option of the render function when given, e.g. for locale-aware output.
+ * @param {string} source - Template source
+ * @param {TemplateScope} scope - Variables available to the template
+ * @returns {(data: Object, options?: {formatNumber?: (value: number) => string}) => string} Render function
+ * @throws {Error} When the template is malformed or uses an unknown variable
+ */
+export function compileTemplate(source, scope) {
+  if (typeof source !== 'string') {
+    throw new Error('Invalid template: template must be a string');
+  }
+
+  const tokens = stripStandaloneTags(tokenize(source));
+  const { nodes, closing } = parseNodes(tokens, 0, [scope]);
+  if (closing) {
+    throw templateError(closing.token, `unexpected {{${closing.token.raw}}}`);
+  }
+
+  return (data, { formatNumber = String } = {}) => renderNodes(nodes, [data], formatNumber);
+}
+
+/**
+ * Splits a template into text and tag tokens, with the position of each tag
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    tokens.push({ type: 'tag', raw: match[1].trim(), ...positionOf(source, match.index) });
+    lastIndex = match.index + match[0].length;
+  }
+
+  const rest = source.slice(lastIndex);
+  const unclosed = rest.indexOf('{{');
+  if (unclosed !== -1) {
+    throw templateError(positionOf(source, lastIndex + unclosed), 'unclosed "{{"');
+  }
+  if (rest) {
+    tokens.push({ type: 'text', value: rest });
+  }
+
+  return tokens;
+}
+
+/**
+ * Removes the surrounding whitespace and line break of block tags that stand alone on a line
+ * @private
+ */
+function stripStandaloneTags(tokens) {
+  // Decided on the original text first, since neighbouring tags share the text between them
+  const standalone = tokens.map((token, index) => {
+    if (token.type !== 'tag' || !/^[#/!]|^else$/.test(token.raw)) {
+      return false;
+    }
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    const startsLine = !before || (before.type === 'text' &&
+      (/\n[ \t]*$/.test(before.value) || (index === 1 && /^[ \t]*$/.test(before.value))));
+    const endsLine = !after || (after.type === 'text' &&
+      (/^[ \t]*\r?\n/.test(after.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(after.value))));
+
+    return startsLine && endsLine;
+  });
+
+  standalone.forEach((isStandalone, index) => {
+    if (!isStandalone) {
+      return;
+    }
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (before) {
+      before.value = before.value.replace(/[ \t]*$/, '');
+    }
+    if (after) {
+      after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+    }
+  });
+
+  return tokens.filter(token => token.type === 'tag' || token.value);
+}
+
+/**
+ * Parses tokens into nodes until a closing or `else` tag of the enclosing block
+ * @private
+ */
+function parseNodes(tokens, start, scopes) {
+  const nodes = [];
+  let index = start;
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+
+    if (token.type === 'text') {
+      nodes.push({ type: 'text', value: token.value });
+      index++;
+      continue;
+    }
+
+    const tag = token.raw;
+    if (tag.startsWith('!')) {
+      index++;
+    } else if (tag.startsWith('/') || tag === 'else') {
+      return { nodes, closing: { token, index } };
+    } else if (tag.startsWith('#')) {
+      const parsed = parseBlock(tokens, index, scopes);
+      nodes.push(parsed.node);
+      index = parsed.next;
+    } else {
+      nodes.push(parseOutput(token, scopes));
+      index++;
+    }
+  }
+
+  return { nodes, closing: null };
+}
+
+/**
+ * Parses an `{{#if}}`, `{{#unless}}` or `{{#each}}` block up to its closing tag
+ * @private
+ */
+function parseBlock(tokens, index, scopes) {
+  const token = tokens[index];
+  const [, block, argument = ''] = token.raw.match(/^#(\S*)\s*([\s\S]*)$/);
+
+  if (!BLOCKS.includes(block)) {
+    throw templateError(token, `unknown block "#${block}"`);
+  }
+  if (!argument) {
+    throw templateError(token, `{{#${block}}} requires ${block === 'each' ? 'a list' : 'a condition'}`);
+  }
+
+  let node;
+  let bodyScopes = scopes;
+  if (block === 'each') {
+    const name = argument.trim();
+    const itemScope = resolveName(token, name, scopes);
+    node = { type: 'each', name };
+    bodyScopes = [typeof itemScope === 'object' ? itemScope : {}, ...scopes];
+  } else {
+    node = { type: 'if', negate: block === 'unless', condition: parseCondition(token, argument, scopes) };
+  }
+
+  const body = parseNodes(tokens, index + 1, bodyScopes);
+  node.body = body.nodes;
+  node.otherwise = [];
+
+  let closing = body.closing;
+  if (closing?.token.raw === 'else') {
+    // The else branch of a loop renders for an empty list, outside the loop's scope
+    const otherwise = parseNodes(tokens, closing.index + 1, scopes);
+    node.otherwise = otherwise.nodes;
+    closing = otherwise.closing;
+  }
+
+  if (!closing) {
+    throw templateError(token, `{{#${block}}} is never closed`);
+  }
+  if (closing.token.raw !== `/${block}`) {
+    throw templateError(closing.token, `expected {{/${block}}} but found {{${closing.token.raw}}}`);
+  }
+
+  return { node, next: closing.index + 1 };
+}
+
+/**
+ * Parses a `{{name}}` or `{{name || "fallback"}}` tag
+ * @private
+ */
+function parseOutput(token, scopes) {
+  const fallbackMatch = token.raw.match(FALLBACK_PATTERN);
+  const name = fallbackMatch ? fallbackMatch[1] : token.raw;
+  resolveName(token, name, scopes);
+
+  return {
+    type: 'output',
+    name,
+    fallback: fallbackMatch ? parseLiteral(token, fallbackMatch[2]) : null
+  };
+}
+
+/**
+ * Parses a condition: a variable, or a variable compared with a literal
+ * @private
+ * @returns {TemplateCondition}
+ */
+function parseCondition(token, source, scopes) {
+  const comparison = source.trim().match(CONDITION_PATTERN);
+  const name = comparison ? comparison[1] : source.trim();
+  resolveName(token, name, scopes);
+
+  return {
+    name,
+    operator: comparison ? comparison[2] : null,
+    operand: comparison ? parseLiteral(token, comparison[3]) : null
+  };
+}
+
+/**
+ * Parses a string, number, boolean or null literal
+ * @private
+ */
+function parseLiteral(token, source) {
+  const text = source.trim();
+
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+    return JSON.parse(text);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (text === 'true' || text === 'false' || text === 'null') {
+    return JSON.parse(text);
+  }
+
+  throw templateError(token, `invalid literal ${text} (use "text", a number, true, false or null)`);
+}
+
+/**
+ * Checks that a variable exists in the innermost scope defining it
+ * @private
+ * @returns {true|TemplateScope} Scope entry of the variable
+ */
+function resolveName(token, name, scopes) {
+  if (!NAME_PATTERN.test(name) && name !== 'this') {
+    throw templateError(token, `invalid variable "${name}"`);
+  }
+
+  const inLoop = scopes.length > 1;
+  if (LOOP_VARIABLES.includes(name)) {
+    if (!inLoop) {
+      throw templateError(token, `"${name}" can only be used inside {{#each}}`);
+    }
+    return true;
+  }
+
+  const scope = scopes.find(candidate => Object.hasOwn(candidate, name));
+  if (!scope) {
+    const known = Object.keys(scopes[0]).sort();
+    throw templateError(token, `unknown variable "${name}"${known.length > 0 ? ` (available: ${known.join(', ')})` : ''}`);
+  }
+
+  return scope[name];
+}
+
+/**
+ * Renders nodes against a stack of data frames, innermost first
+ * @private
+ */
+function renderNodes(nodes, frames, formatNumber) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'output': {
+        const value = lookup(node.name, frames);
+        output += formatValue(isTruthy(value) || node.fallback === null ? value : node.fallback, formatNumber);
+        break;
+      }
+      case 'if': {
+        const passed = evaluate(node.condition, frames) !== node.negate;
+        output += renderNodes(passed ? node.body : node.otherwise, frames, formatNumber);
+        break;
+      }
+      case 'each': {
+        const list = lookup(node.name, frames);
+        const items = Array.isArray(list) ? list : [];
+        if (items.length === 0) {
+          output += renderNodes(node.otherwise, frames, formatNumber);
+          break;
+        }
+        items.forEach((item, index) => {
+          const frame = {
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@number': index + 1,
+            '@first': index === 0,
+            '@last': index === items.length - 1
+          };
+          output += renderNodes(node.body, [frame, ...frames], formatNumber);
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Looks a variable up, innermost frame first
+ * @private
+ */
+function lookup(name, frames) {
+  const frame = frames.find(candidate => candidate && Object.hasOwn(candidate, name));
+  return frame ? frame[name] : undefined;
+}
+
+/**
+ * Evaluates a condition against the data frames
+ * @private
+ */
+function evaluate({ name, operator, operand }, frames) {
+  const value = lookup(name, frames);
+
+  switch (operator) {
+    case null: return isTruthy(value);
+    case '==': return value === operand || (value == null && operand === null);
+    case '!=': return !(value === operand || (value == null && operand === null));
+    case '>': return value > operand;
+    case '<': return value < operand;
+    case '>=': return value >= operand;
+    case '<=': return value <= operand;
+  }
+}
+
+/**
+ * Empty values, empty lists, zero and false are falsy
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Prints a value; missing values print nothing and lists are joined with ", "
+ * @private
+ */
+function formatValue(value, formatNumber) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => formatValue(item, formatNumber)).join(', ');
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Line and column (1-based) of an offset in the source
+ * @private
+ */
+function positionOf(source, offset) {
+  const before = source.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Builds an error pointing at a position in the template
+ * @private
+ */
+function templateError({ line, column }, message) {
+  return new Error(`Invalid template at line ${line}, column ${column}: ${message}`);
+}
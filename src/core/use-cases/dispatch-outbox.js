@@ -0,0 +1,254 @@
+import { randomUUID } from 'crypto';
+import pino from 'pino';
+import { createDeliveryReport, uniformDeliveryReport, undeliveredRecipients } from '../entities/delivery-report.js';
+
+const logger = pino({ name: 'dispatch-outbox' });
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {import('../ports/i-outbox.js').OutboxItem} OutboxItem
+ */
+
+/**
+ * @typedef {Object} OutboxDelivery
+ * @property {string} id - Outbox item identifier
+ * @property {'delivered'|'failed'|'deferred'|'expired'} status - Outcome of the attempt
+ * @property {string|null} error - Error of a failed attempt
+ * @property {import('../entities/delivery-report.js').DeliveryReport|null} report - Outcome per recipient, when an attempt was made
+ */
+
+/**
+ * Use case delivering queued notifications from the outbox.
+ * Messages are queued before the poller moves its watermark, so they survive restarts and
+ * notifier outages. While the notifier is not ready, items wait without using up attempts;
+ * failed attempts are retried with exponential backoff until the item expires. When only
+ * some recipients failed, the item is narrowed to them so the others don't get it twice.
+ * A later part of a split message waits while an earlier part is still pending, so the parts
+ * arrive in order even when they back off differently.
+ * Batches of the event webhook are queued the same way and narrowed to the endpoints that failed.
+ */
+export class DispatchOutbox {
+  /**
+   * @param {import('../ports/i-outbox.js').IOutbox} outbox - Store holding queued messages
+   * @param {Object} notifier - INotifier used to deliver messages
+   * @param {Object} [options] - Delivery options
+   * @param {number} [options.maxAttempts] - Failed attempts after which an item expires
+   * @param {number} [options.ttlMs] - Time after which an undelivered item expires
+   * @param {number} [options.retryDelayMs] - Delay before the first retry; doubles on every failure
+   * @param {function(string|null, string|null): (function(Array): string)|undefined} [options.renderFor] - Message renderer of a world and locale, used by channel routing
+   * @param {number} [options.partDelayMs] - Pause before delivering a later part of a split message
+   * @param {Object|null} [options.eventWebhook] - INotifier delivering the queued event webhook batches
+   */
+  constructor(outbox, notifier, options = {}) {
+    this.outbox = outbox;
+    this.notifier = notifier;
+    this.maxAttempts = options.maxAttempts ?? 10;
+    this.ttlMs = options.ttlMs ?? 24 * 60 * 60 * 1000;
+    this.retryDelayMs = options.retryDelayMs ?? 60 * 1000;
+    this.renderFor = options.renderFor || (() => undefined);
+    this.partDelayMs = options.partDelayMs ?? 0;
+    this.eventWebhook = options.eventWebhook || null;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Queues rendered messages for delivery
+   * @param {Array<{world: string|null, channel?: 'webhook'|null, recipients: string[]|null, locale?: string|null, message: string, events: Array, part?: number, parts?: number}>} messages - Messages to queue
+   * @returns {Promise<OutboxItem[]>} Queued items
+   */
+  async enqueue(messages) {
+    const now = Date.now();
+    // Parts follow their first part, whose ID names the batch
+    let batch = null;
+    const items = messages.map(({ world, channel, recipients, locale, message, events, part, parts }) => {
+      const id = randomUUID();
+      batch = (part ?? 1) === 1 ? id : batch ?? id;
+      return {
+        id,
+        batch,
+        world: world ?? null,
+        channel: channel ?? null,
+        recipients: recipients ?? null,
+        locale: locale ?? null,
+        message,
+        events,
+        part: part ?? 1,
+        parts: parts ?? 1,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString(),
+        lastError: null
+      };
+    });
+
+    await this.outbox.add(items);
+    return items;
+  }
+
+  /**
+   * Delivers every pending item that is due
+   * @returns {Promise<OutboxDelivery[]>} Outcome per attempted item
+   */
+  async runOnce() {
+    const now = Date.now();
+    const due = (await this.outbox.list())
+      .filter(item => item.status === 'pending' && Date.parse(item.nextAttemptAt) <= now);
+
+    if (due.length === 0) {
+      return [];
+    }
+
+    const deliveries = await this.deliver(due);
+    logger.info({
+      due: due.length,
+      delivered: deliveries.filter(delivery => delivery.status === 'delivered').length
+    }, 'Outbox dispatched');
+
+    return deliveries;
+  }
+
+  /**
+   * Makes one delivery attempt for each item, pausing before later parts of split messages.
+   * Items being delivered by an overlapping run, or delivered and removed since they were read,
+   * are skipped; later parts whose earlier parts are still pending are deferred.
+   * @param {OutboxItem[]} items - Items to deliver
+   * @returns {Promise<OutboxDelivery[]>} Outcome per attempted item
+   */
+  async deliver(items) {
+    const deliveries = [];
+
+    for (const { id } of items) {
+      if (this.inFlight.has(id)) {
+        continue;
+      }
+
+      this.inFlight.add(id);
+      try {
+        const stored = await this.outbox.list();
+        const item = stored.find(candidate => candidate.id === id);
+        if (item?.status === 'pending' && waitsForEarlierPart(item, stored)) {
+          deliveries.push({ id, status: 'deferred', error: null, report: null });
+        } else if (item?.status === 'pending') {
+          if (item.part > 1 && this.partDelayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.partDelayMs));
+          }
+          deliveries.push(await this._deliverItem(item));
+        }
+      } finally {
+        this.inFlight.delete(id);
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Lists queued items
+   * @param {{status?: string, world?: string}} [criteria] - Filters; all items when empty
+   * @returns {Promise<OutboxItem[]>} Items, oldest first
+   */
+  async list({ status, world } = {}) {
+    const items = await this.outbox.list();
+    return items.filter(item => (!status || item.status === status) && (!world || item.world === world));
+  }
+
+  /**
+   * Removes one queued item
+   * @param {string} id - Item identifier
+   * @returns {Promise<boolean>} True if the item existed
+   */
+  async remove(id) {
+    return this.outbox.remove(id);
+  }
+
+  /**
+   * Removes queued items
+   * @param {{status?: string, world?: string}} [criteria] - Filters; all items when empty
+   * @returns {Promise<number>} Number of removed items
+   */
+  async purge(criteria = {}) {
+    return this.outbox.purge(criteria);
+  }
+
+  /**
+   * Makes one delivery attempt and records its outcome in the outbox
+   * @param {OutboxItem} item - Item to deliver
+   * @returns {Promise<OutboxDelivery>} Outcome
+   * @private
+   */
+  async _deliverItem(item) {
+    const now = Date.now();
+
+    if (Date.parse(item.expiresAt) <= now) {
+      await this.outbox.update(item.id, { status: 'expired', lastError: item.lastError ?? 'Expired before delivery' });
+      logger.warn({ id: item.id, world: item.world }, 'Outbox item expired');
+      return { id: item.id, status: 'expired', error: item.lastError, report: null };
+    }
+
+    const notifier = item.channel === 'webhook' ? this.eventWebhook : this.notifier;
+    if (!notifier) {
+      await this.outbox.update(item.id, { status: 'expired', lastError: 'Event webhook not configured' });
+      logger.warn({ id: item.id, world: item.world }, 'Outbox item expired, its channel is not configured');
+      return { id: item.id, status: 'expired', error: 'Event webhook not configured', report: null };
+    }
+
+    if (!notifier.isClientReady()) {
+      return { id: item.id, status: 'deferred', error: null, report: null };
+    }
+
+    let report;
+    let failure;
+    try {
+      const locale = item.locale ?? null;
+      const context = { world: item.world, locale, events: item.events, render: this.renderFor(item.world, locale) };
+      report = item.recipients
+        ? await notifier.notifyMany(item.recipients, item.message, context)
+        : await notifier.sendNotification(item.message, context);
+      // Notifiers that don't report per recipient are taken as having delivered to everyone
+      report = report?.recipients ? report : uniformDeliveryReport(item.recipients || notifier.recipients || [], 'sent');
+    } catch (error) {
+      report = error.result?.recipients
+        ? createDeliveryReport(error.result.recipients)
+        : uniformDeliveryReport(item.recipients || notifier.recipients || [], 'failed', error.message);
+      failure = error.message;
+    }
+
+    const undelivered = undeliveredRecipients(report);
+    if (!failure && undelivered.length === 0) {
+      await this.outbox.remove(item.id);
+      return { id: item.id, status: 'delivered', error: null, report };
+    }
+
+    const error = failure ?? `Not delivered to ${undelivered.join(', ')}`;
+    const attempts = item.attempts + 1;
+    const expired = attempts >= this.maxAttempts;
+    const retryDelay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+    await this.outbox.update(item.id, {
+      // Once some recipients got the message, only the ones that missed it are retried
+      recipients: undelivered.length > 0 && undelivered.length < report.recipients.length ? undelivered : item.recipients,
+      attempts,
+      status: expired ? 'expired' : 'pending',
+      nextAttemptAt: new Date(now + retryDelay).toISOString(),
+      lastError: error
+    });
+
+    logger.warn({ id: item.id, world: item.world, attempts, expired, error }, 'Outbox delivery failed');
+    return { id: item.id, status: expired ? 'expired' : 'failed', error, report };
+  }
+}
+
+/**
+ * Checks whether an earlier part of the item's split message is still waiting for delivery
+ * @param {OutboxItem} item - Item to deliver
+ * @param {OutboxItem[]} stored - Items in the outbox
+ * @returns {boolean} True if the item has to wait
+ * @private
+ */
+function waitsForEarlierPart(item, stored) {
+  return item.part > 1 && !!item.batch && stored.some(other =>
+    other.batch === item.batch && other.part < item.part && other.status === 'pending');
+}
@@ -0,0 +1,166 @@
+import { randomUUID } from 'crypto';
+import pino from 'pino';
+import { compileFilter } from '../filters/filter-engine.js';
+import { resolveFilterDefinitions } from '../filters/filter-definitions.js';
+
+const logger = pino({ name: 'manage-filters' });
+
+/**
+ * @typedef {import('../filters/filter-definitions.js').FilterDefinition} FilterDefinition
+ */
+
+/**
+ * Use case for creating, updating and removing stored filter definitions.
+ * Every change is persisted through the state store and then reloaded by PollAndNotify.
+ */
+export class ManageFilters {
+  /**
+   * @param {import('../ports/i-state-store.js').IStateStore} stateStore - Store holding filter definitions
+   * @param {import('./poll-and-notify.js').PollAndNotify} pollAndNotify - Use case that applies the filters
+   */
+  constructor(stateStore, pollAndNotify) {
+    this.stateStore = stateStore;
+    this.pollAndNotify = pollAndNotify;
+    this.changeQueue = Promise.resolve();
+  }
+
+  /**
+   * Lists all filter definitions in effect
+   * @returns {Promise<FilterDefinition[]>} Filter definitions
+   */
+  async list() {
+    const stored = await this.stateStore.loadFilters();
+    return resolveFilterDefinitions(stored, this.pollAndNotify.configuredFilters);
+  }
+
+  /**
+   * Gets a single filter definition
+   * @param {string} id - Filter ID
+   * @returns {Promise<FilterDefinition|null>} Definition or null if not found
+   */
+  async get(id) {
+    const definitions = await this.list();
+    return definitions.find(definition => definition.id === id) || null;
+  }
+
+  /**
+   * Returns the combined rule PollAndNotify is currently applying
+   * @returns {import('../filters/filter-engine.js').FilterRule|null} Active rule or null (no filtering)
+   */
+  getActiveRule() {
+    return this.pollAndNotify.filters;
+  }
+
+  /**
+   * Creates a new filter definition
+   * @param {{name: string, enabled?: boolean, rule: Object}} input - Validated definition input
+   * @returns {Promise<FilterDefinition>} Created definition
+   * @throws {Error} When the rule is malformed
+   */
+  async create(input) {
+    compileFilter(input.rule);
+
+    return this._change(definitions => {
+      const now = new Date().toISOString();
+      const definition = {
+        id: randomUUID(),
+        name: input.name,
+        enabled: input.enabled ?? true,
+        rule: input.rule,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      definitions.push(definition);
+      logger.info({ id: definition.id, name: definition.name }, 'Filter created');
+      return definition;
+    });
+  }
+
+  /**
+   * Updates fields of an existing filter definition
+   * @param {string} id - Filter ID
+   * @param {{name?: string, enabled?: boolean, rule?: Object}} changes - Validated changes
+   * @returns {Promise<FilterDefinition|null>} Updated definition or null if not found
+   * @throws {Error} When the rule is malformed
+   */
+  async update(id, changes) {
+    if (changes.rule) {
+      compileFilter(changes.rule);
+    }
+
+    return this._change(definitions => {
+      const index = definitions.findIndex(definition => definition.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const updated = { ...definitions[index], ...changes, updatedAt: new Date().toISOString() };
+      definitions[index] = updated;
+      logger.info({ id, changes: Object.keys(changes) }, 'Filter updated');
+      return updated;
+    });
+  }
+
+  /**
+   * Removes a filter definition
+   * @param {string} id - Filter ID
+   * @returns {Promise<boolean>} True if a definition was removed
+   */
+  async remove(id) {
+    return this._change(definitions => {
+      const index = definitions.findIndex(definition => definition.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      definitions.splice(index, 1);
+      logger.info({ id }, 'Filter removed');
+      return true;
+    });
+  }
+
+  /**
+   * Enables or disables every filter definition at once
+   * @param {boolean} enabled - Target state
+   * @returns {Promise<FilterDefinition[]>} Updated definitions
+   */
+  async setAllEnabled(enabled) {
+    return this._change(definitions => {
+      const now = new Date().toISOString();
+      definitions.forEach((definition, index) => {
+        if (definition.enabled !== enabled) {
+          definitions[index] = { ...definition, enabled, updatedAt: now };
+        }
+      });
+
+      logger.info({ enabled, count: definitions.length }, 'All filters switched');
+      return definitions;
+    });
+  }
+
+  /**
+   * Runs a change against the current definitions, saves them and reloads PollAndNotify.
+   * A null/false result from apply means nothing changed and skips the save.
+   * Changes are serialized so concurrent requests don't overwrite each other.
+   * @param {(definitions: FilterDefinition[]) => *} apply - Mutates the definitions and returns the result
+   * @returns {Promise<*>} Result of apply
+   * @private
+   */
+  _change(apply) {
+    const run = this.changeQueue.then(async () => {
+      const definitions = [...await this.list()];
+      const result = apply(definitions);
+      if (result === null || result === false) {
+        return result; // Nothing changed (e.g. unknown ID)
+      }
+
+      await this.stateStore.saveFilters(definitions);
+      await this.pollAndNotify.loadFilters();
+      return result;
+    });
+
+    this.changeQueue = run.catch(() => {});
+    return run;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+import pino from 'pino';
+import { resolveSubscriptions, compileSubscription } from '../subscriptions/subscriptions.js';
+
+const logger = pino({ name: 'manage-subscriptions' });
+
+/**
+ * @typedef {import('../subscriptions/subscriptions.js').Subscription} Subscription
+ */
+
+/**
+ * Use case for subscribing and unsubscribing recipients.
+ * Every change is persisted through the state store and then reloaded by PollAndNotify.
+ */
+export class ManageSubscriptions {
+  /**
+   * @param {import('../ports/i-state-store.js').IStateStore} stateStore - Store holding subscriptions
+   * @param {import('./poll-and-notify.js').PollAndNotify} pollAndNotify - Use case that delivers by subscription
+   */
+  constructor(stateStore, pollAndNotify) {
+    this.stateStore = stateStore;
+    this.pollAndNotify = pollAndNotify;
+    this.changeQueue = Promise.resolve();
+  }
+
+  /**
+   * Lists all subscriptions in effect
+   * @returns {Promise<Subscription[]>} Subscriptions
+   */
+  async list() {
+    const stored = await this.stateStore.loadSubscriptions();
+    return resolveSubscriptions(stored, this.pollAndNotify.configuredSubscriptions, this.pollAndNotify.recipients);
+  }
+
+  /**
+   * Gets the subscription of a recipient
+   * @param {string} recipient - Recipient identifier
+   * @returns {Promise<Subscription|null>} Subscription or null if not subscribed
+   */
+  async get(recipient) {
+    const subscriptions = await this.list();
+    return subscriptions.find(subscription => subscription.recipient === recipient) || null;
+  }
+
+  /**
+   * @typedef {Object} SubscriptionSettings
+   * @description Delivery settings of a subscription; undefined keeps the current value
+   * @property {string|null} [locale] - Locale of the recipient's messages; null resets it to the world's
+   * @property {'realtime'|'digest'|'both'} [mode] - Delivery mode; realtime for new subscriptions
+   * @property {import('../subscriptions/quiet-hours.js').QuietHours|null} [quietHours] - Quiet hours; null removes them
+   */
+
+  /**
+   * Subscribes a recipient or replaces its filter set
+   * @param {string} recipient - Recipient identifier
+   * @param {Object[]} filters - Validated filter rules; empty means everything
+   * @param {SubscriptionSettings} [settings] - Delivery settings to change
+   * @returns {Promise<{subscription: Subscription, created: boolean}>} Saved subscription
+   * @throws {Error} When a rule is malformed
+   */
+  async subscribe(recipient, filters = [], settings = {}) {
+    compileSubscription({ recipient, filters, quietHours: settings.quietHours });
+
+    return this._change(subscriptions => {
+      const now = new Date().toISOString();
+      const index = subscriptions.findIndex(subscription => subscription.recipient === recipient);
+
+      if (index === -1) {
+        const subscription = { recipient, filters, ...withSettings({}, settings), createdAt: now, updatedAt: now };
+        subscriptions.push(subscription);
+        logger.info({ recipient, filters: filters.length, locale: settings.locale, mode: settings.mode }, 'Recipient subscribed');
+        return { subscription, created: true };
+      }
+
+      const subscription = { ...withSettings(subscriptions[index], settings), filters, updatedAt: now };
+      subscriptions[index] = subscription;
+      logger.info({ recipient, filters: filters.length }, 'Subscription updated');
+      return { subscription, created: false };
+    });
+  }
+
+  /**
+   * Changes how a subscribed recipient is notified
+   * @param {string} recipient - Recipient identifier
+   * @param {'realtime'|'digest'|'both'} mode - Delivery mode
+   * @returns {Promise<Subscription|null>} Saved subscription, or null if the recipient is not subscribed
+   */
+  async setMode(recipient, mode) {
+    const subscription = await this._changeSettings(recipient, { mode });
+    if (subscription) {
+      logger.info({ recipient, mode }, 'Delivery mode changed');
+    }
+    return subscription;
+  }
+
+  /**
+   * Sets or removes the quiet hours of a subscribed recipient
+   * @param {string} recipient - Recipient identifier
+   * @param {import('../subscriptions/quiet-hours.js').QuietHours|null} quietHours - Quiet hours; null removes them
+   * @returns {Promise<Subscription|null>} Saved subscription, or null if the recipient is not subscribed
+   * @throws {Error} When the priority rule is malformed
+   */
+  async setQuietHours(recipient, quietHours) {
+    compileSubscription({ recipient, filters: [], quietHours });
+
+    const subscription = await this._changeSettings(recipient, { quietHours });
+    if (subscription) {
+      logger.info({ recipient, start: quietHours?.start, end: quietHours?.end }, 'Quiet hours changed');
+    }
+    return subscription;
+  }
+
+  /**
+   * Removes the subscription of a recipient
+   * @param {string} recipient - Recipient identifier
+   * @returns {Promise<boolean>} True if a subscription was removed
+   */
+  async unsubscribe(recipient) {
+    return this._change(subscriptions => {
+      const index = subscriptions.findIndex(subscription => subscription.recipient === recipient);
+      if (index === -1) {
+        return false;
+      }
+
+      subscriptions.splice(index, 1);
+      logger.info({ recipient }, 'Recipient unsubscribed');
+      return true;
+    });
+  }
+
+  /**
+   * Changes the delivery settings of an existing subscription
+   * @param {string} recipient - Recipient identifier
+   * @param {SubscriptionSettings} settings - Settings to change
+   * @returns {Promise<Subscription|null>} Saved subscription, or null if the recipient is not subscribed
+   * @private
+   */
+  _changeSettings(recipient, settings) {
+    return this._change(subscriptions => {
+      const index = subscriptions.findIndex(subscription => subscription.recipient === recipient);
+      if (index === -1) {
+        return null;
+      }
+
+      subscriptions[index] = { ...withSettings(subscriptions[index], settings), updatedAt: new Date().toISOString() };
+      return subscriptions[index];
+    });
+  }
+
+  /**
+   * Runs a change against the current subscriptions, saves them and reloads PollAndNotify.
+   * A null/false result from apply means nothing changed and skips the save.
+   * Changes are serialized so concurrent requests don't overwrite each other.
+   * @param {(subscriptions: Subscription[]) => *} apply - Mutates the subscriptions and returns the result
+   * @returns {Promise<*>} Result of apply
+   * @private
+   */
+  _change(apply) {
+    const run = this.changeQueue.then(async () => {
+      const subscriptions = [...await this.list()];
+      const result = apply(subscriptions);
+      if (result === null || result === false) {
+        return result; // Nothing changed (e.g. unknown recipient)
+      }
+
+      await this.stateStore.saveSubscriptions(subscriptions);
+      await this.pollAndNotify.loadSubscriptions();
+      return result;
+    });
+
+    this.changeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Applies delivery settings to a subscription. Settings left undefined keep their value;
+ * the world's locale, realtime delivery and no quiet hours are stored by leaving the field out.
+ * @private
+ */
+function withSettings(subscription, { locale, mode, quietHours }) {
+  const { locale: currentLocale, mode: currentMode, quietHours: currentQuietHours, ...rest } = subscription;
+  const next = {
+    locale: locale === undefined ? currentLocale : locale,
+    mode: mode === undefined ? currentMode : mode,
+    quietHours: quietHours === undefined ? currentQuietHours : quietHours
+  };
+
+  return {
+    ...rest,
+    ...(next.locale && { locale: next.locale }),
+    ...(next.mode && next.mode !== 'realtime' && { mode: next.mode }),
+    ...(next.quietHours && { quietHours: next.quietHours })
+  };
+}
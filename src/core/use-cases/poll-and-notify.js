@@ -1,18 +1,195 @@
 import pino from 'pino';
+import { compileFilter, compileZoneCollector } from '../filters/filter-engine.js';
+import { resolveFilterDefinitions, combineFilterDefinitions } from '../filters/filter-definitions.js';
+import { createDeliveryReport } from '../entities/delivery-report.js';
+import { MessageRenderer } from '../templates/message-renderer.js';
+import { MessageComposer } from '../delivery/message-composer.js';
+import { NotificationSender } from '../delivery/notification-sender.js';
+import { DeliveryPlanner } from '../delivery/delivery-planner.js';
+import { EventTracker } from '../polling/event-tracker.js';
 
 const logger = pino({ name: 'poll-and-notify' });
 
+const RUN_HISTORY_SIZE = 20;
+
 /**
  * Core use case for polling ennoblement events and sending notifications
  */
 export class PollAndNotify {
-  constructor(scraper, notifier, stateStore, recipients = null, filters = null) {
+  /**
+   * @param {Object} scraper - IScraper for the monitored world
+   * @param {Object} notifier - INotifier used to deliver messages
+   * @param {Object} stateStore - IStateStore for the monitored world
+   * @param {string[]|null} recipients - Recipients for this world; null uses the notifier's own list
+   * @param {Object|null} filters - Configured filter rule, used until filters are saved
+   * @param {Object} options - Additional options
+   * @param {string} [options.worldId] - World identifier, used in logs and results
+   * @param {string} [options.messagePrefix] - Line prepended to every rendered message
+   * @param {Array|null} [options.subscriptions] - Configured subscriptions, used until subscriptions are saved
+   * @param {Object|null} [options.eventWebhook] - INotifier receiving every filtered batch next to the subscribers
+   * @param {import('./dispatch-outbox.js').DispatchOutbox|null} [options.outbox] - Outbox queuing messages before the watermark moves; without it messages are sent directly
+   * @param {MessageRenderer} [options.renderer] - Renders messages from the configured templates; defaults to the built-in layout
+   * @param {string|null} [options.locale] - Locale of the world's messages; null uses the renderer's default locale
+   * @param {number} [options.maxMessageLength] - Character limit of a message; longer ones are split into numbered parts
+   * @param {number} [options.maxEventsPerMessage] - Events shown per batch; the rest are summed up as "+N more"
+   * @param {number} [options.partDelayMs] - Pause between the parts of a split message
+   * @param {number} [options.digestTop] - Length of the rankings in digests
+   * @param {{timeZone?: string|null, priority?: Object|null}} [options.quietHours] - Time zone and priority rule of quiet hours that leave them out
+   * @param {import('../subscriptions/rate-limit.js').RateLimits} [options.rateLimits] - Messages per recipient and window; unlimited by default
+   * @param {import('../ports/i-event-history.js').IEventHistory|null} [options.history] - Archive receiving every scraped event
+   * @param {string} [options.timeZone] - IANA time zone TWStats shows the world's times in
+   * @param {number|null} [options.catchUpMaxAgeHours] - Age of the oldest event older pages are read for after downtime; null reads up to the last processed event
+   */
+  constructor(scraper, notifier, stateStore, recipients = null, filters = null, options = {}) {
     this.scraper = scraper;
     this.notifier = notifier;
     this.stateStore = stateStore;
     this.recipients = recipients;
-    this.filters = filters;
+    this.configuredFilters = filters;
+    this.worldId = options.worldId || null;
+    this.logger = this.worldId ? logger.child({ world: this.worldId }) : logger;
+    this.configuredSubscriptions = options.subscriptions || null;
+    this.outbox = options.outbox || null;
+    this.renderer = options.renderer || new MessageRenderer();
+    this.locale = options.locale || null;
+    this.composer = new MessageComposer(this.renderer, {
+      world: this.worldId,
+      messagePrefix: options.messagePrefix,
+      locale: this.locale,
+      maxMessageLength: options.maxMessageLength,
+      maxEventsPerMessage: options.maxEventsPerMessage,
+      digestTop: options.digestTop
+    });
+    this.sender = new NotificationSender(notifier, this.composer, {
+      world: this.worldId,
+      eventWebhook: options.eventWebhook,
+      outbox: this.outbox,
+      partDelayMs: options.partDelayMs
+    });
+    this.planner = new DeliveryPlanner(stateStore, this.composer, {
+      world: this.worldId,
+      recipients,
+      subscriptions: this.configuredSubscriptions,
+      quietHours: options.quietHours,
+      rateLimits: options.rateLimits
+    });
+    this.tracker = new EventTracker(stateStore, {
+      world: this.worldId,
+      history: options.history,
+      timeZone: options.timeZone,
+      catchUpMaxAgeHours: options.catchUpMaxAgeHours
+    });
     this.executionCount = 0;
+    this.lastRunAt = null;
+    this.runHistory = [];
+    this.setFilters(filters);
+  }
+
+  /**
+   * Subscriptions in effect
+   * @returns {import('../subscriptions/subscriptions.js').Subscription[]}
+   */
+  get subscriptions() {
+    return this.planner.subscriptions;
+  }
+
+  /**
+   * Replaces the active filter rule; null disables filtering
+   * @param {import('../filters/filter-engine.js').FilterRule|null} rule - Filter rule to activate
+   * @throws {Error} When the rule is malformed
+   */
+  setFilters(rule) {
+    this.filterPredicate = rule ? compileFilter(rule) : null;
+    this.zoneCollector = rule ? compileZoneCollector(rule) : null;
+    this.filters = rule || null;
+  }
+
+  /**
+   * Loads stored filter definitions and activates their combined rule.
+   * Falls back to the configured rule until filters are saved through the API.
+   * @returns {Promise<import('../filters/filter-definitions.js').FilterDefinition[]>} Definitions in effect
+   */
+  async loadFilters() {
+    const stored = await this.stateStore.loadFilters();
+    const definitions = resolveFilterDefinitions(stored, this.configuredFilters);
+    this.setFilters(combineFilterDefinitions(definitions));
+
+    this.logger.info({
+      definitions: definitions.length,
+      enabled: definitions.filter(definition => definition.enabled).length
+    }, 'Filters loaded');
+
+    return definitions;
+  }
+
+  /**
+   * Replaces the active subscriptions
+   * @param {import('../subscriptions/subscriptions.js').Subscription[]} subscriptions - Subscriptions to activate
+   * @throws {Error} When a subscription rule is malformed
+   */
+  setSubscriptions(subscriptions) {
+    this.planner.setSubscriptions(subscriptions);
+  }
+
+  /**
+   * Loads stored subscriptions and activates them.
+   * Falls back to the configured subscriptions (or recipients) until subscriptions are saved.
+   * @returns {Promise<import('../subscriptions/subscriptions.js').Subscription[]>} Subscriptions in effect
+   */
+  async loadSubscriptions() {
+    const subscriptions = this.planner.useStored(await this.stateStore.loadSubscriptions());
+
+    this.logger.info({ subscriptions: subscriptions.length }, 'Subscriptions loaded');
+
+    return subscriptions;
+  }
+
+  /**
+   * Returns the events matching the active filter rule (all events when none is active).
+   * When the rule contains geofences, matching events are tagged with the zones they hit.
+   * @param {Array} events - Events to filter
+   * @returns {Array} Matching events
+   */
+  filterEvents(events) {
+    if (!this.filterPredicate) {
+      return events;
+    }
+
+    const matched = events.filter(this.filterPredicate);
+    if (!this.zoneCollector) {
+      return matched;
+    }
+
+    return matched.map(event => ({ ...event, zones: this.zoneCollector(event) }));
+  }
+
+  /**
+   * Splits events by subscription (see DeliveryPlanner#planDeliveries())
+   * @param {Array} events - Events that passed the world's filters
+   * @param {{digest?: boolean}} [options] - Plan the digest instead of the realtime messages
+   * @returns {import('../delivery/delivery-plan.js').Delivery[]} Events per recipient
+   */
+  planDeliveries(events, options = {}) {
+    return this.planner.planDeliveries(events, options);
+  }
+
+  /**
+   * Renders the messages for the events' subscribers (see DeliveryPlanner#planMessages())
+   * @param {Array} events - Events that passed the world's filters
+   * @param {import('../delivery/delivery-plan.js').Delivery[]} [deliveries] - Deliveries to render instead of the planned ones
+   * @returns {import('../delivery/delivery-plan.js').PlannedMessage[]} Messages to send
+   */
+  planMessages(events, deliveries = undefined) {
+    return this.planner.planMessages(events, deliveries);
+  }
+
+  /**
+   * Renders the digests of the collected events for the digest subscribers (see DeliveryPlanner#planDigests())
+   * @param {Array} events - Collected events
+   * @returns {Array<{recipients: string[], locale: string|null, message: string, events: Array}>} Digests to send
+   */
+  planDigests(events) {
+    return this.planner.planDigests(events);
   }
 
   /**
@@ -21,96 +198,57 @@ export class PollAndNotify {
    */
   async runOnce() {
     this.executionCount++;
-    logger.info({ executionCount: this.executionCount }, 'Starting polling cycle');
+    this.lastRunAt = new Date().toISOString();
+    this.logger.info({ executionCount: this.executionCount }, 'Starting polling cycle');
 
     try {
-      // Scrape events from the website
-      const allEvents = await this.scraper.scrape();
-      logger.info({ totalEvents: allEvents.length }, 'Events scraped from website');
-
+      // Scrape events from the website, reading older pages back to the last processed event
+      const progress = await this.tracker.loadProgress();
+      const allEvents = await this.scraper.scrape({ stopAt: this.tracker.catchUpStop(progress) });
+      await this.tracker.recordScraped(allEvents);
       if (allEvents.length === 0) {
-        logger.warn('No events found on website');
-        return { success: true, eventsCount: 0, message: 'No events found' };
+        this.logger.warn('No events found on website');
+        return this._record({ success: true, eventsCount: 0, message: 'No events found' });
       }
 
-      // Load last processed timestamp
-      const lastProcessedTimestamp = await this.stateStore.loadLastProcessedTimestamp();
-      
-      if (!lastProcessedTimestamp) {
-        // First run: save the timestamp of the latest event and don't send notification
-        const latestEvent = allEvents[0]; // First event is the latest
-        await this.stateStore.saveLastProcessedTimestamp(latestEvent.timestamp);
-        logger.info({ 
-          latestEvent: latestEvent.village, 
-          timestamp: latestEvent.timestamp 
-        }, 'First run: saved latest event timestamp, no notification sent');
-        return { 
-          success: true, 
-          eventsCount: 0, 
-          message: 'First run: timestamp saved, no notification sent' 
-        };
+      if (!progress.seenIds && !progress.lastProcessedTimestamp) {
+        await this.tracker.markFirstRun(allEvents);
+        return this._record({ success: true, eventsCount: 0, message: 'First run: events marked as seen, no notification sent' });
       }
 
-      // Find events newer than last processed timestamp
-      const newEvents = this.findNewEvents(allEvents, lastProcessedTimestamp);
-      
-      // Filtreleme: Eğer filtreler aktifse sadece belirli koşulları karşılayan eventleri al
-      const filteredEvents = newEvents.filter(event => {
-        // Debug: Klan adlarını logla
-        logger.info({ 
-          newTribe: event.newTribe, 
-          oldTribe: event.oldTribe,
-          villageName: event.villageName,
-          filtersActive: !!this.filters
-        }, 'Checking tribe filter');
-        
-        // Eğer filtreler aktifse, sadece SiSu klanının eventlerini al
-        if (this.filters) {
-          return (event.newTribe === 'SiSu' || event.oldTribe === 'SiSu')
-          // && event.x < 452 && event.y > 462
-          ;
-        }
-        
-        // Filtreler aktif değilse, tüm eventleri al
-        return true;
-      });
-      
-      // if (filteredEvents.length === 0) {
-      //   logger.info('No new filtered events found, skipping notification');
-      //   return { success: true, eventsCount: 0, message: 'No new filtered events found' };
-      // }
-
-      // Send notification for new events (only if there are events to send)
-      if (filteredEvents.length > 0) {
-        const message = this.renderMessage(filteredEvents);
-        await this._notifyWithRetry(message);
-      }
+      const newEvents = this.tracker.findNewEvents(allEvents, progress);
+      const filteredEvents = this.filterEvents(newEvents);
+      this.logger.debug({
+        newEvents: newEvents.length,
+        filteredEvents: filteredEvents.length,
+        filtersActive: !!this.filters
+      }, 'Filters applied to new events');
 
-      // Update last processed timestamp to the latest event we just processed
-      // Only update if we have new events
-      if (newEvents.length > 0) {
-        const latestProcessedEvent = newEvents[0]; // First event is the latest (newest)
-        await this.stateStore.saveLastProcessedTimestamp(latestProcessedEvent.timestamp);
+      const { delivery, queued, held } = await this._notify(filteredEvents);
+      await this.tracker.markProcessed(progress, allEvents, newEvents);
+      if (held) {
+        // Held events of removed quiet hours are released now, unless the subscriptions changed meanwhile
+        this.planner.settleRelease(held);
       }
 
-      logger.info({ 
-        eventsCount: filteredEvents.length, 
-        recipientsCount: this.recipients?.length || this.notifier.recipients?.length || 0,
-        newEvents: filteredEvents.map(e => e.villageName)
-      }, 'Notification cycle completed successfully');
-
-      return { 
-        success: true, 
-        eventsCount: filteredEvents.length, 
-        message: `Sent ${filteredEvents.length} new events` 
-      };
+      const outcome = this.outbox ? await this.sender.deliverQueued(queued) : { delivery, pendingCount: 0 };
+      return this._record(this._completed(filteredEvents, outcome));
 
     } catch (error) {
-      logger.error({ error: error.message }, 'Error in polling cycle');
+      this.logger.error({ error: error.message }, 'Error in polling cycle');
+      this._record({ success: false, world: this.worldId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Lists the results of the latest cycles, newest first
+   * @returns {Array<Object>} Cycle results with the time they finished
+   */
+  getRunHistory() {
+    return [...this.runHistory].reverse();
+  }
+
   /**
    * Find events newer than the given timestamp
    * @param {Array} events - All events from website
@@ -118,73 +256,36 @@ export class PollAndNotify {
    * @returns {Array} New events
    */
   findNewEvents(events, lastProcessedTimestamp) {
-    if (!lastProcessedTimestamp) {
-      return [];
-    }
-
-    const lastProcessedDate = this.parseTimestamp(lastProcessedTimestamp);
-    const newEvents = [];
-
-    for (const event of events) {
-      const eventDate = this.parseTimestamp(event.timestamp);
-      if (eventDate > lastProcessedDate) {
-        newEvents.push(event);
-      }
-    }
-
-    logger.info({ 
-      totalEvents: events.length, 
-      newEventsCount: newEvents.length, 
-      lastProcessedTimestamp,
-      latestEvent: events[0]
-    }, 'Events scraped, new events identified');
-
-    return newEvents;
+    return this.tracker.findEventsAfter(events, lastProcessedTimestamp);
   }
 
   /**
-   * Parse timestamp string to Date object
-   * @param {string} timestamp - Timestamp in "YYYY-MM-DD - HH:MM:SS" format
-   * @returns {Date} Parsed date
+   * Parse a timestamp in the world's time zone
+   * @param {string} timestamp - Timestamp in any layout TWStats prints, e.g. "YYYY-MM-DD - HH:MM:SS"
+   * @returns {Date|null} Parsed date, or null when the value is not a timestamp
    */
   parseTimestamp(timestamp) {
-    // Parse "2025-08-02 - 18:08:12" format
-    const [datePart, timePart] = timestamp.split(' - ');
-    const [year, month, day] = datePart.split('-');
-    const [hour, minute, second] = timePart.split(':');
-    
-    return new Date(
-      parseInt(year), 
-      parseInt(month) - 1, // Month is 0-indexed
-      parseInt(day), 
-      parseInt(hour), 
-      parseInt(minute), 
-      parseInt(second)
-    );
-  }
-
-  /**
-   * Render message for multiple events
+    return this.tracker.parseTimestamp(timestamp);
+  }
+
+  /**
+   * Render message for multiple events (see MessageComposer#renderMessage())
    * @param {Array} events - Events to include in message
+   * @param {{locale?: string|null, renderer?: MessageRenderer}} [options] - Rendering options
    * @returns {string} Formatted message
    */
-  renderMessage(events) {
-    if (events.length === 0) {
-      return 'No new ennoblement events found.';
-    }
-
-    if (events.length === 1) {
-      return this.formatSingleEvent(events[0]);
-    }
-
-    // Multiple events
-    let message = `*${events.length} Yeni Köy Eventi Bulundu!*\n\n`;
-    
-    events.forEach((event, index) => {
-      message += `${index + 1}. ${this.formatSingleEvent(event)}\n\n`;
-    });
+  renderMessage(events, options = {}) {
+    return this.composer.renderMessage(events, options);
+  }
 
-    return message;
+  /**
+   * Render the messages for multiple events, split into parts (see MessageComposer#renderMessages())
+   * @param {Array} events - Events to include in the messages
+   * @param {{locale?: string|null, renderer?: MessageRenderer}} [options] - Rendering options
+   * @returns {Array<{message: string, events: Array}>} Parts in sending order, at least one
+   */
+  renderMessages(events, options = {}) {
+    return this.composer.renderMessages(events, options);
   }
 
   /**
@@ -193,57 +294,93 @@ export class PollAndNotify {
    * @returns {string} Formatted event string
    */
   formatSingleEvent(event) {
-    const villageName = event.villageName || 'Bilinmeyen Köy';
-    const coordinates = `${event.x}|${event.y}`;
-    const oldPlayer = event.oldPlayer || 'Bilinmeyen';
-    const oldTribe = event.oldTribe || 'null';
-    const newPlayer = event.newPlayer || 'Bilinmeyen';
-    const newTribe = event.newTribe || 'null';
-    const timestamp = event.timestamp || 'Bilinmeyen Zaman';
-    
-    return `🏰 *${villageName}*\n` +
-           `Koordinat: ${coordinates}\n` +
-           `🔄 ${oldPlayer} (${oldTribe}) → ${newPlayer} (${newTribe})\n` +
-           `⏰ ${timestamp}`;
-  }
-
-  /**
-   * Send notification with retry logic
-   * @param {string} message - Message to send
-   */
-  async _notifyWithRetry(message) {
-    const maxRetries = 3;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Check if notifier is ready, but don't fail completely if not
-        if (!this.notifier.isClientReady()) {
-          logger.warn('Notifier not ready, attempting to send anyway');
-          // Continue with the attempt - the notifier might handle it gracefully
-        }
-
-        await this.notifier.sendNotification(message);
-        logger.info('Notification sent successfully');
-        return;
-
-      } catch (error) {
-        lastError = error;
-        logger.warn({ attempt, error: error.message }, 'Notification attempt failed');
-        
-        // If it's a WhatsApp not ready error, don't retry
-        if (error.message.includes('not ready') || error.message.includes('Call init() first')) {
-          logger.warn('WhatsApp not ready, skipping retry');
-          return;
-        }
-        
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
+    return this.composer.renderEvent(event);
+  }
+
+  /**
+   * Sends the new events to their subscribers, or queues them when there is an outbox, so
+   * they survive a failed delivery. Events for digest subscribers and for recipients in their
+   * quiet hours or over their rate limit are stored before the watermark moves as well.
+   * @param {Array} events - New events that passed the world's filters
+   * @returns {Promise<{delivery: import('../entities/delivery-report.js').DeliveryReport, queued: import('../ports/i-outbox.js').OutboxItem[], held: Object|null}>}
+   *   Outcome of the direct sends, queued items and the held events plan
+   * @private
+   */
+  async _notify(events) {
+    const held = this.planner.holdsEvents() ? await this.planner.planHeldEvents(events) : null;
+    const result = { delivery: createDeliveryReport(), queued: [], held };
+    if (events.length === 0 && Object.keys(held?.release || {}).length === 0) {
+      return result;
+    }
+
+    if (events.length > 0 && this.planner.collectsDigests()) {
+      await this.stateStore.appendDigestEvents(events);
+    }
+
+    const messages = this.planMessages(events, held?.deliveries);
+    if (this.outbox) {
+      result.queued = await this.sender.enqueue(messages, events);
+    } else {
+      result.delivery = await this.sender.send(messages, events);
+      if (this.planner.usesSubscriptions()) {
+        this.logger.info({
+          subscriptions: this.planner.matchers.length,
+          recipientsCount: result.delivery.sentCount,
+          messages: messages.length
+        }, 'Subscriptions delivered');
       }
     }
 
-    logger.error({ error: lastError.message }, 'All notification attempts failed');
-    throw lastError;
+    if (held) {
+      await this.planner.storeHeldEvents(held, messages);
+    }
+    return result;
+  }
+
+  /**
+   * Logs the outcome of a cycle and builds its result
+   * @param {Array} events - New events that passed the world's filters
+   * @param {{delivery: import('../entities/delivery-report.js').DeliveryReport, pendingCount: number}} outcome - Delivery of the cycle
+   * @returns {Object} Cycle result
+   * @private
+   */
+  _completed(events, { delivery, pendingCount }) {
+    this.logger.info({
+      eventsCount: events.length,
+      recipientsCount: delivery.sentCount,
+      failedCount: delivery.failedCount,
+      pendingCount,
+      newEvents: events.map(e => e.villageName)
+    }, 'Notification cycle completed successfully');
+
+    if (delivery.failedCount > 0) {
+      this.logger.warn({
+        failed: delivery.recipients.filter(recipient => recipient.status === 'failed').map(recipient => recipient.recipient)
+      }, 'Some recipients did not get the notification');
+    }
+
+    return {
+      success: true,
+      world: this.worldId,
+      eventsCount: events.length,
+      recipientsCount: delivery.sentCount,
+      pendingCount,
+      delivery,
+      message: `Sent ${events.length} new events`
+    };
+  }
+
+  /**
+   * Adds a cycle result to the run history, keeping the latest ones
+   * @param {Object} result - Cycle result
+   * @returns {Object} The same result
+   * @private
+   */
+  _record(result) {
+    this.runHistory.push({ ...result, finishedAt: new Date().toISOString() });
+    if (this.runHistory.length > RUN_HISTORY_SIZE) {
+      this.runHistory.shift();
+    }
+    return result;
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,79 @@
+import pino from 'pino';
+import { mergeDeliveryReports } from '../entities/delivery-report.js';
+
+const logger = pino({ name: 'send-digest' });
+
+/**
+ * Use case for sending the digests of the events collected since the last digest.
+ * PollAndNotify collects the events and plans who gets which digest.
+ */
+export class SendDigest {
+  /**
+   * @param {import('../ports/i-state-store.js').IStateStore} stateStore - Store holding the collected events
+   * @param {import('./poll-and-notify.js').PollAndNotify} pollAndNotify - Use case that plans and sends the world's messages
+   */
+  constructor(stateStore, pollAndNotify) {
+    this.stateStore = stateStore;
+    this.pollAndNotify = pollAndNotify;
+    this.world = pollAndNotify.worldId;
+    this.logger = this.world ? logger.child({ world: this.world }) : logger;
+  }
+
+  /**
+   * Sends the digests. The events are kept for the next digest when no recipient could be reached.
+   * @returns {Promise<Object>} Digest result
+   */
+  async run() {
+    try {
+      const events = await this.stateStore.loadDigestEvents();
+      if (events.length === 0) {
+        this.logger.info('No events collected for the digest');
+        return { success: true, world: this.world, eventsCount: 0, recipientsCount: 0, message: 'No events for the digest' };
+      }
+
+      const messages = this.pollAndNotify.planDigests(events);
+      const delivery = await this._send(messages);
+
+      if (messages.length > 0 && delivery.sentCount === 0) {
+        this.logger.warn({ eventsCount: events.length, failedCount: delivery.failedCount }, 'Digest not delivered, events kept for the next one');
+        return { success: false, world: this.world, eventsCount: events.length, recipientsCount: 0, delivery, message: 'Digest not delivered' };
+      }
+
+      await this.stateStore.dropDigestEvents(events.length);
+      this.logger.info({
+        eventsCount: events.length,
+        digests: messages.length,
+        recipientsCount: delivery.sentCount,
+        failedCount: delivery.failedCount
+      }, 'Digest sent');
+
+      return {
+        success: true,
+        world: this.world,
+        eventsCount: events.length,
+        recipientsCount: delivery.sentCount,
+        delivery,
+        message: `Sent digest of ${events.length} events`
+      };
+
+    } catch (error) {
+      this.logger.error({ error: error.message }, 'Error sending digest');
+      throw error;
+    }
+  }
+
+  /**
+   * Sends the planned digests one after another
+   * @param {Array<{recipients: string[], locale: string|null, message: string}>} messages - Result of planDigests()
+   * @returns {Promise<import('../entities/delivery-report.js').DeliveryReport>} Outcome per recipient of every digest
+   * @private
+   */
+  async _send(messages) {
+    const reports = [];
+    for (const { recipients, locale, message } of messages) {
+      // Digests carry no events in their context: channels send them as rendered, without routing
+      reports.push(await this.pollAndNotify.sender.notifyWithRetry(message, recipients, { world: this.world, locale }));
+    }
+    return mergeDeliveryReports(reports);
+  }
+}
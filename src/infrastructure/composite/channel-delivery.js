@@ -0,0 +1,88 @@
+import { parseRecipient } from '../../core/entities/recipient.js';
+
+/**
+ * Applies the channel's route rule. Narrowed events are re-rendered with context.render
+ * when available, so the channel only sees what it is routed.
+ * @param {Object} channel - Channel entry
+ * @param {string} message - Message rendered for all events of the context
+ * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+ * @returns {{message: string, context: Object}|null} Delivery for the channel, or null when no event matches
+ */
+export function narrowDelivery(channel, message, context) {
+  if (!channel.matches || !context?.events) {
+    return { message, context };
+  }
+
+  const events = context.events.filter(channel.matches);
+  if (events.length === 0) {
+    return null;
+  }
+  if (events.length === context.events.length) {
+    return { message, context };
+  }
+
+  return {
+    message: context.render ? context.render(events) : message,
+    context: { ...context, events }
+  };
+}
+
+/**
+ * Runs a send on a channel and collects its per-recipient outcome. Fails fast when the
+ * channel is not ready; a channel whose recipients all failed counts as failed.
+ * @param {Object} channel - Channel entry
+ * @param {string[]} recipients - Recipients the send addresses
+ * @param {function(): Promise<Object|undefined>} send - Send returning the channel's delivery report
+ * @returns {Promise<{deliveries: Array, error: string|null}>} Outcome per recipient and channel error
+ */
+export async function attemptDelivery(channel, recipients, send) {
+  try {
+    if (!channel.notifier.isClientReady()) {
+      throw new Error(`${channel.name} channel unavailable`);
+    }
+
+    const report = await send();
+    // Channels that don't report per recipient are taken as having delivered to everyone
+    const deliveries = report?.recipients
+      ? report.recipients.map(delivery => ({ ...delivery }))
+      : recipients.map(recipient => ({ recipient, channel: channel.name, status: 'sent', messageId: null, error: null }));
+
+    const allFailed = deliveries.length > 0 && deliveries.every(delivery => delivery.status === 'failed');
+    return {
+      deliveries,
+      error: allFailed ? `All ${channel.name} recipients failed (${deliveries[0].error})` : null
+    };
+
+  } catch (error) {
+    return { deliveries: failedDeliveries(channel.name, recipients, error.message), error: error.message };
+  }
+}
+
+/**
+ * Groups recipients by channel, keeping their order. Unparseable recipients stay with
+ * WhatsApp, whose notifier logs them as invalid.
+ * @param {string[]} recipients - Recipients of any channel
+ * @returns {Map<string, string[]>} Recipients by channel name
+ */
+export function groupByChannel(recipients) {
+  const groups = new Map();
+  for (const recipient of recipients) {
+    const channel = parseRecipient(recipient)?.channel ?? 'whatsapp';
+    if (!groups.has(channel)) {
+      groups.set(channel, []);
+    }
+    groups.get(channel).push(recipient);
+  }
+  return groups;
+}
+
+/**
+ * Marks every recipient of a channel as failed with the channel's error
+ * @param {string} channel - Channel name
+ * @param {string[]} recipients - Recipients of the channel
+ * @param {string} error - Channel error
+ * @returns {Array} Failed deliveries
+ */
+export function failedDeliveries(channel, recipients, error) {
+  return recipients.map(recipient => ({ recipient, channel, status: 'failed', messageId: null, error }));
+}
@@ -0,0 +1,383 @@
+import { INotifier } from '../../core/ports/i-notifier.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
+import { compileFilter } from '../../core/filters/filter-engine.js';
+import { narrowDelivery, attemptDelivery, groupByChannel, failedDeliveries } from './channel-delivery.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'composite-notifier' });
+
+// Backoff between re-initialization attempts of a channel that is not ready
+const REINIT_BASE_DELAY_MS = 60 * 1000;
+const REINIT_MAX_DELAY_MS = 30 * 60 * 1000;
+
+/**
+ * @typedef {Object} NotifierChannel
+ * @property {string} name - Channel name, matching Recipient.channel ("whatsapp", "telegram", ...)
+ * @property {Object} notifier - INotifier delivering to the channel
+ * @property {import('../../core/filters/filter-engine.js').FilterRule|null} [route] - Events the channel receives; null for all
+ */
+
+/**
+ * @typedef {Object} CompositeDeliveryResult
+ * @description Channel-level outcome next to the per-recipient delivery report
+ * @property {import('../../core/entities/delivery-report.js').RecipientDelivery[]} recipients - Outcome per recipient, including those reached through fallbacks
+ * @property {number} sentCount - Recipients the message was sent to
+ * @property {number} failedCount - Recipients the message could not be sent to
+ * @property {string[]} delivered - Channels that delivered, including fallbacks
+ * @property {Array<{channel: string, error: string}>} failed - Channels that failed
+ * @property {string[]} filtered - Channels whose route matched none of the events
+ * @property {Array<{from: string, to: string}>} fallbacks - Fallbacks taken for failed channels
+ */
+
+/**
+ * Fans messages out to several channel notifiers.
+ * Recipients are routed to the channel they belong to; a channel's route rule narrows the
+ * events it receives. When a channel fails (or is not ready), the message moves down the
+ * fallback chain to the next channel that can deliver it.
+ */
+export class CompositeNotifier extends INotifier {
+  /**
+   * Creates a new CompositeNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {NotifierChannel[]} options.channels - Channels in delivery order
+   * @param {string[]} [options.fallback] - Ordered fallback chain of channel names (e.g. whatsapp, telegram, email)
+   */
+  constructor({ channels, fallback = [] }) {
+    super();
+    this.channels = new Map();
+    this.fallback = fallback;
+    this.messageHandler = null;
+    // Next re-initialization attempt of channels that are not ready, by channel name
+    this.retries = new Map();
+    this.reinitializing = null;
+
+    for (const channel of channels) {
+      this.setChannel(channel.name, channel.notifier, channel.route ?? null);
+    }
+  }
+
+  /**
+   * Adds or replaces a channel (e.g. after a WhatsApp reconnection)
+   * @param {string} name - Channel name
+   * @param {Object} notifier - INotifier delivering to the channel
+   * @param {import('../../core/filters/filter-engine.js').FilterRule|null} [route] - Route rule; keeps the current one when omitted
+   * @throws {Error} When the route rule is malformed
+   */
+  setChannel(name, notifier, route = this.channels.get(name)?.route ?? null) {
+    this.channels.set(name, {
+      name,
+      notifier,
+      route,
+      matches: route ? compileFilter(route) : null
+    });
+    this.retries.delete(name);
+
+    if (this.messageHandler && typeof notifier.onMessage === 'function') {
+      notifier.onMessage(this.messageHandler);
+    }
+  }
+
+  /**
+   * Gets the notifier of a channel
+   * @param {string} name - Channel name
+   * @returns {Object|undefined} INotifier of the channel
+   */
+  getChannel(name) {
+    return this.channels.get(name)?.notifier;
+  }
+
+  /**
+   * Recipients of every channel, used by sendNotification()
+   * @returns {string[]} Recipients
+   */
+  get recipients() {
+    return [...this.channels.values()].flatMap(channel => channel.notifier.recipients || []);
+  }
+
+  /**
+   * Initializes the channels that are not ready yet. A channel that fails is logged and left
+   * out of delivery until it becomes ready; init only fails when no channel is ready.
+   * @returns {Promise<void>}
+   * @throws {Error} When no channel could be initialized
+   */
+  async init() {
+    for (const channel of this.channels.values()) {
+      if (channel.notifier.isClientReady()) {
+        continue;
+      }
+
+      try {
+        await channel.notifier.init();
+      } catch (error) {
+        logger.error({ channel: channel.name, error: error.message }, 'Channel initialization failed');
+      }
+    }
+
+    if (!this.isClientReady()) {
+      throw new Error('No notification channel could be initialized');
+    }
+  }
+
+  /**
+   * Retries the initialization of the channels that are not ready, e.g. those that failed at
+   * startup. Each channel waits 1 minute after a failed attempt, doubling up to 30 minutes;
+   * channels waiting for a QR scan are left alone. Calls during a run share it.
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<string[]>} Channels that became ready
+   */
+  reinitialize(now = Date.now()) {
+    if (!this.reinitializing) {
+      this.reinitializing = this._reinitialize(now).finally(() => {
+        this.reinitializing = null;
+      });
+    }
+    return this.reinitializing;
+  }
+
+  /**
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<string[]>} Channels that became ready
+   * @private
+   */
+  async _reinitialize(now) {
+    const recovered = [];
+
+    for (const channel of this.channels.values()) {
+      const { notifier, name } = channel;
+      const retry = this.retries.get(name) ?? { attempts: 0, at: 0 };
+      if (notifier.isClientReady() || notifier.getCurrentQr() || now < retry.at) {
+        continue;
+      }
+
+      try {
+        await notifier.init();
+        this.retries.delete(name);
+        recovered.push(name);
+        logger.info({ channel: name }, 'Channel re-initialized');
+      } catch (error) {
+        const delay = Math.min(REINIT_BASE_DELAY_MS * 2 ** retry.attempts, REINIT_MAX_DELAY_MS);
+        this.retries.set(name, { attempts: retry.attempts + 1, at: now + delay });
+        logger.warn({ channel: name, attempt: retry.attempts + 1, retryInMs: delay, error: error.message }, 'Channel re-initialization failed');
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Returns the QR code of the first channel waiting for one (WhatsApp)
+   * @returns {string|null} QR code
+   */
+  getCurrentQr() {
+    for (const channel of this.channels.values()) {
+      const qr = channel.notifier.getCurrentQr();
+      if (qr) {
+        return qr;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks if at least one channel can deliver
+   * @returns {boolean} True if any channel is ready
+   */
+  isClientReady() {
+    return [...this.channels.values()].some(channel => channel.notifier.isClientReady());
+  }
+
+  /**
+   * Readiness of every channel
+   * @returns {Object<string, {ready: boolean, routed: boolean}>} Status by channel name
+   */
+  getStatus() {
+    return Object.fromEntries([...this.channels.values()].map(channel => [
+      channel.name,
+      { ready: channel.notifier.isClientReady(), routed: !!channel.route }
+    ]));
+  }
+
+  /**
+   * Sends notification to the recipients of every channel
+   * @param {string} message - Message to send
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<CompositeDeliveryResult>} Which channels delivered and which failed
+   */
+  async sendNotification(message, context) {
+    return this.notifyMany(this.recipients, message, context);
+  }
+
+  /**
+   * Routes each recipient to its channel and delivers per channel, falling back along the
+   * chain for channels that fail. Fallbacks run once every channel addressed directly had its
+   * turn, so a fallback channel never repeats a message its own recipients already got.
+   * A channel fails when it throws or none of its recipients got the message. Partial
+   * failures are reported in the result, not thrown, since retrying would repeat the
+   * message on the channels that delivered.
+   * @param {string[]} recipients - Recipients of any channel
+   * @param {string} message - Message rendered for all events of the context
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<CompositeDeliveryResult>} Which channels delivered and which failed
+   * @throws {Error} When channels failed and none delivered (the result is attached as error.result)
+   */
+  async notifyMany(recipients, message, context) {
+    const result = { delivered: [], failed: [], filtered: [], fallbacks: [] };
+    const deliveries = [];
+    // Failed channels with their failed deliveries, falling back after the direct deliveries
+    const pending = [];
+
+    for (const [name, channelRecipients] of groupByChannel(recipients || [])) {
+      const channel = this.channels.get(name);
+      if (!channel) {
+        const failed = failedDeliveries(name, channelRecipients, 'Channel not enabled');
+        deliveries.push(...failed);
+        result.failed.push({ channel: name, error: 'Channel not enabled' });
+        pending.push({ from: name, failed });
+        continue;
+      }
+
+      const delivery = narrowDelivery(channel, message, context);
+      if (!delivery) {
+        result.filtered.push(name);
+        continue;
+      }
+
+      const attempt = await attemptDelivery(channel, channelRecipients,
+        () => channel.notifier.notifyMany(channelRecipients, delivery.message, delivery.context));
+      deliveries.push(...attempt.deliveries);
+
+      if (!attempt.error) {
+        result.delivered.push(name);
+        continue;
+      }
+
+      logger.warn({ channel: name, error: attempt.error }, 'Channel delivery failed');
+      result.failed.push({ channel: name, error: attempt.error });
+      pending.push({ from: name, failed: attempt.deliveries });
+    }
+
+    const addressed = new Set(recipients || []);
+    for (const { from, failed } of pending) {
+      await this._fallBack(from, message, context, { result, failed, deliveries, addressed });
+    }
+
+    Object.assign(result, createDeliveryReport(deliveries));
+    logger.info({
+      delivered: result.delivered,
+      failed: result.failed,
+      filtered: result.filtered,
+      fallbacks: result.fallbacks,
+      sentCount: result.sentCount,
+      failedCount: result.failedCount
+    }, 'Composite notification completed');
+
+    if (result.delivered.length === 0 && result.failed.length > 0) {
+      const error = new Error(`No notification channel delivered the message (${result.failed.map(f => f.channel).join(', ')} failed)`);
+      error.result = result;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Registers the chat message handler on every channel that receives messages
+   * @param {function(string, {chatId: string}): Promise<string|null>} handler - Message handler
+   */
+  onMessage(handler) {
+    this.messageHandler = handler;
+    for (const channel of this.channels.values()) {
+      if (typeof channel.notifier.onMessage === 'function') {
+        channel.notifier.onMessage(handler);
+      }
+    }
+  }
+
+  /**
+   * Lists the groups of the WhatsApp channel
+   * @returns {Promise<Array<{id: string, name: string, participants: number}>>} Groups
+   * @throws {Error} When no channel lists groups
+   */
+  async listGroups() {
+    const notifier = [...this.channels.values()]
+      .map(channel => channel.notifier)
+      .find(candidate => typeof candidate.listGroups === 'function');
+
+    if (!notifier) {
+      throw new Error('No notification channel lists groups');
+    }
+
+    return notifier.listGroups();
+  }
+
+  /**
+   * Disconnects every channel
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    for (const channel of this.channels.values()) {
+      try {
+        await channel.notifier.disconnect();
+      } catch (error) {
+        logger.error({ channel: channel.name, error: error.message }, 'Failed to disconnect channel');
+      }
+    }
+  }
+
+  /**
+   * Sends through the next channels of the fallback chain until one delivers. A fallback
+   * channel sends to its own recipients that the call did not address, narrowed by its route;
+   * one that already delivered in this call counts as delivered. The failed deliveries are
+   * marked with the channel that covered them.
+   * @param {string} from - Failed channel
+   * @param {string} message - Message rendered for all events of the context
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @param {{result: Object, failed: Array, deliveries: Array, addressed: Set<string>}} state - Result,
+   *   failed deliveries of the channel, every delivery and the recipients addressed so far
+   * @private
+   */
+  async _fallBack(from, message, context, { result, failed, deliveries, addressed }) {
+    const position = this.fallback.indexOf(from);
+    if (position === -1) {
+      return;
+    }
+
+    const coverBy = name => {
+      failed.filter(delivery => delivery.status === 'failed').forEach(delivery => { delivery.fallback = name; });
+      result.fallbacks.push({ from, to: name });
+    };
+
+    for (const name of this.fallback.slice(position + 1)) {
+      if (result.delivered.includes(name)) {
+        coverBy(name);
+        return;
+      }
+
+      const channel = this.channels.get(name);
+      if (!channel || result.failed.some(failure => failure.channel === name)) {
+        continue;
+      }
+
+      const recipients = (channel.notifier.recipients || []).filter(recipient => !addressed.has(recipient));
+      const delivery = narrowDelivery(channel, message, context);
+      if (recipients.length === 0 || !delivery) {
+        continue;
+      }
+
+      recipients.forEach(recipient => addressed.add(recipient));
+      const attempt = await attemptDelivery(channel, recipients,
+        () => channel.notifier.notifyMany(recipients, delivery.message, delivery.context));
+      deliveries.push(...attempt.deliveries);
+
+      if (!attempt.error) {
+        logger.warn({ from, to: name }, 'Delivered through fallback channel');
+        result.delivered.push(name);
+        coverBy(name);
+        return;
+      }
+
+      logger.warn({ channel: name, error: attempt.error }, 'Fallback channel delivery failed');
+      result.failed.push({ channel: name, error: attempt.error });
+    }
+  }
+}
@@ -0,0 +1,334 @@
+import { INotifier } from '../../core/ports/i-notifier.js';
+import { parseRecipient, DISCORD_PREFIX } from '../../core/entities/recipient.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
+import { directionOf } from '../../core/filters/filter-engine.js';
+import { createTranslator } from '../../core/i18n/translator.js';
+import { createHash } from 'crypto';
+import pino from 'pino';
+
+const logger = pino({ name: 'discord-notifier' });
+
+// Discord webhook limits
+const MAX_EMBEDS_PER_REQUEST = 10;
+const MAX_EMBED_CHARS_PER_REQUEST = 6000;
+const MAX_CONTENT_LENGTH = 2000;
+
+// Upper bound for a single rate limit wait, so one 429 can't stall a whole poll cycle
+const MAX_RETRY_AFTER_SECONDS = 60;
+// Parts of unfinished batches remembered for retries
+const MAX_POSTED_PARTS = 500;
+
+export const EMBED_COLORS = Object.freeze({
+  gain: 0x2ecc71,
+  loss: 0xe74c3c,
+  neutral: 0x95a5a6
+});
+
+/**
+ * Discord notifier adapter posting to channel webhooks
+ * Each conquer becomes an embed; webhooks are addressed as "discord:<name>" recipients
+ */
+export class DiscordNotifier extends INotifier {
+  /**
+   * Creates a new DiscordNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {Object<string, string>} options.webhooks - Webhook URLs by name
+   * @param {string|null} [options.homeTribe] - Tribe whose gains/losses are colored
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxRetries] - Retries after a 429 response
+   * @param {string|null} [options.locale] - Locale of the embed texts when the message context names none
+   */
+  constructor({ webhooks, homeTribe = null, timeout = 15000, maxRetries = 3, locale = null }) {
+    super();
+    this.webhooks = webhooks;
+    this.homeTribe = homeTribe;
+    this.locale = locale;
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.recipients = Object.keys(webhooks).map(name => `${DISCORD_PREFIX}${name}`);
+    this.isReady = false;
+    // Parts of split batches already posted, by webhook and body; a retry of the batch skips them
+    this.postedParts = new Map();
+  }
+
+  /**
+   * Verifies every webhook URL (a GET on a webhook returns its details)
+   * @returns {Promise<void>}
+   * @throws {Error} When a webhook is unknown or unreachable
+   */
+  async init() {
+    try {
+      for (const [name, url] of Object.entries(this.webhooks)) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+        if (!response.ok) {
+          throw new Error(`webhook ${name} answered HTTP ${response.status}`);
+        }
+      }
+
+      this.isReady = true;
+      logger.info({ webhooks: Object.keys(this.webhooks) }, 'Discord webhooks are ready');
+    } catch (error) {
+      this.isReady = false;
+      logger.error({ error: error.message }, 'Failed to initialize Discord webhooks');
+      throw new Error(`Discord initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discord webhooks need no QR authentication
+   * @returns {null} Always null
+   */
+  getCurrentQr() {
+    return null;
+  }
+
+  /**
+   * Checks if the webhooks were verified
+   * @returns {boolean} True if ready
+   */
+  isClientReady() {
+    return this.isReady;
+  }
+
+  /**
+   * Posts to every configured webhook
+   * @param {string} message - Rendered message, used when no events are given
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events to post as embeds
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per webhook
+   */
+  async sendNotification(message, context) {
+    if (this.recipients.length === 0) {
+      logger.warn('No Discord webhooks configured for notification');
+      return createDeliveryReport();
+    }
+
+    return this.notifyMany(this.recipients, message, context);
+  }
+
+  /**
+   * Posts to the webhooks among the recipients; recipients of other channels are skipped
+   * @param {string[]} recipients - Recipients ("discord:<name>")
+   * @param {string} message - Rendered message, used when no events are given
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events to post as embeds
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per webhook; the message ID is the first posted message
+   * @throws {Error} When the notifier is not initialized
+   */
+  async notifyMany(recipients, message, context) {
+    if (!this.isReady) {
+      throw new Error('Discord notifier not ready. Call init() first.');
+    }
+
+    const targets = (recipients || [])
+      .map(recipient => ({ recipient, parsed: parseRecipient(recipient) }))
+      .filter(({ parsed }) => parsed?.channel === 'discord');
+
+    if (targets.length === 0) {
+      logger.warn('No Discord recipients provided for notification');
+      return createDeliveryReport();
+    }
+
+    const payloads = this.buildPayloads(message, context);
+
+    const results = await Promise.all(targets.map(async ({ recipient, parsed: { id: name } }) => {
+      const url = this.webhooks[name];
+      if (!url) {
+        logger.error({ webhook: name }, 'Unknown Discord webhook');
+        return { recipient, channel: 'discord', status: 'failed', messageId: null, error: `Unknown Discord webhook: ${name}` };
+      }
+
+      try {
+        const messageIds = await this._postParts(name, url, payloads);
+
+        logger.info({ webhook: name, requests: payloads.length }, 'Discord message sent successfully');
+        return { recipient, channel: 'discord', status: 'sent', messageId: messageIds[0] ?? null, error: null };
+
+      } catch (error) {
+        logger.error({ webhook: name, error: error.message }, 'Failed to send Discord message');
+        return { recipient, channel: 'discord', status: 'failed', messageId: null, error: error.message };
+      }
+    }));
+
+    const report = createDeliveryReport(results);
+    logger.info({
+      total: targets.length,
+      successful: report.sentCount,
+      failed: report.failedCount
+    }, 'Discord notification sending completed');
+
+    return report;
+  }
+
+  /**
+   * Builds the webhook request bodies: embeds are split so that every request stays
+   * within Discord's limits (10 embeds, 6000 embed characters)
+   * @param {string} message - Rendered message, used when no events are given
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events
+   * @returns {Object[]} Request bodies in posting order
+   */
+  buildPayloads(message, context) {
+    const events = context?.events || [];
+    if (events.length === 0) {
+      return [{ content: truncate(message, MAX_CONTENT_LENGTH) }];
+    }
+
+    const translator = createTranslator(context.locale, { fallbackLocale: this.locale ?? undefined });
+    const payloads = [];
+    let embeds = [];
+    let size = 0;
+
+    for (const event of events) {
+      const embed = this.buildEmbed(event, context.world, translator);
+      const embedSize = embedLength(embed);
+
+      if (embeds.length === MAX_EMBEDS_PER_REQUEST || (embeds.length > 0 && size + embedSize > MAX_EMBED_CHARS_PER_REQUEST)) {
+        payloads.push({ embeds });
+        embeds = [];
+        size = 0;
+      }
+
+      embeds.push(embed);
+      size += embedSize;
+    }
+    payloads.push({ embeds });
+
+    const world = context.world ? ` (${context.world})` : '';
+    payloads[0].content = `**${translator.t('discord.newEvents', { count: events.length })}${world}**`;
+
+    return payloads;
+  }
+
+  /**
+   * Builds the embed for one conquer
+   * @param {import('../../core/entities/ennoblement-event.js').EnnoblementEvent} event - Event
+   * @param {string|null} world - World identifier
+   * @param {import('../../core/i18n/translator.js').Translator} [translator] - Translator of the recipients' locale
+   * @returns {Object} Discord embed
+   */
+  buildEmbed(event, world, translator = createTranslator(this.locale)) {
+    const { t } = translator;
+    const direction = this.homeTribe ? directionOf(event, this.homeTribe) : null;
+    const color = direction === 'gain' || direction === 'loss' ? EMBED_COLORS[direction] : EMBED_COLORS.neutral;
+
+    const fields = [
+      { name: t('event.coordinates'), value: `${event.x}|${event.y} (${event.continent || '-'})`, inline: true },
+      { name: t('discord.points'), value: String(event.points ?? '-'), inline: true },
+      { name: '​', value: '​', inline: true },
+      { name: t('discord.oldOwner'), value: `${event.oldPlayer || t('event.unknownPlayer')} (${event.oldTribe || '-'})`, inline: true },
+      { name: t('discord.newOwner'), value: `${event.newPlayer || t('event.unknownPlayer')} (${event.newTribe || '-'})`, inline: true }
+    ];
+
+    if (event.zones?.length) {
+      fields.push({ name: t('event.zone'), value: event.zones.join(', '), inline: false });
+    }
+
+    return {
+      title: `🏰 ${event.villageName || t('event.unknownVillage')}`,
+      color,
+      fields,
+      footer: { text: world ? `${world} • ${event.timestamp}` : String(event.timestamp) }
+    };
+  }
+
+  /**
+   * Nothing to disconnect; marks the notifier as not ready
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.isReady = false;
+    logger.info('Discord notifier disconnected');
+  }
+
+  /**
+   * Posts the parts of one batch in order so the channel reads top to bottom. Parts of a split
+   * batch are remembered until the whole batch went through, so a retry after a failed part
+   * posts only the parts that are still missing.
+   * @param {string} name - Webhook name
+   * @param {string} url - Webhook URL
+   * @param {Object[]} payloads - Request bodies in posting order
+   * @returns {Promise<Array<string|null>>} IDs of the messages, one per part
+   * @throws {Error} When a part keeps failing
+   * @private
+   */
+  async _postParts(name, url, payloads) {
+    if (payloads.length === 1) {
+      return [await this._post(url, payloads[0])];
+    }
+
+    const keys = payloads.map(payload => `${name}:${createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`);
+    const messageIds = [];
+
+    for (const [index, payload] of payloads.entries()) {
+      if (this.postedParts.has(keys[index])) {
+        messageIds.push(this.postedParts.get(keys[index]));
+        continue;
+      }
+
+      const messageId = await this._post(url, payload);
+      this.postedParts.set(keys[index], messageId);
+      messageIds.push(messageId);
+
+      if (this.postedParts.size > MAX_POSTED_PARTS) {
+        this.postedParts.delete(this.postedParts.keys().next().value);
+      }
+    }
+
+    keys.forEach(key => this.postedParts.delete(key));
+    return messageIds;
+  }
+
+  /**
+   * Posts one body to a webhook, waiting out 429 responses up to maxRetries times
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Request body
+   * @returns {Promise<string|null>} ID of the created message
+   * @throws {Error} When the webhook keeps failing
+   * @private
+   */
+  async _post(url, payload) {
+    // wait=true makes Discord answer with the created message instead of 204
+    const target = new URL(url);
+    target.searchParams.set('wait', 'true');
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        return body.id ?? null;
+      }
+
+      if (response.status === 429 && attempt < this.maxRetries) {
+        // retry_after is in seconds (may be fractional); the header is the fallback
+        const retryAfter = Math.min(Number(body.retry_after ?? response.headers.get('retry-after') ?? 1), MAX_RETRY_AFTER_SECONDS);
+        logger.warn({ attempt: attempt + 1, retryAfter }, 'Discord rate limit hit, waiting');
+        await new Promise(resolve => setTimeout(resolve, Math.ceil(retryAfter * 1000)));
+        continue;
+      }
+
+      throw new Error(`Discord webhook failed: ${body.message || `HTTP ${response.status}`}`);
+    }
+  }
+}
+
+/**
+ * Counts the characters Discord counts against the embed limit
+ * @private
+ */
+function embedLength(embed) {
+  return embed.title.length +
+    embed.footer.text.length +
+    embed.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * @private
+ */
+function truncate(text, maxLength) {
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1)}…`;
+}
@@ -0,0 +1,193 @@
+import { INotifier } from '../../core/ports/i-notifier.js';
+import { parseRecipient, EMAIL_PREFIX } from '../../core/entities/recipient.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
+import { createTranslator } from '../../core/i18n/translator.js';
+import nodemailer from 'nodemailer';
+import pino from 'pino';
+
+const logger = pino({ name: 'email-notifier' });
+
+/**
+ * Email notifier adapter over SMTP
+ * Sends each message as multipart plain text / HTML to "email:<address>" recipients
+ */
+export class EmailNotifier extends INotifier {
+  /**
+   * Creates a new EmailNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} [options.secure] - Use TLS from the start (port 465); otherwise STARTTLS is used when offered
+   * @param {string|null} [options.user] - SMTP user, when the server requires authentication
+   * @param {string|null} [options.pass] - SMTP password
+   * @param {string} options.from - Sender address
+   * @param {string[]} [options.to] - Addresses used by sendNotification()
+   * @param {number} [options.timeout] - Connection timeout in milliseconds
+   * @param {string|null} [options.locale] - Locale of the subject when the message context names none
+   */
+  constructor({ host, port, secure = false, user = null, pass = null, from, to = [], timeout = 15000, locale = null }) {
+    super();
+    this.from = from;
+    this.locale = locale;
+    this.recipients = to.map(address => `${EMAIL_PREFIX}${address}`);
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout
+    });
+    this.isReady = false;
+  }
+
+  /**
+   * Verifies the SMTP connection (and credentials, when given)
+   * @returns {Promise<void>}
+   * @throws {Error} When the server is unreachable or rejects the login
+   */
+  async init() {
+    try {
+      await this.transporter.verify();
+      this.isReady = true;
+      logger.info('SMTP connection verified');
+    } catch (error) {
+      this.isReady = false;
+      logger.error({ error: error.message }, 'Failed to verify SMTP connection');
+      throw new Error(`Email initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email needs no QR authentication
+   * @returns {null} Always null
+   */
+  getCurrentQr() {
+    return null;
+  }
+
+  /**
+   * Checks if the SMTP connection was verified
+   * @returns {boolean} True if ready
+   */
+  isClientReady() {
+    return this.isReady;
+  }
+
+  /**
+   * Sends notification to the configured addresses
+   * @param {string} message - Message to send
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per address
+   */
+  async sendNotification(message, context) {
+    if (this.recipients.length === 0) {
+      logger.warn('No email addresses configured for notification');
+      return createDeliveryReport();
+    }
+
+    return this.notifyMany(this.recipients, message, context);
+  }
+
+  /**
+   * Sends one email per address; recipients of other channels are skipped
+   * @param {string[]} recipients - Recipients ("email:<address>")
+   * @param {string} message - Rendered message (WhatsApp-style *bold* markup is converted)
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message, used for the subject
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per address
+   * @throws {Error} When the notifier is not initialized
+   */
+  async notifyMany(recipients, message, context) {
+    if (!this.isReady) {
+      throw new Error('Email notifier not ready. Call init() first.');
+    }
+
+    const targets = (recipients || [])
+      .map(recipient => ({ recipient, parsed: parseRecipient(recipient) }))
+      .filter(({ parsed }) => parsed?.channel === 'email');
+
+    if (targets.length === 0) {
+      logger.warn('No email recipients provided for notification');
+      return createDeliveryReport();
+    }
+
+    const mail = {
+      from: this.from,
+      subject: buildSubject(message, context, createTranslator(context?.locale, { fallbackLocale: this.locale ?? undefined })),
+      text: toPlainText(message),
+      html: toEmailHtml(message)
+    };
+
+    const results = await Promise.all(targets.map(async ({ recipient, parsed: { id: address } }) => {
+      try {
+        const info = await this.transporter.sendMail({ ...mail, to: address });
+        logger.info({ address, messageId: info.messageId }, 'Email sent successfully');
+        return { recipient, channel: 'email', status: 'sent', messageId: info.messageId ?? null, error: null };
+
+      } catch (error) {
+        logger.error({ address, error: error.message }, 'Failed to send email');
+        return { recipient, channel: 'email', status: 'failed', messageId: null, error: error.message };
+      }
+    }));
+
+    const report = createDeliveryReport(results);
+    logger.info({
+      total: targets.length,
+      successful: report.sentCount,
+      failed: report.failedCount
+    }, 'Email notification sending completed');
+
+    return report;
+  }
+
+  /**
+   * Closes pooled SMTP connections and marks the notifier as not ready
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.transporter.close();
+    this.isReady = false;
+    logger.info('Email notifier disconnected');
+  }
+}
+
+/**
+ * Builds the subject line: the event count and world when known, else the message's first line
+ * @private
+ */
+function buildSubject(message, context, translator) {
+  const count = context?.events?.length;
+  if (count) {
+    const world = context.world ? ` [${context.world}]` : '';
+    return `${translator.t('email.subject', { count })}${world}`;
+  }
+
+  return toPlainText(message).split('\n').find(line => line.trim()) || translator.t('email.defaultSubject');
+}
+
+/**
+ * Drops WhatsApp-style *bold* markers
+ * @param {string} message - Rendered message
+ * @returns {string} Plain text
+ */
+export function toPlainText(message) {
+  return message.replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+/**
+ * Converts a rendered message to an HTML body: escapes HTML, turns *bold* into <b>bold</b>
+ * and keeps the line breaks
+ * @param {string} message - Rendered message
+ * @returns {string} HTML document
+ */
+export function toEmailHtml(message) {
+  const body = message
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+    .replace(/\n/g, '<br>\n');
+
+  return `<!DOCTYPE html><html><body style="font-family: sans-serif; line-height: 1.5">\n${body}\n</body></html>`;
+}
@@ -1,5 +1,6 @@
 import { IScraper } from '../../core/ports/i-scraper.js';
 import { createEnnoblementEvent } from '../../core/entities/ennoblement-event.js';
+import { parseTimestamp } from '../../core/entities/timestamp.js';
 import { IHttpClient } from '../../core/ports/i-http-client.js';
 import * as cheerio from 'cheerio';
 import pino from 'pino';
@@ -16,81 +17,175 @@ export class CheerioScraper extends IScraper {
    * @param {IHttpClient} httpClient - HTTP client for fetching pages
    * @param {string} url - URL to scrape
    * @param {string} cssSelector - CSS selector for table rows (optional)
+   * @param {Object} [options] - Catch-up options
+   * @param {number} [options.maxPages] - Pages read at most, the first one included
+   * @param {number} [options.pageDelayMs] - Pause between page fetches
+   * @param {string} [options.timeZone] - IANA time zone the page shows times in
    */
-  constructor(httpClient, url, cssSelector = 'table.table tbody tr') {
+  constructor(httpClient, url, cssSelector = 'table.table tbody tr', { maxPages = 1, pageDelayMs = 0, timeZone = 'UTC' } = {}) {
     super();
     this.httpClient = httpClient;
     this.url = url;
     this.cssSelector = cssSelector;
+    this.maxPages = maxPages;
+    this.pageDelayMs = pageDelayMs;
+    this.timeZone = timeZone;
   }
 
   /**
-   * Scrapes ennoblement events from Tribal Wars TR94 page
-   * @returns {Promise<EnnoblementEvent[]>} Array of parsed ennoblement events
-   * @throws {Error} When scraping or parsing fails
+   * Scrapes ennoblement events from Tribal Wars TR94 page. With a stop condition, older pages
+   * are read as well until one lists an event matching it or the page limit is reached;
+   * events found beyond the first page are flagged `delayed`.
+   * @param {Object} [options] - Scraping options
+   * @param {function(EnnoblementEvent): boolean} [options.stopAt] - Matches events that need no catch-up (already processed or too old)
+   * @returns {Promise<EnnoblementEvent[]>} Array of parsed ennoblement events, newest first
+   * @throws {Error} When scraping or parsing the first page fails
    */
-  async scrape() {
+  async scrape({ stopAt = null } = {}) {
     try {
       logger.info({ url: this.url, cssSelector: this.cssSelector }, 'Starting to scrape ennoblement events');
       
-      const html = await this.httpClient.get(this.url);
-      const $ = cheerio.load(html);
+      const events = this._parsePage(await this.httpClient.get(this.url));
       
-      const events = [];
-      
-      // Try configured CSS selector first, then fallback to multiple selectors
-      const rowSelectors = [
-        this.cssSelector,
-        'table tbody tr',
-        'table.table tbody tr',
-        'table:contains("Ennoblements") tbody tr',
-        'table:contains("Village") tbody tr',
-        'table:contains("Old Owner") tbody tr',
-        'tbody tr',
-        'tr'
-      ];
+      logger.info({ eventCount: events.length }, 'Successfully scraped ennoblement events');
       
-      let rows = null;
-      for (const selector of rowSelectors) {
-        rows = $(selector);
-        if (rows.length > 0) {
-          logger.debug({ selector, rowCount: rows.length }, 'Found rows with selector');
-          break;
-        }
+      if (!stopAt || events.length === 0 || events.some(stopAt)) {
+        return events;
       }
+      return [...events, ...await this._catchUp(events, stopAt)];
       
-      if (!rows || rows.length === 0) {
-        throw new Error('No ennoblement table rows found on page');
+    } catch (error) {
+      logger.error({ url: this.url, error: error.message }, 'Failed to scrape ennoblement events');
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the pages after the first one until one lists an event matching the stop condition.
+   * A page that can't be read ends the catch-up with the events found so far.
+   * @param {EnnoblementEvent[]} firstPage - Events of the first page
+   * @param {function(EnnoblementEvent): boolean} stopAt - Stop condition
+   * @returns {Promise<EnnoblementEvent[]>} Events of the later pages up to the stop condition, flagged `delayed`
+   * @private
+   */
+  async _catchUp(firstPage, stopAt) {
+    const seen = new Set(firstPage.map(event => event.id));
+    const delayed = [];
+
+    for (let page = 2; page <= this.maxPages; page++) {
+      await this._sleep(this.pageDelayMs);
+
+      const url = this._pageUrl(page);
+      let events;
+      try {
+        events = this._parsePage(await this.httpClient.get(url));
+      } catch (error) {
+        logger.warn({ url, error: error.message }, 'Failed to scrape older page, catch-up stopped');
+        break;
+      }
+
+      // A page repeating events already read means there are no older pages
+      const older = events.filter(event => !seen.has(event.id));
+      if (older.length === 0) {
+        break;
+      }
+      older.forEach(event => seen.add(event.id));
+
+      const reached = older.findIndex(stopAt);
+      const caughtUp = reached === -1 ? older : older.slice(0, reached);
+      delayed.push(...caughtUp.map(event => ({ ...event, delayed: true })));
+      logger.info({ url, page, eventCount: caughtUp.length }, 'Scraped older page to catch up');
+
+      if (reached !== -1) {
+        return delayed;
+      }
+    }
+
+    logger.warn({ pages: this.maxPages, eventCount: delayed.length }, 'Catch-up stopped before reaching a processed event');
+    return delayed;
+  }
+
+  /**
+   * Builds the URL of a page of the ennoblements list (TWStats' `pn` parameter)
+   * @param {number} page - Page number, starting at 1
+   * @returns {string} Page URL
+   * @private
+   */
+  _pageUrl(page) {
+    const url = new URL(this.url);
+    url.searchParams.set('pn', String(page));
+    return url.toString();
+  }
+
+  /**
+   * Parses the ennoblement rows of one page
+   * @param {string} html - Page HTML
+   * @returns {EnnoblementEvent[]} Parsed events in page order
+   * @throws {Error} When the page has no table rows
+   * @private
+   */
+  _parsePage(html) {
+    const $ = cheerio.load(html);
+    
+    const events = [];
+    
+    // Try configured CSS selector first, then fallback to multiple selectors
+    const rowSelectors = [
+      this.cssSelector,
+      'table tbody tr',
+      'table.table tbody tr',
+      'table:contains("Ennoblements") tbody tr',
+      'table:contains("Village") tbody tr',
+      'table:contains("Old Owner") tbody tr',
+      'tbody tr',
+      'tr'
+    ];
+    
+    let rows = null;
+    for (const selector of rowSelectors) {
+      rows = $(selector);
+      if (rows.length > 0) {
+        logger.debug({ selector, rowCount: rows.length }, 'Found rows with selector');
+        break;
       }
+    }
+    
+    if (!rows || rows.length === 0) {
+      throw new Error('No ennoblement table rows found on page');
+    }
+    
+    logger.debug({ rowCount: rows.length }, 'Found table rows');
+    
+    for (let i = 0; i < rows.length; i++) {
+      const row = $(rows[i]);
+      const cells = row.find('td');
       
-      logger.debug({ rowCount: rows.length }, 'Found table rows');
+      // Skip header rows and empty rows
+      if (cells.length < 4 || row.find('th').length > 0) {
+        continue;
+      }
       
-      for (let i = 0; i < rows.length; i++) {
-        const row = $(rows[i]);
-        const cells = row.find('td');
-        
-        // Skip header rows and empty rows
-        if (cells.length < 4 || row.find('th').length > 0) {
-          continue;
-        }
-        
-        try {
-          const event = this._parseRow($, row, cells);
-          if (event) {
-            events.push(event);
-          }
-        } catch (error) {
-          logger.warn({ rowIndex: i, error: error.message }, 'Failed to parse row, skipping');
+      try {
+        const event = this._parseRow($, row, cells);
+        if (event) {
+          events.push(event);
         }
+      } catch (error) {
+        logger.warn({ rowIndex: i, error: error.message }, 'Failed to parse row, skipping');
       }
-      
-      logger.info({ eventCount: events.length }, 'Successfully scraped ennoblement events');
-      return events;
-      
-    } catch (error) {
-      logger.error({ url: this.url, error: error.message }, 'Failed to scrape ennoblement events');
-      throw error;
     }
+    
+    return events;
+  }
+
+  /**
+   * Waits between page fetches
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -131,6 +226,9 @@ export class CheerioScraper extends IScraper {
       return null;
     }
     
+    // Extract TWStats IDs from the links; they survive renames
+    const [village, oldOwner, newOwner] = [0, 2, 3].map(index => this._parseLinkIds($, cells.eq(index)));
+    
     return createEnnoblementEvent({
       villageName,
       x,
@@ -141,7 +239,13 @@ export class CheerioScraper extends IScraper {
       oldTribe,
       newPlayer,
       newTribe,
-      timestamp
+      villageId: village.village,
+      oldPlayerId: oldOwner.player,
+      oldTribeId: oldOwner.tribe,
+      newPlayerId: newOwner.player,
+      newTribeId: newOwner.tribe,
+      timestamp: timestamp.local,
+      epochMs: timestamp.epochMs
     });
   }
 
@@ -206,30 +310,46 @@ export class CheerioScraper extends IScraper {
     return { player, tribe };
   }
 
+  /**
+   * Reads the TWStats IDs linked from a cell, e.g. `index.php?page=player&id=123`
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} cell - Cell element
+   * @returns {{village: number|null, player: number|null, tribe: number|null}} Linked IDs by page
+   * @private
+   */
+  _parseLinkIds($, cell) {
+    const ids = { village: null, player: null, tribe: null };
+    
+    cell.find('a[href]').each((i, link) => {
+      let params;
+      try {
+        params = new URL($(link).attr('href'), this.url).searchParams;
+      } catch {
+        return;
+      }
+      
+      // TWStats has used both "player" and "player_info" page names
+      const page = (params.get('page') || '').replace(/_info$/, '');
+      const id = params.get('id');
+      if (page in ids && ids[page] === null && /^[1-9]\d*$/.test(id || '')) {
+        ids[page] = parseInt(id, 10);
+      }
+    });
+    
+    return ids;
+  }
+
   /**
    * Parses timestamp from date/time cell
    * @param {string} timestampCell - Timestamp cell text
-   * @returns {string} ISO timestamp string
+   * @returns {import('../../core/entities/timestamp.js').Timestamp|null} Timestamp, or null when the cell has none
    * @private
    */
   _parseTimestamp(timestampCell) {
-    // Try to parse various date formats
-    const dateFormats = [
-      /(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})/, // DD.MM.YYYY HH:MM
-      /(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})/,   // YYYY-MM-DD HH:MM
-      /(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})/  // MM/DD/YYYY HH:MM
-    ];
-    
-    for (const format of dateFormats) {
-      const match = timestampCell.match(format);
-      if (match) {
-        const [, day, month, year, hour, minute] = match;
-        const date = new Date(year, month - 1, day, hour, minute);
-        return date.toISOString();
-      }
+    const timestamp = parseTimestamp(timestampCell, this.timeZone);
+    if (!timestamp) {
+      logger.warn({ timestampCell }, 'Unrecognized timestamp, skipping row');
     }
-    
-    // If no format matches, return as-is (assuming it's already ISO)
-    return timestampCell.trim() || new Date().toISOString();
+    return timestamp;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON file that is read whole and written atomically. Updates are serialized, so concurrent
+ * writers in the same process (poller, dispatcher, HTTP API) don't overwrite each other.
+ */
+export class AtomicJsonFile {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Reads the stored value
+   * @returns {Promise<*|null>} Parsed value, or null if the file does not exist
+   * @throws {Error} When the file cannot be read or is not valid JSON
+   */
+  async read() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Waits for the updates queued so far, so a read afterwards sees them
+   * @returns {Promise<void>}
+   */
+  async settled() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Replaces the stored value with the result of a change and writes it back atomically
+   * @param {(value: *|null) => *} change - Function returning the new value from the stored one
+   * @returns {Promise<void>}
+   */
+  update(change) {
+    const update = this.writeQueue.then(() => this._write(change));
+    this.writeQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Performs a single read-modify-write cycle
+   * @param {(value: *|null) => *} change - Function returning the new value from the stored one
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(change) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const value = change(await this.read());
+
+    // Write to temporary file first, then rename for atomic operation
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
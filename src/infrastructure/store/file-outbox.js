@@ -0,0 +1,111 @@
+import pino from 'pino';
+import { AtomicJsonFile } from './atomic-json-file.js';
+
+const logger = pino({ name: 'file-outbox' });
+
+/**
+ * File-based implementation of the notification outbox.
+ * All worlds share one file; every change is written atomically.
+ */
+export class FileOutbox {
+  constructor(filePath = './data/outbox.json') {
+    this.filePath = filePath;
+    this.file = new AtomicJsonFile(filePath);
+  }
+
+  /**
+   * Appends items to the outbox
+   * @param {import('../../core/ports/i-outbox.js').OutboxItem[]} items - Items to store
+   * @returns {Promise<void>}
+   */
+  async add(items) {
+    await this._updateItems(stored => [...stored, ...items]);
+    logger.info({ count: items.length }, 'Items added to outbox');
+  }
+
+  /**
+   * Lists the stored items, oldest first
+   * @returns {Promise<import('../../core/ports/i-outbox.js').OutboxItem[]>} Items
+   */
+  async list() {
+    // Wait for pending writes so a listing never misses an item just added
+    await this.file.settled();
+    return this._readItems();
+  }
+
+  /**
+   * Applies changes to a stored item
+   * @param {string} id - Item identifier
+   * @param {Object} changes - Fields to replace
+   * @returns {Promise<Object|null>} Updated item or null if not found
+   */
+  async update(id, changes) {
+    let updated = null;
+    await this._updateItems(stored => stored.map(item => {
+      if (item.id !== id) {
+        return item;
+      }
+      updated = { ...item, ...changes };
+      return updated;
+    }));
+    return updated;
+  }
+
+  /**
+   * Removes a stored item
+   * @param {string} id - Item identifier
+   * @returns {Promise<boolean>} True if the item existed
+   */
+  async remove(id) {
+    let removed = false;
+    await this._updateItems(stored => stored.filter(item => {
+      if (item.id === id) {
+        removed = true;
+        return false;
+      }
+      return true;
+    }));
+    return removed;
+  }
+
+  /**
+   * Removes every item matching the criteria
+   * @param {{status?: string, world?: string}} [criteria] - Criteria; all items when empty
+   * @returns {Promise<number>} Number of removed items
+   */
+  async purge({ status, world } = {}) {
+    let purged = 0;
+    await this._updateItems(stored => stored.filter(item => {
+      const matches = (!status || item.status === status) && (!world || item.world === world);
+      if (matches) {
+        purged++;
+      }
+      return !matches;
+    }));
+
+    logger.info({ purged, status, world }, 'Outbox purged');
+    return purged;
+  }
+
+  /**
+   * Reads the stored items, or none if the file does not exist
+   * @returns {Promise<Array>} Items
+   * @private
+   */
+  async _readItems() {
+    const outbox = await this.file.read();
+    return Array.isArray(outbox?.items) ? outbox.items : [];
+  }
+
+  /**
+   * Replaces the stored items and writes them back atomically
+   * @param {(items: Array) => Array} change - Function returning the new item list
+   * @returns {Promise<void>}
+   * @private
+   */
+  _updateItems(change) {
+    return this.file.update(outbox => ({
+      items: change(Array.isArray(outbox?.items) ? outbox.items : [])
+    }));
+  }
+}
@@ -1,15 +1,26 @@
 import fs from 'fs/promises';
-import path from 'path';
 import pino from 'pino';
+import { AtomicJsonFile } from './atomic-json-file.js';
+import { eventId } from '../../core/entities/ennoblement-event.js';
 
 const logger = pino({ name: 'file-state-store' });
 
+// Collected digest events beyond this are dropped, oldest first
+const MAX_DIGEST_EVENTS = 5000;
+
+// Held events beyond this are dropped per recipient, oldest first
+const MAX_HELD_EVENTS = 1000;
+
+// Seen event IDs beyond this are forgotten, oldest first; far more than one ennoblements page lists
+const MAX_SEEN_EVENT_IDS = 2000;
+
 /**
  * File-based implementation of state storage
  */
 export class FileStateStore {
   constructor(filePath = './data/state.json') {
     this.filePath = filePath;
+    this.file = new AtomicJsonFile(filePath);
   }
 
   /**
@@ -38,36 +49,261 @@ export class FileStateStore {
    */
   async saveLastProcessedTimestamp(timestamp) {
     try {
-      // Ensure directory exists
-      const dir = path.dirname(this.filePath);
-      await fs.mkdir(dir, { recursive: true });
-
-      // Read existing state or create new
-      let state = {};
-      try {
-        const data = await fs.readFile(this.filePath, 'utf8');
-        state = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
+      await this._updateState(state => {
+        state.lastProcessedTimestamp = timestamp;
+      });
+
+      logger.info({ timestamp }, 'Last processed timestamp saved to file');
+    } catch (error) {
+      logger.error('Error saving last processed timestamp:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the IDs of the latest processed events from file
+   * @returns {Promise<string[]|null>} Event IDs, newest first, or null if never saved
+   */
+  async loadSeenEventIds() {
+    const state = await this._readState();
+    return Array.isArray(state.seenEventIds) ? state.seenEventIds : null;
+  }
+
+  /**
+   * Add processed event IDs, keeping the latest MAX_SEEN_EVENT_IDS
+   * @param {string[]} ids - Event IDs, newest first
+   */
+  async addSeenEventIds(ids) {
+    try {
+      await this._updateState(state => {
+        const added = new Set(ids);
+        const kept = (state.seenEventIds || []).filter(id => !added.has(id));
+        state.seenEventIds = [...added, ...kept].slice(0, MAX_SEEN_EVENT_IDS);
+      });
+
+      logger.info({ count: ids.length }, 'Seen event IDs saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving seen event IDs');
+      throw error;
+    }
+  }
+
+  /**
+   * Load the stored filter definitions from file
+   * @returns {Promise<Array|null>} Filter definitions or null if never saved
+   */
+  async loadFilters() {
+    const state = await this._readState();
+    return Array.isArray(state.filters) ? state.filters : null;
+  }
+
+  /**
+   * Save filter definitions to file, replacing any stored ones
+   * @param {Array} filters - Filter definitions to save
+   */
+  async saveFilters(filters) {
+    try {
+      await this._updateState(state => {
+        state.filters = filters;
+      });
+
+      logger.info({ count: filters.length }, 'Filters saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving filters');
+      throw error;
+    }
+  }
+
+  /**
+   * Load the stored subscriptions from file
+   * @returns {Promise<Array|null>} Subscriptions or null if never saved
+   */
+  async loadSubscriptions() {
+    const state = await this._readState();
+    return Array.isArray(state.subscriptions) ? state.subscriptions : null;
+  }
+
+  /**
+   * Save subscriptions to file, replacing any stored ones
+   * @param {Array} subscriptions - Subscriptions to save
+   */
+  async saveSubscriptions(subscriptions) {
+    try {
+      await this._updateState(state => {
+        state.subscriptions = subscriptions;
+      });
+
+      logger.info({ count: subscriptions.length }, 'Subscriptions saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving subscriptions');
+      throw error;
+    }
+  }
+
+  /**
+   * Load the events collected for the next digest from file
+   * @returns {Promise<Array>} Events, newest first
+   */
+  async loadDigestEvents() {
+    const state = await this._readState();
+    return Array.isArray(state.digestEvents) ? state.digestEvents : [];
+  }
+
+  /**
+   * Add events to the next digest, keeping the latest MAX_DIGEST_EVENTS. Events already
+   * collected keep their place, so a retried cycle doesn't count a conquer twice.
+   * @param {Array} events - Events to add, newest first
+   */
+  async appendDigestEvents(events) {
+    try {
+      await this._updateState(state => {
+        const collected = state.digestEvents || [];
+        state.digestEvents = [...withoutKnownEvents(events, collected), ...collected].slice(0, MAX_DIGEST_EVENTS);
+      });
+
+      logger.info({ count: events.length }, 'Digest events saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving digest events');
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the oldest collected digest events
+   * @param {number} count - Number of events to remove
+   */
+  async dropDigestEvents(count) {
+    try {
+      await this._updateState(state => {
+        const events = state.digestEvents || [];
+        state.digestEvents = events.slice(0, Math.max(events.length - count, 0));
+      });
+
+      logger.info({ count }, 'Digest events removed from file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error removing digest events');
+      throw error;
+    }
+  }
+
+  /**
+   * Load the events held back by quiet hours from file
+   * @returns {Promise<Object<string, Array>>} Events per recipient, newest first
+   */
+  async loadHeldEvents() {
+    const state = await this._readState();
+    return state.heldEvents && typeof state.heldEvents === 'object' ? state.heldEvents : {};
+  }
+
+  /**
+   * Add held events per recipient, keeping the latest MAX_HELD_EVENTS of each. Events already
+   * held for a recipient keep their place, so a retried cycle doesn't hold them twice.
+   * @param {Object<string, Array>} eventsByRecipient - Events to add per recipient, newest first
+   */
+  async holdEvents(eventsByRecipient) {
+    const recipients = Object.keys(eventsByRecipient);
+    if (recipients.length === 0) {
+      return;
+    }
+
+    try {
+      await this._updateState(state => {
+        const held = state.heldEvents || {};
+        for (const recipient of recipients) {
+          const kept = held[recipient] || [];
+          held[recipient] = [...withoutKnownEvents(eventsByRecipient[recipient], kept), ...kept].slice(0, MAX_HELD_EVENTS);
         }
-      }
+        state.heldEvents = held;
+      });
 
-      // Update state
-      state.lastProcessedTimestamp = timestamp;
+      logger.info({ recipients: recipients.length }, 'Held events saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving held events');
+      throw error;
+    }
+  }
 
-      // Write to temporary file first, then rename for atomic operation
-      const tempPath = `${this.filePath}.tmp`;
-      await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
-      await fs.rename(tempPath, this.filePath);
+  /**
+   * Remove the oldest held events of recipients
+   * @param {Object<string, number>} countsByRecipient - Number of events to remove per recipient
+   */
+  async releaseHeldEvents(countsByRecipient) {
+    const recipients = Object.keys(countsByRecipient);
+    if (recipients.length === 0) {
+      return;
+    }
 
-      logger.info({ timestamp }, 'Last processed timestamp saved to file');
+    try {
+      await this._updateState(state => {
+        const held = state.heldEvents || {};
+        for (const recipient of recipients) {
+          const events = held[recipient] || [];
+          const remaining = events.slice(0, Math.max(events.length - countsByRecipient[recipient], 0));
+          if (remaining.length > 0) {
+            held[recipient] = remaining;
+          } else {
+            delete held[recipient];
+          }
+        }
+        state.heldEvents = held;
+      });
+
+      logger.info({ recipients: recipients.length }, 'Held events released from file');
     } catch (error) {
-      logger.error('Error saving last processed timestamp:', error);
+      logger.error({ error: error.message }, 'Error releasing held events');
       throw error;
     }
   }
 
+  /**
+   * Load the times of the latest messages per recipient from file
+   * @returns {Promise<Object<string, string[]>>} ISO times per recipient, oldest first
+   */
+  async loadSendLog() {
+    const state = await this._readState();
+    return state.sendLog && typeof state.sendLog === 'object' ? state.sendLog : {};
+  }
+
+  /**
+   * Save the times of the latest messages per recipient to file
+   * @param {Object<string, string[]>} sendLog - ISO times per recipient, oldest first
+   */
+  async saveSendLog(sendLog) {
+    try {
+      await this._updateState(state => {
+        state.sendLog = sendLog;
+      });
+
+      logger.info({ recipients: Object.keys(sendLog).length }, 'Send log saved to file');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error saving send log');
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the whole state object, or an empty one if the file does not exist
+   * @returns {Promise<Object>} State object
+   * @private
+   */
+  async _readState() {
+    return (await this.file.read()) || {};
+  }
+
+  /**
+   * Applies a mutation to the stored state and writes it back atomically
+   * @param {(state: Object) => void} mutate - Function that modifies the state in place
+   * @returns {Promise<void>}
+   * @private
+   */
+  _updateState(mutate) {
+    return this.file.update(state => {
+      const updated = state || {};
+      mutate(updated);
+      return updated;
+    });
+  }
+
   /**
    * Clear all stored state
    */
@@ -84,4 +320,22 @@ export class FileStateStore {
       throw error;
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Drops the events that are already stored, and repeated ones, by event ID
+ * @param {Array} events - Events to add
+ * @param {Array} stored - Events stored so far
+ * @returns {Array} Events not stored yet, in their order
+ */
+function withoutKnownEvents(events, stored) {
+  const known = new Set(stored.map(eventId));
+  return events.filter(event => {
+    const id = eventId(event);
+    if (known.has(id)) {
+      return false;
+    }
+    known.add(id);
+    return true;
+  });
+}
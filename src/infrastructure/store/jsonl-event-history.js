@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pino from 'pino';
+import { compileFilter } from '../../core/filters/filter-engine.js';
+import { createEnnoblementEvent, eventId } from '../../core/entities/ennoblement-event.js';
+import { parseTimestamp } from '../../core/entities/timestamp.js';
+
+const logger = pino({ name: 'jsonl-event-history' });
+
+/**
+ * Append-only JSON Lines archive of ennoblement events, one file per world.
+ * The file is read once into memory, sorted by time, and indexed by event ID so that
+ * the same conquer scraped on consecutive polls is stored only once.
+ */
+export class JsonlEventHistory {
+  /**
+   * @param {string} [filePath] - Path of the archive file
+   * @param {Object} [options] - Archive options
+   * @param {string} [options.timeZone] - IANA time zone of the world's wall-clock times, used for query bounds and rows stored without epochMs
+   */
+  constructor(filePath = './data/history.jsonl', { timeZone = 'UTC' } = {}) {
+    this.filePath = filePath;
+    this.timeZone = timeZone;
+    this.writeQueue = Promise.resolve();
+    this.loading = null;
+    // Archived events with the instant they are sorted by, oldest first
+    this.entries = null;
+    this.ids = null;
+  }
+
+  /**
+   * Stores events that are not in the archive yet
+   * @param {import('../../core/entities/ennoblement-event.js').EnnoblementEvent[]} events - Scraped events, in any order
+   * @returns {Promise<number>} Number of events added
+   */
+  append(events) {
+    const append = this.writeQueue.then(() => this._append(events));
+    this.writeQueue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Reads a page of archived events, newest first
+   * @param {import('../../core/ports/i-event-history.js').EventHistoryQuery} [query] - Criteria and page
+   * @returns {Promise<import('../../core/ports/i-event-history.js').EventHistoryPage>} Page
+   * @throws {Error} When the filter rule is malformed
+   */
+  async query({ filter = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const matches = filter ? compileFilter(filter) : () => true;
+    await this.writeQueue;
+    await this._load();
+
+    // Events are sorted by time, so the time range is a slice
+    const start = from ? lowerBound(this.entries, this._timeOf(from)) : 0;
+    const end = to ? upperBound(this.entries, this._timeOf(to)) : this.entries.length;
+
+    const matched = [];
+    for (let index = end - 1; index >= start; index--) {
+      const { event } = this.entries[index];
+      if (matches(event)) {
+        matched.push(event);
+      }
+    }
+
+    return { total: matched.length, events: matched.slice(offset, offset + limit) };
+  }
+
+  /**
+   * @private
+   */
+  async _append(events) {
+    await this._load();
+
+    const added = [];
+    for (const event of events) {
+      const id = eventId(event);
+      if (!this.ids.has(id)) {
+        this.ids.add(id);
+        added.push(createEnnoblementEvent(event));
+      }
+    }
+
+    if (added.length === 0) {
+      return 0;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, added.map(event => `${JSON.stringify(event)}\n`).join(''), 'utf8');
+
+    this.entries.push(...added.map(event => this._entryOf(event)));
+    this.entries.sort(byTime);
+
+    logger.info({ added: added.length, total: this.entries.length }, 'Events archived');
+    return added.length;
+  }
+
+  /**
+   * Reads the archive into memory on first use
+   * @private
+   */
+  _load() {
+    if (!this.loading) {
+      this.loading = this._readEvents().then(events => {
+        this.entries = events.map(event => this._entryOf(event)).sort(byTime);
+        this.ids = new Set(events.map(eventId));
+      });
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Reads the archived events, or none if the file does not exist. A line cut off by a crash
+   * is skipped instead of making the whole archive unreadable.
+   * @returns {Promise<Array>} Events in file order
+   * @private
+   */
+  async _readEvents() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const events = [];
+    const lines = data.split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        logger.warn({ file: this.filePath, line: index + 1 }, 'Skipping unreadable history line');
+      }
+    });
+
+    logger.info({ file: this.filePath, count: events.length }, 'Event history loaded');
+    return events;
+  }
+
+  /**
+   * Pairs an event with the instant it is sorted by. Rows archived before epochMs was recorded
+   * fall back to their timestamp text; rows without a readable time sort first.
+   * @private
+   */
+  _entryOf(event) {
+    const time = typeof event.epochMs === 'number' ? event.epochMs : this._timeOf(event.timestamp);
+    return { time: time ?? -Infinity, event };
+  }
+
+  /**
+   * Instant of a wall-clock timestamp in the world's time zone
+   * @returns {number|null} Epoch milliseconds, or null if the text is not a timestamp
+   * @private
+   */
+  _timeOf(timestamp) {
+    return parseTimestamp(timestamp, this.timeZone)?.epochMs ?? null;
+  }
+}
+
+/**
+ * @private
+ */
+function byTime(a, b) {
+  return a.time - b.time;
+}
+
+/**
+ * Index of the first event at or after the instant
+ * @private
+ */
+function lowerBound(entries, time) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (entries[middle].time < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Index after the last event at or before the instant
+ * @private
+ */
+function upperBound(entries, time) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (entries[middle].time <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
@@ -0,0 +1,188 @@
+import { INotifier } from '../../core/ports/i-notifier.js';
+import { parseRecipient, TELEGRAM_PREFIX } from '../../core/entities/recipient.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'telegram-notifier' });
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Telegram notifier adapter using the Bot HTTP API
+ * Sends to chat ID recipients ("telegram:<chatId>") with HTML formatting
+ */
+export class TelegramNotifier extends INotifier {
+  /**
+   * Creates a new TelegramNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {string} options.botToken - Bot token from @BotFather
+   * @param {string[]} [options.chatIds] - Chat IDs used by sendNotification()
+   * @param {string} [options.apiBaseUrl] - Bot API base URL (e.g. a local stub server in tests)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ botToken, chatIds = [], apiBaseUrl = DEFAULT_API_BASE_URL, timeout = 15000 }) {
+    super();
+    this.botToken = botToken;
+    this.apiBaseUrl = apiBaseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.recipients = chatIds.map(chatId => `${TELEGRAM_PREFIX}${chatId}`);
+    this.isReady = false;
+    this.botUsername = null;
+  }
+
+  /**
+   * Verifies the bot token with getMe
+   * @returns {Promise<void>}
+   * @throws {Error} When the token is rejected or the API is unreachable
+   */
+  async init() {
+    try {
+      const bot = await this._call('getMe');
+      this.botUsername = bot.username;
+      this.isReady = true;
+      logger.info({ username: bot.username }, 'Telegram bot is ready');
+    } catch (error) {
+      this.isReady = false;
+      logger.error({ error: error.message }, 'Failed to initialize Telegram bot');
+      throw new Error(`Telegram initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Telegram needs no QR authentication
+   * @returns {null} Always null
+   */
+  getCurrentQr() {
+    return null;
+  }
+
+  /**
+   * Checks if the bot token was verified
+   * @returns {boolean} True if ready
+   */
+  isClientReady() {
+    return this.isReady;
+  }
+
+  /**
+   * Sends notification to the configured chats
+   * @param {string} message - Message to send
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per chat
+   */
+  async sendNotification(message, context) {
+    if (this.recipients.length === 0) {
+      logger.warn('No Telegram chats configured for notification');
+      return createDeliveryReport();
+    }
+
+    return this.notifyMany(this.recipients, message, context);
+  }
+
+  /**
+   * Sends a message to several chats; recipients of other channels are skipped
+   * @param {string[]} recipients - Recipients ("telegram:<chatId>")
+   * @param {string} message - Message to send (WhatsApp-style *bold* markup is converted)
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per chat
+   * @throws {Error} When the bot is not initialized
+   */
+  async notifyMany(recipients, message) {
+    if (!this.isReady) {
+      throw new Error('Telegram bot not ready. Call init() first.');
+    }
+
+    const chats = (recipients || [])
+      .map(recipient => ({ recipient, parsed: parseRecipient(recipient) }))
+      .filter(({ parsed }) => parsed?.channel === 'telegram');
+
+    if (chats.length === 0) {
+      logger.warn('No Telegram recipients provided for notification');
+      return createDeliveryReport();
+    }
+
+    const text = toTelegramHtml(message);
+
+    const results = await Promise.all(chats.map(async ({ recipient, parsed: { id: chatId } }) => {
+      try {
+        const sent = await this._call('sendMessage', {
+          chat_id: chatId,
+          text,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        });
+
+        logger.info({ chatId, messageId: sent.message_id }, 'Telegram message sent successfully');
+        return { recipient, channel: 'telegram', status: 'sent', messageId: String(sent.message_id), error: null };
+
+      } catch (error) {
+        logger.error({ chatId, error: error.message }, 'Failed to send Telegram message');
+        return { recipient, channel: 'telegram', status: 'failed', messageId: null, error: error.message };
+      }
+    }));
+
+    const report = createDeliveryReport(results);
+    logger.info({
+      total: chats.length,
+      successful: report.sentCount,
+      failed: report.failedCount
+    }, 'Telegram notification sending completed');
+
+    return report;
+  }
+
+  /**
+   * Nothing to disconnect; marks the notifier as not ready
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.isReady = false;
+    logger.info('Telegram notifier disconnected');
+  }
+
+  /**
+   * Calls a Bot API method, retrying once when Telegram asks to slow down (429)
+   * @param {string} method - Bot API method
+   * @param {Object} [payload] - JSON body
+   * @param {boolean} [retried] - Whether this is the retry after a 429
+   * @returns {Promise<Object>} The `result` field of the response
+   * @throws {Error} When the request fails or the API answers with ok: false
+   * @private
+   */
+  async _call(method, payload = {}, retried = false) {
+    const response = await fetch(`${this.apiBaseUrl}/bot${this.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 429 && !retried) {
+      const retryAfter = Math.min(body.parameters?.retry_after ?? 1, MAX_RETRY_AFTER_SECONDS);
+      logger.warn({ method, retryAfter }, 'Telegram rate limit hit, retrying');
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      return this._call(method, payload, true);
+    }
+
+    if (!response.ok || !body.ok) {
+      throw new Error(`Telegram ${method} failed: ${body.description || `HTTP ${response.status}`}`);
+    }
+
+    return body.result;
+  }
+}
+
+/**
+ * Converts a rendered message to Telegram HTML: escapes HTML and turns *bold* into <b>bold</b>
+ * @param {string} message - Rendered message
+ * @returns {string} Telegram HTML
+ */
+export function toTelegramHtml(message) {
+  return message
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*([^*\n]+)\*/g, '<b>$1</b>');
+}
@@ -0,0 +1,207 @@
+import { INotifier } from '../../core/ports/i-notifier.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
+import { eventId } from '../../core/entities/ennoblement-event.js';
+import { createHash, createHmac } from 'crypto';
+import pino from 'pino';
+
+const logger = pino({ name: 'webhook-notifier' });
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const DELIVERY_HEADER = 'X-Webhook-Delivery';
+
+/**
+ * Signs a request body the way receivers should verify it
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value ("sha256=<hex digest>")
+ */
+export function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Derives the delivery ID of a batch for one endpoint from the batch's event IDs, so a batch
+ * posted again (by a retried cycle or the outbox) keeps its ID
+ * @param {string} url - Endpoint
+ * @param {Array} events - Events of the batch
+ * @returns {string} Delivery ID (32 hex characters)
+ */
+export function deliveryIdOf(url, events) {
+  return createHash('sha256').update([url, ...events.map(eventId)].join('\n')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Generic outgoing webhook: POSTs every batch of new events as signed JSON to the configured URLs.
+ * The endpoints are the webhook's recipients; each batch goes to every endpoint addressed.
+ */
+export class WebhookNotifier extends INotifier {
+  /**
+   * Creates a new WebhookNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {string[]} options.urls - Endpoints receiving the batches
+   * @param {string} options.secret - Shared secret for the HMAC-SHA256 signature
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxRetries] - Retries after a failed delivery
+   * @param {number} [options.retryDelay] - First retry delay in milliseconds, doubled on every retry
+   */
+  constructor({ urls, secret, timeout = 10000, maxRetries = 3, retryDelay = 1000 }) {
+    super();
+    this.urls = urls;
+    this.secret = secret;
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.recipients = urls;
+    this.isReady = false;
+  }
+
+  /**
+   * Nothing to verify up front: receivers are not required to answer anything but POSTs
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.isReady = true;
+    logger.info({ endpoints: this.urls.length }, 'Webhook notifier is ready');
+  }
+
+  /**
+   * Webhooks need no QR authentication
+   * @returns {null} Always null
+   */
+  getCurrentQr() {
+    return null;
+  }
+
+  /**
+   * Checks if the notifier was initialized
+   * @returns {boolean} True if ready
+   */
+  isClientReady() {
+    return this.isReady;
+  }
+
+  /**
+   * POSTs the events to every endpoint
+   * @param {string} message - Rendered message, included for receivers that just display it
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events to deliver
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per endpoint; the message ID is the delivery ID
+   * @throws {Error} When the notifier is not initialized or every endpoint failed after all retries
+   */
+  async sendNotification(message, context) {
+    return this.notifyMany(this.urls, message, context);
+  }
+
+  /**
+   * POSTs the events to the given endpoints (e.g. the ones a queued batch still misses).
+   * Each endpoint gets the same delivery ID for the same events on every attempt and every
+   * call, so receivers can drop duplicates. Failed endpoints are reported, not thrown, so a
+   * retry doesn't post the batch again to the endpoints that got it.
+   * @param {string[]} recipients - Endpoints to post to; ones not configured are skipped
+   * @param {string} message - Rendered message
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events to deliver
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per endpoint
+   * @throws {Error} When the notifier is not initialized or every endpoint failed (the report is attached as error.result)
+   */
+  async notifyMany(recipients, message, context) {
+    if (!this.isReady) {
+      throw new Error('Webhook notifier not ready. Call init() first.');
+    }
+
+    const events = context?.events || [];
+    const urls = recipients.filter(url => this.urls.includes(url));
+    const deliveries = [];
+    const failures = [];
+
+    for (const url of urls) {
+      const deliveryId = deliveryIdOf(url, events);
+      const body = JSON.stringify({
+        deliveryId,
+        world: context?.world ?? null,
+        sentAt: new Date().toISOString(),
+        message,
+        events
+      });
+
+      try {
+        await this._deliver(url, body, deliveryId);
+        logger.info({ url, deliveryId, events: events.length }, 'Webhook delivered');
+        deliveries.push({ recipient: url, channel: 'webhook', status: 'sent', messageId: deliveryId, error: null });
+      } catch (error) {
+        logger.error({ url, deliveryId, error: error.message }, 'Webhook delivery failed');
+        deliveries.push({ recipient: url, channel: 'webhook', status: 'failed', messageId: null, error: error.message });
+        failures.push(`${url}: ${error.message}`);
+      }
+    }
+
+    const report = createDeliveryReport(deliveries);
+    if (failures.length > 0 && failures.length === urls.length) {
+      const error = new Error(`Webhook delivery failed for ${failures.length} of ${urls.length} endpoints (${failures.join('; ')})`);
+      error.result = report;
+      throw error;
+    }
+
+    return report;
+  }
+
+  /**
+   * Nothing to disconnect; marks the notifier as not ready
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.isReady = false;
+    logger.info('Webhook notifier disconnected');
+  }
+
+  /**
+   * POSTs one signed body, retrying network errors, 429 and 5xx responses with exponential backoff.
+   * Other 4xx responses mean the receiver rejected the payload and are not retried.
+   * @param {string} url - Endpoint
+   * @param {string} body - Raw JSON body
+   * @param {string} deliveryId - Delivery ID sent with every attempt
+   * @returns {Promise<void>}
+   * @throws {Error} When the endpoint keeps failing
+   * @private
+   */
+  async _deliver(url, body, deliveryId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(body, this.secret),
+      [DELIVERY_HEADER]: deliveryId
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let error;
+
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeout)
+        });
+      } catch (fetchError) {
+        error = fetchError;
+      }
+
+      if (response?.ok) {
+        return;
+      }
+
+      if (response) {
+        error = new Error(`HTTP ${response.status}`);
+        if (response.status !== 429 && response.status < 500) {
+          throw error;
+        }
+      }
+
+      if (attempt >= this.maxRetries) {
+        throw error;
+      }
+
+      const delay = this.retryDelay * 2 ** attempt;
+      logger.warn({ url, deliveryId, attempt: attempt + 1, delay, error: error.message }, 'Webhook delivery failed, retrying');
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { INotifier } from '../../core/ports/i-notifier.js';
+import { parseRecipient } from '../../core/entities/recipient.js';
+import { createDeliveryReport } from '../../core/entities/delivery-report.js';
 import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth } = pkg;
 import qrcode from 'qrcode';
@@ -19,6 +21,17 @@ export class WhatsAppNotifier extends INotifier {
     this.isInitializing = false;
     this.initPromise = null;
     this.recipients = recipients;
+    this.groupIdsByName = new Map();
+    this.messageHandler = null;
+  }
+
+  /**
+   * Registers the handler for incoming messages (e.g. the command dispatcher).
+   * A non-empty string returned by the handler is sent back as a reply.
+   * @param {((text: string, sender: {chatId: string, author: string|null}) => Promise<string|null>)|null} handler - Message handler
+   */
+  onMessage(handler) {
+    this.messageHandler = handler;
   }
 
   /**
@@ -57,6 +70,11 @@ export class WhatsAppNotifier extends INotifier {
     try {
       logger.info('Initializing WhatsApp Web client');
       
+      // A client left over from a lost connection is closed before a new one starts
+      if (this.client) {
+        await this._cleanup();
+      }
+      
       // Create client with Windows-compatible settings
       this.client = new Client({
         authStrategy: new LocalAuth({ clientId: 'default' }),
@@ -135,6 +153,7 @@ export class WhatsAppNotifier extends INotifier {
     this.client.on('disconnected', (reason) => {
       this.isReady = false;
       this.qrDataUrl = null;
+      this.groupIdsByName.clear();
       logger.warn({ reason }, 'WhatsApp client disconnected');
     });
 
@@ -145,9 +164,23 @@ export class WhatsAppNotifier extends INotifier {
       logger.error({ message }, 'WhatsApp authentication failed');
     });
 
-    // Message event (for debugging)
-    this.client.on('message', (message) => {
+    // Message event - passed to the registered handler, whose answer is sent as a reply
+    this.client.on('message', async (message) => {
       logger.debug({ from: message.from, body: message.body }, 'Message received');
+
+      if (!this.messageHandler) {
+        return;
+      }
+
+      try {
+        // In groups, author is the member who wrote the message
+        const reply = await this.messageHandler(message.body, { chatId: message.from, author: message.author || null });
+        if (reply) {
+          await message.reply(reply);
+        }
+      } catch (error) {
+        logger.error({ from: message.from, error: error.message }, 'Failed to handle incoming message');
+      }
     });
 
     // Error event
@@ -203,70 +236,74 @@ export class WhatsAppNotifier extends INotifier {
   }
 
   /**
-   * Sends notifications to multiple phone numbers
-   * @param {string[]} numbers - Array of phone numbers (e.g., "905551234567")
+   * Sends notifications to multiple recipients. Routing recipients to their channel is left to
+   * CompositeNotifier; a recipient that is not a WhatsApp chat is reported as failed.
+   * @param {string[]} recipients - Phone numbers (e.g., "905551234567"), group IDs ("...@g.us") or group names ("group:<name>")
    * @param {string} message - Message to send
-   * @returns {Promise<void>}
-   * @throws {Error} When sending fails
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per WhatsApp recipient
+   * @throws {Error} When the client is not ready
    */
-  async notifyMany(numbers, message) {
+  async notifyMany(recipients, message) {
     if (!this.client || !this.isReady) {
       throw new Error('WhatsApp client not ready. Call init() first and scan QR code.');
     }
 
-    if (!numbers || numbers.length === 0) {
-      logger.warn('No phone numbers provided for notification');
-      return;
+    const whatsappRecipients = recipients || [];
+    if (whatsappRecipients.length === 0) {
+      logger.warn('No recipients provided for notification');
+      return createDeliveryReport();
     }
 
-    logger.info({ count: numbers.length }, 'Sending notifications to multiple numbers');
+    logger.info({ count: whatsappRecipients.length }, 'Sending notifications to multiple recipients');
 
-    const results = await Promise.allSettled(
-      numbers.map(async (phoneNumber) => {
+    const results = await Promise.all(
+      whatsappRecipients.map(async (recipient) => {
         try {
-          // Convert phone number to chat ID format
-          const chatId = `${phoneNumber}@c.us`;
+          // Convert recipient to chat ID format
+          const chatId = await this.resolveChatId(recipient);
           
           // Send the message
-          await this.client.sendMessage(chatId, message);
+          const sent = await this.client.sendMessage(chatId, message);
+          const messageId = sent?.id?._serialized ?? null;
           
-          logger.info({ phoneNumber, chatId }, 'Message sent successfully');
-          return { phoneNumber, success: true };
+          logger.info({ recipient, chatId, messageId }, 'Message sent successfully');
+          return { recipient, channel: 'whatsapp', status: 'sent', messageId, error: null };
           
         } catch (error) {
-          logger.error({ phoneNumber, error: error.message }, 'Failed to send message');
-          return { phoneNumber, success: false, error: error.message };
+          logger.error({ recipient, error: error.message }, 'Failed to send message');
+          return { recipient, channel: 'whatsapp', status: 'failed', messageId: null, error: error.message };
         }
       })
     );
 
-    // Log summary
-    const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.length - successful;
+    const report = createDeliveryReport(results);
     
     logger.info({ 
-      total: numbers.length, 
-      successful, 
-      failed 
+      total: whatsappRecipients.length, 
+      successful: report.sentCount, 
+      failed: report.failedCount 
     }, 'Notification sending completed');
 
-    if (failed > 0) {
-      logger.warn({ failed }, 'Some notifications failed to send');
+    if (report.failedCount > 0) {
+      logger.warn({ failed: report.failedCount }, 'Some notifications failed to send');
     }
+
+    return report;
   }
 
   /**
    * Sends notification using configured recipients
    * @param {string} message - Message to send
-   * @returns {Promise<void>}
-   * @throws {Error} When sending fails
+   * @param {import('../../core/ports/i-notifier.js').NotificationContext} [context] - Events behind the message
+   * @returns {Promise<import('../../core/entities/delivery-report.js').DeliveryReport>} Outcome per recipient
+   * @throws {Error} When the client is not ready
    */
-  async sendNotification(message) {
+  async sendNotification(message, context) {
     const recipientsToUse = this.recipients && this.recipients.length > 0 ? this.recipients : null;
     
     if (!recipientsToUse) {
       logger.warn('No recipients configured for notification');
-      return;
+      return createDeliveryReport();
     }
 
     logger.info({ 
@@ -274,7 +311,67 @@ export class WhatsAppNotifier extends INotifier {
       messageLength: message.length 
     }, 'Sending notification to configured recipients');
 
-    await this.notifyMany(recipientsToUse, message);
+    return this.notifyMany(recipientsToUse, message, context);
+  }
+
+  /**
+   * Converts a recipient to a WhatsApp chat ID. Group names are looked up
+   * in the chat list once and cached until the client disconnects.
+   * @param {string} recipient - Phone number, group ID or "group:<name>"
+   * @returns {Promise<string>} Chat ID ("...@c.us" or "...@g.us")
+   * @throws {Error} When the recipient is invalid or the group cannot be found
+   */
+  async resolveChatId(recipient) {
+    const parsed = parseRecipient(recipient);
+    if (!parsed || parsed.channel !== 'whatsapp') {
+      throw new Error(`Invalid WhatsApp recipient: ${recipient}`);
+    }
+
+    if (parsed.kind === 'contact') {
+      return `${parsed.id}@c.us`;
+    }
+
+    if (parsed.id) {
+      return parsed.id;
+    }
+
+    const key = parsed.groupName.toLowerCase();
+    if (!this.groupIdsByName.has(key)) {
+      const matches = (await this.listGroups()).filter(group => group.name.toLowerCase() === key);
+
+      if (matches.length === 0) {
+        throw new Error(`WhatsApp group not found: ${parsed.groupName}`);
+      }
+      if (matches.length > 1) {
+        throw new Error(`WhatsApp group name is ambiguous: ${parsed.groupName} (use one of ${matches.map(group => group.id).join(', ')})`);
+      }
+
+      this.groupIdsByName.set(key, matches[0].id);
+      logger.info({ groupName: parsed.groupName, chatId: matches[0].id }, 'WhatsApp group resolved by name');
+    }
+
+    return this.groupIdsByName.get(key);
+  }
+
+  /**
+   * Lists the group chats the logged-in account belongs to
+   * @returns {Promise<Array<{id: string, name: string, participants: number|null}>>} Groups
+   * @throws {Error} When the client is not ready
+   */
+  async listGroups() {
+    if (!this.client || !this.isReady) {
+      throw new Error('WhatsApp client not ready. Call init() first and scan QR code.');
+    }
+
+    const chats = await this.client.getChats();
+
+    return chats
+      .filter(chat => chat.isGroup)
+      .map(chat => ({
+        id: chat.id._serialized,
+        name: chat.name,
+        participants: chat.participants ? chat.participants.length : null
+      }));
   }
 
   /**
@@ -0,0 +1,64 @@
+import pino from 'pino';
+
+const logger = pino({ name: 'digest-routes' });
+
+/**
+ * Digest endpoints: inspect the collected events and send the digest ahead of its schedule
+ * Every route accepts `?world=<id>` and defaults to the first configured world
+ */
+export class DigestRoutes {
+  /**
+   * Creates a new DigestRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
+  }
+
+  /**
+   * Registers digest routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /digest - Events collected so far and the digests they would give
+    app.get('/digest', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      try {
+        const events = await world.stateStore.loadDigestEvents();
+        const digests = world.pollAndNotify.planDigests(events);
+
+        res.json({
+          world: world.id,
+          count: events.length,
+          digests: digests.map(({ recipients, locale, message, events: recipientEvents }) => ({
+            recipients,
+            locale,
+            count: recipientEvents.length,
+            message
+          }))
+        });
+
+      } catch (error) {
+        logger.error({ world: world.id, error: error.message }, 'Failed to preview digest');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // POST /digest/send - Send the digest now instead of waiting for DIGEST_CRON
+    app.post('/digest/send', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      try {
+        const result = await world.sendDigest.run();
+        res.status(result.success ? 200 : 502).json(result);
+
+      } catch (error) {
+        logger.error({ world: world.id, error: error.message }, 'Failed to send digest');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+}
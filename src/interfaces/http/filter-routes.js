@@ -0,0 +1,239 @@
+import pino from 'pino';
+import {
+  FilterDefinitionInputSchema,
+  FilterDefinitionUpdateSchema,
+  formatValidationIssues
+} from '../../config/filter-schema.js';
+
+const logger = pino({ name: 'filter-routes' });
+
+/**
+ * Filter management endpoints: CRUD over stored filter definitions plus bulk on/off switches
+ * Every route accepts `?world=<id>` and defaults to the first configured world
+ */
+export class FilterRoutes {
+  /**
+   * Creates a new FilterRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
+  }
+
+  /**
+   * Registers filter routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /filters - List all filter definitions and the rule currently applied
+    app.get('/filters', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        logger.info({ world: world.id }, 'Filter list requested');
+
+        const filters = await world.manageFilters.list();
+        const activeRule = world.manageFilters.getActiveRule();
+
+        res.json({
+          world: world.id,
+          filtersActive: !!activeRule,
+          activeRule,
+          filters
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to list filters');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // GET /filters/status - Get current filter status
+    app.get('/filters/status', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        logger.info({ world: world.id }, 'Filter status requested');
+
+        const activeRule = world.manageFilters.getActiveRule();
+        const filtersActive = !!activeRule;
+
+        res.json({
+          world: world.id,
+          filtersActive,
+          filters: activeRule,
+          description: filtersActive ?
+            'Filters are ACTIVE - only events matching an enabled filter will be notified' :
+            'Filters are INACTIVE - all events will be notified'
+        });
+
+        logger.info({ filtersActive }, 'Filter status retrieved');
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to get filter status');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // POST /filters/activate - Enable every stored filter
+    app.post('/filters/activate', async (req, res) => {
+      await this._switchAll(req, res, true, 'Filters activated successfully');
+    });
+
+    // POST /filters/deactivate - Disable every stored filter
+    app.post('/filters/deactivate', async (req, res) => {
+      await this._switchAll(req, res, false, 'Filters deactivated successfully');
+    });
+
+    // POST /filters/toggle - Disable all filters if any is active, otherwise enable all
+    app.post('/filters/toggle', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const wasActive = !!world.manageFilters.getActiveRule();
+      await this._switchAll(req, res, !wasActive, wasActive ? 'Filters deactivated' : 'Filters activated', {
+        previousStatus: wasActive ? 'active' : 'inactive',
+        currentStatus: wasActive ? 'inactive' : 'active'
+      });
+    });
+
+    // GET /filters/:id - Get a single filter definition
+    app.get('/filters/:id', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        const filter = await world.manageFilters.get(req.params.id);
+        if (!filter) {
+          return res.status(404).json({ error: `Filter ${req.params.id} not found` });
+        }
+
+        res.json(filter);
+
+      } catch (error) {
+        logger.error({ id: req.params.id, error: error.message }, 'Failed to get filter');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // POST /filters - Create a filter definition
+    app.post('/filters', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const parsed = FilterDefinitionInputSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        return this._sendValidationError(res, parsed.error);
+      }
+
+      try {
+        const filter = await world.manageFilters.create(parsed.data);
+        res.status(201).json(filter);
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to create filter');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // PUT /filters/:id - Update name, enabled flag and/or rule of a filter definition
+    app.put('/filters/:id', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const parsed = FilterDefinitionUpdateSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        return this._sendValidationError(res, parsed.error);
+      }
+
+      try {
+        const filter = await world.manageFilters.update(req.params.id, parsed.data);
+        if (!filter) {
+          return res.status(404).json({ error: `Filter ${req.params.id} not found` });
+        }
+
+        res.json(filter);
+
+      } catch (error) {
+        logger.error({ id: req.params.id, error: error.message }, 'Failed to update filter');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // DELETE /filters/:id - Remove a filter definition
+    app.delete('/filters/:id', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        const removed = await world.manageFilters.remove(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: `Filter ${req.params.id} not found` });
+        }
+
+        res.json({ success: true, message: `Filter ${req.params.id} deleted` });
+
+      } catch (error) {
+        logger.error({ id: req.params.id, error: error.message }, 'Failed to delete filter');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Enables or disables all stored filters of the requested world and writes the response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {boolean} enabled - Target state
+   * @param {string} message - Success message
+   * @param {Object} extra - Additional response fields
+   * @private
+   */
+  async _switchAll(req, res, enabled, message, extra = {}) {
+    const world = this.worldResolver.resolve(req, res);
+    if (!world) return;
+
+    try {
+      logger.info({ world: world.id, enabled }, 'Filter switch requested');
+
+      const filters = await world.manageFilters.list();
+      if (enabled && filters.length === 0) {
+        return res.status(400).json({
+          error: 'No filters defined',
+          details: 'Create a filter with POST /filters first.'
+        });
+      }
+
+      const updated = await world.manageFilters.setAllEnabled(enabled);
+
+      res.json({
+        success: true,
+        world: world.id,
+        message,
+        ...extra,
+        filters: world.manageFilters.getActiveRule(),
+        definitions: updated
+      });
+
+      logger.info({ enabled }, 'Filter switch completed');
+
+    } catch (error) {
+      logger.error({ enabled, error: error.message }, 'Failed to switch filters');
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Writes a 400 response for a failed schema validation
+   * @param {Object} res - Express response
+   * @param {import('zod').ZodError} error - Validation error
+   * @private
+   */
+  _sendValidationError(res, error) {
+    const details = formatValidationIssues(error);
+    logger.warn({ details }, 'Rejected invalid filter definition');
+    return res.status(400).json({ error: 'Invalid filter definition', details });
+  }
+}
\ No newline at end of file
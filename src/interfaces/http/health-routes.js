@@ -0,0 +1,42 @@
+/**
+ * Health check endpoint
+ */
+export class HealthRoutes {
+  /**
+   * Creates a new HealthRoutes instance
+   * @param {Object} notifier - Composite notifier
+   * @param {Map<string, Object>} worlds - Monitored worlds by id
+   */
+  constructor(notifier, worlds) {
+    this.notifier = notifier;
+    this.worlds = worlds;
+  }
+
+  /**
+   * Registers the health route with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /health - Process, WhatsApp and notification channel status
+    app.get('/health', (req, res) => {
+      const whatsapp = this.notifier?.getChannel('whatsapp');
+      const whatsappStatus = whatsapp ? {
+        ready: whatsapp.isClientReady(),
+        hasQr: !!whatsapp.getCurrentQr()
+      } : { ready: false, hasQr: false };
+
+      res.json({ 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        whatsapp: whatsappStatus,
+        channels: this.notifier ? this.notifier.getStatus() : {},
+        services: {
+          notifier: !!this.notifier,
+          worlds: [...this.worlds.keys()]
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import pino from 'pino';
+import { EventQuerySchema } from '../../config/history-schema.js';
+import { formatValidationIssues } from '../../config/filter-schema.js';
+
+const logger = pino({ name: 'history-routes' });
+
+/**
+ * Event history endpoints: query the archive of every scraped conquer
+ * Every route accepts `?world=<id>` and defaults to the first configured world
+ */
+export class HistoryRoutes {
+  /**
+   * Creates a new HistoryRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
+  }
+
+  /**
+   * Registers history routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /events - Archived events matching the query, newest first, a page at a time
+    app.get('/events', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const parsed = EventQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        const details = formatValidationIssues(parsed.error);
+        logger.warn({ details }, 'Rejected invalid event query');
+        return res.status(400).json({ error: 'Invalid query', details });
+      }
+
+      try {
+        const { total, events } = await world.history.query(parsed.data);
+
+        res.json({
+          world: world.id,
+          total,
+          limit: parsed.data.limit,
+          offset: parsed.data.offset,
+          count: events.length,
+          events
+        });
+
+      } catch (error) {
+        logger.error({ world: world.id, error: error.message }, 'Failed to query event history');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+}
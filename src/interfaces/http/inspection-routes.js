@@ -4,35 +4,52 @@ const logger = pino({ name: 'inspection-routes' });
 
 /**
  * Temporary inspection routes for debugging scraper and use-case
+ * Every route accepts `?world=<id>` and defaults to the first configured world
  * NOTE: This is TEMPORARY - business logic should not live in routes permanently
  */
 export class InspectionRoutes {
-  constructor(scraper, pollAndNotifyUseCase, stateStore) {
-    this.scraper = scraper;
-    this.pollAndNotifyUseCase = pollAndNotifyUseCase;
-    this.stateStore = stateStore;
+  /**
+   * Creates a new InspectionRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
   }
 
   registerRoutes(app) {
+    // GET /worlds - List monitored worlds
+    app.get('/worlds', (req, res) => {
+      res.json({
+        defaultWorld: this.worldResolver.defaultWorldId,
+        worlds: this.worldResolver.list()
+      });
+    });
+
     // GET /preview-filtered?limit=10 - Preview filtered events
     app.get('/preview-filtered', async (req, res) => {
       try {
-        logger.info('Preview filtered events requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+        
+        logger.info({ world: world.id }, 'Preview filtered events requested');
         
         const limit = parseInt(req.query.limit || '10', 10);
         
-        // No filtering - get all events
-        const allEvents = await this.scraper.scrape();
-        const limitedEvents = allEvents.slice(0, limit);
+        // Same rule set the use-case applies before notifying
+        const allEvents = await world.scraper.scrape();
+        const filteredEvents = world.pollAndNotify.filterEvents(allEvents);
+        const limitedEvents = filteredEvents.slice(0, limit);
         
         res.json({
+          world: world.id,
           total: allEvents.length,
-          filtered: allEvents.length, // No filtering - all events
+          filtered: filteredEvents.length,
           limited: limitedEvents.length,
+          filters: world.pollAndNotify.filters,
           events: limitedEvents
         });
         
-        logger.info({ total: allEvents.length, filtered: allEvents.length, limited: limitedEvents.length }, 'Preview completed');
+        logger.info({ total: allEvents.length, filtered: filteredEvents.length, limited: limitedEvents.length }, 'Preview completed');
         
       } catch (error) {
         logger.error({ error: error.message }, 'Preview filtered events failed');
@@ -43,28 +60,33 @@ export class InspectionRoutes {
     // POST /run-once - Execute the use-case once
     app.post('/run-once', async (req, res) => {
       try {
-        logger.info('Run once requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+        
+        logger.info({ world: world.id }, 'Run once requested');
         
         // Get current state before running
-        const beforeEvents = await this.scraper.scrape();
+        const beforeEvents = await world.scraper.scrape();
         
         // Execute use-case
-        await this.pollAndNotifyUseCase.runOnce();
+        const result = await world.pollAndNotify.runOnce();
         
         // Get state after running
-        const afterEvents = await this.scraper.scrape();
+        const afterEvents = await world.scraper.scrape();
         
         res.json({
+          world: world.id,
           checked: afterEvents.length,
-          matched: afterEvents.length, // No filtering - all events matched
-          notified: beforeEvents.length !== afterEvents.length,
+          matched: world.pollAndNotify.filterEvents(afterEvents).length,
+          notified: result.eventsCount > 0,
+          result,
           summary: {
-            before: { total: beforeEvents.length, filtered: beforeEvents.length },
-            after: { total: afterEvents.length, filtered: afterEvents.length }
+            before: { total: beforeEvents.length },
+            after: { total: afterEvents.length }
           }
         });
         
-        logger.info({ checked: afterEvents.length, matched: afterEvents.length }, 'Run once completed');
+        logger.info({ world: world.id, checked: afterEvents.length, eventsCount: result.eventsCount }, 'Run once completed');
         
       } catch (error) {
         logger.error({ error: error.message }, 'Run once failed');
@@ -72,144 +94,59 @@ export class InspectionRoutes {
       }
     });
 
-    // GET /state - Get current state information
-    app.get('/state', async (req, res) => {
-      try {
-        logger.info('State information requested');
-        
-        const currentState = this.stateStore.getCurrentState();
-        const lastHash = await this.stateStore.loadLastHash();
-        
-        res.json({
-          currentState,
-          lastHash,
-          hashExists: lastHash !== null
-        });
-        
-        logger.info({ hashExists: lastHash !== null }, 'State information retrieved');
-        
-      } catch (error) {
-        logger.error({ error: error.message }, 'Failed to get state information');
-        res.status(500).json({ error: error.message });
-      }
-    });
-
+    // GET /runs - Results of the latest polling cycles, with their delivery reports
+    app.get('/runs', (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
 
+      const runs = world.pollAndNotify.getRunHistory();
 
-    // GET /filters/status - Get current filter status
-    app.get('/filters/status', async (req, res) => {
-      try {
-        logger.info('Filter status requested');
-        
-        const filtersActive = !!this.pollAndNotifyUseCase.filters;
-        
-        res.json({
-          filtersActive,
-          description: filtersActive ? 
-            'Filters are ACTIVE - only SiSu tribe events will be notified' :
-            'Filters are INACTIVE - all events will be notified'
-        });
-        
-        logger.info({ filtersActive }, 'Filter status retrieved');
-        
-      } catch (error) {
-        logger.error({ error: error.message }, 'Failed to get filter status');
-        res.status(500).json({ error: error.message });
-      }
+      res.json({
+        world: world.id,
+        count: runs.length,
+        runs
+      });
     });
 
-    // POST /filters/activate - Activate filters
-    app.post('/filters/activate', async (req, res) => {
+    // GET /state - Get current state information
+    app.get('/state', async (req, res) => {
       try {
-        logger.info('Filter activation requested');
-        
-        this.pollAndNotifyUseCase.filters = {
-          tribe: 'SiSu'
-        };
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
         
-        res.json({
-          success: true,
-          message: 'Filters activated successfully',
-          filters: this.pollAndNotifyUseCase.filters
-        });
+        logger.info({ world: world.id }, 'State information requested');
         
-        logger.info('Filters activated successfully');
-        
-      } catch (error) {
-        logger.error({ error: error.message }, 'Failed to activate filters');
-        res.status(500).json({ error: error.message });
-      }
-    });
-
-    // POST /filters/deactivate - Deactivate filters
-    app.post('/filters/deactivate', async (req, res) => {
-      try {
-        logger.info('Filter deactivation requested');
-        
-        this.pollAndNotifyUseCase.filters = null;
+        const lastProcessedTimestamp = await world.stateStore.loadLastProcessedTimestamp();
         
         res.json({
-          success: true,
-          message: 'Filters deactivated successfully'
+          world: world.id,
+          stateFile: world.config.stateFile,
+          lastProcessedTimestamp,
+          timestampExists: lastProcessedTimestamp !== null
         });
         
-        logger.info('Filters deactivated successfully');
+        logger.info({ world: world.id, timestampExists: lastProcessedTimestamp !== null }, 'State information retrieved');
         
       } catch (error) {
-        logger.error({ error: error.message }, 'Failed to deactivate filters');
+        logger.error({ error: error.message }, 'Failed to get state information');
         res.status(500).json({ error: error.message });
       }
     });
 
-    // POST /filters/toggle - Toggle filters on/off
-    app.post('/filters/toggle', async (req, res) => {
-      try {
-        logger.info('Filter toggle requested');
-        
-        const currentStatus = !!this.pollAndNotifyUseCase.filters;
-        
-        if (currentStatus) {
-          // Deactivate
-          this.pollAndNotifyUseCase.filters = null;
-          res.json({
-            success: true,
-            message: 'Filters deactivated',
-            previousStatus: 'active',
-            currentStatus: 'inactive'
-          });
-        } else {
-          // Activate
-          this.pollAndNotifyUseCase.filters = {
-            tribe: 'SiSu',
-            coordinates: {
-              x: { max: 452 },
-              y: { min: 462 }
-            }
-          };
-          res.json({
-            success: true,
-            message: 'Filters activated',
-            previousStatus: 'inactive',
-            currentStatus: 'active'
-          });
-        }
-        
-        logger.info({ previousStatus: currentStatus, currentStatus: !currentStatus }, 'Filter toggle completed');
-        
-      } catch (error) {
-        logger.error({ error: error.message }, 'Failed to toggle filters');
-        res.status(500).json({ error: error.message });
-      }
-    });
+
 
     // GET /all-events - Get all scraped events (no filtering)
     app.get('/all-events', async (req, res) => {
       try {
-        logger.info('All events requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
         
-        const allEvents = await this.scraper.scrape();
+        logger.info({ world: world.id }, 'All events requested');
+        
+        const allEvents = await world.scraper.scrape();
         
         res.json({
+          world: world.id,
           total: allEvents.length,
           events: allEvents
         });
@@ -225,11 +162,18 @@ export class InspectionRoutes {
     // POST /state/clear - Clear stored state (for testing)
     app.post('/state/clear', async (req, res) => {
       try {
-        logger.info('State clear requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+        
+        logger.info({ world: world.id }, 'State clear requested');
         
-        await this.stateStore.clear();
+        await world.stateStore.clear();
         
-        res.json({ message: 'State cleared successfully' });
+        // Stored filters and subscriptions are gone too; fall back to the configured ones
+        await world.pollAndNotify.loadFilters();
+        await world.pollAndNotify.loadSubscriptions();
+        
+        res.json({ world: world.id, message: 'State cleared successfully' });
         
         logger.info('State cleared successfully');
         
@@ -242,12 +186,15 @@ export class InspectionRoutes {
     // GET /metrics - Get system metrics and circuit breaker stats
     app.get('/metrics', async (req, res) => {
       try {
-        logger.info('Metrics requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+        
+        logger.info({ world: world.id }, 'Metrics requested');
         
         // Get circuit breaker stats if available
         let circuitBreakerStats = null;
-        if (this.scraper.httpClient && this.scraper.httpClient.getCircuitBreakerStats) {
-          circuitBreakerStats = this.scraper.httpClient.getCircuitBreakerStats();
+        if (world.scraper.httpClient && world.scraper.httpClient.getCircuitBreakerStats) {
+          circuitBreakerStats = world.scraper.httpClient.getCircuitBreakerStats();
         }
         
         // Get system metrics
@@ -270,6 +217,7 @@ export class InspectionRoutes {
         };
         
         res.json({
+          world: world.id,
           timestamp: new Date().toISOString(),
           system: systemMetrics,
           process: processMetrics,
@@ -287,9 +235,13 @@ export class InspectionRoutes {
     // GET /health/detailed - Detailed health check
     app.get('/health/detailed', async (req, res) => {
       try {
-        logger.info('Detailed health check requested');
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+        
+        logger.info({ world: world.id }, 'Detailed health check requested');
         
         const healthChecks = {
+          world: world.id,
           timestamp: new Date().toISOString(),
           uptime: process.uptime(),
           memory: process.memoryUsage(),
@@ -298,7 +250,7 @@ export class InspectionRoutes {
         
         // Check scraper health
         try {
-          const events = await this.scraper.scrape();
+          const events = await world.scraper.scrape();
           healthChecks.checks.scraper = {
             status: 'healthy',
             eventsCount: events.length,
@@ -314,10 +266,10 @@ export class InspectionRoutes {
         
         // Check state store health
         try {
-          const lastHash = await this.stateStore.loadLastHash();
+          const lastProcessedTimestamp = await world.stateStore.loadLastProcessedTimestamp();
           healthChecks.checks.stateStore = {
             status: 'healthy',
-            lastHash: lastHash ? 'exists' : 'none',
+            lastProcessedTimestamp: lastProcessedTimestamp ? 'exists' : 'none',
             lastCheck: new Date().toISOString()
           };
         } catch (error) {
@@ -329,8 +281,8 @@ export class InspectionRoutes {
         }
         
         // Check circuit breaker health
-        if (this.scraper.httpClient && this.scraper.httpClient.getCircuitBreakerStats) {
-          const cbStats = this.scraper.httpClient.getCircuitBreakerStats();
+        if (world.scraper.httpClient && world.scraper.httpClient.getCircuitBreakerStats) {
+          const cbStats = world.scraper.httpClient.getCircuitBreakerStats();
           healthChecks.checks.circuitBreaker = {
             status: cbStats.opened ? 'open' : cbStats.halfOpen ? 'half-open' : 'closed',
             stats: cbStats.stats,
@@ -0,0 +1,99 @@
+import pino from 'pino';
+
+const logger = pino({ name: 'outbox-routes' });
+
+const STATUSES = ['pending', 'expired'];
+
+/**
+ * Outbox endpoints: inspect and purge queued notifications
+ * The outbox is shared by all worlds; `?world=<id>` and `?status=<pending|expired>` narrow the items
+ */
+export class OutboxRoutes {
+  /**
+   * Creates a new OutboxRoutes instance
+   * @param {import('../../core/use-cases/dispatch-outbox.js').DispatchOutbox} outbox - Outbox use case
+   */
+  constructor(outbox) {
+    this.outbox = outbox;
+  }
+
+  /**
+   * Registers outbox routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /outbox - List queued notifications
+    app.get('/outbox', async (req, res) => {
+      try {
+        const criteria = this._parseCriteria(req, res);
+        if (!criteria) return;
+
+        const items = await this.outbox.list(criteria);
+
+        res.json({
+          count: items.length,
+          pending: items.filter(item => item.status === 'pending').length,
+          expired: items.filter(item => item.status === 'expired').length,
+          items
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to list outbox');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // DELETE /outbox - Purge queued notifications
+    app.delete('/outbox', async (req, res) => {
+      try {
+        const criteria = this._parseCriteria(req, res);
+        if (!criteria) return;
+
+        const purged = await this.outbox.purge(criteria);
+
+        res.json({ success: true, purged });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to purge outbox');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // DELETE /outbox/:id - Drop one queued notification
+    app.delete('/outbox/:id', async (req, res) => {
+      try {
+        const removed = await this.outbox.remove(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: `No outbox item ${req.params.id}` });
+        }
+
+        res.json({ success: true, message: `Outbox item ${req.params.id} removed` });
+
+      } catch (error) {
+        logger.error({ id: req.params.id, error: error.message }, 'Failed to remove outbox item');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Reads the status and world query parameters, writing a 400 response for an unknown status
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {{status?: string, world?: string}|null} Criteria, or null when the response was sent
+   * @private
+   */
+  _parseCriteria(req, res) {
+    const { status, world } = req.query;
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+      res.status(400).json({ error: `Unknown outbox status "${status}". Expected one of: ${STATUSES.join(', ')}` });
+      return null;
+    }
+
+    return {
+      status: status || undefined,
+      world: typeof world === 'string' && world ? world : undefined
+    };
+  }
+}
@@ -0,0 +1,68 @@
+import rateLimit from 'express-rate-limit';
+import pino from 'pino';
+
+const logger = pino({ name: 'rate-limits' });
+
+/**
+ * Sets up rate limiting middleware: a general limit for all routes and stricter limits for
+ * the WhatsApp and inspection route groups
+ * @param {Object} app - Express application instance
+ */
+export function registerRateLimits(app) {
+  // General rate limit for all routes
+  const generalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+      retryAfter: '15 minutes'
+    },
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  });
+
+  // Stricter rate limit for WhatsApp endpoints
+  const whatsappLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // limit each IP to 10 requests per minute (increased from 5)
+    message: {
+      error: 'Too many WhatsApp requests, please try again later.',
+      retryAfter: '1 minute'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Stricter rate limit for inspection endpoints
+  const inspectionLimiter = rateLimit({
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 20, // limit each IP to 20 requests per 5 minutes
+    message: {
+      error: 'Too many inspection requests, please try again later.',
+      retryAfter: '5 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Apply general rate limiting to all routes
+  app.use(generalLimiter);
+  
+  // Apply stricter rate limiting to specific route groups
+  app.use('/qr', whatsappLimiter);
+  app.use('/send-test', whatsappLimiter);
+  app.use('/groups', whatsappLimiter);
+  app.use('/preview-filtered', inspectionLimiter);
+  app.use('/run-once', inspectionLimiter);
+  app.use('/state', inspectionLimiter);
+  app.use('/runs', inspectionLimiter);
+  app.use('/filters', inspectionLimiter);
+  app.use('/subscriptions', inspectionLimiter);
+  app.use('/outbox', inspectionLimiter);
+  app.use('/templates', inspectionLimiter);
+  app.use('/digest', inspectionLimiter);
+  app.use('/events', inspectionLimiter);
+
+  
+  logger.info('Rate limiting middleware configured');
+}
@@ -0,0 +1,126 @@
+import pino from 'pino';
+import { formatValidationIssues } from '../../config/filter-schema.js';
+import { RecipientSchema, SubscriptionInputSchema } from '../../config/subscription-schema.js';
+
+const logger = pino({ name: 'subscription-routes' });
+
+/**
+ * Subscription endpoints: which recipient gets which events
+ * Every route accepts `?world=<id>` and defaults to the first configured world
+ */
+export class SubscriptionRoutes {
+  /**
+   * Creates a new SubscriptionRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
+  }
+
+  /**
+   * Registers subscription routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /subscriptions - List all subscriptions of a world
+    app.get('/subscriptions', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        logger.info({ world: world.id }, 'Subscription list requested');
+
+        const subscriptions = await world.manageSubscriptions.list();
+
+        res.json({
+          world: world.id,
+          count: subscriptions.length,
+          subscriptions
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to list subscriptions');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // GET /subscriptions/:recipient - Get the subscription of one recipient
+    app.get('/subscriptions/:recipient', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        const subscription = await world.manageSubscriptions.get(req.params.recipient);
+        if (!subscription) {
+          return res.status(404).json({ error: `No subscription for ${req.params.recipient}` });
+        }
+
+        res.json(subscription);
+
+      } catch (error) {
+        logger.error({ recipient: req.params.recipient, error: error.message }, 'Failed to get subscription');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // PUT /subscriptions/:recipient - Subscribe a recipient or replace its filter set
+    app.put('/subscriptions/:recipient', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const recipient = RecipientSchema.safeParse(req.params.recipient);
+      if (!recipient.success) {
+        return this._sendValidationError(res, recipient.error);
+      }
+
+      const parsed = SubscriptionInputSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        return this._sendValidationError(res, parsed.error);
+      }
+
+      try {
+        const { subscription, created } = await world.manageSubscriptions.subscribe(recipient.data, parsed.data.filters, {
+          locale: parsed.data.locale,
+          mode: parsed.data.mode,
+          quietHours: parsed.data.quietHours
+        });
+        res.status(created ? 201 : 200).json(subscription);
+
+      } catch (error) {
+        logger.error({ recipient: req.params.recipient, error: error.message }, 'Failed to save subscription');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // DELETE /subscriptions/:recipient - Unsubscribe a recipient
+    app.delete('/subscriptions/:recipient', async (req, res) => {
+      try {
+        const world = this.worldResolver.resolve(req, res);
+        if (!world) return;
+
+        const removed = await world.manageSubscriptions.unsubscribe(req.params.recipient);
+        if (!removed) {
+          return res.status(404).json({ error: `No subscription for ${req.params.recipient}` });
+        }
+
+        res.json({ success: true, message: `${req.params.recipient} unsubscribed` });
+
+      } catch (error) {
+        logger.error({ recipient: req.params.recipient, error: error.message }, 'Failed to delete subscription');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Writes a 400 response for a failed schema validation
+   * @param {Object} res - Express response
+   * @param {import('zod').ZodError} error - Validation error
+   * @private
+   */
+  _sendValidationError(res, error) {
+    const details = formatValidationIssues(error);
+    logger.warn({ details }, 'Rejected invalid subscription');
+    return res.status(400).json({ error: 'Invalid subscription', details });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+import pino from 'pino';
+import { TemplatePreviewSchema } from '../../config/template-schema.js';
+import { formatValidationIssues } from '../../config/filter-schema.js';
+
+const logger = pino({ name: 'template-routes' });
+
+/**
+ * Template endpoints: preview how messages render with the configured or draft templates
+ * Every route accepts `?world=<id>` and defaults to the first configured world
+ */
+export class TemplateRoutes {
+  /**
+   * Creates a new TemplateRoutes instance
+   * @param {import('./world-resolver.js').WorldResolver} worldResolver - Resolves the `world` query parameter
+   */
+  constructor(worldResolver) {
+    this.worldResolver = worldResolver;
+  }
+
+  /**
+   * Registers template routes with Express app
+   * @param {Object} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /templates - Templates in effect for the world's locale
+    app.get('/templates', (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const { renderer, locale } = world.pollAndNotify;
+      res.json({
+        world: world.id,
+        locale: renderer.translatorFor(locale).locale,
+        templates: renderer.templatesFor(locale)
+      });
+    });
+
+    // POST /templates/preview - Render a message with draft or configured templates
+    app.post('/templates/preview', async (req, res) => {
+      const world = this.worldResolver.resolve(req, res);
+      if (!world) return;
+
+      const parsed = TemplatePreviewSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        const details = formatValidationIssues(parsed.error);
+        logger.warn({ details }, 'Rejected invalid template preview');
+        return res.status(400).json({ error: 'Invalid template', details });
+      }
+
+      try {
+        const { message, event, limit } = parsed.data;
+        const locale = parsed.data.locale ?? world.pollAndNotify.locale;
+        const events = parsed.data.events ?? await this._sampleEvents(world, limit);
+        const renderer = world.pollAndNotify.renderer.withTemplates({ message, event });
+
+        res.json({
+          world: world.id,
+          locale: renderer.translatorFor(locale).locale,
+          templates: renderer.templatesFor(locale),
+          count: events.length,
+          message: world.pollAndNotify.renderMessage(events, { locale, renderer }),
+          parts: world.pollAndNotify.renderMessages(events, { locale, renderer }).map(part => part.message),
+          items: events.map((sample, index) => renderer.renderEvent(sample, { world: world.id, number: index + 1, locale }))
+        });
+
+      } catch (error) {
+        logger.error({ world: world.id, error: error.message }, 'Template preview failed');
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Latest events of a world passing its filters, or the latest scraped ones when none pass
+   * @param {import('./world-resolver.js').WorldContext} world - World context
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} Sample events
+   * @private
+   */
+  async _sampleEvents(world, limit) {
+    const allEvents = await world.scraper.scrape();
+    const filteredEvents = world.pollAndNotify.filterEvents(allEvents);
+
+    return (filteredEvents.length > 0 ? filteredEvents : allEvents).slice(0, limit);
+  }
+}
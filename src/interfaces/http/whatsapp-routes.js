@@ -1,4 +1,5 @@
 import { INotifier } from '../../core/ports/i-notifier.js';
+import { parseRecipient } from '../../core/entities/recipient.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'whatsapp-routes' });
@@ -9,7 +10,7 @@ const logger = pino({ name: 'whatsapp-routes' });
 export class WhatsAppRoutes {
   /**
    * Creates a new WhatsAppRoutes instance
-   * @param {INotifier} notifier - WhatsApp notifier service
+   * @param {INotifier} notifier - Composite notifier, or a single WhatsApp notifier
    */
   constructor(notifier) {
     this.notifier = notifier;
@@ -25,8 +26,9 @@ export class WhatsAppRoutes {
       logger.info('GET /qr - QR code request received');
       
       try {
-        // Check if notifier is available
-        if (!this.notifier) {
+        // Check if the WhatsApp channel is available
+        const whatsapp = this._channel('whatsapp');
+        if (!whatsapp) {
           logger.error('GET /qr - Notifier not available');
           return res.status(500).send(`
             <html>
@@ -40,8 +42,8 @@ export class WhatsAppRoutes {
           `);
         }
 
-        const qr = this.notifier.getCurrentQr();
-        const isReady = this.notifier.isClientReady();
+        const qr = whatsapp.getCurrentQr();
+        const isReady = whatsapp.isClientReady();
         
         if (!qr) {
           logger.info('GET /qr - No QR code available, showing waiting page');
@@ -50,7 +52,7 @@ export class WhatsAppRoutes {
           if (!isReady) {
             try {
               logger.info('GET /qr - Attempting to initialize WhatsApp to generate QR');
-              await this.notifier.init();
+              await whatsapp.init();
             } catch (error) {
               logger.error({ error: error.message }, 'GET /qr - Failed to initialize WhatsApp');
             }
@@ -143,7 +145,7 @@ export class WhatsAppRoutes {
       logger.info('POST /send-test - Test message request received');
       
       try {
-        // Check if notifier is available and ready
+        // Check if notifier is available
         if (!this.notifier) {
           logger.error('POST /send-test - Notifier not available');
           return res.status(500).json({ 
@@ -152,15 +154,6 @@ export class WhatsAppRoutes {
           });
         }
 
-        if (!this.notifier.isClientReady()) {
-          logger.error('POST /send-test - WhatsApp client not ready');
-          return res.status(503).json({ 
-            error: 'WhatsApp client not ready',
-            details: 'Please scan QR code first at /qr endpoint before sending messages.',
-            qrEndpoint: '/qr'
-          });
-        }
-
         const { to, message } = req.body;
         
         // Validate request body
@@ -168,7 +161,7 @@ export class WhatsAppRoutes {
           logger.warn('POST /send-test - Invalid request body', { body: req.body });
           return res.status(400).json({ 
             error: 'Missing required fields',
-            details: 'Both "to" (phone number) and "message" fields are required.',
+            details: 'Both "to" (phone number or group) and "message" fields are required.',
             example: {
               to: "905551234567",
               message: "Test message"
@@ -184,24 +177,49 @@ export class WhatsAppRoutes {
           });
         }
         
-        if (!to.match(/^\d+$/)) {
-          logger.warn('POST /send-test - Invalid phone number format', { to });
+        if (!parseRecipient(to)) {
+          logger.warn({ to }, 'POST /send-test - Invalid recipient format');
           return res.status(400).json({ 
-            error: 'Invalid phone number format',
-            details: 'Phone number must contain only digits (e.g., "905551234567").'
+            error: 'Invalid recipient format',
+            details: 'Recipient must be a phone number (e.g., "905551234567"), a group ID (e.g., "120363012345678901@g.us") or a group name (e.g., "group:Tribe Council").'
+          });
+        }
+        
+        // The composite notifier is ready when any channel is; the recipient's own channel must be
+        const channel = parseRecipient(to).channel;
+        if (!this._channel(channel)?.isClientReady()) {
+          logger.error({ channel }, 'POST /send-test - Channel not ready');
+          return res.status(503).json(channel === 'whatsapp' ? { 
+            error: 'WhatsApp client not ready',
+            details: 'Please scan QR code first at /qr endpoint before sending messages.',
+            qrEndpoint: '/qr'
+          } : {
+            error: `${channel} channel not ready`,
+            details: `The ${channel} notification channel is not enabled or failed to start. Please check application logs.`
           });
         }
         
         logger.info({ to, messageLength: message.length }, 'POST /send-test - Sending test message');
         
         // Send the message
-        await this.notifier.notifyMany([to], message);
+        const delivery = await this.notifier.notifyMany([to], message);
+        
+        const failure = delivery?.recipients?.find(recipient => recipient.status === 'failed');
+        if (failure) {
+          logger.warn({ to, error: failure.error }, 'POST /send-test - Test message was not delivered');
+          return res.status(502).json({ 
+            error: 'Failed to send message',
+            details: failure.error,
+            delivery
+          });
+        }
         
         logger.info('POST /send-test - Test message sent successfully');
         res.json({ 
           ok: true, 
           message: 'Test message sent successfully',
-          details: `Message sent to ${to}`
+          details: `Message sent to ${to}`,
+          delivery
         });
         
       } catch (error) {
@@ -213,5 +231,59 @@ export class WhatsAppRoutes {
         });
       }
     });
+
+    // GET /groups - List the WhatsApp groups the logged-in account belongs to
+    app.get('/groups', async (req, res) => {
+      logger.info('GET /groups - Group list request received');
+      
+      try {
+        const whatsapp = this._channel('whatsapp');
+        if (whatsapp && typeof whatsapp.listGroups !== 'function') {
+          return res.status(501).json({ 
+            error: 'Groups not supported',
+            details: 'The active notifier does not support WhatsApp groups.'
+          });
+        }
+
+        if (!whatsapp || !whatsapp.isClientReady()) {
+          logger.warn('GET /groups - WhatsApp client not ready');
+          return res.status(503).json({ 
+            error: 'WhatsApp client not ready',
+            details: 'Please scan QR code first at /qr endpoint before listing groups.',
+            qrEndpoint: '/qr'
+          });
+        }
+
+        const groups = await whatsapp.listGroups();
+        
+        logger.info({ count: groups.length }, 'GET /groups - Groups listed');
+        res.json({ 
+          count: groups.length,
+          groups,
+          usage: 'Use a group ID (e.g., "120363012345678901@g.us") or "group:<name>" as recipient.'
+        });
+        
+      } catch (error) {
+        logger.error({ error: error.message }, 'GET /groups - Error occurred');
+        res.status(500).json({ 
+          error: 'Failed to list groups',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Gets the notifier of a channel; the readiness of the composite notifier only tells that
+   * some channel is ready
+   * @param {string} name - Channel name
+   * @returns {INotifier|undefined} Notifier of the channel, or undefined when it is not enabled
+   * @private
+   */
+  _channel(name) {
+    if (typeof this.notifier?.getChannel === 'function') {
+      return this.notifier.getChannel(name);
+    }
+    return name === 'whatsapp' ? this.notifier || undefined : undefined;
   }
-} 
\ No newline at end of file
+}
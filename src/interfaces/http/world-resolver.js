@@ -0,0 +1,57 @@
+/**
+ * @typedef {Object} WorldContext
+ * @description Per-world dependencies wired by the composition root
+ * @property {string} id - World identifier (e.g. "tr94")
+ * @property {Object} config - Validated world configuration
+ * @property {Object} scraper - IScraper for the world
+ * @property {Object} stateStore - IStateStore for the world
+ * @property {Object} history - IEventHistory archiving the world's events
+ * @property {Object} pollAndNotify - PollAndNotify use-case for the world
+ * @property {Object} manageFilters - ManageFilters use-case for the world
+ * @property {Object} manageSubscriptions - ManageSubscriptions use-case for the world
+ * @property {Object} sendDigest - SendDigest use-case for the world
+ */
+
+/**
+ * Resolves which world an HTTP request targets from its `world` query parameter.
+ * Requests without the parameter target the first configured world.
+ */
+export class WorldResolver {
+  /**
+   * Creates a new WorldResolver instance
+   * @param {Map<string, WorldContext>} worlds - Worlds by id, in configuration order
+   */
+  constructor(worlds) {
+    this.worlds = worlds;
+    this.defaultWorldId = worlds.keys().next().value;
+  }
+
+  /**
+   * Resolves the world for a request, or answers 404 for an unknown world
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {WorldContext|null} World context, or null if a 404 response was sent
+   */
+  resolve(req, res) {
+    const worldId = req.query.world || this.defaultWorldId;
+    const world = this.worlds.get(worldId);
+
+    if (!world) {
+      res.status(404).json({
+        error: `Unknown world: ${worldId}`,
+        worlds: this.list()
+      });
+      return null;
+    }
+
+    return world;
+  }
+
+  /**
+   * Lists the configured world ids
+   * @returns {string[]} World ids
+   */
+  list() {
+    return [...this.worlds.keys()];
+  }
+}
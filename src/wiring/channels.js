@@ -0,0 +1,88 @@
+import { WhatsAppNotifier } from '../infrastructure/whatsapp/whatsapp-notifier.js';
+import { TelegramNotifier } from '../infrastructure/telegram/telegram-notifier.js';
+import { DiscordNotifier } from '../infrastructure/discord/discord-notifier.js';
+import { EmailNotifier } from '../infrastructure/email/email-notifier.js';
+import { CompositeNotifier } from '../infrastructure/composite/composite-notifier.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'channels' });
+
+/**
+ * Starts every notification and fallback channel and combines them in a composite notifier.
+ * A channel that fails to start stays in the composite and is skipped (its messages move
+ * down the fallback chain) until a retry on the poll schedule brings it up.
+ * @param {Object} config - Validated configuration
+ * @returns {Promise<CompositeNotifier>} Notifier of all channels
+ */
+export async function startChannels(config) {
+  const { channels, fallback, routes } = config.notifier;
+  const entries = [];
+  
+  for (const name of new Set([...channels, ...fallback])) {
+    const notifier = createChannelNotifier(name, config);
+    await initializeChannel(name, notifier);
+    entries.push({ name, notifier, route: routes[name] ?? null });
+  }
+  
+  const notifier = new CompositeNotifier({ channels: entries, fallback });
+  logger.info({ channels: notifier.getStatus(), fallback }, 'Notification channels initialized');
+  return notifier;
+}
+
+/**
+ * Creates the notifier of a channel from its configuration
+ * @param {string} name - Channel name
+ * @param {Object} config - Validated configuration
+ * @returns {Object} INotifier of the channel
+ */
+export function createChannelNotifier(name, config) {
+  switch (name) {
+    case 'telegram':
+      return new TelegramNotifier({
+        botToken: config.telegram.botToken,
+        chatIds: config.telegram.chatIds,
+        apiBaseUrl: config.telegram.apiBaseUrl
+      });
+    case 'discord':
+      return new DiscordNotifier({
+        webhooks: config.discord.webhooks,
+        homeTribe: config.homeTribe,
+        locale: config.i18n.defaultLocale
+      });
+    case 'email':
+      return new EmailNotifier({ ...config.email, locale: config.i18n.defaultLocale });
+    default:
+      return new WhatsAppNotifier(config.whatsapp.recipients);
+  }
+}
+
+/**
+ * Initializes one channel; WhatsApp is retried since its browser start is flaky
+ * @param {string} name - Channel name
+ * @param {Object} notifier - INotifier of the channel
+ * @returns {Promise<boolean>} True if the channel is ready
+ */
+async function initializeChannel(name, notifier) {
+  const maxRetries = name === 'whatsapp' ? 3 : 1;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      logger.info({ channel: name, attempt }, 'Initializing notification channel...');
+      await notifier.init();
+      logger.info({ channel: name }, 'Notification channel initialized successfully');
+      return true;
+      
+    } catch (error) {
+      logger.error({ channel: name, attempt, error: error.message }, 'Notification channel initialization failed');
+      
+      if (attempt < maxRetries) {
+        const delay = attempt * 5000; // 5s, 10s
+        logger.info({ channel: name, delay }, 'Retrying notification channel initialization...');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  logger.warn({ channel: name }, 'Notification channel unavailable, its messages use the fallback chain');
+  return false;
+}
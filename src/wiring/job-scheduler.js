@@ -0,0 +1,229 @@
+import pino from 'pino';
+import cron from 'node-cron';
+
+const logger = pino({ name: 'job-scheduler' });
+
+/**
+ * Runs the scheduled jobs: polling of every world, channel recovery, outbox dispatching
+ * and digests
+ */
+export class JobScheduler {
+  /**
+   * Creates a new JobScheduler instance
+   * @param {Object} config - Validated configuration
+   * @param {Object} deps - Jobs' dependencies
+   * @param {Map<string, import('../interfaces/http/world-resolver.js').WorldContext>} deps.worlds - Monitored worlds
+   * @param {Object} deps.notifier - Composite notifier
+   * @param {Object|null} deps.outbox - Outbox dispatcher, null when the outbox is disabled
+   */
+  constructor(config, { worlds, notifier, outbox }) {
+    this.config = config;
+    this.worlds = worlds;
+    this.notifier = notifier;
+    this.outbox = outbox;
+    this.scheduler = null;
+    this.outboxScheduler = null;
+    this.digestScheduler = null;
+    this.isDispatching = false;
+  }
+
+  /**
+   * Starts scheduled polling, outbox dispatching and digests using cron
+   */
+  start() {
+    logger.info({ cronExpression: this.config.scheduler.cronExpression }, 'Starting scheduled polling');
+    
+    this.scheduler = cron.schedule(this.config.scheduler.cronExpression, async () => {
+      // Not awaited: a slow channel start (WhatsApp) must not delay the poll
+      this.reinitializeChannels();
+      await this.pollAllWorlds();
+    }, {
+      scheduled: false
+    });
+    
+    this.scheduler.start();
+    logger.info('Scheduled polling started');
+    
+    if (this.outbox) {
+      this.outboxScheduler = cron.schedule(this.config.outbox.cronExpression, async () => {
+        await this.dispatchOutbox();
+      }, {
+        scheduled: false
+      });
+      
+      this.outboxScheduler.start();
+      logger.info({ cronExpression: this.config.outbox.cronExpression }, 'Outbox dispatcher started');
+    }
+    
+    const { cronExpression, timezone } = this.config.digest;
+    this.digestScheduler = cron.schedule(cronExpression, async () => {
+      await this.sendAllDigests();
+    }, {
+      scheduled: false,
+      ...(timezone && { timezone })
+    });
+    
+    this.digestScheduler.start();
+    logger.info({ cronExpression, timezone }, 'Digest scheduler started');
+  }
+
+  /**
+   * Stops every scheduled job
+   */
+  stop() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      logger.info('Scheduler stopped');
+    }
+    
+    if (this.outboxScheduler) {
+      this.outboxScheduler.stop();
+    }
+    
+    if (this.digestScheduler) {
+      this.digestScheduler.stop();
+    }
+  }
+
+  /**
+   * Sends the digest of every world; a failing world doesn't affect the others
+   * @returns {Promise<void>}
+   */
+  async sendAllDigests() {
+    await Promise.allSettled([...this.worlds.values()].map(async world => {
+      try {
+        await world.sendDigest.run();
+      } catch (error) {
+        logger.error({ world: world.id, error: error.message }, 'Digest failed');
+      }
+    }));
+  }
+
+  /**
+   * Delivers the outbox items that are due; skipped while the previous run is still going
+   * @returns {Promise<void>}
+   */
+  async dispatchOutbox() {
+    if (this.isDispatching) {
+      return;
+    }
+    
+    this.isDispatching = true;
+    try {
+      await this.outbox.runOnce();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Outbox dispatch failed');
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Retries the channels that are not ready (e.g. failed at startup) on their backoff
+   * @returns {Promise<void>}
+   */
+  async reinitializeChannels() {
+    try {
+      const recovered = await this.notifier.reinitialize();
+      if (recovered.length > 0) {
+        logger.info({ recovered, channels: this.notifier.getStatus() }, 'Notification channels recovered');
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, 'Notification channel recovery failed');
+    }
+  }
+
+  /**
+   * Polls every world independently; a failing world doesn't affect the others
+   * @returns {Promise<void>}
+   */
+  async pollAllWorlds() {
+    await Promise.allSettled(
+      [...this.worlds.values()].map(world => this.executePollingWithRetry(world))
+    );
+  }
+
+  /**
+   * Executes polling of one world with enhanced retry logic and error recovery
+   * @param {import('../interfaces/http/world-resolver.js').WorldContext} world - World to poll
+   * @private
+   */
+  async executePollingWithRetry(world) {
+    // Skip if the previous cycle of this world (including its retries) is still running
+    if (world.isPolling) {
+      logger.warn({ world: world.id }, 'Previous polling still running, skipping this cycle');
+      return;
+    }
+    
+    world.isPolling = true;
+    try {
+      await this.pollWorldWithRetry(world);
+    } finally {
+      world.isPolling = false;
+    }
+  }
+
+  /**
+   * Retry loop for polling one world
+   * @param {import('../interfaces/http/world-resolver.js').WorldContext} world - World to poll
+   * @private
+   */
+  async pollWorldWithRetry(world) {
+    const maxRetries = 2;
+    const retryDelay = 5000; // 5 seconds
+    
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      try {
+        logger.info({ world: world.id, attempt }, 'Starting scheduled polling execution');
+        
+        // Check WhatsApp connection before proceeding, but don't fail if not ready
+        if (this.notifier && !this.notifier.isClientReady()) {
+          logger.warn('WhatsApp client not ready, but continuing with polling');
+          // Don't try to reconnect here to avoid blocking polling
+        }
+        
+        // Execute use-case
+        const result = await world.pollAndNotify.runOnce();
+        
+        logger.info({ 
+          world: world.id,
+          attempt,
+          matchedEvents: result.eventsCount,
+          whatsappReady: this.notifier ? this.notifier.isClientReady() : false
+        }, 'Scheduled polling completed successfully');
+        
+        return; // Success, exit retry loop
+        
+      } catch (error) {
+        logger.error({ world: world.id, attempt, error: error.message, stack: error.stack }, 'Scheduled polling failed');
+        
+        // Handle specific error types
+        if (error.message.includes('fetch failed') || error.message.includes('network')) {
+          logger.warn({ world: world.id, attempt }, 'Network error detected, will retry');
+        } else if (error.message.includes('WhatsApp') || error.message.includes('not available')) {
+          logger.warn({ world: world.id, attempt }, 'WhatsApp error detected, continuing without WhatsApp');
+          // Don't retry for WhatsApp errors, just continue
+          return;
+        }
+        
+        if (attempt <= maxRetries) {
+          const delay = retryDelay * attempt; // Exponential backoff
+          logger.info({ world: world.id, attempt, delay }, 'Retrying scheduled polling');
+          await this.sleep(delay);
+        } else {
+          logger.error({ world: world.id }, 'Scheduled polling failed after all retries');
+        }
+      }
+    }
+  }
+
+  /**
+   * Helper method to sleep for a given number of milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   * @private
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,85 @@
+import { CheerioScraper } from '../infrastructure/scraper/cheerio-scraper.js';
+import { FileStateStore } from '../infrastructure/store/file-state-store.js';
+import { JsonlEventHistory } from '../infrastructure/store/jsonl-event-history.js';
+import { PollAndNotify } from '../core/use-cases/poll-and-notify.js';
+import { ManageFilters } from '../core/use-cases/manage-filters.js';
+import { ManageSubscriptions } from '../core/use-cases/manage-subscriptions.js';
+import { SendDigest } from '../core/use-cases/send-digest.js';
+import path from 'path';
+
+/**
+ * Wires the dependencies of one monitored world
+ * @param {Object} worldConfig - Validated world configuration
+ * @param {Object} config - Validated configuration
+ * @param {Object} shared - Dependencies shared by all worlds
+ * @param {import('../infrastructure/http/fetch-http-client.js').FetchHttpClient} shared.httpClient - HTTP client
+ * @param {Object} shared.notifier - Composite notifier
+ * @param {Object|null} shared.eventWebhook - Outgoing event webhook
+ * @param {Object|null} shared.outbox - Notification outbox
+ * @param {Object} shared.renderer - Message renderer
+ * @returns {import('../interfaces/http/world-resolver.js').WorldContext} World context
+ */
+export function createWorld(worldConfig, config, { httpClient, notifier, eventWebhook, outbox, renderer }) {
+  const scraper = new CheerioScraper(
+    httpClient,
+    worldConfig.url,
+    config.scraper.cssSelector,
+    {
+      maxPages: config.catchUp.maxPages,
+      pageDelayMs: config.catchUp.pageDelayMs,
+      timeZone: worldConfig.timezone
+    }
+  );
+  
+  const stateStore = new FileStateStore(worldConfig.stateFile);
+  const history = new JsonlEventHistory(path.join(config.history.directory, `${worldConfig.id}.jsonl`), {
+    timeZone: worldConfig.timezone
+  });
+  
+  const pollAndNotify = new PollAndNotify(
+    scraper,
+    notifier,
+    stateStore,
+    worldConfig.recipients,
+    worldConfig.filterRule, // Used until filters are saved through the API
+    {
+      worldId: worldConfig.id,
+      messagePrefix: worldConfig.messagePrefix,
+      locale: worldConfig.locale,
+      timeZone: worldConfig.timezone,
+      subscriptions: worldConfig.subscriptions, // Used until subscriptions are saved through the API
+      eventWebhook,
+      outbox,
+      renderer,
+      maxMessageLength: config.batching.maxLength,
+      maxEventsPerMessage: config.batching.maxEvents,
+      partDelayMs: config.batching.partDelayMs,
+      digestTop: config.digest.top,
+      quietHours: {
+        timeZone: config.quietHours.timezone,
+        priority: config.quietHours.priority
+      },
+      rateLimits: config.rateLimits,
+      history,
+      catchUpMaxAgeHours: config.catchUp.maxAgeHours
+    }
+  );
+  
+  // Filter and subscription management and digests on the same store and use-case
+  const manageFilters = new ManageFilters(stateStore, pollAndNotify);
+  const manageSubscriptions = new ManageSubscriptions(stateStore, pollAndNotify);
+  const sendDigest = new SendDigest(stateStore, pollAndNotify);
+  
+  return {
+    id: worldConfig.id,
+    config: worldConfig,
+    scraper,
+    stateStore,
+    history,
+    pollAndNotify,
+    manageFilters,
+    manageSubscriptions,
+    sendDigest,
+    isPolling: false
+  };
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CheerioScraper } from '../src/infrastructure/scraper/cheerio-scraper.js';
+import { IHttpClient } from '../src/core/ports/i-http-client.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { eventId } from '../src/core/entities/ennoblement-event.js';
+
+const URL = 'https://tr.twstats.com/tr94/index.php?page=ennoblements';
+
+const row = (village, x, timestamp) =>
+  `<tr><td>${village} (${x}|465) K44</td><td>9,500</td><td>Baron [ENEMY]</td><td>Duke [SiSu]</td><td>${timestamp}</td></tr>`;
+
+const page = rows => `<table class="table"><tbody>${rows.join('')}</tbody></table>`;
+
+// Three pages of conquers, newest first
+const PAGES = {
+  1: page([row('Keep One', 401, '2025-08-02 - 18:00:00'), row('Keep Two', 402, '2025-08-02 - 17:00:00')]),
+  2: page([row('Keep Three', 403, '2025-08-02 - 16:00:00'), row('Keep Four', 404, '2025-08-02 - 15:00:00')]),
+  3: page([row('Keep Five', 405, '2025-08-02 - 14:00:00'), row('Keep Six', 406, '2025-08-02 - 13:00:00')])
+};
+
+// Serves the pages by their `pn` parameter; unknown pages repeat the last one like TWStats does
+class PagedHttpClient extends IHttpClient {
+  constructor(pages) {
+    super();
+    this.pages = pages;
+    this.urls = [];
+  }
+
+  async get(url) {
+    this.urls.push(url);
+    const number = Number(new globalThis.URL(url).searchParams.get('pn') || 1);
+    return this.pages[Math.min(number, Object.keys(this.pages).length)];
+  }
+}
+
+const villages = events => events.map(event => event.villageName);
+const flagged = events => events.filter(event => event.delayed).map(event => event.villageName);
+
+describe('catch-up', () => {
+  let httpClient;
+
+  beforeEach(() => {
+    httpClient = new PagedHttpClient(PAGES);
+  });
+
+  describe('CheerioScraper', () => {
+    it('should read only the first page without a stop condition', async () => {
+      const scraper = new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 3 });
+
+      expect(villages(await scraper.scrape())).toEqual(['Keep One', 'Keep Two']);
+      expect(httpClient.urls).toEqual([URL]);
+    });
+
+    it('should follow older pages up to the first event matching the stop condition', async () => {
+      const scraper = new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 5 });
+
+      const events = await scraper.scrape({ stopAt: event => event.villageName === 'Keep Four' });
+
+      expect(villages(events)).toEqual(['Keep One', 'Keep Two', 'Keep Three']);
+      expect(flagged(events)).toEqual(['Keep Three']);
+      expect(httpClient.urls).toEqual([URL, `${URL}&pn=2`]);
+    });
+
+    it('should stop at the page limit and when a page repeats', async () => {
+      const limited = new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 2 });
+      expect(villages(await limited.scrape({ stopAt: () => false }))).toHaveLength(4);
+
+      const unlimited = new CheerioScraper(new PagedHttpClient(PAGES), URL, 'table tbody tr', { maxPages: 10 });
+      expect(villages(await unlimited.scrape({ stopAt: () => false }))).toHaveLength(6);
+      expect(unlimited.httpClient.urls).toHaveLength(4);
+    });
+
+    it('should keep the events found when an older page fails', async () => {
+      httpClient.pages = { ...PAGES, 2: '<p>Too many requests</p>' };
+      const scraper = new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 3 });
+
+      expect(villages(await scraper.scrape({ stopAt: () => false }))).toEqual(['Keep One', 'Keep Two']);
+    });
+
+    it('should pause between page fetches', async () => {
+      const scraper = new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 3, pageDelayMs: 2000 });
+      const sleep = vi.spyOn(scraper, '_sleep').mockResolvedValue();
+
+      await scraper.scrape({ stopAt: () => false });
+
+      expect(sleep.mock.calls).toEqual([[2000], [2000]]);
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let stateStore;
+    let notifier;
+
+    const createUseCase = options => new PollAndNotify(
+      new CheerioScraper(httpClient, URL, 'table tbody tr', { maxPages: 5 }),
+      notifier,
+      stateStore,
+      ['905551111111'],
+      null,
+      { worldId: 'tr94', ...options }
+    );
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2025, 7, 2, 18, 30));
+      stateStore = {
+        seenIds: [eventId({ x: 405, y: 465, oldPlayer: 'Baron', newPlayer: 'Duke', timestamp: '2025-08-02 - 14:00:00' })],
+        loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+        addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+        loadLastProcessedTimestamp: vi.fn(async () => null),
+        saveLastProcessedTimestamp: vi.fn(async () => {})
+      };
+      notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should catch up to the last processed event and flag the older ones as delayed', async () => {
+      const result = await createUseCase().runOnce();
+
+      expect(result.eventsCount).toBe(4);
+      const message = notifier.notifyMany.mock.calls[0][1];
+      expect(message).toMatch(/Keep One[^⏳]*Keep Two[^⏳]*Keep Three[\s\S]*⏳ Gecikmeli bildirim[\s\S]*Keep Four[\s\S]*⏳ Gecikmeli bildirim/);
+      expect(message.match(/⏳/g)).toHaveLength(2);
+      expect(stateStore.seenIds).toHaveLength(5);
+    });
+
+    it('should not catch up on events older than the age limit', async () => {
+      const result = await createUseCase({ catchUpMaxAgeHours: 2.5 }).runOnce();
+
+      expect(result.eventsCount).toBe(3);
+      expect(notifier.notifyMany.mock.calls[0][1]).not.toContain('Keep Four');
+      expect(httpClient.urls).toHaveLength(2);
+    });
+
+    it('should read only the first page on the first run', async () => {
+      stateStore.seenIds = null;
+
+      await createUseCase().runOnce();
+
+      expect(httpClient.urls).toEqual([URL]);
+      expect(notifier.notifyMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -93,21 +93,45 @@ describe('CheerioScraper', () => {
       expect(events[2].newTribe).toBe('SiSu');
     });
 
-    it('should normalize timestamps to ISO format', async () => {
+    it('should normalize timestamps to the TWStats layout with their UTC time', async () => {
       const events = await scraper.scrape();
 
-      // Check that all timestamps are valid ISO strings
+      // Check that all timestamps use the "YYYY-MM-DD - HH:MM:SS" layout
       events.forEach(event => {
-        expect(event.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+        expect(event.timestamp).toMatch(/^\d{4}-\d{2}-\d{2} - \d{2}:\d{2}:\d{2}$/);
       });
 
-      // Verify specific timestamps are parsed correctly
-      const firstEvent = new Date(events[0].timestamp);
-      expect(firstEvent.getFullYear()).toBe(2024);
-      expect(firstEvent.getMonth()).toBe(11); // December (0-based)
-      expect(firstEvent.getDate()).toBe(15);
-      expect(firstEvent.getHours()).toBe(14);
-      expect(firstEvent.getMinutes()).toBe(30);
+      // Verify specific timestamps are parsed correctly, in the scraper's time zone (UTC by default)
+      expect(events[0].timestamp).toBe('2024-12-15 - 14:30:00');
+      expect(events[0].epochMs).toBe(Date.UTC(2024, 11, 15, 14, 30));
+
+      const istanbul = new CheerioScraper(mockHttpClient, 'https://example.com/ennoblements', 'table tbody tr', { timeZone: 'Europe/Istanbul' });
+      const [firstEvent] = await istanbul.scrape();
+      expect(firstEvent.timestamp).toBe('2024-12-15 - 14:30:00');
+      expect(new Date(firstEvent.epochMs).toISOString()).toBe('2024-12-15T11:30:00.000Z');
+    });
+
+    it('should read village, player and tribe IDs from the links', async () => {
+      const linked = '<table><tbody><tr>' +
+        '<td><a href="index.php?page=village&amp;id=501">Keep (450|465) K44</a></td><td>9,500</td>' +
+        '<td><a href="/tr94/index.php?page=player&amp;id=11">Baron</a> <a href="index.php?page=tribe&amp;id=7">[ENEMY]</a></td>' +
+        '<td><a href="index.php?page=player_info&amp;id=12">Duke</a></td>' +
+        '<td>2025-08-02 - 18:08:12</td></tr></tbody></table>';
+      const linkedScraper = new CheerioScraper(new MockHttpClient(linked), 'https://tr.twstats.com/tr94/index.php?page=ennoblements', 'table tbody tr');
+
+      const [event] = await linkedScraper.scrape();
+
+      expect(event).toMatchObject({ villageId: 501, oldPlayerId: 11, oldTribeId: 7, newPlayerId: 12, newTribeId: null });
+      expect((await scraper.scrape())[0]).toMatchObject({ villageId: null, oldPlayerId: null, newTribeId: null });
+    });
+
+    it('should skip rows whose timestamp can\'t be read', async () => {
+      const modifiedHttpClient = new MockHttpClient(fixtureContent.replace('15.12.2024 14:30', 'yesterday'));
+      const modifiedScraper = new CheerioScraper(modifiedHttpClient, 'https://example.com/ennoblements', 'table tbody tr');
+
+      const events = await modifiedScraper.scrape();
+
+      expect(events.map(event => event.villageName)).toEqual(['AnotherVillage', 'ThirdVillage']);
     });
 
     it('should handle missing tribe gracefully', async () => {
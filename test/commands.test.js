@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseCommand } from '../src/core/commands/command-parser.js';
+import { CommandDispatcher } from '../src/core/commands/command-dispatcher.js';
+
+const baseEvent = {
+  villageName: 'Village1',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 1234,
+  oldPlayer: 'Player1',
+  oldTribe: 'SiSu',
+  newPlayer: 'Player2',
+  newTribe: 'EnemyTribe',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+const event = (overrides = {}) => ({ ...baseEvent, ...overrides });
+
+const DM = { chatId: '905551234567@c.us' };
+const GROUP = { chatId: '120363000000000001@g.us' };
+
+describe('parseCommand', () => {
+  it('should ignore messages that are not commands', () => {
+    expect(parseCommand('selam')).toBeNull();
+    expect(parseCommand('!')).toBeNull();
+    expect(parseCommand(undefined)).toBeNull();
+  });
+
+  it('should parse every command with its arguments', () => {
+    expect(parseCommand('!son')).toEqual({ name: 'son', args: { count: 5 } });
+    expect(parseCommand('  !SON 12 ')).toEqual({ name: 'son', args: { count: 12 } });
+    expect(parseCommand('!koy 452|462')).toEqual({ name: 'koy', args: { x: 452, y: 462 } });
+    expect(parseCommand('!koy 452 462')).toEqual({ name: 'koy', args: { x: 452, y: 462 } });
+    expect(parseCommand('!klan Si Su')).toEqual({ name: 'klan', args: { tribe: 'Si Su' } });
+    expect(parseCommand('!durum')).toEqual({ name: 'durum', args: {} });
+    expect(parseCommand('!abone k45 SiSu K46')).toEqual({ name: 'abone', args: { continents: ['K45', 'K46'], tribes: ['SiSu'] } });
+    expect(parseCommand('!iptal')).toEqual({ name: 'iptal', args: {} });
+  });
+
+  it('should ignore unknown commands, which may be meant for another bot', () => {
+    expect(parseCommand('!foo')).toBeNull();
+    expect(parseCommand('!constructor')).toBeNull();
+  });
+
+  it('should reject invalid arguments with a usage hint', () => {
+    expect(() => parseCommand('!son 0')).toThrow('Kullanım: !son');
+    expect(() => parseCommand('!son 21')).toThrow('Kullanım: !son');
+    expect(() => parseCommand('!koy 452')).toThrow('Kullanım: !koy');
+    expect(() => parseCommand('!klan')).toThrow('Kullanım: !klan');
+  });
+});
+
+describe('CommandDispatcher', () => {
+  let scraper;
+  let manageSubscriptions;
+  let dispatcher;
+
+  beforeEach(() => {
+    scraper = {
+      scrape: vi.fn(async () => [
+        event(),
+        event({ villageName: 'Village2', x: 500, y: 500, oldTribe: 'EnemyTribe', newTribe: 'SiSu' }),
+        event({ villageName: 'Village1', oldPlayer: 'Player0', oldTribe: null, newPlayer: 'Player1', newTribe: 'SiSu', timestamp: '2025-08-01 - 10:00:00' })
+      ])
+    };
+    manageSubscriptions = {
+      list: vi.fn(async () => []),
+      subscribe: vi.fn(async () => ({ created: true })),
+      unsubscribe: vi.fn(async () => true)
+    };
+    dispatcher = new CommandDispatcher(scraper, manageSubscriptions, () => ({
+      world: 'tr94',
+      notifierReady: true,
+      uptimeSeconds: 3720,
+      executionCount: 7,
+      lastRunAt: '2025-08-02T18:10:00.000Z',
+      filtersActive: false,
+      subscriptions: 3
+    }), { allowlist: ['905551234567', '120363000000000001@g.us'] });
+  });
+
+  it('should return null for plain messages and unknown commands and an error reply for bad arguments', async () => {
+    expect(await dispatcher.dispatch('merhaba', DM)).toBeNull();
+    expect(await dispatcher.dispatch('!foo', DM)).toBeNull();
+    expect(await dispatcher.dispatch('!koy abc', DM)).toMatch(/^⚠️ Kullanım: !koy/);
+  });
+
+  it('should list the latest conquers', async () => {
+    const reply = await dispatcher.dispatch('!son 2', DM);
+
+    expect(reply).toContain('*Son 2 fetih:*');
+    expect(reply).toContain('1. 🏰 Village1 (450|465)');
+    expect(reply).toContain('2. 🏰 Village2 (500|500)');
+  });
+
+  it('should show the ownership changes of a village', async () => {
+    const reply = await dispatcher.dispatch('!koy 450|465', DM);
+
+    expect(reply).toContain('2 sahiplik değişimi');
+    expect(reply).toContain('Player0 (null) → Player1 (SiSu)');
+    expect(await dispatcher.dispatch('!koy 1|1', DM)).toBe('1|1 için fetih kaydı bulunamadı.');
+  });
+
+  it('should answer the village history from the archive, completed with the recent conquers', async () => {
+    const archived = event({ villageName: 'Village1', oldPlayer: 'Barbar', oldTribe: null, newPlayer: 'Player0', newTribe: null, timestamp: '2025-07-20 - 09:00:00' });
+    const history = {
+      query: vi.fn(async () => ({ total: 2, events: [event({ oldPlayer: 'Player0', oldTribe: null, newPlayer: 'Player1', newTribe: 'SiSu', timestamp: '2025-08-01 - 10:00:00' }), archived] }))
+    };
+    const archiveDispatcher = new CommandDispatcher(scraper, manageSubscriptions, () => ({}), { history });
+
+    const reply = await archiveDispatcher.dispatch('!koy 450|465', DM);
+
+    expect(history.query).toHaveBeenCalledWith({ filter: { type: 'rectangle', minX: 450, maxX: 450, minY: 465, maxY: 465 }, limit: 10 });
+    expect(reply).toContain('3 sahiplik değişimi');
+    expect(reply.indexOf('Player1 (SiSu) → Player2')).toBeLessThan(reply.indexOf('Barbar (null) → Player0'));
+    expect(reply.match(/Player0 \(null\) → Player1/g)).toHaveLength(1);
+
+    scraper.scrape.mockRejectedValue(new Error('TWStats down'));
+    archiveDispatcher.recentScrape = null;
+    expect(await archiveDispatcher.dispatch('!koy 450|465', DM)).toContain('2 sahiplik değişimi');
+  });
+
+  it('should summarize gains and losses of a tribe', async () => {
+    const reply = await dispatcher.dispatch('!klan sisu', DM);
+
+    expect(reply).toContain('📈 Kazanç: 2');
+    expect(reply).toContain('📉 Kayıp: 1');
+    expect(reply).toContain('- Village2 (500|500) ← Player1 (EnemyTribe)');
+    expect(reply).toContain('- Village1 (450|465) → Player2 (EnemyTribe)');
+  });
+
+  it('should report the bot status', async () => {
+    const reply = await dispatcher.dispatch('!durum', DM);
+
+    expect(reply).toContain('Dünya: tr94');
+    expect(reply).toContain('Çalışma süresi: 1 sa 2 dk');
+    expect(reply).toContain('Abone sayısı: 3');
+  });
+
+  it('should subscribe the sender with the requested scope', async () => {
+    expect(await dispatcher.dispatch('!abone', DM)).toBe('✅ Abonelik oluşturuldu (tüm fetihler).');
+    expect(manageSubscriptions.subscribe).toHaveBeenLastCalledWith('905551234567', []);
+
+    await dispatcher.dispatch('!abone K45', GROUP);
+    expect(manageSubscriptions.subscribe).toHaveBeenLastCalledWith('120363000000000001@g.us', [
+      { type: 'continent', continents: ['K45'] }
+    ]);
+
+    await dispatcher.dispatch('!abone K45 SiSu', DM);
+    expect(manageSubscriptions.subscribe).toHaveBeenLastCalledWith('905551234567', [
+      { type: 'and', rules: [{ type: 'continent', continents: ['K45'] }, { type: 'tribe', tribes: ['SiSu'] }] }
+    ]);
+  });
+
+  it('should not subscribe chats that are not valid recipients', async () => {
+    dispatcher.admins.add('15551234567');
+    const reply = await dispatcher.dispatch('!abone', { chatId: '15551234567@c.us' });
+
+    expect(reply).toMatch(/^⚠️ Bu sohbet abone olamaz/);
+    expect(manageSubscriptions.subscribe).not.toHaveBeenCalled();
+  });
+
+  it('should unsubscribe the sender', async () => {
+    expect(await dispatcher.dispatch('!iptal', DM)).toBe('✅ Abonelik iptal edildi.');
+    expect(manageSubscriptions.unsubscribe).toHaveBeenCalledWith('905551234567');
+
+    manageSubscriptions.unsubscribe.mockResolvedValueOnce(false);
+    expect(await dispatcher.dispatch('!iptal', DM)).toBe('Aktif aboneliğiniz yok.');
+  });
+
+  it('should refuse subscription commands from chats that are not allowed', async () => {
+    const stranger = { chatId: '905559999999@c.us' };
+
+    expect(await dispatcher.dispatch('!abone', stranger)).toBe('⛔ Bu sohbette abonelik komutlarını kullanma yetkiniz yok.');
+    expect(await dispatcher.dispatch('!iptal', { chatId: '120363000000000002@g.us', author: '905559999999@c.us' })).toMatch(/^⛔/);
+    expect(await dispatcher.dispatch('!son 1', stranger)).toContain('*Son 1 fetih:*');
+    expect(manageSubscriptions.subscribe).not.toHaveBeenCalled();
+    expect(manageSubscriptions.unsubscribe).not.toHaveBeenCalled();
+  });
+
+  it('should let admins manage the subscription of any chat they write in', async () => {
+    const admin = new CommandDispatcher(scraper, manageSubscriptions, () => ({}), { admins: ['905558888888'] });
+
+    expect(await admin.dispatch('!iptal', { chatId: '120363000000000002@g.us', author: '905558888888@c.us' })).toBe('✅ Abonelik iptal edildi.');
+    expect(manageSubscriptions.unsubscribe).toHaveBeenCalledWith('120363000000000002@g.us');
+    expect(await admin.dispatch('!iptal', { chatId: '120363000000000002@g.us', author: '905559999999@c.us' })).toMatch(/^⛔/);
+  });
+
+  it('should match groups configured by name to the chat the command came from', async () => {
+    const named = new CommandDispatcher(scraper, manageSubscriptions, () => ({}), {
+      allowlist: ['group:Tribe Council'],
+      listGroups: async () => [{ id: GROUP.chatId, name: 'Tribe Council' }, { id: '120363000000000002@g.us', name: 'Other' }]
+    });
+    manageSubscriptions.list.mockResolvedValue([{ recipient: 'group:Tribe Council' }, { recipient: '905551234567' }]);
+
+    expect(await named.dispatch('!iptal', GROUP)).toBe('✅ Abonelik iptal edildi.');
+    expect(manageSubscriptions.unsubscribe).toHaveBeenCalledWith('group:Tribe Council');
+    expect(await named.dispatch('!iptal', { chatId: '120363000000000002@g.us' })).toMatch(/^⛔/);
+  });
+
+  it('should answer queries from a recent scrape', async () => {
+    await dispatcher.dispatch('!son', DM);
+    await dispatcher.dispatch('!koy 450|465', GROUP);
+    await dispatcher.dispatch('!klan SiSu', DM);
+
+    expect(scraper.scrape).toHaveBeenCalledTimes(1);
+
+    dispatcher.recentScrape.at -= dispatcher.scrapeCacheMs;
+    await dispatcher.dispatch('!son', DM);
+    expect(scraper.scrape).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reply with an error when a command fails', async () => {
+    scraper.scrape.mockRejectedValueOnce(new Error('fetch failed'));
+
+    expect(await dispatcher.dispatch('!son', DM)).toBe('⚠️ Komut çalıştırılamadı: fetch failed');
+    expect(await dispatcher.dispatch('!son 1', DM)).toContain('*Son 1 fetih:*');
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CompositeNotifier } from '../src/infrastructure/composite/composite-notifier.js';
+
+const createChannelNotifier = (recipients, ready = true) => ({
+  recipients,
+  init: vi.fn(async () => {}),
+  getCurrentQr: vi.fn(() => null),
+  isClientReady: vi.fn(() => ready),
+  notifyMany: vi.fn(async () => {}),
+  sendNotification: vi.fn(async () => {}),
+  disconnect: vi.fn(async () => {})
+});
+
+const sent = (recipient, channel, messageId = null) => ({ recipient, channel, status: 'sent', messageId, error: null });
+
+const gain = { villageName: 'Gain', oldTribe: 'ENEMY', newTribe: 'SiSu' };
+const loss = { villageName: 'Loss', oldTribe: 'SiSu', newTribe: 'ENEMY' };
+const context = {
+  world: 'tr94',
+  events: [gain, loss],
+  render: events => events.map(event => event.villageName).join(',')
+};
+
+describe('CompositeNotifier', () => {
+  let whatsapp;
+  let telegram;
+  let email;
+  let composite;
+
+  beforeEach(() => {
+    whatsapp = createChannelNotifier(['905551234567']);
+    telegram = createChannelNotifier(['telegram:42']);
+    email = createChannelNotifier(['email:duke@example.com']);
+    composite = new CompositeNotifier({
+      channels: [
+        { name: 'whatsapp', notifier: whatsapp },
+        { name: 'telegram', notifier: telegram },
+        { name: 'email', notifier: email }
+      ],
+      fallback: ['whatsapp', 'telegram', 'email']
+    });
+  });
+
+  it('should route each recipient to its channel', async () => {
+    const result = await composite.notifyMany(['905551234567', 'telegram:42', '120363000000000001@g.us'], 'Gain,Loss', context);
+
+    expect(whatsapp.notifyMany).toHaveBeenCalledWith(['905551234567', '120363000000000001@g.us'], 'Gain,Loss', context);
+    expect(telegram.notifyMany).toHaveBeenCalledWith(['telegram:42'], 'Gain,Loss', context);
+    expect(email.notifyMany).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      delivered: ['whatsapp', 'telegram'],
+      failed: [],
+      filtered: [],
+      fallbacks: [],
+      recipients: [
+        sent('905551234567', 'whatsapp'),
+        sent('120363000000000001@g.us', 'whatsapp'),
+        sent('telegram:42', 'telegram')
+      ],
+      sentCount: 3,
+      failedCount: 0
+    });
+  });
+
+  it('should collect the per-recipient reports of the channels', async () => {
+    whatsapp.notifyMany.mockResolvedValue({
+      recipients: [
+        sent('905551234567', 'whatsapp', 'true_905551234567@c.us_3EB0'),
+        { recipient: '905559876543', channel: 'whatsapp', status: 'failed', messageId: null, error: 'Evaluation failed' }
+      ],
+      sentCount: 1,
+      failedCount: 1
+    });
+
+    const result = await composite.notifyMany(['905551234567', '905559876543'], 'Gain,Loss', context);
+
+    expect(result.delivered).toEqual(['whatsapp']);
+    expect(result.recipients[0].messageId).toBe('true_905551234567@c.us_3EB0');
+    expect(result.recipients[1]).toMatchObject({ recipient: '905559876543', status: 'failed', error: 'Evaluation failed' });
+    expect(result).toMatchObject({ sentCount: 1, failedCount: 1 });
+  });
+
+  it('should fall back when every recipient of a channel failed', async () => {
+    whatsapp.notifyMany.mockResolvedValue({
+      recipients: [{ recipient: '905551234567', channel: 'whatsapp', status: 'failed', messageId: null, error: 'Evaluation failed' }],
+      sentCount: 0,
+      failedCount: 1
+    });
+
+    const result = await composite.notifyMany(['905551234567'], 'Gain,Loss', context);
+
+    expect(result.failed).toEqual([{ channel: 'whatsapp', error: 'All whatsapp recipients failed (Evaluation failed)' }]);
+    expect(telegram.notifyMany).toHaveBeenCalledWith(['telegram:42'], 'Gain,Loss', context);
+    expect(result.recipients).toEqual([
+      { recipient: '905551234567', channel: 'whatsapp', status: 'failed', messageId: null, error: 'Evaluation failed', fallback: 'telegram' },
+      sent('telegram:42', 'telegram')
+    ]);
+  });
+
+  it('should send to every channel\'s own recipients', async () => {
+    await composite.sendNotification('Gain,Loss', context);
+
+    expect(whatsapp.notifyMany).toHaveBeenCalledWith(['905551234567'], 'Gain,Loss', context);
+    expect(email.notifyMany).toHaveBeenCalledWith(['email:duke@example.com'], 'Gain,Loss', context);
+  });
+
+  it('should narrow and re-render the events of routed channels', async () => {
+    composite.setChannel('whatsapp', whatsapp, { type: 'direction', tribe: 'SiSu', direction: 'loss' });
+
+    await composite.notifyMany(['905551234567', 'telegram:42'], 'Gain,Loss', context);
+
+    expect(whatsapp.notifyMany).toHaveBeenCalledWith(['905551234567'], 'Loss', { ...context, events: [loss] });
+    expect(telegram.notifyMany).toHaveBeenCalledWith(['telegram:42'], 'Gain,Loss', context);
+  });
+
+  it('should skip routed channels without matching events', async () => {
+    composite.setChannel('whatsapp', whatsapp, { type: 'direction', tribe: 'SiSu', direction: 'loss' });
+
+    const result = await composite.notifyMany(['905551234567'], 'Gain', { ...context, events: [gain] });
+
+    expect(whatsapp.notifyMany).not.toHaveBeenCalled();
+    expect(result.filtered).toEqual(['whatsapp']);
+  });
+
+  it('should fall back along the chain when a channel is not ready', async () => {
+    whatsapp.isClientReady.mockReturnValue(false);
+    telegram.notifyMany.mockRejectedValue(new Error('Telegram sendMessage failed: Unauthorized'));
+
+    const result = await composite.notifyMany(['905551234567'], 'Gain,Loss', context);
+
+    expect(whatsapp.notifyMany).not.toHaveBeenCalled();
+    expect(telegram.notifyMany).toHaveBeenCalledWith(['telegram:42'], 'Gain,Loss', context);
+    expect(email.notifyMany).toHaveBeenCalledWith(['email:duke@example.com'], 'Gain,Loss', context);
+    expect(result).toEqual({
+      delivered: ['email'],
+      failed: [
+        { channel: 'whatsapp', error: 'whatsapp channel unavailable' },
+        { channel: 'telegram', error: 'Telegram sendMessage failed: Unauthorized' }
+      ],
+      filtered: [],
+      fallbacks: [{ from: 'whatsapp', to: 'email' }],
+      recipients: [
+        { recipient: '905551234567', channel: 'whatsapp', status: 'failed', messageId: null, error: 'whatsapp channel unavailable', fallback: 'email' },
+        { recipient: 'telegram:42', channel: 'telegram', status: 'failed', messageId: null, error: 'Telegram sendMessage failed: Unauthorized' },
+        sent('email:duke@example.com', 'email')
+      ],
+      sentCount: 1,
+      failedCount: 2
+    });
+  });
+
+  it('should not send twice to a fallback channel that already delivered', async () => {
+    whatsapp.notifyMany.mockRejectedValue(new Error('Evaluation failed'));
+
+    const result = await composite.notifyMany(['telegram:42', '905551234567'], 'Gain,Loss', context);
+
+    expect(telegram.notifyMany).toHaveBeenCalledTimes(1);
+    expect(telegram.sendNotification).not.toHaveBeenCalled();
+    expect(result.fallbacks).toEqual([{ from: 'whatsapp', to: 'telegram' }]);
+  });
+
+  it('should fall back after the channels addressed directly, with the fallback channel\'s route', async () => {
+    composite = new CompositeNotifier({
+      channels: [
+        { name: 'whatsapp', notifier: whatsapp },
+        { name: 'email', notifier: email, route: { type: 'direction', tribe: 'SiSu', direction: 'loss' } }
+      ],
+      fallback: ['whatsapp', 'email']
+    });
+    email.recipients = ['email:duke@example.com', 'email:baron@example.com'];
+    whatsapp.notifyMany.mockRejectedValue(new Error('Evaluation failed'));
+
+    const result = await composite.notifyMany(['905551234567', 'email:duke@example.com'], 'Gain,Loss', context);
+
+    expect(email.notifyMany.mock.calls).toEqual([[['email:duke@example.com'], 'Loss', { ...context, events: [loss] }]]);
+    expect(email.sendNotification).not.toHaveBeenCalled();
+    expect(result.delivered).toEqual(['email']);
+    expect(result.fallbacks).toEqual([{ from: 'whatsapp', to: 'email' }]);
+
+    email.notifyMany.mockClear();
+    await expect(composite.notifyMany(['905551234567'], 'Gain', { ...context, events: [gain] })).rejects.toThrow('whatsapp failed');
+    await composite.notifyMany(['905551234567'], 'Gain,Loss', context);
+
+    // Events outside the route don't fall back; the others reach the email recipients once
+    expect(email.notifyMany.mock.calls).toEqual([
+      [['email:duke@example.com', 'email:baron@example.com'], 'Loss', { ...context, events: [loss] }]
+    ]);
+  });
+
+  it('should throw with the result when no channel delivered', async () => {
+    [whatsapp, telegram, email].forEach(notifier => notifier.isClientReady.mockReturnValue(false));
+
+    const error = await composite.notifyMany(['905551234567'], 'Gain,Loss', context).catch(caught => caught);
+
+    expect(error.message).toBe('No notification channel delivered the message (whatsapp, telegram, email failed)');
+    expect(error.result.delivered).toEqual([]);
+  });
+
+  it('should report recipients of channels that are not enabled', async () => {
+    const result = await composite.notifyMany(['discord:council', '905551234567'], 'Gain,Loss', context);
+
+    expect(result.failed).toEqual([{ channel: 'discord', error: 'Channel not enabled' }]);
+    expect(result.delivered).toEqual(['whatsapp']);
+  });
+
+  it('should re-initialize channels that are not ready, backing off after failures', async () => {
+    let ready = false;
+    telegram.isClientReady.mockImplementation(() => ready);
+    telegram.init.mockRejectedValueOnce(new Error('ETIMEDOUT')).mockRejectedValueOnce(new Error('ETIMEDOUT')).mockImplementation(async () => {
+      ready = true;
+    });
+    const start = Date.now();
+
+    expect(await composite.reinitialize(start)).toEqual([]);
+    expect(await composite.reinitialize(start + 30 * 1000)).toEqual([]);
+    expect(telegram.init).toHaveBeenCalledTimes(1);
+
+    expect(await composite.reinitialize(start + 60 * 1000)).toEqual([]);
+    expect(await composite.reinitialize(start + 150 * 1000)).toEqual([]);
+    expect(telegram.init).toHaveBeenCalledTimes(2);
+
+    expect(await composite.reinitialize(start + 180 * 1000)).toEqual(['telegram']);
+    expect(composite.getStatus().telegram.ready).toBe(true);
+    expect(whatsapp.init).not.toHaveBeenCalled();
+  });
+
+  it('should leave channels waiting for a QR scan alone and share a running re-initialization', async () => {
+    whatsapp.isClientReady.mockReturnValue(false);
+    whatsapp.getCurrentQr.mockReturnValue('data:image/png;base64,qr');
+    email.isClientReady.mockReturnValue(false);
+
+    const [first, second] = await Promise.all([composite.reinitialize(), composite.reinitialize()]);
+
+    expect(first).toEqual(['email']);
+    expect(second).toBe(first);
+    expect(email.init).toHaveBeenCalledTimes(1);
+    expect(whatsapp.init).not.toHaveBeenCalled();
+  });
+
+  it('should attach the message handler to channels added later', () => {
+    const handler = vi.fn();
+    composite.onMessage(handler);
+
+    const reconnected = { ...createChannelNotifier(['905551234567']), onMessage: vi.fn() };
+    composite.setChannel('whatsapp', reconnected);
+
+    expect(reconnected.onMessage).toHaveBeenCalledWith(handler);
+    expect(composite.getChannel('whatsapp')).toBe(reconnected);
+  });
+});
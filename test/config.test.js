@@ -0,0 +1,375 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { loadConfig } from '../src/config/env.js';
+
+const ENV_KEYS = [
+  'WORLDS', 'TARGET_URL', 'STATE_FILE', 'FILTER_RULE', 'SUBSCRIPTIONS', 'WHATSAPP_RECIPIENTS',
+  'NOTIFIER', 'NOTIFIER_FALLBACK', 'NOTIFIER_ROUTES', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_IDS', 'TELEGRAM_API_BASE_URL',
+  'DISCORD_WEBHOOK_URL', 'DISCORD_WEBHOOKS', 'HOME_TRIBE',
+  'WEBHOOK_URLS', 'WEBHOOK_SECRET', 'WEBHOOK_MAX_RETRIES',
+  'MESSAGE_TEMPLATE', 'EVENT_TEMPLATE', 'HOME_COORDINATES', 'LOCALE',
+  'MESSAGE_MAX_LENGTH', 'MESSAGE_MAX_EVENTS', 'MESSAGE_PART_DELAY_MS', 'DIGEST_CRON', 'DIGEST_TIMEZONE', 'DIGEST_TOP',
+  'QUIET_HOURS_TIMEZONE', 'QUIET_HOURS_PRIORITY', 'RATE_LIMIT_MESSAGES', 'RATE_LIMIT_WINDOW_MINUTES', 'RATE_LIMIT_CHANNELS', 'HISTORY_DIR',
+  'WORLD_TIMEZONE', 'CATCH_UP_MAX_PAGES', 'CATCH_UP_MAX_AGE_HOURS', 'CATCH_UP_PAGE_DELAY_MS',
+  'WHATSAPP_COMMANDS', 'WHATSAPP_COMMAND_ALLOWLIST', 'WHATSAPP_COMMAND_ADMINS',
+  'OUTBOX_ENABLED', 'OUTBOX_FILE', 'OUTBOX_CRON', 'OUTBOX_MAX_ATTEMPTS', 'OUTBOX_TTL_HOURS',
+  'SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS', 'EMAIL_FROM', 'EMAIL_TO'
+];
+
+describe('loadConfig', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    process.env.WHATSAPP_RECIPIENTS = '905551234567';
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    });
+  });
+
+  describe('worlds', () => {
+    it('should build a single world from TARGET_URL when WORLDS is unset', () => {
+      process.env.TARGET_URL = 'https://tr.twstats.com/tr95/index.php?page=ennoblements';
+      process.env.STATE_FILE = './data/custom.json';
+
+      const config = loadConfig();
+
+      expect(config.worlds).toEqual([{
+        id: 'tr95',
+        url: 'https://tr.twstats.com/tr95/index.php?page=ennoblements',
+        stateFile: './data/custom.json',
+        recipients: ['905551234567'],
+        messagePrefix: '',
+        timezone: 'Europe/Istanbul',
+        filterRule: null,
+        subscriptions: null
+      }]);
+    });
+
+    it('should read the world time zones and reject unknown ones', () => {
+      process.env.WORLD_TIMEZONE = 'Europe/Berlin';
+      process.env.WORLDS = JSON.stringify([
+        { id: 'de200', url: 'https://de.twstats.com/de200/index.php?page=ennoblements' },
+        { id: 'en140', url: 'https://en.twstats.com/en140/index.php?page=ennoblements', timezone: 'Europe/London' }
+      ]);
+      expect(loadConfig().worlds.map(world => world.timezone)).toEqual(['Europe/Berlin', 'Europe/London']);
+
+      process.env.WORLD_TIMEZONE = 'Mars/Olympus';
+      expect(() => loadConfig()).toThrow('must be an IANA time zone');
+    });
+
+    it('should apply per-world defaults to WORLDS entries', () => {
+      process.env.WORLDS = JSON.stringify([
+        { id: 'tr94', url: 'https://tr.twstats.com/tr94/index.php?page=ennoblements', messagePrefix: '[TR94]' },
+        { url: 'https://tr.twstats.com/tr95/index.php?page=ennoblements', recipients: ['905559876543'] }
+      ]);
+
+      const config = loadConfig();
+
+      expect(config.worlds).toHaveLength(2);
+      expect(config.worlds[0]).toMatchObject({
+        id: 'tr94',
+        stateFile: './data/state-tr94.json',
+        recipients: ['905551234567'],
+        messagePrefix: '[TR94]'
+      });
+      expect(config.worlds[1]).toMatchObject({ id: 'tr95', recipients: ['905559876543'] });
+    });
+
+    it('should read subscriptions and default their filter set to everything', () => {
+      process.env.SUBSCRIPTIONS = JSON.stringify([
+        { recipient: '905551234567' },
+        { recipient: '905559876543', filters: [{ type: 'continent', continents: ['K45'] }] }
+      ]);
+
+      const config = loadConfig();
+
+      expect(config.worlds[0].subscriptions).toEqual([
+        { recipient: '905551234567', filters: [] },
+        { recipient: '905559876543', filters: [{ type: 'continent', continents: ['K45'] }] }
+      ]);
+    });
+
+    it('should accept group recipients and reject unknown formats', () => {
+      process.env.WHATSAPP_RECIPIENTS = '905551234567,120363012345678901@g.us,group:Tribe Council';
+
+      expect(loadConfig().worlds[0].recipients).toEqual(['905551234567', '120363012345678901@g.us', 'group:Tribe Council']);
+
+      process.env.WHATSAPP_RECIPIENTS = '5551234567';
+      expect(() => loadConfig()).toThrow('Recipient must be');
+    });
+
+    it('should reject duplicate world ids', () => {
+      process.env.WORLDS = JSON.stringify([
+        { id: 'tr94', url: 'https://tr.twstats.com/tr94/index.php?page=ennoblements' },
+        { id: 'tr94', url: 'https://tr.twstats.com/tr94/index.php?page=ennoblements' }
+      ]);
+
+      expect(() => loadConfig()).toThrow('World ids must be unique');
+    });
+
+    it('should reject an invalid world filter rule', () => {
+      process.env.WORLDS = JSON.stringify([
+        { id: 'tr94', url: 'https://tr.twstats.com/tr94/index.php?page=ennoblements', filterRule: { type: 'points', min: 10, max: 1 } }
+      ]);
+
+      expect(() => loadConfig()).toThrow(/worlds\.0\.filterRule/);
+    });
+  });
+
+  describe('telegram', () => {
+    it('should add Telegram chats to the default recipients', () => {
+      process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+      process.env.TELEGRAM_CHAT_IDS = '-100123, @tribe_news';
+
+      const config = loadConfig();
+
+      expect(config.telegram).toEqual({ botToken: '123:abc', apiBaseUrl: 'https://api.telegram.org', chatIds: ['-100123', '@tribe_news'] });
+      expect(config.worlds[0].recipients).toEqual(['905551234567', 'telegram:-100123', 'telegram:@tribe_news']);
+    });
+
+    it('should require a bot token when Telegram is the notifier', () => {
+      process.env.NOTIFIER = 'telegram';
+
+      expect(() => loadConfig()).toThrow('TELEGRAM_BOT_TOKEN is required');
+    });
+  });
+
+  describe('discord', () => {
+    it('should add a single webhook URL as the default Discord recipient', () => {
+      process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/1/abc';
+      process.env.HOME_TRIBE = 'SiSu';
+
+      const config = loadConfig();
+
+      expect(config.discord).toEqual({ webhooks: { default: 'https://discord.com/api/webhooks/1/abc' } });
+      expect(config.homeTribe).toBe('SiSu');
+      expect(config.worlds[0].recipients).toEqual(['905551234567', 'discord:default']);
+    });
+
+    it('should read named webhooks and require one when Discord is the notifier', () => {
+      process.env.DISCORD_WEBHOOKS = '{"council":"https://discord.com/api/webhooks/2/def"}';
+      expect(loadConfig().worlds[0].recipients).toEqual(['905551234567', 'discord:council']);
+
+      delete process.env.DISCORD_WEBHOOKS;
+      process.env.NOTIFIER = 'discord';
+      expect(() => loadConfig()).toThrow('DISCORD_WEBHOOK_URL or DISCORD_WEBHOOKS is required');
+    });
+  });
+
+  describe('webhook', () => {
+    it('should read webhook endpoints and require a secret for them', () => {
+      process.env.WEBHOOK_URLS = 'https://planner.example.com/hooks/tw, https://sheets.example.com/in';
+      expect(() => loadConfig()).toThrow('WEBHOOK_SECRET is required');
+
+      process.env.WEBHOOK_SECRET = 'a-long-shared-secret';
+      expect(loadConfig().webhook).toEqual({
+        urls: ['https://planner.example.com/hooks/tw', 'https://sheets.example.com/in'],
+        secret: 'a-long-shared-secret',
+        maxRetries: 3
+      });
+    });
+  });
+
+  describe('chat commands', () => {
+    it('should keep commands off by default and read who may manage subscriptions', () => {
+      expect(loadConfig().whatsapp).toMatchObject({ commandsEnabled: false, commandAllowlist: [], commandAdmins: [] });
+
+      process.env.WHATSAPP_COMMANDS = 'true';
+      process.env.WHATSAPP_COMMAND_ALLOWLIST = '905551234567, group:Tribe Council';
+      process.env.WHATSAPP_COMMAND_ADMINS = '905559876543';
+      expect(loadConfig().whatsapp).toMatchObject({
+        commandsEnabled: true,
+        commandAllowlist: ['905551234567', 'group:Tribe Council'],
+        commandAdmins: ['905559876543']
+      });
+    });
+
+    it('should reject command chats of other channels and admins that are not numbers', () => {
+      process.env.WHATSAPP_COMMAND_ALLOWLIST = 'telegram:42';
+      expect(() => loadConfig()).toThrow('WHATSAPP_COMMAND_ALLOWLIST entries must be');
+
+      process.env.WHATSAPP_COMMAND_ALLOWLIST = '';
+      process.env.WHATSAPP_COMMAND_ADMINS = 'group:Tribe Council';
+      expect(() => loadConfig()).toThrow('WHATSAPP_COMMAND_ADMINS entries must be');
+    });
+  });
+
+  describe('outbox', () => {
+    it('should enable the outbox by default and read its settings', () => {
+      expect(loadConfig().outbox).toEqual({
+        enabled: true,
+        file: './data/outbox.json',
+        cronExpression: '* * * * *',
+        maxAttempts: 10,
+        ttlHours: 24
+      });
+
+      process.env.OUTBOX_ENABLED = 'false';
+      process.env.OUTBOX_TTL_HOURS = '1.5';
+      expect(loadConfig().outbox).toMatchObject({ enabled: false, ttlHours: 1.5 });
+    });
+
+    it('should reject an invalid dispatch schedule', () => {
+      process.env.OUTBOX_CRON = 'every minute';
+
+      expect(() => loadConfig()).toThrow('OUTBOX_CRON must be a valid cron expression');
+    });
+  });
+
+  describe('templates', () => {
+    it('should use the built-in layout by default and read templates with line breaks', () => {
+      expect(loadConfig().templates).toEqual({ message: null, event: null, homeCoordinates: null });
+
+      process.env.MESSAGE_TEMPLATE = '{{count}} conquers:\\n{{items}}';
+      process.env.HOME_COORDINATES = '447|461';
+      expect(loadConfig().templates).toMatchObject({ message: '{{count}} conquers:\n{{items}}', homeCoordinates: '447|461' });
+    });
+
+    it('should reject templates that do not compile', () => {
+      process.env.EVENT_TEMPLATE = '{{villageName}} {{#if gain}}won';
+
+      expect(() => loadConfig()).toThrow('templates.event: Invalid event template at line 1, column 17: {{#if}} is never closed');
+    });
+  });
+
+  describe('i18n', () => {
+    it('should default to Turkish and read world and subscription locales', () => {
+      expect(loadConfig().i18n).toEqual({ defaultLocale: 'tr' });
+
+      process.env.LOCALE = 'en';
+      process.env.WORLDS = JSON.stringify([
+        { id: 'de200', url: 'https://de.twstats.com/de200/index.php?page=ennoblements', locale: 'de' },
+        { id: 'tr94', url: 'https://tr.twstats.com/tr94/index.php?page=ennoblements', subscriptions: [{ recipient: '905551234567', locale: 'tr' }] }
+      ]);
+      const config = loadConfig();
+
+      expect(config.i18n.defaultLocale).toBe('en');
+      expect(config.worlds[0].locale).toBe('de');
+      expect(config.worlds[1].subscriptions[0]).toMatchObject({ recipient: '905551234567', locale: 'tr' });
+    });
+
+    it('should reject locales without a catalog', () => {
+      process.env.LOCALE = 'fr';
+
+      expect(() => loadConfig()).toThrow('i18n.defaultLocale: Locale must be one of: tr, en, de');
+    });
+  });
+
+  describe('history', () => {
+    it('should keep the event archive under HISTORY_DIR', () => {
+      expect(loadConfig().history).toEqual({ directory: './data/history' });
+
+      process.env.HISTORY_DIR = '/var/lib/monitor/history';
+      expect(loadConfig().history).toEqual({ directory: '/var/lib/monitor/history' });
+    });
+  });
+
+  describe('digest', () => {
+    it('should default to a daily digest and validate the time zone', () => {
+      expect(loadConfig().digest).toEqual({ cronExpression: '0 9 * * *', timezone: null, top: 5 });
+
+      process.env.DIGEST_CRON = '0 * * * *';
+      process.env.DIGEST_TIMEZONE = 'Europe/Istanbul';
+      expect(loadConfig().digest).toMatchObject({ cronExpression: '0 * * * *', timezone: 'Europe/Istanbul' });
+
+      process.env.DIGEST_TIMEZONE = 'Mars/Olympus';
+      expect(() => loadConfig()).toThrow('DIGEST_TIMEZONE must be an IANA time zone');
+    });
+
+    it('should read the delivery mode of configured subscriptions', () => {
+      process.env.WHATSAPP_RECIPIENTS = '905551234567';
+      process.env.SUBSCRIPTIONS = JSON.stringify([{ recipient: '905551234567', mode: 'digest' }]);
+      expect(loadConfig().worlds[0].subscriptions[0]).toMatchObject({ mode: 'digest' });
+
+      process.env.SUBSCRIPTIONS = JSON.stringify([{ recipient: '905551234567', mode: 'weekly' }]);
+      expect(() => loadConfig()).toThrow('Mode must be one of: realtime, digest, both');
+    });
+  });
+
+  describe('catchUp', () => {
+    it('should read the catch-up limits and reject a page limit below one', () => {
+      expect(loadConfig().catchUp).toEqual({ maxPages: 5, maxAgeHours: 24, pageDelayMs: 2000 });
+
+      process.env.CATCH_UP_MAX_PAGES = '1';
+      process.env.CATCH_UP_MAX_AGE_HOURS = '6.5';
+      process.env.CATCH_UP_PAGE_DELAY_MS = '0';
+      expect(loadConfig().catchUp).toEqual({ maxPages: 1, maxAgeHours: 6.5, pageDelayMs: 0 });
+
+      process.env.CATCH_UP_MAX_PAGES = '0';
+      expect(() => loadConfig()).toThrow('CATCH_UP_MAX_PAGES must be at least 1');
+    });
+  });
+
+  describe('batching', () => {
+    it('should read the message limits and reject a limit too small for one event', () => {
+      expect(loadConfig().batching).toEqual({ maxLength: 4000, maxEvents: 50, partDelayMs: 1500 });
+
+      process.env.MESSAGE_MAX_LENGTH = '1000';
+      process.env.MESSAGE_MAX_EVENTS = '10';
+      process.env.MESSAGE_PART_DELAY_MS = '0';
+      expect(loadConfig().batching).toEqual({ maxLength: 1000, maxEvents: 10, partDelayMs: 0 });
+
+      process.env.MESSAGE_MAX_LENGTH = '50';
+      expect(() => loadConfig()).toThrow('MESSAGE_MAX_LENGTH must be at least 200');
+    });
+  });
+
+  describe('email', () => {
+    it('should add email addresses to the default recipients', () => {
+      process.env.SMTP_HOST = 'smtp.example.com';
+      process.env.SMTP_PORT = '465';
+      process.env.EMAIL_FROM = 'monitor@example.com';
+      process.env.EMAIL_TO = 'duke@example.com';
+
+      const config = loadConfig();
+
+      expect(config.email).toMatchObject({ host: 'smtp.example.com', port: 465, secure: true, from: 'monitor@example.com', to: ['duke@example.com'] });
+      expect(config.worlds[0].recipients).toEqual(['905551234567', 'email:duke@example.com']);
+    });
+
+    it('should require an SMTP host and sender when email is used', () => {
+      process.env.NOTIFIER = 'email';
+
+      expect(() => loadConfig()).toThrow('SMTP_HOST and EMAIL_FROM are required');
+    });
+  });
+
+  describe('notifier', () => {
+    it('should default to WhatsApp with configured channels as fallback', () => {
+      expect(loadConfig().notifier).toEqual({ channels: ['whatsapp'], fallback: ['whatsapp'], routes: {} });
+
+      process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+      expect(loadConfig().notifier.fallback).toEqual(['whatsapp', 'telegram']);
+    });
+
+    it('should read channels, fallback chain and routes', () => {
+      process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+      process.env.NOTIFIER = 'whatsapp, telegram';
+      process.env.NOTIFIER_FALLBACK = 'telegram,whatsapp';
+      process.env.NOTIFIER_ROUTES = '{"whatsapp":{"type":"direction","tribe":"SiSu","direction":"loss"}}';
+
+      expect(loadConfig().notifier).toEqual({
+        channels: ['whatsapp', 'telegram'],
+        fallback: ['telegram', 'whatsapp'],
+        routes: { whatsapp: { type: 'direction', tribe: 'SiSu', direction: 'loss' } }
+      });
+    });
+
+    it('should reject unknown channels and invalid routes', () => {
+      process.env.NOTIFIER = 'whatsapp,sms';
+      expect(() => loadConfig()).toThrow(/notifier\.channels\.1/);
+
+      process.env.NOTIFIER = 'whatsapp';
+      process.env.NOTIFIER_ROUTES = '{"whatsapp":{"type":"direction","tribe":"SiSu"}}';
+      expect(() => loadConfig()).toThrow(/notifier\.routes\.whatsapp/);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createDeliveryReport, mergeDeliveryReports, uniformDeliveryReport, undeliveredRecipients } from '../src/core/entities/delivery-report.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const event = {
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+const sent = recipient => ({ recipient, channel: 'whatsapp', status: 'sent', messageId: `id-${recipient}`, error: null });
+const failed = (recipient, fallback) => ({ recipient, channel: 'whatsapp', status: 'failed', messageId: null, error: 'Evaluation failed', fallback });
+
+describe('delivery reports', () => {
+  it('should count sent and failed recipients across merged reports', () => {
+    const report = mergeDeliveryReports([createDeliveryReport([sent('905551234567')]), undefined, createDeliveryReport([failed('905559876543')])]);
+
+    expect(report).toMatchObject({ sentCount: 1, failedCount: 1 });
+    expect(report.recipients.map(delivery => delivery.recipient)).toEqual(['905551234567', '905559876543']);
+  });
+
+  it('should attribute recipients of a uniform report to their channel', () => {
+    expect(uniformDeliveryReport(['telegram:42', '905551234567'], 'failed', 'down').recipients).toEqual([
+      { recipient: 'telegram:42', channel: 'telegram', status: 'failed', messageId: null, error: 'down' },
+      { recipient: '905551234567', channel: 'whatsapp', status: 'failed', messageId: null, error: 'down' }
+    ]);
+  });
+
+  it('should not retry recipients covered by a fallback channel', () => {
+    const report = createDeliveryReport([sent('905551234567'), failed('905559876543'), failed('905550000000', 'telegram')]);
+
+    expect(undeliveredRecipients(report)).toEqual(['905559876543']);
+  });
+});
+
+describe('PollAndNotify delivery report', () => {
+  const createUseCase = notifier => new PollAndNotify(
+    { scrape: async () => [event] },
+    notifier,
+    {
+      loadSeenEventIds: async () => null,
+      addSeenEventIds: async () => {},
+      loadLastProcessedTimestamp: async () => '2025-08-02 - 18:00:00',
+      saveLastProcessedTimestamp: async () => {}
+    },
+    ['905551234567', '905559876543'],
+    null,
+    { worldId: 'tr94' }
+  );
+
+  it('should put the per-recipient report in the result and the run history', async () => {
+    const report = createDeliveryReport([sent('905551234567'), failed('905559876543')]);
+    const useCase = createUseCase({ isClientReady: () => true, notifyMany: vi.fn(async () => report) });
+
+    const result = await useCase.runOnce();
+
+    expect(result).toMatchObject({ success: true, eventsCount: 1, recipientsCount: 1, delivery: report });
+    expect(useCase.getRunHistory()).toEqual([{ ...result, finishedAt: expect.any(String) }]);
+  });
+
+  it('should report every recipient as failed when the notifier is not ready', async () => {
+    const useCase = createUseCase({
+      isClientReady: () => false,
+      notifyMany: vi.fn(async () => { throw new Error('WhatsApp client not ready. Call init() first and scan QR code.'); })
+    });
+
+    const result = await useCase.runOnce();
+
+    expect(result.recipientsCount).toBe(0);
+    expect(result.delivery).toMatchObject({ sentCount: 0, failedCount: 2 });
+    expect(result.delivery.recipients[0].error).toContain('not ready');
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { summarizeEvents } from '../src/core/digest/digest-summary.js';
+import { MessageRenderer } from '../src/core/templates/message-renderer.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { ManageSubscriptions } from '../src/core/use-cases/manage-subscriptions.js';
+import { SendDigest } from '../src/core/use-cases/send-digest.js';
+import { CommandDispatcher } from '../src/core/commands/command-dispatcher.js';
+import { parseCommand } from '../src/core/commands/command-parser.js';
+import { FileStateStore } from '../src/infrastructure/store/file-state-store.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12',
+  ...overrides
+});
+
+const events = [
+  event(),
+  event({ villageName: 'Lost Hill', points: 12000, oldTribe: 'SiSu', newPlayer: 'Count', newTribe: 'ENEMY', timestamp: '2025-08-02 - 09:00:00' }),
+  event({ villageName: 'Barbar Köyü', points: 300, oldPlayer: null, oldTribe: null, continent: 'K55', timestamp: '2025-08-02 - 12:00:00' })
+];
+
+const DUKE = '905551111111';
+const BARON = '905552222222';
+
+// In-memory state store mock
+const createMockStateStore = () => ({
+  subscriptions: null,
+  digestEvents: [],
+  seenIds: null,
+  timestamp: '2025-08-02 - 08:00:00',
+  loadSubscriptions: vi.fn(async function () { return this.subscriptions; }),
+  saveSubscriptions: vi.fn(async function (subscriptions) { this.subscriptions = subscriptions; }),
+  loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+  addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+  loadLastProcessedTimestamp: vi.fn(async function () { return this.timestamp; }),
+  saveLastProcessedTimestamp: vi.fn(async function (timestamp) { this.timestamp = timestamp; }),
+  loadDigestEvents: vi.fn(async function () { return this.digestEvents; }),
+  appendDigestEvents: vi.fn(async function (added) { this.digestEvents = [...added, ...this.digestEvents]; }),
+  dropDigestEvents: vi.fn(async function (count) { this.digestEvents = this.digestEvents.slice(0, this.digestEvents.length - count); })
+});
+
+describe('digest', () => {
+  describe('summarizeEvents', () => {
+    it('should count per tribe, rank villages and nobles and balance the home tribe', () => {
+      const summary = summarizeEvents(events, { homeTribe: 'sisu', top: 2 });
+
+      expect(summary).toEqual({
+        total: 3,
+        from: '2025-08-02 - 09:00:00',
+        to: '2025-08-02 - 18:08:12',
+        home: { tribe: 'sisu', gains: 2, losses: 1, internal: 0 },
+        tribes: [
+          { tribe: 'SiSu', gains: 2, losses: 1, count: 3 },
+          { tribe: 'ENEMY', gains: 1, losses: 1, count: 2 }
+        ],
+        villages: [
+          { villageName: 'Lost Hill', coordinates: '450|465', points: 12000, player: 'Count', tribe: 'ENEMY' },
+          { villageName: 'Frontier Keep', coordinates: '450|465', points: 9500, player: 'Duke', tribe: 'SiSu' }
+        ],
+        nobles: [
+          { player: 'Duke', tribe: 'SiSu', count: 2 },
+          { player: 'Count', tribe: 'ENEMY', count: 1 }
+        ]
+      });
+      expect(summarizeEvents([]).home).toBeNull();
+    });
+
+    it('should render the summary in the recipient\'s locale', () => {
+      const renderer = new MessageRenderer({ homeTribe: 'SiSu' });
+      const summary = summarizeEvents(events, { homeTribe: 'SiSu' });
+
+      expect(renderer.renderDigest(summary, { locale: 'tr' })).toBe(
+        '*📊 Köy Eventi Özeti: 3 fetih*\n' +
+        '⏰ 02.08.2025 09:00:00 – 02.08.2025 18:08:12\n\n' +
+        '🏠 *SiSu*: 📈 2 kazanç / 📉 1 kayıp\n\n' +
+        '*Klanlar*\n1. SiSu: +2 / -1\n2. ENEMY: +1 / -1\n\n' +
+        '*En Büyük Köyler*\n1. Lost Hill (450|465) - 12.000 puan → Count\n2. Frontier Keep (450|465) - 9.500 puan → Duke\n' +
+        '3. Barbar Köyü (450|465) - 300 puan → Duke\n\n' +
+        '*En Aktif Soylular*\n1. Duke (SiSu): 2\n2. Count (ENEMY): 1\n'
+      );
+      expect(renderer.renderDigest(summarizeEvents(events), { locale: 'en' })).not.toContain('🏠');
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let stateStore;
+    let notifier;
+    let useCase;
+
+    beforeEach(() => {
+      stateStore = createMockStateStore();
+      notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+      useCase = new PollAndNotify({ scrape: vi.fn(async () => events) }, notifier, stateStore, [DUKE, BARON], null, {
+        worldId: 'tr94',
+        subscriptions: [
+          { recipient: DUKE, filters: [], mode: 'digest' },
+          { recipient: BARON, filters: [{ type: 'continent', continents: ['K44'] }], mode: 'both' }
+        ]
+      });
+    });
+
+    it('should collect events for digest recipients and send realtime messages to the others', async () => {
+      await useCase.runOnce();
+
+      expect(stateStore.digestEvents).toEqual(events);
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([BARON]);
+    });
+
+    it('should send each recipient the digest of its matching events and clear them', async () => {
+      stateStore.digestEvents = events;
+
+      const result = await new SendDigest(stateStore, useCase).run();
+
+      expect(result).toMatchObject({ success: true, world: 'tr94', eventsCount: 3, recipientsCount: 2 });
+      expect(notifier.notifyMany.mock.calls.map(([recipients]) => recipients)).toEqual([[DUKE], [BARON]]);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('3 fetih');
+      expect(notifier.notifyMany.mock.calls[1][1]).toContain('2 fetih');
+      expect(notifier.notifyMany.mock.calls[0][2]).toEqual({ world: 'tr94', locale: null });
+      expect(stateStore.digestEvents).toEqual([]);
+    });
+
+    it('should keep the events when no recipient got the digest', async () => {
+      stateStore.digestEvents = events;
+      notifier.notifyMany.mockRejectedValue(new Error('WhatsApp client not ready'));
+
+      expect(await new SendDigest(stateStore, useCase).run()).toMatchObject({ success: false, eventsCount: 3 });
+      expect(stateStore.digestEvents).toEqual(events);
+    });
+
+    it('should change the mode of a subscription', async () => {
+      const manageSubscriptions = new ManageSubscriptions(stateStore, useCase);
+
+      expect(await manageSubscriptions.setMode(DUKE, 'realtime')).not.toHaveProperty('mode');
+      expect(await manageSubscriptions.setMode('905553333333', 'digest')).toBeNull();
+      expect(useCase.planDeliveries(events, { digest: true }).map(delivery => delivery.recipient)).toEqual([BARON]);
+    });
+  });
+
+  describe('FileStateStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'digest-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should collect each conquer once when a cycle is retried', async () => {
+      const stateStore = new FileStateStore(path.join(dir, 'state.json'));
+      const newer = event({ villageName: 'New Keep', timestamp: '2025-08-02 - 19:00:00' });
+
+      await stateStore.appendDigestEvents(events);
+      await stateStore.appendDigestEvents(events);
+      await stateStore.appendDigestEvents([newer, events[0], newer]);
+
+      expect(await stateStore.loadDigestEvents()).toEqual([newer, ...events]);
+    });
+  });
+
+  describe('!mod', () => {
+    it('should set the delivery mode of the sender\'s subscription', async () => {
+      const manageSubscriptions = { setMode: vi.fn(async () => ({ recipient: DUKE })) };
+      const dispatcher = new CommandDispatcher({}, manageSubscriptions, () => ({}), { allowlist: [DUKE] });
+
+      expect(parseCommand('!mod Özet')).toEqual({ name: 'mod', args: { mode: 'digest' } });
+      expect(await dispatcher.dispatch('!mod ikisi', { chatId: `${DUKE}@c.us` })).toBe('✅ Bildirim şekli: anında bildirim ve zamanlanmış özet.');
+      expect(manageSubscriptions.setMode).toHaveBeenCalledWith(DUKE, 'both');
+      expect(await dispatcher.dispatch('!mod hafta', { chatId: `${DUKE}@c.us` })).toMatch(/^⚠️ Kullanım: !mod/);
+
+      manageSubscriptions.setMode.mockResolvedValueOnce(null);
+      expect(await dispatcher.dispatch('!mod anlık', { chatId: `${DUKE}@c.us` })).toBe('Aktif aboneliğiniz yok. Önce !abone ile abone olun.');
+    });
+  });
+});
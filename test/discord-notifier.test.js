@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { DiscordNotifier, EMBED_COLORS } from '../src/infrastructure/discord/discord-notifier.js';
+
+/**
+ * Minimal webhook stub: records requests and answers with the queued responses
+ */
+function createStubServer() {
+  const stub = { requests: [], responses: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+
+      const [status, payload, headers = {}] = stub.responses.shift() ?? [200, { id: String(stub.requests.length) }];
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+const event = (overrides = {}) => ({
+  villageName: 'Barbar Köyü',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Duke',
+  oldTribe: 'SiSu',
+  newPlayer: 'Baron',
+  newTribe: 'ENEMY',
+  timestamp: '2024-01-15 14:30:00',
+  ...overrides
+});
+
+describe('DiscordNotifier', () => {
+  let stub;
+  let notifier;
+
+  beforeEach(async () => {
+    stub = await createStubServer();
+    notifier = new DiscordNotifier({
+      webhooks: { council: `${stub.url}/webhooks/1/abc`, news: `${stub.url}/webhooks/2/def` },
+      homeTribe: 'SiSu'
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  it('should verify every webhook on init', async () => {
+    await notifier.init();
+
+    expect(notifier.isClientReady()).toBe(true);
+    expect(notifier.recipients).toEqual(['discord:council', 'discord:news']);
+    expect(stub.requests.map(request => request.method)).toEqual(['GET', 'GET']);
+  });
+
+  it('should fail init when a webhook is unknown', async () => {
+    stub.responses.push([404, { message: 'Unknown Webhook' }]);
+
+    await expect(notifier.init()).rejects.toThrow('Discord initialization failed: webhook council answered HTTP 404');
+    expect(notifier.isClientReady()).toBe(false);
+  });
+
+  it('should post one embed per event, colored by direction for the home tribe', async () => {
+    await notifier.init();
+    await notifier.notifyMany(['discord:council'], 'ignored', {
+      world: 'tr94',
+      events: [event(), event({ oldTribe: 'ENEMY', newTribe: 'SiSu' }), event({ oldTribe: 'A', newTribe: 'B' })]
+    });
+
+    const post = stub.requests[2];
+    expect(post.method).toBe('POST');
+    expect(post.url).toBe('/webhooks/1/abc?wait=true');
+    expect(post.body.content).toBe('**3 yeni fetih (tr94)**');
+    expect(post.body.embeds.map(embed => embed.color)).toEqual([EMBED_COLORS.loss, EMBED_COLORS.gain, EMBED_COLORS.neutral]);
+    expect(post.body.embeds[0].title).toBe('🏰 Barbar Köyü');
+    expect(post.body.embeds[0].fields[0]).toEqual({ name: 'Koordinat', value: '450|465 (K44)', inline: true });
+    expect(post.body.embeds[0].footer.text).toBe('tr94 • 2024-01-15 14:30:00');
+  });
+
+  it('should write the embed texts in the locale of the recipients', async () => {
+    await notifier.init();
+    await notifier.notifyMany(['discord:council'], 'ignored', { world: 'en1', locale: 'en', events: [event({ newPlayer: null })] });
+
+    const post = stub.requests[2];
+    expect(post.body.content).toBe('**1 new conquers (en1)**');
+    expect(post.body.embeds[0].fields.map(field => field.name)).toEqual(['Coordinates', 'Points', '​', 'Old owner', 'New owner']);
+    expect(post.body.embeds[0].fields[4].value).toBe('Unknown (ENEMY)');
+  });
+
+  it('should split large batches into requests of at most 10 embeds', async () => {
+    await notifier.init();
+    const events = Array.from({ length: 23 }, (_, i) => event({ villageName: `Köy ${i}` }));
+
+    await notifier.notifyMany(['discord:news'], 'ignored', { world: 'tr94', events });
+
+    const posts = stub.requests.slice(2);
+    expect(posts.map(post => post.body.embeds.length)).toEqual([10, 10, 3]);
+    expect(posts.map(post => post.body.embeds[0].title)).toEqual(['🏰 Köy 0', '🏰 Köy 10', '🏰 Köy 20']);
+    expect(posts[1].body.content).toBeUndefined();
+  });
+
+  it('should wait out a rate limit and retry the same request', async () => {
+    await notifier.init();
+    stub.responses.push([429, { message: 'You are being rate limited.', retry_after: 0.01 }]);
+
+    const report = await notifier.notifyMany(['discord:council'], 'ignored', { world: 'tr94', events: [event()] });
+
+    expect(stub.requests).toHaveLength(4);
+    expect(stub.requests[3].body).toEqual(stub.requests[2].body);
+    expect(report.recipients).toEqual([{ recipient: 'discord:council', channel: 'discord', status: 'sent', messageId: '4', error: null }]);
+  });
+
+  it('should cap the rate limit wait', async () => {
+    await notifier.init();
+    stub.responses.push([429, { message: 'You are being rate limited.', retry_after: 3600 }]);
+    const timeout = vi.spyOn(globalThis, 'setTimeout');
+
+    try {
+      const sending = notifier.notifyMany(['discord:council'], 'ignored', { world: 'tr94', events: [event()] });
+      await vi.waitFor(() => expect(timeout).toHaveBeenCalledWith(expect.any(Function), 60000));
+      timeout.mock.calls.find(([, delay]) => delay === 60000)[0]();
+      await sending;
+    } finally {
+      timeout.mockRestore();
+    }
+  });
+
+  it('should post only the missing parts when a split batch is retried', async () => {
+    await notifier.init();
+    const events = Array.from({ length: 23 }, (_, i) => event({ villageName: `Köy ${i}` }));
+    stub.responses.push([200, { id: 'a' }], [400, { message: 'Invalid Form Body' }]);
+
+    const failed = await notifier.notifyMany(['discord:news'], 'ignored', { world: 'tr94', events });
+    const retried = await notifier.notifyMany(['discord:news'], 'ignored', { world: 'tr94', events });
+
+    const titles = stub.requests.slice(2).map(post => post.body.embeds[0].title);
+    expect(titles).toEqual(['🏰 Köy 0', '🏰 Köy 10', '🏰 Köy 10', '🏰 Köy 20']);
+    expect(failed.recipients[0]).toMatchObject({ status: 'failed', error: 'Discord webhook failed: Invalid Form Body' });
+    expect(retried.recipients[0]).toMatchObject({ status: 'sent', messageId: 'a' });
+    expect(notifier.postedParts.size).toBe(0);
+  });
+
+  it('should post plain content when there are no events and skip other channels', async () => {
+    await notifier.init();
+    await notifier.notifyMany(['905551234567', 'telegram:42', 'discord:news'], 'Test mesajı');
+
+    expect(stub.requests.slice(2)).toEqual([
+      { method: 'POST', url: '/webhooks/2/def?wait=true', body: { content: 'Test mesajı' } }
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import net from 'net';
+import { EmailNotifier, toPlainText, toEmailHtml } from '../src/infrastructure/email/email-notifier.js';
+
+/**
+ * Minimal SMTP sink: accepts every command and records the envelope and data of each mail
+ */
+function createSmtpSink() {
+  const sink = { mails: [], rejectRecipients: [] };
+
+  sink.server = net.createServer(socket => {
+    let buffer = '';
+    let mail = null;
+    let inData = false;
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          mail.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          sink.mails.push(mail);
+          socket.write('250 OK\r\n');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          return;
+        }
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 sink\r\n');
+        } else if (command === 'MAIL') {
+          mail = { from: line.match(/<(.*)>/)[1], to: [] };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          const address = line.match(/<(.*)>/)[1];
+          if (sink.rejectRecipients.includes(address)) {
+            socket.write('550 No such user\r\n');
+          } else {
+            mail.to.push(address);
+            socket.write('250 OK\r\n');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    sink.server.listen(0, '127.0.0.1', () => {
+      sink.port = sink.server.address().port;
+      resolve(sink);
+    });
+  });
+}
+
+describe('EmailNotifier', () => {
+  let sink;
+  let notifier;
+
+  beforeEach(async () => {
+    sink = await createSmtpSink();
+    notifier = new EmailNotifier({
+      host: '127.0.0.1',
+      port: sink.port,
+      from: 'monitor@example.com',
+      to: ['duke@example.com'],
+      timeout: 2000
+    });
+  });
+
+  afterEach(async () => {
+    await notifier.disconnect();
+    await new Promise(resolve => sink.server.close(resolve));
+  });
+
+  it('should verify the SMTP connection on init', async () => {
+    await notifier.init();
+
+    expect(notifier.isClientReady()).toBe(true);
+    expect(notifier.recipients).toEqual(['email:duke@example.com']);
+  });
+
+  it('should fail init when the server is unreachable', async () => {
+    const unreachable = new EmailNotifier({ host: '127.0.0.1', port: 1, from: 'monitor@example.com', timeout: 1000 });
+
+    await expect(unreachable.init()).rejects.toThrow('Email initialization failed');
+    expect(unreachable.isClientReady()).toBe(false);
+  });
+
+  it('should refuse to send before init', async () => {
+    await expect(notifier.sendNotification('Hello')).rejects.toThrow('not ready');
+  });
+
+  it('should send a multipart text and HTML mail with an event subject', async () => {
+    await notifier.init();
+    await notifier.sendNotification('*2 Yeni Köy Eventi Bulundu!*\nA <b> & c', { world: 'tr94', events: [{}, {}] });
+
+    expect(sink.mails).toHaveLength(1);
+    const [mail] = sink.mails;
+    expect(mail.from).toBe('monitor@example.com');
+    expect(mail.to).toEqual(['duke@example.com']);
+    expect(mail.data).toContain('Subject: =?UTF-8?Q?2_yeni_k=C3=B6y_eventi_=5Btr94=5D?=');
+    expect(mail.data).toContain('Content-Type: multipart/alternative');
+    expect(mail.data).toContain('Content-Type: text/plain; charset=utf-8');
+    expect(mail.data).toContain('Content-Type: text/html; charset=utf-8');
+  });
+
+  it('should write the subject in the locale of the recipients', async () => {
+    await notifier.init();
+    await notifier.sendNotification('*2 new conquers found!*', { world: 'en1', locale: 'en', events: [{}, {}] });
+
+    expect(sink.mails[0].data).toContain('Subject: 2 new conquers [en1]');
+  });
+
+  it('should only mail email recipients and keep going when one is rejected', async () => {
+    await notifier.init();
+    sink.rejectRecipients.push('nobody@example.com');
+
+    const report = await notifier.notifyMany(['905551234567', 'telegram:42', 'email:nobody@example.com', 'email:Baron@Example.com'], 'Hi');
+
+    expect(sink.mails.map(mail => mail.to)).toEqual([['baron@example.com']]);
+    expect(report.recipients.map(delivery => [delivery.recipient, delivery.status])).toEqual([
+      ['email:nobody@example.com', 'failed'],
+      ['email:Baron@Example.com', 'sent']
+    ]);
+    expect(report.recipients[1].messageId).toMatch(/^<.+>$/);
+  });
+
+  describe('rendering', () => {
+    it('should drop bold markers in plain text and convert them in HTML', () => {
+      expect(toPlainText('🏰 *Village*\nKoordinat: 450|465')).toBe('🏰 Village\nKoordinat: 450|465');
+      expect(toEmailHtml('🏰 *Village <1>*\nA & B')).toContain('🏰 <b>Village &lt;1&gt;</b><br>\nA &amp; B');
+    });
+  });
+});
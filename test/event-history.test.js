@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonlEventHistory } from '../src/infrastructure/store/jsonl-event-history.js';
+import { EventQuerySchema } from '../src/config/history-schema.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12',
+  ...overrides
+});
+
+const events = [
+  event(),
+  event({ villageName: 'Lost Hill', x: 520, y: 530, continent: 'K55', points: 12000, oldTribe: 'SiSu', newPlayer: 'Count', newTribe: 'ENEMY', timestamp: '2025-08-02 - 09:00:00' }),
+  event({ villageName: 'Barbar Köyü', points: 300, oldPlayer: null, oldTribe: null, timestamp: '2025-08-01 - 23:59:59' })
+];
+
+describe('event history', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    filePath = path.join(dir, 'history', 'tr94.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('JsonlEventHistory', () => {
+    it('should append each conquer once and keep it across instances', async () => {
+      const history = new JsonlEventHistory(filePath);
+
+      expect(await history.append(events)).toBe(3);
+      expect(await history.append([event(), { ...events[1], zones: ['front'] }])).toBe(0);
+      expect(await history.append([event({ timestamp: '2025-08-02 - 19:00:00' })])).toBe(1);
+
+      const reopened = new JsonlEventHistory(filePath);
+      const page = await reopened.query();
+      expect(page.total).toBe(4);
+      expect(page.events.map(e => e.timestamp)).toEqual([
+        '2025-08-02 - 19:00:00', '2025-08-02 - 18:08:12', '2025-08-02 - 09:00:00', '2025-08-01 - 23:59:59'
+      ]);
+      expect(page.events[2]).not.toHaveProperty('zones');
+      expect((await fs.readFile(filePath, 'utf8')).trim().split('\n')).toHaveLength(4);
+    });
+
+    it('should filter by rule and time range and page the results', async () => {
+      const history = new JsonlEventHistory(filePath);
+      await history.append(events);
+
+      const tribe = await history.query({ filter: { type: 'tribe', tribes: ['sisu'] }, limit: 1, offset: 1 });
+      expect(tribe.total).toBe(3);
+      expect(tribe.events.map(e => e.villageName)).toEqual(['Lost Hill']);
+
+      const day = await history.query({ from: '2025-08-02 - 00:00:00', to: '2025-08-02 - 18:08:12' });
+      expect(day.events.map(e => e.villageName)).toEqual(['Frontier Keep', 'Lost Hill']);
+    });
+
+    it('should order and range-filter by the instant, reading old rows from their timestamp text', async () => {
+      const history = new JsonlEventHistory(filePath, { timeZone: 'Europe/Istanbul' });
+      await history.append([
+        // 18:30 in Istanbul, printed in another layout
+        event({ villageName: 'Dotted', timestamp: '02.08.2025 18:30', epochMs: Date.UTC(2025, 7, 2, 15, 30) }),
+        // Archived before epochMs was recorded
+        event({ villageName: 'Old', timestamp: '2025-08-02 - 18:08:12' }),
+        event({ villageName: 'Next day', timestamp: '03.08.2025 00:10', epochMs: Date.UTC(2025, 7, 2, 21, 10) })
+      ]);
+
+      const page = await new JsonlEventHistory(filePath, { timeZone: 'Europe/Istanbul' }).query();
+      expect(page.events.map(e => e.villageName)).toEqual(['Next day', 'Dotted', 'Old']);
+
+      const evening = await history.query({ from: '2025-08-02 - 18:10:00', to: '2025-08-02 - 23:59:59' });
+      expect(evening.events.map(e => e.villageName)).toEqual(['Dotted']);
+    });
+
+    it('should skip a line cut off by a crash', async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, `${JSON.stringify(events[0])}\n{"villageName":"Half`, 'utf8');
+
+      expect((await new JsonlEventHistory(filePath).query()).total).toBe(1);
+    });
+  });
+
+  describe('EventQuerySchema', () => {
+    it('should combine the query parameters into one filter rule', () => {
+      const parsed = EventQuerySchema.parse({
+        tribe: 'SiSu, ENEMY', side: 'new', continent: 'K44', minX: '400', maxX: '500', minPoints: '9000',
+        from: '2025-08-02', to: '2025-08-02 18:08', limit: '10', world: 'tr94'
+      });
+
+      expect(parsed).toEqual({
+        filter: {
+          type: 'and',
+          rules: [
+            { type: 'tribe', tribes: ['SiSu', 'ENEMY'], side: 'new' },
+            { type: 'continent', continents: ['K44'] },
+            { type: 'rectangle', minX: 400, maxX: 500 },
+            { type: 'points', min: 9000 }
+          ]
+        },
+        from: '2025-08-02 - 00:00:00',
+        to: '2025-08-02 - 18:08:59',
+        limit: 10,
+        offset: 0
+      });
+      expect(EventQuerySchema.parse({}).filter).toBeNull();
+      expect(EventQuerySchema.parse({ tribeId: '7, 12', side: 'old' }).filter).toEqual({ type: 'tribe', ids: [7, 12], side: 'old' });
+    });
+
+    it('should reject malformed parameters', () => {
+      expect(EventQuerySchema.safeParse({ from: 'yesterday' }).success).toBe(false);
+      expect(EventQuerySchema.safeParse({ minX: '500', maxX: '400' }).success).toBe(false);
+      expect(EventQuerySchema.safeParse({ limit: '1000' }).success).toBe(false);
+      expect(EventQuerySchema.safeParse({ continent: 'Europe' }).success).toBe(false);
+      expect(EventQuerySchema.safeParse({ playerId: 'Duke' }).success).toBe(false);
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    it('should archive every scraped event, even on the first run', async () => {
+      const history = new JsonlEventHistory(filePath);
+      const stateStore = {
+        loadSeenEventIds: async () => null,
+        addSeenEventIds: async () => {},
+        loadLastProcessedTimestamp: vi.fn(async () => null),
+        saveLastProcessedTimestamp: vi.fn(async () => {})
+      };
+      const notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+      const useCase = new PollAndNotify({ scrape: vi.fn(async () => events) }, notifier, stateStore, null, null, { history });
+
+      await useCase.runOnce();
+
+      expect((await history.query()).total).toBe(3);
+    });
+
+    it('should keep polling when the archive can\'t be written', async () => {
+      const history = { append: vi.fn(async () => { throw new Error('EACCES'); }) };
+      const stateStore = {
+        loadSeenEventIds: async () => null,
+        addSeenEventIds: async () => {},
+        loadLastProcessedTimestamp: vi.fn(async () => null),
+        saveLastProcessedTimestamp: vi.fn(async () => {})
+      };
+      const useCase = new PollAndNotify({ scrape: vi.fn(async () => events) }, {}, stateStore, null, null, { history });
+
+      expect(await useCase.runOnce()).toMatchObject({ success: true });
+      expect(stateStore.saveLastProcessedTimestamp).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createEnnoblementEvent, eventId } from '../src/core/entities/ennoblement-event.js';
+import { FileStateStore } from '../src/infrastructure/store/file-state-store.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12',
+  ...overrides
+});
+
+// Two conquers in the same second, listed newest first
+const sameSecond = event({ villageName: 'Lost Hill', x: 520, y: 530, continent: 'K55', newPlayer: 'Count' });
+
+// In-memory state store mock
+const createMockStateStore = () => ({
+  seenIds: null,
+  timestamp: null,
+  loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+  addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+  loadLastProcessedTimestamp: vi.fn(async function () { return this.timestamp; }),
+  saveLastProcessedTimestamp: vi.fn(async function (timestamp) { this.timestamp = timestamp; })
+});
+
+describe('event identity', () => {
+  describe('eventId', () => {
+    it('should be stable for the same conquer and differ within the same second', () => {
+      expect(eventId(event())).toMatch(/^[0-9a-f]{16}$/);
+      expect(eventId(event({ villageName: 'Renamed Keep', points: 9600, zones: ['front'] }))).toBe(eventId(event()));
+      expect(eventId(createEnnoblementEvent(event()))).toBe(eventId(event()));
+      expect(eventId(sameSecond)).not.toBe(eventId(event()));
+      expect(eventId(event({ oldPlayer: null }))).not.toBe(eventId(event()));
+    });
+
+    it('should be set on created events', () => {
+      expect(createEnnoblementEvent(event()).id).toBe(eventId(event()));
+    });
+  });
+
+  describe('FileStateStore', () => {
+    let dir;
+    let stateStore;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-'));
+      stateStore = new FileStateStore(path.join(dir, 'state.json'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should keep a bounded window of seen IDs, newest first', async () => {
+      expect(await stateStore.loadSeenEventIds()).toBeNull();
+
+      await stateStore.addSeenEventIds(['b', 'a']);
+      await stateStore.addSeenEventIds(['c', 'a']);
+      expect(await stateStore.loadSeenEventIds()).toEqual(['c', 'a', 'b']);
+
+      await stateStore.addSeenEventIds(Array.from({ length: 2500 }, (_, index) => `id-${index}`));
+      const seenIds = await stateStore.loadSeenEventIds();
+      expect(seenIds).toHaveLength(2000);
+      expect(seenIds[0]).toBe('id-0');
+      expect(seenIds).not.toContain('c');
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let stateStore;
+    let notifier;
+    let scraper;
+    let useCase;
+
+    beforeEach(() => {
+      stateStore = createMockStateStore();
+      notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+      scraper = { scrape: vi.fn(async () => [event()]) };
+      useCase = new PollAndNotify(scraper, notifier, stateStore, ['905551111111'], null, { worldId: 'tr94' });
+    });
+
+    it('should mark the listed events as seen on the first run without notifying', async () => {
+      const result = await useCase.runOnce();
+
+      expect(result).toMatchObject({ success: true, eventsCount: 0 });
+      expect(notifier.notifyMany).not.toHaveBeenCalled();
+      expect(stateStore.seenIds).toEqual([eventId(event())]);
+      expect(stateStore.timestamp).toBe('2025-08-02 - 18:08:12');
+    });
+
+    it('should notify a conquer in the same second as one already seen', async () => {
+      stateStore.seenIds = [eventId(event())];
+      scraper.scrape.mockResolvedValue([sameSecond, event()]);
+
+      const result = await useCase.runOnce();
+
+      expect(result.eventsCount).toBe(1);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('Lost Hill');
+      expect(notifier.notifyMany.mock.calls[0][1]).not.toContain('Frontier Keep');
+      expect(stateStore.seenIds).toEqual([eventId(sameSecond), eventId(event())]);
+    });
+
+    it('should notify a row published late with an older timestamp', async () => {
+      const late = event({ villageName: 'Late Hill', x: 300, timestamp: '2025-08-02 - 17:00:00' });
+      stateStore.seenIds = [eventId(event())];
+      scraper.scrape.mockResolvedValue([event(), late]);
+
+      expect((await useCase.runOnce()).eventsCount).toBe(1);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('Late Hill');
+      expect(stateStore.timestamp).toBe('2025-08-02 - 18:08:12');
+
+      notifier.notifyMany.mockClear();
+      expect((await useCase.runOnce()).eventsCount).toBe(0);
+      expect(notifier.notifyMany).not.toHaveBeenCalled();
+    });
+
+    it('should use the saved timestamp once for state without seen IDs', async () => {
+      const newer = event({ villageName: 'New Keep', x: 300, timestamp: '2025-08-02 - 18:30:00' });
+      stateStore.timestamp = '2025-08-02 - 18:08:12';
+      scraper.scrape.mockResolvedValue([newer, event()]);
+
+      expect((await useCase.runOnce()).eventsCount).toBe(1);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('New Keep');
+      expect(stateStore.seenIds).toEqual([eventId(newer), eventId(event())]);
+
+      await useCase.runOnce();
+      expect(stateStore.loadLastProcessedTimestamp).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventTracker } from '../src/core/polling/event-tracker.js';
+import { createEnnoblementEvent, eventId } from '../src/core/entities/ennoblement-event.js';
+
+const event = (villageName, timestamp) => createEnnoblementEvent({
+  villageName,
+  x: 500,
+  y: 500,
+  continent: 'K55',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp
+});
+
+describe('EventTracker', () => {
+  let stateStore;
+  let tracker;
+
+  beforeEach(() => {
+    stateStore = {
+      loadSeenEventIds: vi.fn().mockResolvedValue(null),
+      loadLastProcessedTimestamp: vi.fn().mockResolvedValue(null),
+      addSeenEventIds: vi.fn().mockResolvedValue(),
+      saveLastProcessedTimestamp: vi.fn().mockResolvedValue()
+    };
+    tracker = new EventTracker(stateStore, { world: 'tr94' });
+    tracker.logger = { info: vi.fn(), error: vi.fn() };
+  });
+
+  describe('markFirstRun', () => {
+    it('should mark the listed events as seen and log the latest village', async () => {
+      const events = [event('Keep One', '2025-08-02 - 18:00:00'), event('Keep Two', '2025-08-02 - 17:00:00')];
+
+      await tracker.markFirstRun(events);
+
+      expect(stateStore.addSeenEventIds).toHaveBeenCalledWith(events.map(eventId));
+      expect(stateStore.saveLastProcessedTimestamp).toHaveBeenCalledWith('2025-08-02 - 18:00:00');
+      expect(tracker.logger.info).toHaveBeenCalledWith(
+        { latestEvent: 'Keep One', timestamp: '2025-08-02 - 18:00:00' },
+        'First run: marked listed events as seen, no notification sent'
+      );
+    });
+  });
+});
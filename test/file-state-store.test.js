@@ -19,39 +19,39 @@ describe('FileStateStore', () => {
     }
   });
 
-  describe('loadLastHash', () => {
+  describe('loadLastProcessedTimestamp', () => {
     it('should return null when file does not exist', async () => {
-      const hash = await stateStore.loadLastHash();
-      expect(hash).toBeNull();
+      const timestamp = await stateStore.loadLastProcessedTimestamp();
+      expect(timestamp).toBeNull();
     });
 
-    it('should load hash from existing file', async () => {
-      const testHash = 'test-hash-123';
-      const testState = { lastHash: testHash };
+    it('should load timestamp from existing file', async () => {
+      const testTimestamp = '2025-08-02 - 18:08:12';
+      const testState = { lastProcessedTimestamp: testTimestamp };
       
       await fs.writeFile(testFilePath, JSON.stringify(testState));
       
-      const hash = await stateStore.loadLastHash();
-      expect(hash).toBe(testHash);
+      const timestamp = await stateStore.loadLastProcessedTimestamp();
+      expect(timestamp).toBe(testTimestamp);
     });
 
     it('should handle malformed JSON gracefully', async () => {
       await fs.writeFile(testFilePath, 'invalid json');
       
-      await expect(stateStore.loadLastHash()).rejects.toThrow();
+      await expect(stateStore.loadLastProcessedTimestamp()).rejects.toThrow();
     });
   });
 
-  describe('saveLastHash', () => {
-    it('should save hash to file', async () => {
-      const testHash = 'new-hash-456';
+  describe('saveLastProcessedTimestamp', () => {
+    it('should save timestamp to file', async () => {
+      const testTimestamp = '2025-08-02 - 18:08:12';
       
-      await stateStore.saveLastHash(testHash);
+      await stateStore.saveLastProcessedTimestamp(testTimestamp);
       
       const data = await fs.readFile(testFilePath, 'utf8');
       const savedState = JSON.parse(data);
       
-      expect(savedState.lastHash).toBe(testHash);
+      expect(savedState.lastProcessedTimestamp).toBe(testTimestamp);
     });
 
     it('should create directory if it does not exist', async () => {
@@ -59,13 +59,13 @@ describe('FileStateStore', () => {
       const filePath = `${dirPath}/state.json`;
       const testStore = new FileStateStore(filePath);
       
-      const testHash = 'test-hash';
-      await testStore.saveLastHash(testHash);
+      const testTimestamp = '2025-08-02 - 18:08:12';
+      await testStore.saveLastProcessedTimestamp(testTimestamp);
       
       const data = await fs.readFile(filePath, 'utf8');
       const savedState = JSON.parse(data);
       
-      expect(savedState.lastHash).toBe(testHash);
+      expect(savedState.lastProcessedTimestamp).toBe(testTimestamp);
       
       // Cleanup
       await fs.unlink(filePath);
@@ -75,8 +75,7 @@ describe('FileStateStore', () => {
 
   describe('clear', () => {
     it('should remove state file', async () => {
-      const testHash = 'test-hash';
-      await stateStore.saveLastHash(testHash);
+      await stateStore.saveLastProcessedTimestamp('2025-08-02 - 18:08:12');
       
       // Verify file exists
       const exists = await fs.access(testFilePath).then(() => true).catch(() => false);
@@ -94,18 +93,57 @@ describe('FileStateStore', () => {
     });
   });
 
-  describe('getCurrentState', () => {
-    it('should return current state object', async () => {
-      const testHash = 'test-hash';
-      await stateStore.saveLastHash(testHash);
+  describe('seen event IDs', () => {
+    it('should return the stored IDs next to the timestamp', async () => {
+      await stateStore.saveLastProcessedTimestamp('2025-08-02 - 18:08:12');
+      await stateStore.addSeenEventIds(['31b0ced820ebb8e1']);
       
-      const state = stateStore.getCurrentState();
-      expect(state).toEqual({ lastHash: testHash });
+      expect(await stateStore.loadSeenEventIds()).toEqual(['31b0ced820ebb8e1']);
+      expect(await stateStore.loadLastProcessedTimestamp()).toBe('2025-08-02 - 18:08:12');
     });
 
-    it('should return null when no state is loaded', () => {
-      const state = stateStore.getCurrentState();
-      expect(state).toBeNull();
+    it('should return null when no IDs were saved', async () => {
+      expect(await stateStore.loadSeenEventIds()).toBeNull();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('filters', () => {
+    it('should return null when filters were never saved', async () => {
+      expect(await stateStore.loadFilters()).toBeNull();
+    });
+
+    it('should save and load filters without touching the timestamp', async () => {
+      const filters = [{ id: 'f1', name: 'SiSu', enabled: true, rule: { type: 'tribe', tribes: ['SiSu'] } }];
+
+      await stateStore.saveLastProcessedTimestamp('2025-08-02 - 18:08:12');
+      await stateStore.saveFilters(filters);
+
+      expect(await stateStore.loadFilters()).toEqual(filters);
+      expect(await stateStore.loadLastProcessedTimestamp()).toBe('2025-08-02 - 18:08:12');
+    });
+
+    it('should serialize concurrent writes', async () => {
+      await Promise.all([
+        stateStore.saveLastProcessedTimestamp('2025-08-02 - 18:08:12'),
+        stateStore.saveFilters([])
+      ]);
+
+      expect(await stateStore.loadFilters()).toEqual([]);
+      expect(await stateStore.loadLastProcessedTimestamp()).toBe('2025-08-02 - 18:08:12');
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should save and load subscriptions next to filters', async () => {
+      const subscriptions = [{ recipient: '905551234567', filters: [] }];
+
+      expect(await stateStore.loadSubscriptions()).toBeNull();
+
+      await stateStore.saveFilters([]);
+      await stateStore.saveSubscriptions(subscriptions);
+
+      expect(await stateStore.loadSubscriptions()).toEqual(subscriptions);
+      expect(await stateStore.loadFilters()).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest';
+import { compileFilter, compileZoneCollector, matchesFilter, applyFilter, continentOf } from '../src/core/filters/filter-engine.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const baseEvent = {
+  villageName: 'Village1',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 1234,
+  oldPlayer: 'Player1',
+  oldTribe: 'SiSu',
+  newPlayer: 'Player2',
+  newTribe: 'EnemyTribe',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+const event = (overrides = {}) => ({ ...baseEvent, ...overrides });
+
+describe('filter engine', () => {
+  describe('tribe rule', () => {
+    it('should match either side case-insensitively by default', () => {
+      const rule = { type: 'tribe', tribes: ['sisu'] };
+
+      expect(matchesFilter(rule, event())).toBe(true);
+      expect(matchesFilter(rule, event({ oldTribe: 'Other', newTribe: 'SISU' }))).toBe(true);
+      expect(matchesFilter(rule, event({ oldTribe: 'Other' }))).toBe(false);
+    });
+
+    it('should respect the side option', () => {
+      const rule = { type: 'tribe', tribes: ['SiSu'], side: 'new' };
+
+      expect(matchesFilter(rule, event())).toBe(false);
+      expect(matchesFilter(rule, event({ newTribe: 'SiSu' }))).toBe(true);
+    });
+
+    it('should treat null and "null" tribes as no tribe', () => {
+      const rule = { type: 'tribe', tribes: ['null'] };
+
+      expect(matchesFilter(rule, event({ oldTribe: null, newTribe: 'null' }))).toBe(false);
+    });
+
+    it('should match TWStats IDs across renames', () => {
+      const rule = { type: 'tribe', ids: [7], side: 'new' };
+
+      expect(matchesFilter(rule, event({ newTribe: 'Renamed', newTribeId: 7 }))).toBe(true);
+      expect(matchesFilter(rule, event({ oldTribeId: 7, newTribeId: 8 }))).toBe(false);
+      expect(matchesFilter(rule, event())).toBe(false);
+      expect(matchesFilter({ type: 'tribe', tribes: ['SiSu'], ids: [7] }, event({ oldTribe: 'Other', newTribeId: 7 }))).toBe(true);
+    });
+  });
+
+  describe('player rule', () => {
+    it('should match player names', () => {
+      const rule = { type: 'player', players: ['player2'], side: 'new' };
+
+      expect(matchesFilter(rule, event())).toBe(true);
+      expect(matchesFilter(rule, event({ newPlayer: 'Someone' }))).toBe(false);
+    });
+
+    it('should match player IDs', () => {
+      const rule = { type: 'player', ids: [12] };
+
+      expect(matchesFilter(rule, event({ oldPlayerId: 12 }))).toBe(true);
+      expect(matchesFilter(rule, event({ newPlayer: 'Player12', newPlayerId: 13 }))).toBe(false);
+    });
+  });
+
+  describe('rectangle rule', () => {
+    it('should use inclusive bounds and leave missing bounds open', () => {
+      const rule = { type: 'rectangle', maxX: 451, minY: 463 };
+
+      expect(matchesFilter(rule, event({ x: 451, y: 463 }))).toBe(true);
+      expect(matchesFilter(rule, event({ x: 452, y: 465 }))).toBe(false);
+      expect(matchesFilter(rule, event({ x: 450, y: 462 }))).toBe(false);
+    });
+  });
+
+  describe('continent rule', () => {
+    it('should accept continent names and numbers', () => {
+      expect(matchesFilter({ type: 'continent', continents: ['k44'] }, event())).toBe(true);
+      expect(matchesFilter({ type: 'continent', continents: [44] }, event())).toBe(true);
+      expect(matchesFilter({ type: 'continent', continents: ['K45'] }, event())).toBe(false);
+    });
+
+    it('should derive the continent from coordinates when the scraper did not find one', () => {
+      const rule = { type: 'continent', continents: ['K54'] };
+
+      expect(matchesFilter(rule, event({ x: 412, y: 530, continent: 'Unknown' }))).toBe(true);
+      expect(continentOf(412, 530)).toBe('K54');
+    });
+  });
+
+  describe('points rule', () => {
+    it('should match inclusive point ranges', () => {
+      expect(matchesFilter({ type: 'points', min: 1234 }, event())).toBe(true);
+      expect(matchesFilter({ type: 'points', min: 1000, max: 1200 }, event())).toBe(false);
+    });
+  });
+
+  describe('direction rule', () => {
+    it('should classify gains, losses and internal moves for a tribe', () => {
+      const loss = event();
+      const gain = event({ oldTribe: 'EnemyTribe', newTribe: 'SiSu' });
+      const internal = event({ newTribe: 'SiSu' });
+
+      expect(matchesFilter({ type: 'direction', tribe: 'SiSu', direction: 'loss' }, loss)).toBe(true);
+      expect(matchesFilter({ type: 'direction', tribe: 'SiSu', direction: 'loss' }, gain)).toBe(false);
+      expect(matchesFilter({ type: 'direction', tribe: 'SiSu', direction: 'gain' }, gain)).toBe(true);
+      expect(matchesFilter({ type: 'direction', tribe: 'SiSu', direction: 'internal' }, internal)).toBe(true);
+      expect(matchesFilter({ type: 'direction', tribe: 'SiSu', direction: 'gain' }, internal)).toBe(false);
+    });
+
+    it('should classify by tribe ID when one is given', () => {
+      const loss = event({ oldTribe: 'Renamed', oldTribeId: 7, newTribeId: 9 });
+
+      expect(matchesFilter({ type: 'direction', tribeId: 7, direction: 'loss' }, loss)).toBe(true);
+      expect(matchesFilter({ type: 'direction', tribeId: 9, direction: 'gain' }, loss)).toBe(true);
+      expect(matchesFilter({ type: 'direction', tribeId: 7, direction: 'loss' }, event())).toBe(false);
+    });
+  });
+
+  describe('geofence rules', () => {
+    const frontline = { type: 'circle', name: 'Frontline North', center: { x: 452, y: 462 }, radius: 5 };
+    const home = {
+      type: 'polygon',
+      name: 'Home K44',
+      points: [{ x: 400, y: 400 }, { x: 499, y: 400 }, { x: 499, y: 499 }, { x: 400, y: 499 }]
+    };
+
+    it('should match villages inside a circle or polygon', () => {
+      expect(matchesFilter(frontline, event({ x: 450, y: 465 }))).toBe(true);
+      expect(matchesFilter(frontline, event({ x: 440, y: 465 }))).toBe(false);
+      expect(matchesFilter(home, event({ x: 440, y: 465 }))).toBe(true);
+      expect(matchesFilter(home, event({ x: 540, y: 465 }))).toBe(false);
+    });
+
+    it('should collect the names of every zone a village lies in', () => {
+      const collect = compileZoneCollector({ type: 'or', rules: [frontline, home] });
+
+      expect(collect(event({ x: 450, y: 465 }))).toEqual(['Frontline North', 'Home K44']);
+      expect(collect(event({ x: 410, y: 410 }))).toEqual(['Home K44']);
+    });
+
+    it('should ignore geofences under not and return null without geofences', () => {
+      const collect = compileZoneCollector({ type: 'and', rules: [home, { type: 'not', rule: frontline }] });
+
+      expect(collect(event({ x: 450, y: 465 }))).toEqual(['Home K44']);
+      expect(compileZoneCollector({ type: 'tribe', tribes: ['SiSu'] })).toBeNull();
+    });
+
+    it('should tag filtered events with their zones and show them in messages', () => {
+      const useCase = new PollAndNotify({}, {}, {}, [], frontline);
+      const [matched] = useCase.filterEvents([event({ x: 450, y: 465 }), event({ x: 300, y: 300 })]);
+
+      expect(matched.zones).toEqual(['Frontline North']);
+      expect(useCase.formatSingleEvent(matched)).toContain('Bölge: Frontline North');
+    });
+  });
+
+  describe('combinators', () => {
+    it('should combine rules with and/or/not', () => {
+      const rule = {
+        type: 'and',
+        rules: [
+          { type: 'tribe', tribes: ['SiSu'] },
+          { type: 'or', rules: [{ type: 'continent', continents: ['K44'] }, { type: 'points', min: 9000 }] },
+          { type: 'not', rule: { type: 'player', players: ['Barbarian'] } }
+        ]
+      };
+
+      expect(matchesFilter(rule, event())).toBe(true);
+      expect(matchesFilter(rule, event({ continent: 'K55', x: 550, y: 550 }))).toBe(false);
+      expect(matchesFilter(rule, event({ oldPlayer: 'Barbarian' }))).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      [{ type: 'unknown' }, /unknown rule type/],
+      [{ type: 'tribe', tribes: [] }, /tribes must be a non-empty array/],
+      [{ type: 'tribe', tribes: ['SiSu'], side: 'both' }, /side must be one of/],
+      [{ type: 'player' }, /players must be a non-empty array unless ids are given/],
+      [{ type: 'tribe', ids: [0] }, /ids must be a non-empty array of positive integers/],
+      [{ type: 'direction', tribeId: '7', direction: 'loss' }, /tribeId must be a positive integer/],
+      [{ type: 'rectangle' }, /at least one bound/],
+      [{ type: 'points', min: 10, max: 5 }, /min must not exceed max/],
+      [{ type: 'continent', continents: ['North'] }, /is not a continent/],
+      [{ type: 'direction', tribe: 'SiSu', direction: 'sideways' }, /direction must be one of/],
+      [{ type: 'and', rules: [] }, /non-empty rules array/],
+      [{ type: 'circle', center: { x: 1, y: 1 }, radius: 3 }, /requires a zone name/],
+      [{ type: 'circle', name: 'Z', center: { x: 1 }, radius: 3 }, /numeric x and y/],
+      [{ type: 'circle', name: 'Z', center: { x: 1, y: 1 }, radius: -1 }, /non-negative/],
+      [{ type: 'polygon', name: 'Z', points: [{ x: 1, y: 1 }, { x: 2, y: 2 }] }, /at least 3 points/]
+    ])('should reject %j', (rule, message) => {
+      expect(() => compileFilter(rule)).toThrow(message);
+    });
+
+    it('should report the path of a nested invalid rule', () => {
+      const rule = { type: 'or', rules: [{ type: 'tribe', tribes: ['SiSu'] }, { type: 'not', rule: null }] };
+
+      expect(() => compileFilter(rule)).toThrow('rule.rules[1].rule');
+    });
+  });
+
+  describe('applyFilter', () => {
+    it('should return every event for a null rule', () => {
+      const events = [event(), event({ oldTribe: 'Other' })];
+
+      expect(applyFilter(null, events)).toBe(events);
+      expect(applyFilter({ type: 'tribe', tribes: ['SiSu'] }, events)).toEqual([events[0]]);
+    });
+  });
+
+  describe('PollAndNotify integration', () => {
+    it('should evaluate the same rule set through filterEvents', () => {
+      const rule = { type: 'direction', tribe: 'SiSu', direction: 'gain' };
+      const useCase = new PollAndNotify({}, {}, {}, [], rule);
+      const events = [event(), event({ oldTribe: 'EnemyTribe', newTribe: 'SiSu' })];
+
+      expect(useCase.filterEvents(events)).toEqual(applyFilter(rule, events));
+
+      useCase.setFilters(null);
+      expect(useCase.filterEvents(events)).toEqual(events);
+      expect(useCase.configuredFilters).toEqual(rule);
+    });
+  });
+});
\ No newline at end of file
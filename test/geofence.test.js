@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { distanceBetween, isInsideCircle, isInsidePolygon } from '../src/core/filters/geofence.js';
+
+describe('geofence', () => {
+  describe('distanceBetween', () => {
+    it('should return the Tribal Wars field distance', () => {
+      expect(distanceBetween({ x: 450, y: 460 }, { x: 453, y: 464 })).toBe(5);
+      expect(distanceBetween({ x: 500, y: 500 }, { x: 500, y: 500 })).toBe(0);
+    });
+  });
+
+  describe('isInsideCircle', () => {
+    it('should include villages on the radius', () => {
+      const center = { x: 450, y: 460 };
+
+      expect(isInsideCircle({ x: 453, y: 464 }, center, 5)).toBe(true);
+      expect(isInsideCircle({ x: 454, y: 464 }, center, 5)).toBe(false);
+    });
+  });
+
+  describe('isInsidePolygon', () => {
+    // L-shaped zone
+    const polygon = [
+      { x: 400, y: 400 },
+      { x: 420, y: 400 },
+      { x: 420, y: 410 },
+      { x: 410, y: 410 },
+      { x: 410, y: 420 },
+      { x: 400, y: 420 }
+    ];
+
+    it('should detect villages inside a concave polygon', () => {
+      expect(isInsidePolygon({ x: 405, y: 415 }, polygon)).toBe(true);
+      expect(isInsidePolygon({ x: 415, y: 405 }, polygon)).toBe(true);
+      expect(isInsidePolygon({ x: 415, y: 415 }, polygon)).toBe(false);
+      expect(isInsidePolygon({ x: 399, y: 405 }, polygon)).toBe(false);
+    });
+
+    it('should treat vertices and edges as inside', () => {
+      expect(isInsidePolygon({ x: 400, y: 400 }, polygon)).toBe(true);
+      expect(isInsidePolygon({ x: 410, y: 415 }, polygon)).toBe(true);
+      expect(isInsidePolygon({ x: 415, y: 410 }, polygon)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createTranslator } from '../src/core/i18n/translator.js';
+import { MessageRenderer } from '../src/core/templates/message-renderer.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { ManageSubscriptions } from '../src/core/use-cases/manage-subscriptions.js';
+
+const event = {
+  villageName: null,
+  x: 450,
+  y: 465,
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: null,
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+describe('i18n', () => {
+  describe('createTranslator', () => {
+    it('should fall back to the default locale for unknown locales and missing keys', () => {
+      const catalogs = { tr: { greeting: 'Merhaba {name}', bye: 'Güle güle' }, en: { greeting: 'Hello {name}' } };
+
+      expect(createTranslator('en', { catalogs }).t('greeting', { name: 'Duke' })).toBe('Hello Duke');
+      expect(createTranslator('en', { catalogs }).t('bye')).toBe('Güle güle');
+      expect(createTranslator('fr', { catalogs })).toMatchObject({ locale: 'tr' });
+      expect(createTranslator('en', { catalogs }).t('missing')).toBe('missing');
+    });
+
+    it('should format numbers and timestamps for the locale', () => {
+      const tr = createTranslator('tr');
+      const en = createTranslator('en');
+      const de = createTranslator('de');
+
+      expect([tr, en, de].map(translator => translator.formatNumber(9500.5))).toEqual(['9.500,5', '9,500.5', '9.500,5']);
+      expect(tr.formatTimestamp('2025-08-02 - 18:08:12')).toBe('02.08.2025 18:08:12');
+      expect(en.formatTimestamp('2025-08-02 - 18:08:12')).toBe('08/02/2025, 06:08:12 PM');
+      expect(de.formatTimestamp('2025-08-02 - 18:08:12')).toBe('02.08.2025, 18:08:12');
+      expect(tr.formatTimestamp('yesterday')).toBe('yesterday');
+    });
+  });
+
+  describe('MessageRenderer', () => {
+    it('should render the built-in layout in each locale', () => {
+      const renderer = new MessageRenderer();
+
+      expect(renderer.render([event], { locale: 'en' })).toBe(
+        '🏰 *Unknown village*\nCoordinates: 450|465\n🔄 Baron (no tribe) → Duke (SiSu)\n⏰ 08/02/2025, 06:08:12 PM'
+      );
+      expect(renderer.render([event, event], { locale: 'de' })).toMatch(/^\*2 neue Adelungen gefunden!\*\n\n1\. 🏰 \*Unbekanntes Dorf\*/);
+      expect(renderer.render([event], { locale: 'xx' })).toContain('Bilinmeyen Köy');
+    });
+
+    it('should format numbers in custom templates and expose the locale', () => {
+      const renderer = new MessageRenderer({ eventTemplate: '{{points}} {{locale}}', locale: 'en' });
+
+      expect(renderer.renderEvent(event)).toBe('9,500 en');
+      expect(renderer.renderEvent(event, { locale: 'de' })).toBe('9.500 de');
+    });
+  });
+
+  describe('per-recipient locale', () => {
+    const DUKE = '905551234567';
+    const BARON = '905559876543';
+
+    it('should render each recipient in its own locale, defaulting to the world locale', async () => {
+      const notifier = { isClientReady: () => true, notifyMany: vi.fn(async () => {}) };
+      const useCase = new PollAndNotify({}, notifier, {}, [DUKE, BARON], null, {
+        locale: 'de',
+        subscriptions: [{ recipient: DUKE, filters: [], locale: 'en' }, { recipient: BARON, filters: [] }]
+      });
+
+      const messages = useCase.planMessages([event]);
+
+      expect(messages.map(({ recipients, locale }) => ({ recipients, locale }))).toEqual([
+        { recipients: [DUKE], locale: 'en' },
+        { recipients: [BARON], locale: 'de' }
+      ]);
+      expect(messages[0].message).toContain('Coordinates: 450|465');
+      expect(messages[1].message).toContain('Koordinaten: 450|465');
+      expect(useCase.renderMessage([])).toBe('Keine neuen Adelungen gefunden.');
+    });
+
+    it('should keep a subscription locale when the filters change', async () => {
+      const stateStore = {
+        subscriptions: null,
+        loadSubscriptions: vi.fn(async function () { return this.subscriptions; }),
+        saveSubscriptions: vi.fn(async function (subscriptions) { this.subscriptions = subscriptions; })
+      };
+      const pollAndNotify = new PollAndNotify({}, {}, stateStore, [], null);
+      const manageSubscriptions = new ManageSubscriptions(stateStore, pollAndNotify);
+
+      await manageSubscriptions.subscribe(DUKE, [], { locale: 'en' });
+      const { subscription } = await manageSubscriptions.subscribe(DUKE, [{ type: 'continent', continents: ['K44'] }]);
+      expect(subscription.locale).toBe('en');
+      expect(pollAndNotify.planDeliveries([{ ...event, continent: 'K44' }])[0].locale).toBe('en');
+
+      const reset = await manageSubscriptions.subscribe(DUKE, [], { locale: null });
+      expect(reset.subscription).not.toHaveProperty('locale');
+    });
+  });
+});
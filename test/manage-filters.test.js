@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ManageFilters } from '../src/core/use-cases/manage-filters.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+// In-memory state store mock
+const createMockStateStore = (filters = null) => ({
+  filters,
+  loadFilters: vi.fn(async function () { return this.filters; }),
+  saveFilters: vi.fn(async function (filters) { this.filters = filters; })
+});
+
+const sisuRule = { type: 'tribe', tribes: ['SiSu'] };
+const k45Rule = { type: 'continent', continents: ['K45'] };
+
+describe('ManageFilters', () => {
+  let stateStore;
+  let pollAndNotify;
+  let manageFilters;
+
+  beforeEach(async () => {
+    stateStore = createMockStateStore();
+    pollAndNotify = new PollAndNotify({}, {}, stateStore, [], sisuRule);
+    await pollAndNotify.loadFilters();
+    manageFilters = new ManageFilters(stateStore, pollAndNotify);
+  });
+
+  describe('list', () => {
+    it('should expose the configured rule as a default filter until filters are saved', async () => {
+      const filters = await manageFilters.list();
+
+      expect(filters).toHaveLength(1);
+      expect(filters[0]).toMatchObject({ id: 'default', enabled: true, rule: sisuRule });
+      expect(manageFilters.getActiveRule()).toEqual(sisuRule);
+    });
+
+    it('should return stored filters once saved', async () => {
+      stateStore.filters = [];
+
+      expect(await manageFilters.list()).toEqual([]);
+    });
+  });
+
+  describe('create', () => {
+    it('should persist the filter and reload PollAndNotify', async () => {
+      const created = await manageFilters.create({ name: 'Home K45', rule: k45Rule });
+
+      expect(created).toMatchObject({ name: 'Home K45', enabled: true, rule: k45Rule });
+      expect(created.id).toBeTruthy();
+      expect(stateStore.saveFilters).toHaveBeenCalledTimes(1);
+      expect(stateStore.filters).toHaveLength(2);
+      expect(pollAndNotify.filters).toEqual({ type: 'or', rules: [sisuRule, k45Rule] });
+    });
+
+    it('should reject malformed rules without saving', async () => {
+      await expect(manageFilters.create({ name: 'Broken', rule: { type: 'points', min: 5, max: 1 } }))
+        .rejects.toThrow('min must not exceed max');
+      expect(stateStore.saveFilters).not.toHaveBeenCalled();
+    });
+
+    it('should not lose concurrent changes', async () => {
+      await Promise.all([
+        manageFilters.create({ name: 'A', rule: k45Rule }),
+        manageFilters.create({ name: 'B', rule: k45Rule })
+      ]);
+
+      expect(stateStore.filters.map(filter => filter.name)).toEqual(['FILTER_RULE', 'A', 'B']);
+    });
+  });
+
+  describe('update', () => {
+    it('should update fields and the applied rule', async () => {
+      const updated = await manageFilters.update('default', { enabled: false });
+
+      expect(updated.enabled).toBe(false);
+      expect(pollAndNotify.filters).toBeNull();
+    });
+
+    it('should return null for unknown filters without saving', async () => {
+      expect(await manageFilters.update('missing', { enabled: false })).toBeNull();
+      expect(stateStore.saveFilters).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove the filter and stop filtering when none is left', async () => {
+      expect(await manageFilters.remove('default')).toBe(true);
+      expect(stateStore.filters).toEqual([]);
+      expect(pollAndNotify.filters).toBeNull();
+    });
+
+    it('should return false for unknown filters', async () => {
+      expect(await manageFilters.remove('missing')).toBe(false);
+    });
+  });
+
+  describe('setAllEnabled', () => {
+    it('should switch every filter on or off', async () => {
+      await manageFilters.create({ name: 'Home K45', rule: k45Rule, enabled: false });
+
+      await manageFilters.setAllEnabled(true);
+      expect(stateStore.filters.every(filter => filter.enabled)).toBe(true);
+      expect(pollAndNotify.filters).toEqual({ type: 'or', rules: [sisuRule, k45Rule] });
+
+      await manageFilters.setAllEnabled(false);
+      expect(pollAndNotify.filters).toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileOutbox } from '../src/infrastructure/store/file-outbox.js';
+import { DispatchOutbox } from '../src/core/use-cases/dispatch-outbox.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const event = {
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+describe('Outbox', () => {
+  let dir;
+  let store;
+  let notifier;
+  let outbox;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    store = new FileOutbox(path.join(dir, 'outbox.json'));
+    notifier = {
+      recipients: ['905551234567'],
+      isClientReady: vi.fn(() => true),
+      notifyMany: vi.fn(async () => {}),
+      sendNotification: vi.fn(async () => {})
+    };
+    outbox = new DispatchOutbox(store, notifier, { maxAttempts: 2, retryDelayMs: 1000 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('FileOutbox', () => {
+    it('should persist, update and purge items', async () => {
+      await store.add([{ id: 'a', world: 'tr94', status: 'pending' }, { id: 'b', world: 'tr95', status: 'expired' }]);
+
+      expect(await new FileOutbox(store.filePath).list()).toHaveLength(2);
+      expect(await store.update('a', { attempts: 1 })).toEqual({ id: 'a', world: 'tr94', status: 'pending', attempts: 1 });
+      expect(await store.update('missing', { attempts: 1 })).toBeNull();
+      expect(await store.purge({ status: 'expired' })).toBe(1);
+      expect(await store.remove('a')).toBe(true);
+      expect(await store.list()).toEqual([]);
+    });
+  });
+
+  describe('DispatchOutbox', () => {
+    it('should deliver queued messages and remove them', async () => {
+      const [item] = await outbox.enqueue([{ world: 'tr94', recipients: ['905551234567'], message: 'Hello', events: [event] }]);
+
+      const deliveries = await outbox.runOnce();
+
+      expect(deliveries).toEqual([{
+        id: item.id,
+        status: 'delivered',
+        error: null,
+        report: {
+          recipients: [{ recipient: '905551234567', channel: 'whatsapp', status: 'sent', messageId: null, error: null }],
+          sentCount: 1,
+          failedCount: 0
+        }
+      }]);
+      expect(notifier.notifyMany).toHaveBeenCalledWith(['905551234567'], 'Hello', { world: 'tr94', locale: null, events: [event], render: undefined });
+      expect(await outbox.list()).toEqual([]);
+    });
+
+    it('should keep items without using attempts while the notifier is not ready', async () => {
+      notifier.isClientReady.mockReturnValue(false);
+      await outbox.enqueue([{ world: 'tr94', recipients: null, message: 'Hello', events: [event] }]);
+
+      expect((await outbox.runOnce())[0].status).toBe('deferred');
+      expect((await outbox.list())[0]).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('should back off after a failure and expire after the last attempt', async () => {
+      notifier.sendNotification.mockRejectedValue(new Error('No notification channel delivered the message'));
+      const [item] = await outbox.enqueue([{ world: 'tr94', recipients: null, message: 'Hello', events: [event] }]);
+
+      expect((await outbox.runOnce())[0].status).toBe('failed');
+      const [failed] = await outbox.list();
+      expect(failed).toMatchObject({ attempts: 1, status: 'pending', lastError: 'No notification channel delivered the message' });
+      expect(Date.parse(failed.nextAttemptAt)).toBeGreaterThan(Date.now());
+      expect(await outbox.runOnce()).toEqual([]);
+
+      expect((await outbox.deliver([item]))[0].status).toBe('expired');
+      expect(await outbox.list({ status: 'expired' })).toHaveLength(1);
+    });
+
+    it('should only retry the recipients that did not get the message', async () => {
+      notifier.notifyMany.mockResolvedValue({
+        recipients: [
+          { recipient: '905551234567', channel: 'whatsapp', status: 'sent', messageId: 'm1', error: null },
+          { recipient: 'telegram:42', channel: 'telegram', status: 'failed', messageId: null, error: 'Forbidden' },
+          { recipient: '905559876543', channel: 'whatsapp', status: 'failed', messageId: null, error: 'Evaluation failed', fallback: 'telegram' }
+        ],
+        sentCount: 1,
+        failedCount: 2
+      });
+      await outbox.enqueue([{ world: 'tr94', recipients: ['905551234567', 'telegram:42', '905559876543'], message: 'Hello', events: [event] }]);
+
+      expect((await outbox.runOnce())[0]).toMatchObject({ status: 'failed', error: 'Not delivered to telegram:42' });
+      expect((await outbox.list())[0]).toMatchObject({ recipients: ['telegram:42'], attempts: 1 });
+    });
+
+    it('should hold later parts of a split message until the earlier ones are delivered', async () => {
+      notifier.notifyMany.mockRejectedValueOnce(new Error('Evaluation failed'));
+      const items = await outbox.enqueue([1, 2].map(part =>
+        ({ world: 'tr94', recipients: ['905551234567'], message: `Part ${part}`, events: [event], part, parts: 2 })));
+
+      expect((await outbox.runOnce()).map(({ status }) => status)).toEqual(['failed', 'deferred']);
+      expect(notifier.notifyMany.mock.calls.map(([, message]) => message)).toEqual(['Part 1']);
+      expect((await outbox.list())[1]).toMatchObject({ batch: items[0].id, attempts: 0 });
+
+      expect((await outbox.deliver(items)).map(({ status }) => status)).toEqual(['delivered', 'delivered']);
+      expect(notifier.notifyMany.mock.calls.map(([, message]) => message)).toEqual(['Part 1', 'Part 1', 'Part 2']);
+    });
+
+    it('should expire items past their time to live', async () => {
+      const shortLived = new DispatchOutbox(store, notifier, { ttlMs: -1 });
+      await shortLived.enqueue([{ world: 'tr94', recipients: null, message: 'Hello', events: [event] }]);
+
+      expect((await shortLived.runOnce())[0].status).toBe('expired');
+      expect(notifier.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PollAndNotify with an outbox', () => {
+    const createUseCase = stateStore => new PollAndNotify(
+      { scrape: async () => [event] },
+      notifier,
+      stateStore,
+      ['905551234567'],
+      null,
+      { worldId: 'tr94', outbox }
+    );
+
+    it('should queue messages before moving the watermark and keep them when delivery fails', async () => {
+      notifier.notifyMany.mockRejectedValue(new Error('WhatsApp client not ready'));
+      const stateStore = {
+        loadSeenEventIds: async () => null,
+        addSeenEventIds: async () => {},
+        loadLastProcessedTimestamp: async () => '2025-08-02 - 18:00:00',
+        saveLastProcessedTimestamp: vi.fn(async () => {
+          expect(await outbox.list()).toHaveLength(1);
+        })
+      };
+
+      const result = await createUseCase(stateStore).runOnce();
+
+      expect(stateStore.saveLastProcessedTimestamp).toHaveBeenCalledWith(event.timestamp);
+      expect(result).toMatchObject({ success: true, eventsCount: 1, recipientsCount: 0, pendingCount: 1 });
+      expect(result.delivery.recipients).toEqual([
+        { recipient: '905551234567', channel: 'whatsapp', status: 'failed', messageId: null, error: 'WhatsApp client not ready' }
+      ]);
+      expect((await outbox.list())[0]).toMatchObject({ world: 'tr94', recipients: ['905551234567'], attempts: 1 });
+    });
+
+    it('should deliver queued messages right away when the notifier is ready', async () => {
+      const stateStore = {
+        loadSeenEventIds: async () => null,
+        addSeenEventIds: async () => {},
+        loadLastProcessedTimestamp: async () => '2025-08-02 - 18:00:00',
+        saveLastProcessedTimestamp: async () => {}
+      };
+
+      const result = await createUseCase(stateStore).runOnce();
+
+      expect(result).toMatchObject({ recipientsCount: 1, pendingCount: 0 });
+      expect(result.delivery.recipients).toEqual([
+        { recipient: '905551234567', channel: 'whatsapp', status: 'sent', messageId: null, error: null }
+      ]);
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(await outbox.list()).toEqual([]);
+    });
+  });
+});
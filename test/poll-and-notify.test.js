@@ -1,5 +1,6 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { eventId } from '../src/core/entities/ennoblement-event.js';
 
 // Mock dependencies
 const mockScraper = {
@@ -7,36 +8,56 @@ const mockScraper = {
 };
 
 const mockNotifier = {
+  isClientReady: vi.fn(() => true),
   notifyMany: vi.fn()
 };
 
 const mockStateStore = {
-  loadLastHash: vi.fn(),
-  saveLastHash: vi.fn()
+  loadSeenEventIds: vi.fn(),
+  addSeenEventIds: vi.fn(),
+  loadLastProcessedTimestamp: vi.fn(),
+  saveLastProcessedTimestamp: vi.fn()
 };
 
+const event = (overrides = {}) => ({
+  villageName: 'Village1',
+  x: 450,
+  y: 465,
+  points: 1234,
+  oldPlayer: 'Player1',
+  oldTribe: 'SiSu',
+  newPlayer: 'Player2',
+  newTribe: 'EnemyTribe',
+  timestamp: '2024-01-01 - 10:00:00',
+  ...overrides
+});
+
 describe('PollAndNotify', () => {
   let pollAndNotify;
   const recipients = ['905551234567', '905559876543'];
-  const template = 'Updates:\n{{items}}';
+  // SiSu on either side, x < 452 and y > 462
   const filters = {
-    clan: 'SiSu',
-    xMax: 452,
-    yMin: 462
+    type: 'and',
+    rules: [
+      { type: 'tribe', tribes: ['SiSu'] },
+      { type: 'rectangle', maxX: 451, minY: 463 }
+    ]
   };
 
   beforeEach(() => {
     // Reset all mocks
     vi.clearAllMocks();
-    
+    mockNotifier.isClientReady.mockReturnValue(true);
+    mockStateStore.loadLastProcessedTimestamp.mockResolvedValue(null);
+
     // Create fresh instance
     pollAndNotify = new PollAndNotify(
       mockScraper,
       mockNotifier,
       mockStateStore,
       recipients,
-      template,
-      filters
+      filters,
+      { worldId: 'tr94' }
     );
   });
 
@@ -44,62 +65,31 @@ describe('PollAndNotify', () => {
     it('should initialize with correct properties', () => {
       expect(pollAndNotify.scraper).toBe(mockScraper);
       expect(pollAndNotify.notifier).toBe(mockNotifier);
-      expect(pollAndNotify.store).toBe(mockStateStore);
+      expect(pollAndNotify.stateStore).toBe(mockStateStore);
       expect(pollAndNotify.recipients).toEqual(recipients);
-      expect(pollAndNotify.template).toBe(template);
       expect(pollAndNotify.filters).toEqual(filters);
+      expect(pollAndNotify.worldId).toBe('tr94');
       expect(pollAndNotify.executionCount).toBe(0);
-      expect(pollAndNotify.errorCount).toBe(0);
+      expect(pollAndNotify.getRunHistory()).toEqual([]);
+    });
+
+    it('should reject a malformed filter rule', () => {
+      expect(() => new PollAndNotify(mockScraper, mockNotifier, mockStateStore, recipients, { clan: 'SiSu', xMax: 452, yMin: 462 }))
+        .toThrow('Invalid filter');
     });
   });
 
   describe('filterEvents', () => {
     it('should filter events by clan and coordinates', () => {
       const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          oldPlayer: 'Player1',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T10:00:00Z'
-        },
-        {
-          villageName: 'Village2',
-          x: 453, // x >= 452, should be filtered out
-          y: 465,
-          oldPlayer: 'Player3',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player4',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T11:00:00Z'
-        },
-        {
-          villageName: 'Village3',
-          x: 450,
-          y: 460, // y <= 462, should be filtered out
-          oldPlayer: 'Player5',
-          oldTribe: 'EnemyTribe',
-          newPlayer: 'Player6',
-          newTribe: 'SiSu',
-          timestamp: '2024-01-01T12:00:00Z'
-        },
-        {
-          villageName: 'Village4',
-          x: 450,
-          y: 465,
-          oldPlayer: 'Player7',
-          oldTribe: 'EnemyTribe',
-          newPlayer: 'Player8',
-          newTribe: 'SiSu',
-          timestamp: '2024-01-01T13:00:00Z'
-        }
+        event({ villageName: 'Village1', oldTribe: 'SiSu' }),
+        event({ villageName: 'Village2', x: 453, oldTribe: 'SiSu' }), // x >= 452, should be filtered out
+        event({ villageName: 'Village3', y: 460, oldTribe: 'EnemyTribe', newTribe: 'SiSu' }), // y <= 462, should be filtered out
+        event({ villageName: 'Village4', oldTribe: 'EnemyTribe', newTribe: 'SiSu' })
       ];
 
       const filtered = pollAndNotify.filterEvents(events);
-      
+
       expect(filtered).toHaveLength(2);
       expect(filtered[0].villageName).toBe('Village1');
       expect(filtered[1].villageName).toBe('Village4');
@@ -107,26 +97,8 @@ describe('PollAndNotify', () => {
 
     it('should handle case-insensitive clan matching', () => {
       const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          oldPlayer: 'Player1',
-          oldTribe: 'SISU', // Uppercase
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T10:00:00Z'
-        },
-        {
-          villageName: 'Village2',
-          x: 450,
-          y: 465,
-          oldPlayer: 'Player3',
-          oldTribe: 'EnemyTribe',
-          newPlayer: 'Player4',
-          newTribe: 'sisu', // Lowercase
-          timestamp: '2024-01-01T11:00:00Z'
-        }
+        event({ villageName: 'Village1', oldTribe: 'SISU' }), // Uppercase
+        event({ villageName: 'Village2', oldTribe: 'EnemyTribe', newTribe: 'sisu' }) // Lowercase
       ];
 
       const filtered = pollAndNotify.filterEvents(events);
@@ -134,240 +106,127 @@ describe('PollAndNotify', () => {
     });
 
     it('should handle null tribe values', () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          oldPlayer: 'Player1',
-          oldTribe: null,
-          newPlayer: 'Player2',
-          newTribe: 'SiSu',
-          timestamp: '2024-01-01T10:00:00Z'
-        }
-      ];
-
-      const filtered = pollAndNotify.filterEvents(events);
+      const filtered = pollAndNotify.filterEvents([event({ oldTribe: null, newTribe: 'SiSu' })]);
       expect(filtered).toHaveLength(1);
     });
-  });
 
-  describe('buildSignature', () => {
-    it('should create stable signature from events', () => {
-      const events = [
-        {
-          timestamp: '2024-01-01T10:00:00Z',
-          x: 450,
-          y: 465,
-          oldTribe: 'SiSu',
-          newTribe: 'EnemyTribe'
-        },
-        {
-          timestamp: '2024-01-01T11:00:00Z',
-          x: 451,
-          y: 463,
-          oldTribe: 'EnemyTribe',
-          newTribe: 'SiSu'
-        }
-      ];
-
-      const signature = pollAndNotify.buildSignature(events);
-      
-      // Should be sorted and contain all relevant data
-      expect(signature).toContain('2024-01-01T10:00:00Z|450|465|SiSu|EnemyTribe');
-      expect(signature).toContain('2024-01-01T11:00:00Z|451|463|EnemyTribe|SiSu');
+    it('should pass every event without a filter rule', () => {
+      const unfiltered = new PollAndNotify(mockScraper, mockNotifier, mockStateStore, recipients);
+      expect(unfiltered.filterEvents([event({ x: 999, oldTribe: null, newTribe: null })])).toHaveLength(1);
     });
+  });
 
-    it('should handle empty tribe values', () => {
-      const events = [
-        {
-          timestamp: '2024-01-01T10:00:00Z',
-          x: 450,
-          y: 465,
-          oldTribe: null,
-          newTribe: 'SiSu'
-        }
-      ];
-
-      const signature = pollAndNotify.buildSignature(events);
-      expect(signature).toBe('2024-01-01T10:00:00Z|450|465||SiSu');
+  describe('event identity', () => {
+    it('should tell events apart by coordinates, players and time', () => {
+      expect(eventId(event())).toBe(eventId(event({ villageName: 'Renamed', points: 2000 })));
+      expect(eventId(event({ x: 451 }))).not.toBe(eventId(event()));
+      expect(eventId(event({ timestamp: '2024-01-01 - 11:00:00' }))).not.toBe(eventId(event()));
     });
-  });
 
-  describe('hashSignature', () => {
-    it('should create SHA256 hash', () => {
-      const signature = 'test-signature';
-      const hash = pollAndNotify.hashSignature(signature);
-      
-      expect(hash).toMatch(/^[a-f0-9]{64}$/); // SHA256 hex string
-      // Calculate the actual expected hash
-      const crypto = require('crypto');
-      const expectedHash = crypto.createHash('sha256').update(signature).digest('hex');
-      expect(hash).toBe(expectedHash);
+    it('should handle empty player values', () => {
+      expect(eventId(event({ oldPlayer: null }))).toMatch(/^[a-f0-9]{16}$/);
+      expect(eventId(event({ oldPlayer: null }))).not.toBe(eventId(event()));
     });
   });
 
   describe('renderMessage', () => {
-    it('should render message with template', () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          points: 1234,
-          oldPlayer: 'Player1',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe'
-        }
-      ];
+    it('should render message with the default layout', () => {
+      const message = pollAndNotify.renderMessage([event()]);
 
-      const message = pollAndNotify.renderMessage(events);
-      
-      // Template should be replaced with actual content
-      expect(message).toContain('Updates:');
-      expect(message).toContain('Village1 (450|465) 1234p');
-      expect(message).toContain('Player1 [SiSu] → Player2 [EnemyTribe]');
+      expect(message).toContain('🏰 *Village1*');
+      expect(message).toContain('Koordinat: 450|465');
+      expect(message).toContain('Player1 (SiSu) → Player2 (EnemyTribe)');
     });
 
     it('should handle missing tribe information', () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          points: 1234,
-          oldPlayer: 'Player1',
-          oldTribe: null,
-          newPlayer: 'Player2',
-          newTribe: 'SiSu'
-        }
-      ];
+      const message = pollAndNotify.renderMessage([event({ oldTribe: null, newTribe: 'SiSu' })]);
 
-      const message = pollAndNotify.renderMessage(events);
-      
-      expect(message).toContain('Player1 [No Tribe] → Player2 [SiSu]');
+      expect(message).toContain('Player1 (null) → Player2 (SiSu)');
     });
   });
 
   describe('runOnce', () => {
-    it('should complete successfully when no changes detected', async () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          points: 1234,
-          oldPlayer: 'Player1',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T10:00:00Z'
-        }
-      ];
+    afterEach(() => {
+      vi.useRealTimers();
+    });
 
-      // Calculate the expected hash for these events
-      const signature = pollAndNotify.buildSignature(events);
-      const expectedHash = pollAndNotify.hashSignature(signature);
+    it('should complete successfully when no changes detected', async () => {
+      const events = [event()];
 
       mockScraper.scrape.mockResolvedValue(events);
-      mockStateStore.loadLastHash.mockResolvedValue(expectedHash); // Return the same hash
-      mockStateStore.saveLastHash.mockResolvedValue();
+      mockStateStore.loadSeenEventIds.mockResolvedValue([eventId(events[0])]);
 
-      await pollAndNotify.runOnce();
+      const result = await pollAndNotify.runOnce();
 
       expect(mockScraper.scrape).toHaveBeenCalled();
-      expect(mockStateStore.loadLastHash).toHaveBeenCalled();
+      expect(mockStateStore.loadSeenEventIds).toHaveBeenCalled();
       expect(mockNotifier.notifyMany).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, eventsCount: 0 });
       expect(pollAndNotify.executionCount).toBe(1);
-      expect(pollAndNotify.errorCount).toBe(0);
     });
 
     it('should send notifications when changes detected', async () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          points: 1234,
-          oldPlayer: 'Player1',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T10:00:00Z'
-        }
-      ];
+      const events = [event()];
 
       mockScraper.scrape.mockResolvedValue(events);
-      mockStateStore.loadLastHash.mockResolvedValue('different-hash');
-      mockStateStore.saveLastHash.mockResolvedValue();
+      mockStateStore.loadSeenEventIds.mockResolvedValue([]);
       mockNotifier.notifyMany.mockResolvedValue();
 
-      await pollAndNotify.runOnce();
+      const result = await pollAndNotify.runOnce();
 
-      expect(mockNotifier.notifyMany).toHaveBeenCalledWith(recipients, expect.stringContaining('Village1'));
-      expect(mockStateStore.saveLastHash).toHaveBeenCalled();
+      expect(mockNotifier.notifyMany).toHaveBeenCalledWith(recipients, expect.stringContaining('Village1'), expect.anything());
+      expect(mockStateStore.addSeenEventIds).toHaveBeenCalledWith([eventId(events[0])]);
+      expect(result).toMatchObject({ success: true, eventsCount: 1, recipientsCount: 2 });
       expect(pollAndNotify.executionCount).toBe(1);
-      expect(pollAndNotify.errorCount).toBe(0);
     });
 
     it('should handle scraping errors', async () => {
+      mockStateStore.loadSeenEventIds.mockResolvedValue([]);
       mockScraper.scrape.mockRejectedValue(new Error('Scraping failed'));
 
-      await expect(pollAndNotify.runOnce()).rejects.toThrow('PollAndNotify.runOnce() failed: Scraping failed');
-      
-      expect(pollAndNotify.executionCount).toBe(1);
-      expect(pollAndNotify.errorCount).toBe(1);
-    }, 15000); // Increased timeout for retry mechanism
+      await expect(pollAndNotify.runOnce()).rejects.toThrow('Scraping failed');
 
-    it('should handle notification errors', async () => {
-      const events = [
-        {
-          villageName: 'Village1',
-          x: 450,
-          y: 465,
-          points: 1234,
-          oldPlayer: 'Player1',
-          oldTribe: 'SiSu',
-          newPlayer: 'Player2',
-          newTribe: 'EnemyTribe',
-          timestamp: '2024-01-01T10:00:00Z'
-        }
-      ];
+      expect(pollAndNotify.executionCount).toBe(1);
+      expect(pollAndNotify.getRunHistory()[0]).toMatchObject({ success: false, error: 'Scraping failed' });
+    });
 
-      mockScraper.scrape.mockResolvedValue(events);
-      mockStateStore.loadLastHash.mockResolvedValue('different-hash');
+    it('should report notification errors and still mark the events as seen', async () => {
+      vi.useFakeTimers();
+      mockScraper.scrape.mockResolvedValue([event()]);
+      mockStateStore.loadSeenEventIds.mockResolvedValue([]);
       mockNotifier.notifyMany.mockRejectedValue(new Error('Notification failed'));
 
-      await expect(pollAndNotify.runOnce()).rejects.toThrow('PollAndNotify.runOnce() failed: Notification failed');
-      
+      const run = pollAndNotify.runOnce();
+      await vi.runAllTimersAsync();
+      const result = await run;
+
+      expect(mockNotifier.notifyMany).toHaveBeenCalledTimes(3);
+      expect(mockStateStore.addSeenEventIds).toHaveBeenCalledWith([eventId(event())]);
+      expect(result).toMatchObject({ success: true, eventsCount: 1, recipientsCount: 0 });
+      expect(result.delivery).toMatchObject({ sentCount: 0, failedCount: 2 });
+      expect(result.delivery.recipients[0]).toMatchObject({ recipient: recipients[0], status: 'failed', error: 'Notification failed' });
       expect(pollAndNotify.executionCount).toBe(1);
-      expect(pollAndNotify.errorCount).toBe(1);
-    }, 15000); // Increased timeout for retry mechanism
+    });
   });
 
-  describe('getExecutionStats', () => {
-    it('should return correct execution statistics', () => {
-      pollAndNotify.executionCount = 10;
-      pollAndNotify.errorCount = 2;
-      pollAndNotify.lastExecutionTime = new Date('2024-01-01T10:00:00Z');
+  describe('getRunHistory', () => {
+    it('should return the latest cycle results, newest first', async () => {
+      mockStateStore.loadSeenEventIds.mockResolvedValue([]);
+      mockScraper.scrape.mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('Scraping failed'));
 
-      const stats = pollAndNotify.getExecutionStats();
+      await pollAndNotify.runOnce();
+      await pollAndNotify.runOnce().catch(() => {});
 
-      expect(stats.executionCount).toBe(10);
-      expect(stats.errorCount).toBe(2);
-      expect(stats.successRate).toBe('80.00');
-      expect(stats.errorRate).toBe('20.00');
-      expect(stats.lastExecutionTime).toEqual(new Date('2024-01-01T10:00:00Z'));
+      const history = pollAndNotify.getRunHistory();
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ success: false, error: 'Scraping failed' });
+      expect(history[1]).toMatchObject({ success: true, eventsCount: 0 });
+      expect(history[0].finishedAt).toEqual(expect.any(String));
     });
 
     it('should handle zero executions', () => {
-      const stats = pollAndNotify.getExecutionStats();
-
-      expect(stats.executionCount).toBe(0);
-      expect(stats.errorCount).toBe(0);
-      expect(stats.successRate).toBe(0);
-      expect(stats.errorRate).toBe(0);
+      expect(pollAndNotify.executionCount).toBe(0);
+      expect(pollAndNotify.getRunHistory()).toEqual([]);
     });
   });
-}); 
\ No newline at end of file
+});
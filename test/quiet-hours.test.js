@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { compileQuietHours } from '../src/core/subscriptions/quiet-hours.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { ManageSubscriptions } from '../src/core/use-cases/manage-subscriptions.js';
+import { CommandDispatcher } from '../src/core/commands/command-dispatcher.js';
+import { parseCommand } from '../src/core/commands/command-parser.js';
+import { SubscriptionInputSchema } from '../src/config/subscription-schema.js';
+import { loadConfig } from '../src/config/env.js';
+import { FileStateStore } from '../src/infrastructure/store/file-state-store.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 23:20:00',
+  ...overrides
+});
+
+const events = [
+  event(),
+  event({ villageName: 'Lost Hill', points: 12000, oldTribe: 'SiSu', newPlayer: 'Count', newTribe: 'ENEMY', timestamp: '2025-08-02 - 23:10:00' })
+];
+
+const DUKE = '905551111111';
+const BARON = '905552222222';
+
+const NIGHT = { start: '23:00', end: '07:00', timezone: 'UTC' };
+const OWN_LOSSES = {
+  type: 'and',
+  rules: [{ type: 'direction', tribe: 'SiSu', direction: 'loss' }, { type: 'points', min: 10000 }]
+};
+
+// In-memory state store mock
+const createMockStateStore = () => ({
+  subscriptions: null,
+  heldEvents: {},
+  seenIds: null,
+  timestamp: '2025-08-02 - 23:00:00',
+  loadSubscriptions: vi.fn(async function () { return this.subscriptions; }),
+  saveSubscriptions: vi.fn(async function (subscriptions) { this.subscriptions = subscriptions; }),
+  loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+  addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+  loadLastProcessedTimestamp: vi.fn(async function () { return this.timestamp; }),
+  saveLastProcessedTimestamp: vi.fn(async function (timestamp) { this.timestamp = timestamp; }),
+  loadHeldEvents: vi.fn(async function () { return this.heldEvents; }),
+  holdEvents: vi.fn(async function (added) {
+    for (const [recipient, recipientEvents] of Object.entries(added)) {
+      this.heldEvents[recipient] = [...recipientEvents, ...(this.heldEvents[recipient] || [])];
+    }
+  }),
+  releaseHeldEvents: vi.fn(async function (counts) {
+    for (const [recipient, count] of Object.entries(counts)) {
+      const remaining = this.heldEvents[recipient].slice(0, this.heldEvents[recipient].length - count);
+      if (remaining.length > 0) {
+        this.heldEvents[recipient] = remaining;
+      } else {
+        delete this.heldEvents[recipient];
+      }
+    }
+  })
+});
+
+describe('quiet hours', () => {
+  describe('compileQuietHours', () => {
+    it('should check windows within a day and across midnight in the given time zone', () => {
+      const night = compileQuietHours(NIGHT);
+      expect(night.isQuiet(new Date('2025-08-02T23:00:00Z'))).toBe(true);
+      expect(night.isQuiet(new Date('2025-08-03T06:59:00Z'))).toBe(true);
+      expect(night.isQuiet(new Date('2025-08-03T07:00:00Z'))).toBe(false);
+      expect(night.isQuiet(new Date('2025-08-02T12:00:00Z'))).toBe(false);
+
+      const lunch = compileQuietHours({ start: '12:00', end: '13:30' }, { timeZone: 'Europe/Istanbul' });
+      expect(lunch.isQuiet(new Date('2025-08-02T09:15:00Z'))).toBe(true);
+      expect(lunch.isQuiet(new Date('2025-08-02T12:15:00Z'))).toBe(false);
+    });
+
+    it('should let events matching the priority rule break through', () => {
+      expect(compileQuietHours(NIGHT).isPriority(events[1])).toBe(false);
+
+      const matcher = compileQuietHours(NIGHT, { priority: OWN_LOSSES });
+      expect(matcher.isPriority(events[0])).toBe(false);
+      expect(matcher.isPriority(events[1])).toBe(true);
+      expect(compileQuietHours({ ...NIGHT, priority: { type: 'points', min: 20000 } }, { priority: OWN_LOSSES }).isPriority(events[1])).toBe(false);
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let stateStore;
+    let notifier;
+    let scraper;
+    let useCase;
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      stateStore = createMockStateStore();
+      notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+      scraper = { scrape: vi.fn(async () => events) };
+      useCase = new PollAndNotify(scraper, notifier, stateStore, [DUKE, BARON], null, {
+        worldId: 'tr94',
+        subscriptions: [
+          { recipient: DUKE, filters: [], quietHours: NIGHT },
+          { recipient: BARON, filters: [] }
+        ],
+        quietHours: { priority: OWN_LOSSES }
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should hold events during the window and send priority events right away', async () => {
+      vi.setSystemTime(new Date('2025-08-02T23:30:00Z'));
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany.mock.calls.map(([recipients]) => recipients)).toEqual([[DUKE], [BARON]]);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('Lost Hill');
+      expect(notifier.notifyMany.mock.calls[0][1]).not.toContain('Frontier Keep');
+      expect(stateStore.heldEvents).toEqual({ [DUKE]: [events[0]] });
+    });
+
+    it('should send the held events in one message when the window ends', async () => {
+      stateStore.heldEvents = { [DUKE]: [event({ villageName: 'Night Watch', timestamp: '2025-08-02 - 23:40:00' })] };
+      stateStore.timestamp = '2025-08-03 - 07:00:00';
+      vi.setSystemTime(new Date('2025-08-03T07:05:00Z'));
+      scraper.scrape.mockResolvedValue([event({ villageName: 'Dawn Keep', timestamp: '2025-08-03 - 07:01:00' })]);
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(2);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([DUKE]);
+      expect(notifier.notifyMany.mock.calls[0][1]).toMatch(/Dawn Keep[\s\S]*Night Watch/);
+      expect(notifier.notifyMany.mock.calls[1][1]).not.toContain('Night Watch');
+      expect(stateStore.heldEvents).toEqual({});
+    });
+
+    it('should release held events once the quiet hours are removed, even without new events', async () => {
+      stateStore.heldEvents = { [DUKE]: [events[0]] };
+      vi.setSystemTime(new Date('2025-08-02T23:30:00Z'));
+      scraper.scrape.mockResolvedValue([event({ timestamp: '2025-08-02 - 22:00:00' })]);
+
+      await new ManageSubscriptions(stateStore, useCase).setQuietHours(DUKE, null);
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([DUKE]);
+      expect(stateStore.heldEvents).toEqual({});
+    });
+  });
+
+  describe('FileStateStore', () => {
+    let dir;
+    let stateStore;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'held-'));
+      stateStore = new FileStateStore(path.join(dir, 'state.json'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should hold each event once per recipient when a cycle is retried', async () => {
+      await stateStore.holdEvents({ [DUKE]: events });
+      await stateStore.holdEvents({ [DUKE]: events, [BARON]: [events[1]] });
+
+      expect(await stateStore.loadHeldEvents()).toEqual({ [DUKE]: events, [BARON]: [events[1]] });
+    });
+
+    it('should keep the latest held events of a recipient', async () => {
+      const burst = Array.from({ length: 1200 }, (_, index) => event({ x: index }));
+
+      await stateStore.holdEvents({ [DUKE]: burst });
+
+      const held = (await stateStore.loadHeldEvents())[DUKE];
+      expect(held).toHaveLength(1000);
+      expect(held[0]).toEqual(burst[0]);
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept quiet hours through the API and reject malformed ones', () => {
+      expect(SubscriptionInputSchema.safeParse({ quietHours: { ...NIGHT, priority: OWN_LOSSES } }).success).toBe(true);
+      expect(SubscriptionInputSchema.safeParse({ quietHours: null }).success).toBe(true);
+      expect(SubscriptionInputSchema.safeParse({ quietHours: { start: '24:00', end: '07:00' } }).success).toBe(false);
+      expect(SubscriptionInputSchema.safeParse({ quietHours: { start: '07:00', end: '07:00' } }).success).toBe(false);
+      expect(SubscriptionInputSchema.safeParse({ quietHours: { ...NIGHT, timezone: 'Mars/Olympus' } }).success).toBe(false);
+    });
+
+    it('should read the quiet hours defaults from the environment', () => {
+      const saved = { ...process.env };
+      try {
+        process.env.WHATSAPP_RECIPIENTS = DUKE;
+        process.env.QUIET_HOURS_TIMEZONE = 'Europe/Istanbul';
+        process.env.QUIET_HOURS_PRIORITY = JSON.stringify(OWN_LOSSES);
+        expect(loadConfig().quietHours).toEqual({ timezone: 'Europe/Istanbul', priority: OWN_LOSSES });
+
+        process.env.QUIET_HOURS_PRIORITY = JSON.stringify({ type: 'points', min: 'many' });
+        expect(() => loadConfig()).toThrow();
+      } finally {
+        process.env = saved;
+      }
+    });
+  });
+
+  describe('!sessiz', () => {
+    it('should set and remove the quiet hours of the sender\'s subscription', async () => {
+      const manageSubscriptions = { setQuietHours: vi.fn(async () => ({ recipient: DUKE })) };
+      const dispatcher = new CommandDispatcher({}, manageSubscriptions, () => ({}), { allowlist: [DUKE] });
+
+      expect(parseCommand('!sessiz 7:30-9:00')).toEqual({ name: 'sessiz', args: { quietHours: { start: '07:30', end: '09:00' } } });
+      expect(await dispatcher.dispatch('!sessiz 23:00-07:00', { chatId: `${DUKE}@c.us` })).toMatch(/^✅ Sessiz saatler: 23:00-07:00/);
+      expect(manageSubscriptions.setQuietHours).toHaveBeenCalledWith(DUKE, { start: '23:00', end: '07:00' });
+      expect(await dispatcher.dispatch('!sessiz Kapat', { chatId: `${DUKE}@c.us` })).toBe('✅ Sessiz saatler kapatıldı.');
+      expect(manageSubscriptions.setQuietHours).toHaveBeenLastCalledWith(DUKE, null);
+      expect(await dispatcher.dispatch('!sessiz 25:00-07:00', { chatId: `${DUKE}@c.us` })).toMatch(/^⚠️ Kullanım: !sessiz/);
+    });
+  });
+});
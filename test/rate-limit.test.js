@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from '../src/core/subscriptions/rate-limit.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { loadConfig } from '../src/config/env.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:01:00',
+  ...overrides
+});
+
+const DUKE = '905551111111';
+const TELEGRAM = 'telegram:-100123';
+
+const NOW = new Date('2025-08-02T18:10:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+
+// In-memory state store mock
+const createMockStateStore = () => ({
+  subscriptions: null,
+  heldEvents: {},
+  sendLog: {},
+  seenIds: null,
+  timestamp: '2025-08-02 - 18:00:00',
+  loadSubscriptions: vi.fn(async function () { return this.subscriptions; }),
+  loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+  addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+  loadLastProcessedTimestamp: vi.fn(async function () { return this.timestamp; }),
+  saveLastProcessedTimestamp: vi.fn(async function (timestamp) { this.timestamp = timestamp; }),
+  loadHeldEvents: vi.fn(async function () { return this.heldEvents; }),
+  holdEvents: vi.fn(async function (added) {
+    for (const [recipient, recipientEvents] of Object.entries(added)) {
+      this.heldEvents[recipient] = [...recipientEvents, ...(this.heldEvents[recipient] || [])];
+    }
+  }),
+  releaseHeldEvents: vi.fn(async function (counts) {
+    for (const [recipient, count] of Object.entries(counts)) {
+      const remaining = this.heldEvents[recipient].slice(0, this.heldEvents[recipient].length - count);
+      if (remaining.length > 0) {
+        this.heldEvents[recipient] = remaining;
+      } else {
+        delete this.heldEvents[recipient];
+      }
+    }
+  }),
+  loadSendLog: vi.fn(async function () { return this.sendLog; }),
+  saveSendLog: vi.fn(async function (sendLog) { this.sendLog = sendLog; })
+});
+
+describe('rate limits', () => {
+  describe('createRateLimiter', () => {
+    it('should throttle recipients that used up their window, per channel', () => {
+      const limiter = createRateLimiter({ maxMessages: 2, windowMinutes: 10, channels: { telegram: { maxMessages: 5 } } });
+      const log = {
+        [DUKE]: [minutesAgo(12), minutesAgo(5), minutesAgo(1)],
+        [TELEGRAM]: [minutesAgo(5), minutesAgo(1)]
+      };
+
+      expect(limiter.enabled).toBe(true);
+      expect(limiter.isThrottled(DUKE, log, NOW)).toBe(true);
+      expect(limiter.isThrottled(DUKE, { [DUKE]: [minutesAgo(12), minutesAgo(1)] }, NOW)).toBe(false);
+      expect(limiter.isThrottled(TELEGRAM, log, NOW)).toBe(false);
+      expect(createRateLimiter().enabled).toBe(false);
+    });
+
+    it('should record sends and forget the ones outside every window', () => {
+      const limiter = createRateLimiter({ maxMessages: 2, windowMinutes: 10 });
+
+      expect(limiter.record({ [DUKE]: [minutesAgo(12), minutesAgo(5)], [TELEGRAM]: [minutesAgo(11)] }, [DUKE], NOW)).toEqual({
+        [DUKE]: [minutesAgo(5), NOW.toISOString()]
+      });
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let stateStore;
+    let notifier;
+    let scraper;
+    let useCase;
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(NOW);
+      stateStore = createMockStateStore();
+      notifier = { isClientReady: vi.fn(() => true), notifyMany: vi.fn(async () => {}), sendNotification: vi.fn(async () => {}) };
+      scraper = { scrape: vi.fn(async () => [event()]) };
+      useCase = new PollAndNotify(scraper, notifier, stateStore, [DUKE, TELEGRAM], null, {
+        worldId: 'tr94',
+        rateLimits: { maxMessages: 2, windowMinutes: 10, channels: { telegram: { maxMessages: 0 } } }
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should hold the events of throttled recipients and log the messages sent', async () => {
+      stateStore.sendLog = { [DUKE]: [minutesAgo(4), minutesAgo(2)] };
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([TELEGRAM]);
+      expect(stateStore.heldEvents).toEqual({ [DUKE]: [event()] });
+      expect(stateStore.sendLog).toEqual({
+        [DUKE]: [minutesAgo(4), minutesAgo(2)],
+        [TELEGRAM]: [NOW.toISOString()]
+      });
+    });
+
+    it('should merge the held events into the next allowed message', async () => {
+      stateStore.sendLog = { [DUKE]: [minutesAgo(11), minutesAgo(2)] };
+      stateStore.heldEvents = { [DUKE]: [event({ villageName: 'Held Keep', timestamp: '2025-08-02 - 17:58:00' })] };
+      scraper.scrape.mockResolvedValue([event({ villageName: 'Old Keep', timestamp: '2025-08-02 - 17:00:00' })]);
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([DUKE]);
+      expect(notifier.notifyMany.mock.calls[0][1]).toContain('Held Keep');
+      expect(stateStore.heldEvents).toEqual({});
+      expect(stateStore.sendLog[DUKE]).toEqual([minutesAgo(2), NOW.toISOString()]);
+    });
+
+    it('should keep held events held while the recipient stays throttled', async () => {
+      const heldEvent = event({ villageName: 'Held Keep', timestamp: '2025-08-02 - 17:58:00' });
+      stateStore.sendLog = { [DUKE]: [minutesAgo(4), minutesAgo(2)] };
+      stateStore.heldEvents = { [DUKE]: [heldEvent] };
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany.mock.calls.map(([recipients]) => recipients)).toEqual([[TELEGRAM]]);
+      expect(stateStore.heldEvents).toEqual({ [DUKE]: [event(), heldEvent] });
+    });
+
+    it('should count every part of a split message against the limit', async () => {
+      useCase = new PollAndNotify(scraper, notifier, stateStore, [DUKE], null, {
+        worldId: 'tr94',
+        rateLimits: { maxMessages: 2, windowMinutes: 10 },
+        maxMessageLength: 200,
+        partDelayMs: 0
+      });
+      scraper.scrape.mockResolvedValue(['Keep A', 'Keep B', 'Keep C'].map((villageName, index) =>
+        event({ villageName, x: 450 + index, timestamp: `2025-08-02 - 18:0${index + 1}:00` })));
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(3);
+      expect(stateStore.sendLog).toEqual({ [DUKE]: [NOW.toISOString(), NOW.toISOString(), NOW.toISOString()] });
+
+      // The three parts used up the limit of two, so the next cycle is held
+      notifier.notifyMany.mockClear();
+      scraper.scrape.mockResolvedValue([event({ villageName: 'Keep D', timestamp: '2025-08-02 - 18:05:00' })]);
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).not.toHaveBeenCalled();
+      expect(stateStore.heldEvents[DUKE].map(({ villageName }) => villageName)).toEqual(['Keep D']);
+    });
+  });
+
+  describe('config', () => {
+    it('should default to no limit and read per-channel limits', () => {
+      const saved = { ...process.env };
+      try {
+        delete process.env.RATE_LIMIT_MESSAGES;
+        delete process.env.RATE_LIMIT_WINDOW_MINUTES;
+        delete process.env.RATE_LIMIT_CHANNELS;
+        process.env.WHATSAPP_RECIPIENTS = DUKE;
+        expect(loadConfig().rateLimits).toEqual({ maxMessages: 0, windowMinutes: 10, channels: {} });
+
+        process.env.RATE_LIMIT_MESSAGES = '3';
+        process.env.RATE_LIMIT_CHANNELS = JSON.stringify({ whatsapp: { maxMessages: 2, windowMinutes: 15 } });
+        expect(loadConfig().rateLimits).toEqual({ maxMessages: 3, windowMinutes: 10, channels: { whatsapp: { maxMessages: 2, windowMinutes: 15 } } });
+
+        process.env.RATE_LIMIT_CHANNELS = JSON.stringify({ sms: { maxMessages: 2 } });
+        expect(() => loadConfig()).toThrow();
+      } finally {
+        process.env = saved;
+      }
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resolveSubscriptions, compileSubscription } from '../src/core/subscriptions/subscriptions.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { ManageSubscriptions } from '../src/core/use-cases/manage-subscriptions.js';
+
+const baseEvent = {
+  villageName: 'Village1',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 1234,
+  oldPlayer: 'Player1',
+  oldTribe: 'SiSu',
+  newPlayer: 'Player2',
+  newTribe: 'EnemyTribe',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+const event = (overrides = {}) => ({ ...baseEvent, ...overrides });
+
+const DUKE = '905551111111';
+const FRONTLINE = '905552222222';
+const K55 = '905553333333';
+
+// In-memory state store mock
+const createMockStateStore = (overrides = {}) => ({
+  subscriptions: null,
+  seenIds: null,
+  timestamp: '2025-08-02 - 18:00:00',
+  loadSubscriptions: vi.fn(async function () { return this.subscriptions; }),
+  saveSubscriptions: vi.fn(async function (subscriptions) { this.subscriptions = subscriptions; }),
+  loadSeenEventIds: vi.fn(async function () { return this.seenIds; }),
+  addSeenEventIds: vi.fn(async function (ids) { this.seenIds = [...ids, ...(this.seenIds || [])]; }),
+  loadLastProcessedTimestamp: vi.fn(async function () { return this.timestamp; }),
+  saveLastProcessedTimestamp: vi.fn(async function (timestamp) { this.timestamp = timestamp; }),
+  ...overrides
+});
+
+const createMockNotifier = () => ({
+  isClientReady: vi.fn(() => true),
+  notifyMany: vi.fn(async () => {}),
+  sendNotification: vi.fn(async () => {})
+});
+
+const subscriptions = [
+  { recipient: DUKE, filters: [] },
+  { recipient: FRONTLINE, filters: [{ type: 'continent', continents: ['K44'] }] },
+  { recipient: K55, filters: [{ type: 'continent', continents: ['K55'] }] }
+];
+
+describe('subscriptions', () => {
+  describe('resolveSubscriptions', () => {
+    it('should prefer stored subscriptions', () => {
+      const stored = [{ recipient: DUKE, filters: [], createdAt: 'x', updatedAt: 'x' }];
+
+      expect(resolveSubscriptions(stored, subscriptions, [FRONTLINE])).toBe(stored);
+    });
+
+    it('should fall back to configured subscriptions, then to recipients without filters', () => {
+      expect(resolveSubscriptions(null, subscriptions, [DUKE]).map(s => s.recipient)).toEqual([DUKE, FRONTLINE, K55]);
+      expect(resolveSubscriptions(null, null, [DUKE])).toEqual([
+        { recipient: DUKE, filters: [], createdAt: null, updatedAt: null }
+      ]);
+      expect(resolveSubscriptions(null, null, null)).toEqual([]);
+    });
+  });
+
+  describe('compileSubscription', () => {
+    it('should match everything with an empty filter set and any rule otherwise', () => {
+      const all = compileSubscription({ recipient: DUKE, filters: [] });
+      const some = compileSubscription({
+        recipient: FRONTLINE,
+        filters: [{ type: 'continent', continents: ['K55'] }, { type: 'points', min: 1000 }]
+      });
+
+      expect(all.matches(event())).toBe(true);
+      expect(some.matches(event())).toBe(true);
+      expect(some.matches(event({ points: 500 }))).toBe(false);
+    });
+
+    it('should reject malformed rules', () => {
+      expect(() => compileSubscription({ recipient: DUKE, filters: [{ type: 'unknown' }] })).toThrow('Invalid filter');
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    let notifier;
+    let stateStore;
+    let useCase;
+
+    beforeEach(() => {
+      notifier = createMockNotifier();
+      stateStore = createMockStateStore();
+      useCase = new PollAndNotify(
+        { scrape: vi.fn(async () => [event(), event({ villageName: 'Village2', x: 550, y: 555, continent: 'K55', timestamp: '2025-08-02 - 18:05:00' })]) },
+        notifier,
+        stateStore,
+        [DUKE],
+        null,
+        { subscriptions }
+      );
+    });
+
+    it('should plan events per recipient and skip recipients without matches', () => {
+      const deliveries = useCase.planDeliveries([event()]);
+
+      expect(deliveries.map(d => d.recipient)).toEqual([DUKE, FRONTLINE]);
+      expect(deliveries[1].events).toHaveLength(1);
+    });
+
+    it('should tag events with zones from the recipient\'s geofences', () => {
+      useCase.setSubscriptions([{
+        recipient: FRONTLINE,
+        filters: [{ type: 'circle', name: 'Frontline', center: { x: 450, y: 465 }, radius: 5 }]
+      }]);
+
+      expect(useCase.planDeliveries([event({ zones: ['Home'] })])[0].events[0].zones).toEqual(['Home', 'Frontline']);
+    });
+
+    it('should send each recipient a message with only its matching events', async () => {
+      const result = await useCase.runOnce();
+
+      expect(result).toMatchObject({ success: true, eventsCount: 2, recipientsCount: 3 });
+      expect(notifier.sendNotification).not.toHaveBeenCalled();
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(3);
+
+      const messageFor = recipient => notifier.notifyMany.mock.calls.find(([recipients]) => recipients.includes(recipient))[1];
+      expect(messageFor(DUKE)).toContain('Village1');
+      expect(messageFor(DUKE)).toContain('Village2');
+      expect(messageFor(FRONTLINE)).toContain('Village1');
+      expect(messageFor(FRONTLINE)).not.toContain('Village2');
+      expect(messageFor(K55)).toContain('Village2');
+      expect(messageFor(K55)).not.toContain('Village1');
+    });
+
+    it('should share one send between recipients with identical messages', async () => {
+      useCase.setSubscriptions(resolveSubscriptions(null, null, [DUKE, FRONTLINE]));
+
+      await useCase.runOnce();
+
+      expect(notifier.notifyMany).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany.mock.calls[0][0]).toEqual([DUKE, FRONTLINE]);
+    });
+
+    it('should use the notifier\'s own recipients when there are no subscriptions', async () => {
+      useCase = new PollAndNotify(useCase.scraper, notifier, stateStore, null, null);
+
+      await useCase.runOnce();
+
+      expect(notifier.sendNotification).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ManageSubscriptions', () => {
+    let stateStore;
+    let pollAndNotify;
+    let manageSubscriptions;
+
+    beforeEach(async () => {
+      stateStore = createMockStateStore();
+      pollAndNotify = new PollAndNotify({}, createMockNotifier(), stateStore, [DUKE], null);
+      await pollAndNotify.loadSubscriptions();
+      manageSubscriptions = new ManageSubscriptions(stateStore, pollAndNotify);
+    });
+
+    it('should list configured recipients until subscriptions are saved', async () => {
+      expect(await manageSubscriptions.list()).toEqual([
+        { recipient: DUKE, filters: [], createdAt: null, updatedAt: null }
+      ]);
+    });
+
+    it('should subscribe new recipients and replace existing filter sets', async () => {
+      const rule = { type: 'continent', continents: ['K44'] };
+
+      const created = await manageSubscriptions.subscribe(FRONTLINE, [rule]);
+      const updated = await manageSubscriptions.subscribe(DUKE, [rule]);
+
+      expect(created.created).toBe(true);
+      expect(updated.created).toBe(false);
+      expect(updated.subscription.filters).toEqual([rule]);
+      expect(stateStore.subscriptions.map(s => s.recipient)).toEqual([DUKE, FRONTLINE]);
+      expect(pollAndNotify.subscriptions).toHaveLength(2);
+    });
+
+    it('should unsubscribe recipients and skip the save for unknown ones', async () => {
+      expect(await manageSubscriptions.unsubscribe(FRONTLINE)).toBe(false);
+      expect(stateStore.saveSubscriptions).not.toHaveBeenCalled();
+
+      expect(await manageSubscriptions.unsubscribe(DUKE)).toBe(true);
+      expect(stateStore.subscriptions).toEqual([]);
+      expect(pollAndNotify.subscriptions).toEqual([]);
+
+      // Nobody is subscribed anymore, so nothing is sent
+      pollAndNotify.scraper = { scrape: vi.fn(async () => [event()]) };
+      await pollAndNotify.runOnce();
+      expect(pollAndNotify.notifier.notifyMany).not.toHaveBeenCalled();
+      expect(pollAndNotify.notifier.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed rules without saving', async () => {
+      await expect(manageSubscriptions.subscribe(DUKE, [{ type: 'points', min: 5, max: 1 }])).rejects.toThrow('Invalid filter');
+      expect(stateStore.saveSubscriptions).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { TelegramNotifier, toTelegramHtml } from '../src/infrastructure/telegram/telegram-notifier.js';
+
+/**
+ * Minimal Bot API stub: records requests and answers with the queued responses
+ */
+function createStubServer() {
+  const stub = { requests: [], responses: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ url: req.url, body: body ? JSON.parse(body) : null });
+
+      const [status, payload] = stub.responses.shift() ??
+        [200, { ok: true, result: req.url.endsWith('/getMe') ? { username: 'tw_bot' } : { message_id: stub.requests.length } }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+describe('TelegramNotifier', () => {
+  let stub;
+  let notifier;
+
+  beforeEach(async () => {
+    stub = await createStubServer();
+    notifier = new TelegramNotifier({ botToken: 'TOKEN', chatIds: ['-100123'], apiBaseUrl: `${stub.url}/` });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  it('should verify the token on init', async () => {
+    await notifier.init();
+
+    expect(notifier.isClientReady()).toBe(true);
+    expect(notifier.botUsername).toBe('tw_bot');
+    expect(stub.requests[0].url).toBe('/botTOKEN/getMe');
+  });
+
+  it('should fail init when the token is rejected', async () => {
+    stub.responses.push([401, { ok: false, description: 'Unauthorized' }]);
+
+    await expect(notifier.init()).rejects.toThrow('Telegram initialization failed: Telegram getMe failed: Unauthorized');
+    expect(notifier.isClientReady()).toBe(false);
+  });
+
+  it('should refuse to send before init', async () => {
+    await expect(notifier.sendNotification('Hello')).rejects.toThrow('not ready');
+  });
+
+  it('should send HTML messages to the configured chats', async () => {
+    await notifier.init();
+    await notifier.sendNotification('*2 Yeni Köy Eventi Bulundu!*\nA <b> & c');
+
+    expect(stub.requests[1]).toEqual({
+      url: '/botTOKEN/sendMessage',
+      body: {
+        chat_id: '-100123',
+        text: '<b>2 Yeni Köy Eventi Bulundu!</b>\nA &lt;b&gt; &amp; c',
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      }
+    });
+  });
+
+  it('should only send to Telegram recipients', async () => {
+    await notifier.init();
+    await notifier.notifyMany(['905551234567', 'telegram:42', 'telegram:@tribe_news'], 'Hi');
+
+    expect(stub.requests.slice(1).map(request => request.body.chat_id).sort()).toEqual(['42', '@tribe_news']);
+  });
+
+  it('should retry once after a rate limit response', async () => {
+    await notifier.init();
+    stub.responses.push([429, { ok: false, description: 'Too Many Requests', parameters: { retry_after: 0 } }]);
+
+    await notifier.notifyMany(['telegram:42'], 'Hi');
+
+    expect(stub.requests).toHaveLength(3);
+    expect(stub.requests[2].body.chat_id).toBe('42');
+  });
+
+  it('should keep sending to other chats when one fails', async () => {
+    await notifier.init();
+    stub.responses.push([400, { ok: false, description: 'Bad Request: chat not found' }]);
+
+    const report = await notifier.notifyMany(['telegram:1', 'telegram:2'], 'Hi');
+
+    expect(stub.requests).toHaveLength(3);
+    expect(report).toEqual({
+      recipients: [
+        { recipient: 'telegram:1', channel: 'telegram', status: 'failed', messageId: null, error: 'Telegram sendMessage failed: Bad Request: chat not found' },
+        { recipient: 'telegram:2', channel: 'telegram', status: 'sent', messageId: '3', error: null }
+      ],
+      sentCount: 1,
+      failedCount: 1
+    });
+  });
+
+  describe('toTelegramHtml', () => {
+    it('should escape HTML and convert bold markup', () => {
+      expect(toTelegramHtml('🏰 *Village <1>*\nKoordinat: 450|465')).toBe('🏰 <b>Village &lt;1&gt;</b>\nKoordinat: 450|465');
+    });
+  });
+});
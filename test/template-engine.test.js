@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { compileTemplate } from '../src/core/templates/template-engine.js';
+import { MessageRenderer } from '../src/core/templates/message-renderer.js';
+import { EVENT_SCOPE } from '../src/core/templates/default-templates.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+
+const event = (overrides = {}) => ({
+  villageName: 'Frontier Keep',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Baron',
+  oldTribe: 'ENEMY',
+  newPlayer: 'Duke',
+  newTribe: 'SiSu',
+  timestamp: '2025-08-02 - 18:08:12',
+  ...overrides
+});
+
+describe('template engine', () => {
+  const scope = { name: true, count: true, tags: true, players: { name: true, points: true } };
+
+  it('should print variables with fallbacks and join lists', () => {
+    const render = compileTemplate('{{name || "anonymous"}} [{{tags}}] {{count}}', scope);
+
+    expect(render({ name: 'Duke', tags: ['a', 'b'], count: 0 })).toBe('Duke [a, b] 0');
+    expect(render({ name: null, tags: [], count: null })).toBe('anonymous [] ');
+  });
+
+  it('should evaluate conditions and comparisons', () => {
+    const render = compileTemplate('{{#if count > 1}}many{{else}}{{#unless count}}none{{else}}one{{/unless}}{{/if}}', scope);
+
+    expect([2, 1, 0].map(count => render({ count }))).toEqual(['many', 'one', 'none']);
+  });
+
+  it('should loop over lists with loop variables and an empty branch', () => {
+    const render = compileTemplate('{{#each players}}{{@number}}. {{name}} ({{points}}){{#unless @last}}, {{/unless}}{{else}}nobody{{/each}}', scope);
+
+    expect(render({ players: [{ name: 'Duke', points: 10 }, { name: 'Baron', points: 5 }] })).toBe('1. Duke (10), 2. Baron (5)');
+    expect(render({ players: [] })).toBe('nobody');
+    expect(compileTemplate('{{#each tags}}<{{this}}>{{/each}}', scope)({ tags: ['a', 'b'] })).toBe('<a><b>');
+  });
+
+  it('should drop block tags standing alone on their line', () => {
+    const render = compileTemplate('Players:\n{{! one per line }}\n{{#each players}}\n- {{name}}\n{{/each}}\nEnd', scope);
+
+    expect(render({ players: [{ name: 'Duke' }, { name: 'Baron' }] })).toBe('Players:\n- Duke\n- Baron\nEnd');
+  });
+
+  it('should report errors with their position', () => {
+    expect(() => compileTemplate('Hi\n  {{nmae}}', scope)).toThrow('Invalid template at line 2, column 3: unknown variable "nmae"');
+    expect(() => compileTemplate('{{#if count}}open', scope)).toThrow('{{#if}} is never closed');
+    expect(() => compileTemplate('{{#each players}}{{/if}}', scope)).toThrow('expected {{/each}} but found {{/if}}');
+    expect(() => compileTemplate('{{@index}}', scope)).toThrow('"@index" can only be used inside {{#each}}');
+    expect(() => compileTemplate('{{#if count > many}}{{/if}}', scope)).toThrow('invalid literal many');
+    expect(() => compileTemplate('{{name', scope)).toThrow('unclosed "{{"');
+  });
+});
+
+describe('MessageRenderer', () => {
+  it('should use the built-in Turkish layout without templates', () => {
+    const useCase = new PollAndNotify({}, {}, {}, [], null, { messagePrefix: '[TR94]' });
+
+    expect(useCase.renderMessage([event()])).toBe(
+      '[TR94]\n🏰 *Frontier Keep*\nKoordinat: 450|465\n🔄 Baron (ENEMY) → Duke (SiSu)\n⏰ 02.08.2025 18:08:12'
+    );
+    expect(useCase.renderMessage([event(), event({ villageName: null, oldTribe: null })])).toMatch(
+      /^\[TR94\]\n\*2 Yeni Köy Eventi Bulundu!\*\n\n1\. 🏰 \*Frontier Keep\*[\s\S]*\n\n2\. 🏰 \*Bilinmeyen Köy\*[\s\S]*🔄 Baron \(null\)[\s\S]*\n\n$/
+    );
+  });
+
+  it('should provide derived event variables', () => {
+    const renderer = new MessageRenderer({ homeTribe: 'sisu', homeCoordinates: { x: 447, y: 461 } });
+
+    expect(renderer.eventVariables(event({ zones: ['North', 'Core'] }), { world: 'tr94', number: 2 })).toMatchObject({
+      coordinates: '450|465',
+      zone: 'North, Core',
+      direction: 'gain',
+      gain: true,
+      loss: false,
+      distance: 5,
+      number: 2,
+      world: 'tr94'
+    });
+    expect(Object.keys(renderer.eventVariables(event())).sort()).toEqual(Object.keys(EVENT_SCOPE).sort());
+  });
+
+  it('should render custom message and event templates', () => {
+    const renderer = new MessageRenderer({
+      messageTemplate: '{{world}}: {{count}} conquers, {{gains}} gained\n{{#each events}}{{#if gain}}+{{else}}-{{/if}} {{text}}\n{{/each}}',
+      eventTemplate: '{{villageName}} ({{coordinates}}, {{distance || "?"}} fields)',
+      homeTribe: 'SiSu',
+      homeCoordinates: { x: 450, y: 462 }
+    });
+
+    expect(renderer.render([event(), event({ villageName: 'Lost Hill', newTribe: 'ENEMY', oldTribe: 'SiSu' })], { world: 'tr94' })).toBe(
+      'tr94: 2 conquers, 1 gained\n+ Frontier Keep (450|465, 3 fields)\n- Lost Hill (450|465, 3 fields)\n'
+    );
+  });
+
+  describe('splitting', () => {
+    const events = Array.from({ length: 5 }, (_, index) => event({ villageName: `Village ${index + 1}` }));
+
+    it('should split into numbered parts without cutting an event', () => {
+      const renderer = new MessageRenderer();
+      const parts = renderer.renderParts(events, { maxLength: 300 });
+
+      expect(parts.length).toBeGreaterThan(1);
+      expect(parts.flatMap(part => part.events)).toEqual(events);
+      parts.forEach((part, index) => {
+        expect(part.message.length).toBeLessThanOrEqual(300);
+        expect(part.message).toMatch(new RegExp(`^\\*5 Yeni Köy Eventi Bulundu!\\* \\(${index + 1}/${parts.length}\\)`));
+        part.events.forEach(({ villageName }) => expect(part.message).toContain(`🏰 *${villageName}*\n`));
+      });
+      expect(parts[1].message).toContain(`\n${parts[0].events.length + 1}. 🏰`);
+      expect(renderer.renderParts(events)).toHaveLength(1);
+    });
+
+    it('should sum up events beyond the limit in the last part', () => {
+      const renderer = new MessageRenderer({ locale: 'en' });
+      const [part] = renderer.renderParts(events, { maxEvents: 2 });
+
+      expect(part.events).toEqual(events.slice(0, 2));
+      expect(part.message).toMatch(/^\*5 new conquers found!\*\n\n1\. [\s\S]*\n\n2\. [\s\S]*\n\n➕ 3 more conquers\n\n$/);
+    });
+
+    it('should sum up events beyond the limit when a custom template leaves out {{more}}', () => {
+      const renderer = new MessageRenderer({ messageTemplate: '{{total}} conquers:\n{{items}}', eventTemplate: '{{villageName}}', locale: 'en' });
+      const parts = renderer.renderParts(events, { maxEvents: 2, maxLength: 300 });
+
+      expect(parts).toHaveLength(1);
+      expect(parts[0].message).toBe(`5 conquers:\n${events[0].villageName}\n\n${events[1].villageName}\n\n➕ 3 more conquers`);
+    });
+
+    it('should not repeat the summary when a custom template shows {{more}}', () => {
+      const renderer = new MessageRenderer({ messageTemplate: '{{items}}{{#if more}} (+{{more}}){{/if}}', eventTemplate: '{{villageName}}' });
+      const [part] = renderer.renderParts(events, { maxEvents: 4 });
+
+      expect(part.message).toBe(`${events.slice(0, 4).map(({ villageName }) => villageName).join('\n\n')} (+1)`);
+    });
+
+    it('should give an event longer than the limit a part of its own', () => {
+      const renderer = new MessageRenderer({ eventTemplate: '{{villageName}}' });
+      const parts = renderer.renderParts([event({ villageName: 'x'.repeat(80) }), event({ villageName: 'a' }), event({ villageName: 'b' })], { maxLength: 60 });
+
+      expect(parts.map(part => part.events.map(({ villageName }) => villageName[0]))).toEqual([['x'], ['a', 'b']]);
+    });
+
+    it('should plan one entry per part with the prefix on each', () => {
+      const useCase = new PollAndNotify({}, {}, {}, ['905551234567'], null, { messagePrefix: '[TR94]', maxMessageLength: 400 });
+      const messages = useCase.planMessages(events);
+
+      expect(messages.length).toBeGreaterThan(1);
+      expect(messages.map(({ part, parts }) => [part, parts])).toEqual(messages.map((_, index) => [index + 1, messages.length]));
+      messages.forEach(({ recipients, message }) => {
+        expect(recipients).toEqual(['905551234567']);
+        expect(message.startsWith('[TR94]\n*5 Yeni')).toBe(true);
+        expect(message.length).toBeLessThanOrEqual(400);
+      });
+    });
+  });
+
+  it('should reject templates using unknown variables', () => {
+    expect(() => new MessageRenderer({ eventTemplate: '{{count}}' })).toThrow('unknown variable "count"');
+  });
+});
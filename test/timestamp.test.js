@@ -0,0 +1,81 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseTimestamp, createTimestamp } from '../src/core/entities/timestamp.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { createTranslator } from '../src/core/i18n/translator.js';
+
+const iso = timestamp => new Date(timestamp.epochMs).toISOString();
+
+describe('timestamp', () => {
+  describe('parseTimestamp', () => {
+    it('should read every TWStats layout in the world\'s time zone', () => {
+      const expected = '2025-08-02T15:08:12.000Z';
+
+      expect(iso(parseTimestamp('2025-08-02 - 18:08:12', 'Europe/Istanbul'))).toBe(expected);
+      expect(iso(parseTimestamp('02.08.2025 18:08:12', 'Europe/Istanbul'))).toBe(expected);
+      expect(iso(parseTimestamp('02/08/2025 - 18:08:12', 'Europe/Istanbul'))).toBe(expected);
+      expect(iso(parseTimestamp('2025-08-02T15:08:12Z', 'Europe/Istanbul'))).toBe(expected);
+      expect(iso(parseTimestamp('2025-08-02 18:08', 'Europe/Istanbul'))).toBe('2025-08-02T15:08:00.000Z');
+      expect(parseTimestamp('2025-08-02 - 18:08:12', 'Europe/Istanbul').local).toBe('2025-08-02 - 18:08:12');
+      expect(parseTimestamp('2025-08-02T15:08:12Z', 'Europe/Istanbul').local).toBe('2025-08-02 - 18:08:12');
+    });
+
+    it('should tolerate format drift and reject what is not a time', () => {
+      expect(parseTimestamp('\n  2.8.2025  9:05  ', 'UTC').local).toBe('2025-08-02 - 09:05:00');
+      expect(parseTimestamp('2025-08-02 - 18:08:12 (2 hours ago)', 'UTC').local).toBe('2025-08-02 - 18:08:12');
+
+      expect(parseTimestamp('yesterday', 'UTC')).toBeNull();
+      expect(parseTimestamp('31.02.2025 10:00', 'UTC')).toBeNull();
+      expect(parseTimestamp('2025-08-02 - 24:00:00', 'UTC')).toBeNull();
+      expect(parseTimestamp('', 'UTC')).toBeNull();
+      expect(parseTimestamp(null, 'UTC')).toBeNull();
+    });
+
+    it('should resolve times around daylight saving changes', () => {
+      // Europe/Berlin skips 02:00-03:00 on 2025-03-30 and repeats 02:00-03:00 on 2025-10-26
+      expect(iso(parseTimestamp('2025-03-30 - 01:59:59', 'Europe/Berlin'))).toBe('2025-03-30T00:59:59.000Z');
+      expect(iso(parseTimestamp('2025-03-30 - 03:00:00', 'Europe/Berlin'))).toBe('2025-03-30T01:00:00.000Z');
+      expect(parseTimestamp('2025-03-30 - 02:30:00', 'Europe/Berlin').local).toBe('2025-03-30 - 03:30:00');
+      expect(iso(parseTimestamp('2025-10-26 - 02:30:00', 'Europe/Berlin'))).toBe('2025-10-26T00:30:00.000Z');
+      expect(iso(parseTimestamp('2025-10-26 - 03:00:00', 'Europe/Berlin'))).toBe('2025-10-26T02:00:00.000Z');
+      expect(createTimestamp(Date.UTC(2025, 9, 26, 1, 30), 'Europe/Berlin').local).toBe('2025-10-26 - 02:30:00');
+    });
+  });
+
+  describe('PollAndNotify', () => {
+    it('should compare times in the world\'s time zone, not the server\'s', () => {
+      const useCase = new PollAndNotify({}, {}, {}, null, null, { timeZone: 'America/New_York' });
+      const events = [
+        { villageName: 'Late Keep', timestamp: '2025-08-02 - 18:00:01' },
+        { villageName: 'Stored Keep', timestamp: 'garbled', epochMs: Date.UTC(2025, 7, 2, 22, 30) },
+        { villageName: 'Old Keep', timestamp: '2025-08-02 - 17:59:59', epochMs: Date.UTC(2025, 7, 2, 21, 59, 59) }
+      ];
+
+      expect(useCase.parseTimestamp('2025-08-02 - 18:00:00').toISOString()).toBe('2025-08-02T22:00:00.000Z');
+      expect(useCase.findNewEvents(events, '2025-08-02 - 18:00:00').map(event => event.villageName)).toEqual(['Late Keep', 'Stored Keep']);
+    });
+
+    it('should stop catching up at events older than the age limit by their UTC time', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2025-08-02T22:00:00Z'));
+      try {
+        const useCase = new PollAndNotify({}, {}, {}, null, null, { timeZone: 'Asia/Tokyo', catchUpMaxAgeHours: 1 });
+        const stopAt = useCase.tracker.catchUpStop({ seenIds: [], lastProcessedTimestamp: null });
+
+        expect(stopAt({ timestamp: '2025-08-03 - 06:30:00' })).toBe(false);
+        expect(stopAt({ timestamp: '2025-08-03 - 05:30:00' })).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('translator', () => {
+    it('should print the wall-clock time of every layout without shifting it', () => {
+      const { formatTimestamp } = createTranslator('tr');
+
+      expect(formatTimestamp('2025-08-02 - 18:08:12')).toBe('02.08.2025 18:08:12');
+      expect(formatTimestamp('02.08.2025 18:08')).toBe('02.08.2025 18:08:00');
+      expect(formatTimestamp('unknown')).toBe('unknown');
+    });
+  });
+});
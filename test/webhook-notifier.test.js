@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WebhookNotifier, signPayload, deliveryIdOf } from '../src/infrastructure/webhook/webhook-notifier.js';
+import { PollAndNotify } from '../src/core/use-cases/poll-and-notify.js';
+import { DispatchOutbox } from '../src/core/use-cases/dispatch-outbox.js';
+import { FileOutbox } from '../src/infrastructure/store/file-outbox.js';
+
+const SECRET = 'a-long-shared-secret';
+
+/**
+ * Minimal receiver stub: records requests (with the raw body) and answers with the queued status codes
+ */
+function createStubServer() {
+  const stub = { requests: [], statuses: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ url: req.url, headers: req.headers, raw: body, body: JSON.parse(body) });
+      res.writeHead(stub.statuses.shift() ?? 204);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+const event = {
+  villageName: 'Barbar Köyü',
+  x: 450,
+  y: 465,
+  continent: 'K44',
+  points: 9500,
+  oldPlayer: 'Duke',
+  oldTribe: 'SiSu',
+  newPlayer: 'Baron',
+  newTribe: 'ENEMY',
+  timestamp: '2025-08-02 - 18:08:12'
+};
+
+describe('WebhookNotifier', () => {
+  let stub;
+  let notifier;
+
+  beforeEach(async () => {
+    stub = await createStubServer();
+    notifier = new WebhookNotifier({ urls: [`${stub.url}/hooks/tw`], secret: SECRET, retryDelay: 5 });
+    await notifier.init();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  it('should post the events as signed JSON with a delivery ID', async () => {
+    await notifier.sendNotification('🏰 *Barbar Köyü*', { world: 'tr94', events: [event] });
+
+    const [request] = stub.requests;
+    expect(request.url).toBe('/hooks/tw');
+    expect(request.body).toMatchObject({ world: 'tr94', message: '🏰 *Barbar Köyü*', events: [event] });
+    expect(request.headers['x-webhook-delivery']).toBe(request.body.deliveryId);
+    expect(request.headers['x-webhook-signature']).toBe(signPayload(request.raw, SECRET));
+    expect(request.headers['x-webhook-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+
+  it('should retry server errors with the same delivery ID', async () => {
+    stub.statuses.push(503, 500);
+
+    await notifier.sendNotification('msg', { world: 'tr94', events: [event] });
+
+    expect(stub.requests).toHaveLength(3);
+    expect(new Set(stub.requests.map(request => request.headers['x-webhook-delivery'])).size).toBe(1);
+  });
+
+  it('should not retry rejected payloads and report the failure', async () => {
+    stub.statuses.push(400);
+
+    await expect(notifier.sendNotification('msg', { world: 'tr94', events: [event] })).rejects.toThrow('HTTP 400');
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it('should give up after the configured retries', async () => {
+    notifier.maxRetries = 1;
+    stub.statuses.push(502, 502);
+
+    await expect(notifier.sendNotification('msg', { events: [event] })).rejects.toThrow('1 of 1 endpoints');
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it('should derive the delivery ID from the batch and the endpoint', async () => {
+    await notifier.sendNotification('msg', { world: 'tr94', events: [event] });
+    await notifier.sendNotification('msg again', { world: 'tr94', events: [event] });
+
+    const [first, second] = stub.requests.map(request => request.body.deliveryId);
+    expect(first).toBe(second);
+    expect(first).toBe(deliveryIdOf(`${stub.url}/hooks/tw`, [event]));
+    expect(deliveryIdOf(`${stub.url}/other`, [event])).not.toBe(first);
+    expect(deliveryIdOf(`${stub.url}/hooks/tw`, [{ ...event, x: 451 }])).not.toBe(first);
+  });
+
+  it('should report failed endpoints and post only to the given ones', async () => {
+    const urls = [`${stub.url}/first`, `${stub.url}/second`];
+    notifier = new WebhookNotifier({ urls, secret: SECRET, retryDelay: 5, maxRetries: 0 });
+    await notifier.init();
+    stub.statuses.push(204, 400);
+
+    const report = await notifier.sendNotification('msg', { world: 'tr94', events: [event] });
+
+    expect(report).toMatchObject({ sentCount: 1, failedCount: 1 });
+    expect(report.recipients[1]).toMatchObject({ recipient: urls[1], status: 'failed', error: 'HTTP 400' });
+
+    await notifier.notifyMany([urls[1]], 'msg', { world: 'tr94', events: [event] });
+    expect(stub.requests.map(request => request.url)).toEqual(['/first', '/second', '/second']);
+  });
+
+  it('should be queued in the outbox next to the messages and retried only for failed endpoints', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-outbox-'));
+    try {
+      const urls = [`${stub.url}/first`, `${stub.url}/second`];
+      notifier = new WebhookNotifier({ urls, secret: SECRET, retryDelay: 5, maxRetries: 0 });
+      await notifier.init();
+      stub.statuses.push(204, 503, 204);
+
+      const chatNotifier = { isClientReady: () => true, notifyMany: vi.fn(async () => {}) };
+      const outbox = new DispatchOutbox(new FileOutbox(path.join(dir, 'outbox.json')), chatNotifier, { eventWebhook: notifier, retryDelayMs: 0 });
+      const useCase = new PollAndNotify(
+        { scrape: async () => [event] },
+        chatNotifier,
+        { loadSeenEventIds: async () => [], addSeenEventIds: async () => {}, saveLastProcessedTimestamp: async () => {} },
+        ['905551234567'],
+        null,
+        { worldId: 'tr94', eventWebhook: notifier, outbox }
+      );
+
+      const result = await useCase.runOnce();
+
+      expect(result).toMatchObject({ success: true, recipientsCount: 1, pendingCount: 1 });
+      expect(await outbox.list()).toEqual([expect.objectContaining({ channel: 'webhook', recipients: [urls[1]], attempts: 1 })]);
+
+      await outbox.runOnce();
+
+      expect(stub.requests.map(request => request.url)).toEqual(['/first', '/second', '/second']);
+      expect(stub.requests[2].body.deliveryId).toBe(stub.requests[1].body.deliveryId);
+      expect(await outbox.list()).toEqual([]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should be fed every filtered batch by PollAndNotify without blocking the subscribers', async () => {
+    const webhook = { sendNotification: vi.fn(async () => { throw new Error('receiver down'); }) };
+    const chatNotifier = { isClientReady: () => true, notifyMany: vi.fn(async () => {}) };
+    const useCase = new PollAndNotify(
+      { scrape: async () => [event] },
+      chatNotifier,
+      {
+        loadSeenEventIds: async () => null,
+        addSeenEventIds: async () => {},
+        loadLastProcessedTimestamp: async () => '2025-08-02 - 18:00:00',
+        saveLastProcessedTimestamp: async () => {}
+      },
+      ['905551234567'],
+      null,
+      { worldId: 'tr94', eventWebhook: webhook }
+    );
+
+    const result = await useCase.runOnce();
+
+    expect(result.success).toBe(true);
+    expect(webhook.sendNotification).toHaveBeenCalledWith(expect.any(String), { world: 'tr94', events: [event] });
+    expect(chatNotifier.notifyMany).toHaveBeenCalledTimes(1);
+  });
+});
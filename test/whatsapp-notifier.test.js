@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { WhatsAppNotifier } from '../src/infrastructure/whatsapp/whatsapp-notifier.js';
+import { parseRecipient } from '../src/core/entities/recipient.js';
+
+const group = (id, name) => ({ isGroup: true, id: { _serialized: id }, name, participants: [{}, {}] });
+const contact = (id, name) => ({ isGroup: false, id: { _serialized: id }, name });
+
+describe('parseRecipient', () => {
+  it('should parse contacts, group IDs and group names', () => {
+    expect(parseRecipient('905551234567')).toEqual({ channel: 'whatsapp', kind: 'contact', id: '905551234567', groupName: null });
+    expect(parseRecipient('905551234567@c.us')).toEqual({ channel: 'whatsapp', kind: 'contact', id: '905551234567', groupName: null });
+    expect(parseRecipient('120363012345678901@g.us')).toEqual({ channel: 'whatsapp', kind: 'group', id: '120363012345678901@g.us', groupName: null });
+    expect(parseRecipient('group: Tribe Council ')).toEqual({ channel: 'whatsapp', kind: 'group', id: null, groupName: 'Tribe Council' });
+    expect(parseRecipient('telegram:-1001234567890')).toEqual({ channel: 'telegram', kind: 'chat', id: '-1001234567890', groupName: null });
+    expect(parseRecipient('telegram:@tribe_news')).toEqual({ channel: 'telegram', kind: 'chat', id: '@tribe_news', groupName: null });
+    expect(parseRecipient('discord:council')).toEqual({ channel: 'discord', kind: 'webhook', id: 'council', groupName: null });
+    expect(parseRecipient('email:Duke@Example.com')).toEqual({ channel: 'email', kind: 'address', id: 'duke@example.com', groupName: null });
+  });
+
+  it('should reject anything else', () => {
+    expect(parseRecipient('5551234567')).toBeNull();
+    expect(parseRecipient('group:')).toBeNull();
+    expect(parseRecipient('abc@g.us')).toBeNull();
+    expect(parseRecipient('telegram:abc')).toBeNull();
+    expect(parseRecipient('discord:war room')).toBeNull();
+    expect(parseRecipient('email:duke')).toBeNull();
+    expect(parseRecipient(null)).toBeNull();
+  });
+});
+
+describe('WhatsAppNotifier', () => {
+  let notifier;
+  let client;
+
+  beforeEach(() => {
+    client = {
+      sendMessage: vi.fn(async () => ({})),
+      getChats: vi.fn(async () => [
+        group('120363000000000001@g.us', 'Tribe Council'),
+        group('120363000000000002@g.us', 'Frontline'),
+        group('120363000000000003@g.us', 'Frontline'),
+        contact('905551234567@c.us', 'Duke')
+      ])
+    };
+
+    notifier = new WhatsAppNotifier(['905551234567']);
+    notifier.client = client;
+    notifier.isReady = true;
+  });
+
+  describe('listGroups', () => {
+    it('should list only group chats', async () => {
+      const groups = await notifier.listGroups();
+
+      expect(groups).toHaveLength(3);
+      expect(groups[0]).toEqual({ id: '120363000000000001@g.us', name: 'Tribe Council', participants: 2 });
+    });
+
+    it('should require a ready client', async () => {
+      notifier.isReady = false;
+
+      await expect(notifier.listGroups()).rejects.toThrow('not ready');
+    });
+  });
+
+  describe('resolveChatId', () => {
+    it('should build contact chat IDs and pass group IDs through', async () => {
+      expect(await notifier.resolveChatId('905551234567')).toBe('905551234567@c.us');
+      expect(await notifier.resolveChatId('120363000000000009@g.us')).toBe('120363000000000009@g.us');
+      expect(client.getChats).not.toHaveBeenCalled();
+    });
+
+    it('should resolve group names case-insensitively and cache them', async () => {
+      expect(await notifier.resolveChatId('group:tribe council')).toBe('120363000000000001@g.us');
+      expect(await notifier.resolveChatId('group:Tribe Council')).toBe('120363000000000001@g.us');
+      expect(client.getChats).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown and ambiguous group names', async () => {
+      await expect(notifier.resolveChatId('group:Nobody')).rejects.toThrow('WhatsApp group not found: Nobody');
+      await expect(notifier.resolveChatId('group:Frontline')).rejects.toThrow('ambiguous');
+    });
+  });
+
+  describe('notifyMany', () => {
+    it('should send to contacts and groups', async () => {
+      await notifier.notifyMany(['905551234567', 'group:Tribe Council'], 'Hello');
+
+      expect(client.sendMessage).toHaveBeenCalledWith('905551234567@c.us', 'Hello');
+      expect(client.sendMessage).toHaveBeenCalledWith('120363000000000001@g.us', 'Hello');
+    });
+
+    it('should report recipients of other channels as failed instead of dropping them', async () => {
+      const report = await notifier.notifyMany(['telegram:12345', '905551234567'], 'Hello');
+
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(client.sendMessage).toHaveBeenCalledWith('905551234567@c.us', 'Hello');
+      expect(report.recipients[0]).toMatchObject({ recipient: 'telegram:12345', status: 'failed', error: 'Invalid WhatsApp recipient: telegram:12345' });
+    });
+
+    it('should keep sending to other recipients when a group cannot be resolved', async () => {
+      await notifier.notifyMany(['group:Nobody', '905551234567'], 'Hello');
+
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(client.sendMessage).toHaveBeenCalledWith('905551234567@c.us', 'Hello');
+    });
+
+    it('should report the outcome and message ID per recipient', async () => {
+      client.sendMessage.mockResolvedValueOnce({ id: { _serialized: 'true_905551234567@c.us_3EB0' } });
+
+      const report = await notifier.notifyMany(['905551234567', 'group:Nobody'], 'Hello');
+
+      expect(report).toEqual({
+        recipients: [
+          { recipient: '905551234567', channel: 'whatsapp', status: 'sent', messageId: 'true_905551234567@c.us_3EB0', error: null },
+          { recipient: 'group:Nobody', channel: 'whatsapp', status: 'failed', messageId: null, error: 'WhatsApp group not found: Nobody' }
+        ],
+        sentCount: 1,
+        failedCount: 1
+      });
+    });
+  });
+
+  describe('incoming messages', () => {
+    const setupHandlers = () => {
+      const handlers = {};
+      client.on = vi.fn((name, handler) => { handlers[name] = handler; });
+      notifier._setupEventHandlers();
+      return handlers;
+    };
+
+    it('should reply with the registered handler\'s answer', async () => {
+      const handlers = setupHandlers();
+      const message = { from: '905551234567@c.us', body: '!durum', reply: vi.fn(async () => {}) };
+      const handler = vi.fn(async () => 'Bot durumu');
+      notifier.onMessage(handler);
+
+      await handlers.message(message);
+
+      expect(handler).toHaveBeenCalledWith('!durum', { chatId: '905551234567@c.us', author: null });
+      expect(message.reply).toHaveBeenCalledWith('Bot durumu');
+    });
+
+    it('should pass the author of group messages to the handler', async () => {
+      const handlers = setupHandlers();
+      const message = { from: '120363000000000001@g.us', author: '905551234567@c.us', body: '!iptal', reply: vi.fn(async () => {}) };
+      const handler = vi.fn(async () => null);
+      notifier.onMessage(handler);
+
+      await handlers.message(message);
+
+      expect(handler).toHaveBeenCalledWith('!iptal', { chatId: '120363000000000001@g.us', author: '905551234567@c.us' });
+    });
+
+    it('should not reply when the handler has no answer', async () => {
+      const handlers = setupHandlers();
+      const message = { from: '905551234567@c.us', body: 'selam', reply: vi.fn(async () => {}) };
+      notifier.onMessage(async () => null);
+
+      await handlers.message(message);
+
+      expect(message.reply).not.toHaveBeenCalled();
+    });
+  });
+});